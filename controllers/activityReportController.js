@@ -1,7 +1,10 @@
 // backend/controllers/activityReportController.js
 const asyncHandler = require('express-async-handler');
 const ActivityReport = require('../models/activityReportModel');
+const Attachment = require('../models/attachmentModel');
 const Fellowship = require('../models/fellowshipModel'); // To check if fellowship exists and for Zonal access
+const { canViewActivityReport } = require('../utils/reportAccess');
+const { assertPeriodOpen } = require('../utils/periodLock');
 
 // Helper Date Functions (Standard Calendar Month)
 const getStartOfMonth = (date) => {
@@ -80,6 +83,7 @@ const submitActivityReport = asyncHandler(async (req, res) => {
     );
   }
   const reportCalendarMonth = getStartOfMonth(reportDateInput);
+  await assertPeriodOpen(res, reportCalendarMonth);
 
   const existingReport = await ActivityReport.findOne({
     fellowship: fellowshipId,
@@ -245,36 +249,7 @@ const getActivityReportById = asyncHandler(async (req, res) => {
     throw new Error('Activity report not found.');
   }
 
-  let authorized = false;
-  if (
-    user.role.includes('super_admin') ||
-    user.role.includes('administrator') ||
-    user.role.includes('national_coordinator') ||
-    user.role.includes('assistant_national_coordinator_finance') ||
-    user.role.includes('assistant_national_coordinator_secondary_school_outreach')
-  ) {
-    authorized = true;
-  } else if (user.role.includes('zonal_coordinator')) {
-    if (
-      user.zone &&
-      report.fellowship &&
-      report.fellowship.zone &&
-      user.zone.equals(report.fellowship.zone)
-    ) {
-      authorized = true;
-    }
-  } else if (user.role.includes('fellowship_president')) {
-    if (
-      user.fellowship &&
-      report.fellowship &&
-      user.fellowship.equals(report.fellowship._id) &&
-      user._id.equals(report.submittedBy._id)
-    ) {
-      authorized = true;
-    }
-  }
-
-  if (!authorized) {
+  if (!canViewActivityReport(user, report)) {
     res.status(403);
     throw new Error('Not authorized to view this activity report.');
   }
@@ -327,6 +302,8 @@ const updateActivityReport = asyncHandler(async (req, res) => {
     );
   }
 
+  await assertPeriodOpen(res, report.reportingMonth);
+
   report.totalAttendance =
     totalAttendance !== undefined ? totalAttendance : report.totalAttendance;
   report.totalNewConverts =
@@ -397,6 +374,8 @@ const approveRejectActivityReport = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to approve/reject this activity report.');
   }
 
+  await assertPeriodOpen(res, report.reportingMonth);
+
   report.status = status;
   report.approvedBy = approvedBy;
   report.approvalDate = new Date();
@@ -449,6 +428,9 @@ const deleteActivityReport = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to delete this report.');
   }
 
+  await assertPeriodOpen(res, report.reportingMonth);
+
+  await Attachment.removeForReport('ActivityReport', report._id);
   await report.deleteOne();
 
   res.status(200).json({ message: 'Activity report removed.' });
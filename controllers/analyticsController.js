@@ -4,6 +4,11 @@ const ActivityReport = require('../models/activityReportModel');
 const FinancialReport = require('../models/financialReportModel');
 const FellowshipOutreachReport = require('../models/fellowshipOutreachReportModel');
 const Fellowship = require('../models/fellowshipModel'); // For filtering by zone later
+const Disbursement = require('../models/disbursementModel');
+const Remittance = require('../models/remittanceModel');
+const Zone = require('../models/zoneModel');
+const mongoose = require('mongoose');
+const { fromMinorUnits } = require('../utils/money');
 
 // --- Helper Date Functions (Consistent across reporting modules) ---
 const getStartOfMonth = (date) => {
@@ -124,20 +129,20 @@ const getOverallSummary = asyncHandler(async (req, res) => {
   ]);
   const activitySummary = activityResults[0] || {};
 
-  // --- Aggregate Financial Reports ---
+  // --- Aggregate Financial Reports (amounts are summed in minor units) ---
   const financialResults = await FinancialReport.aggregate([
     ...commonMatchStages,
     {
       $group: {
         _id: null,
         totalIncome: { $sum: "$totalIncome" },
-        totalExpenditure: { $sum: "$totalExpenditure" }
+        totalExpenditure: { $sum: "$totalExpense" }
       }
     },
     { $project: { _id: 0 } }
   ]);
   const financialSummary = financialResults[0] || {};
-  const balance = (financialSummary.totalIncome || 0) - (financialSummary.totalExpenditure || 0);
+  const balance = fromMinorUnits((financialSummary.totalIncome || 0) - (financialSummary.totalExpenditure || 0));
 
   // --- Aggregate Fellowship Outreach Reports ---
   const fellowshipOutreachResults = await FellowshipOutreachReport.aggregate([
@@ -159,8 +164,8 @@ const getOverallSummary = asyncHandler(async (req, res) => {
     totalAttendance: activitySummary.totalAttendance || 0,
     totalNewConverts: activitySummary.totalNewConverts || 0,
     totalProgramsHeld: activitySummary.totalProgramsHeld || 0,
-    totalIncome: financialSummary.totalIncome || 0,
-    totalExpenditure: financialSummary.totalExpenditure || 0,
+    totalIncome: fromMinorUnits(financialSummary.totalIncome || 0),
+    totalExpenditure: fromMinorUnits(financialSummary.totalExpenditure || 0),
     balance,
     totalFellowshipSchoolsVisited: fellowshipOutreachSummary.totalFellowshipSchoolsVisited || 0,
     totalFellowshipStudentsReached: fellowshipOutreachSummary.totalFellowshipStudentsReached || 0,
@@ -264,22 +269,22 @@ const getMonthlyTrends = asyncHandler(async (req, res) => {
     monthlyData[monthIndex].totalProgramsHeld = data.totalProgramsHeld;
   });
 
-  // --- Financial Reports ---
+  // --- Financial Reports (amounts are summed in minor units) ---
   const financialTrends = await FinancialReport.aggregate([
     ...globalMatchStages,
     {
       $group: {
         _id: { month: { $month: "$reportingMonth" } },
         totalIncome: { $sum: "$totalIncome" },
-        totalExpenditure: { $sum: "$totalExpenditure" }
+        totalExpenditure: { $sum: "$totalExpense" }
       }
     },
     { $sort: { "_id.month": 1 } }
   ]);
   financialTrends.forEach(data => {
     const monthIndex = data._id.month - 1;
-    monthlyData[monthIndex].totalIncome = data.totalIncome;
-    monthlyData[monthIndex].totalExpenditure = data.totalExpenditure;
+    monthlyData[monthIndex].totalIncome = fromMinorUnits(data.totalIncome);
+    monthlyData[monthIndex].totalExpenditure = fromMinorUnits(data.totalExpenditure);
   });
 
   // --- Fellowship Outreach Reports ---
@@ -307,7 +312,101 @@ const getMonthlyTrends = asyncHandler(async (req, res) => {
   res.status(200).json(monthlyData);
 });
 
+// @desc    Get money flowing down (paid disbursements) and up (confirmed levy payments) per zone
+// @route   GET /api/analytics/zone-net-flow?year=<YYYY>&month=<MM>&zoneId=<ID>
+const getZoneNetFlow = asyncHandler(async (req, res) => {
+  const { year, month, zoneId } = req.query;
+  const user = req.user;
+
+  const queryYear = parseInt(year) || new Date().getFullYear();
+  const queryMonth = parseInt(month); // Optional: whole year when omitted
+  const periodStart = queryMonth ? new Date(queryYear, queryMonth - 1, 1) : new Date(queryYear, 0, 1);
+  const periodEnd = queryMonth ? new Date(queryYear, queryMonth, 1) : new Date(queryYear + 1, 0, 1);
+
+  if (zoneId && !mongoose.isValidObjectId(zoneId)) {
+    res.status(400);
+    throw new Error('Invalid zoneId.');
+  }
+
+  // Role-based zone filter: national roles see every zone (or the one asked for), zonal coordinators their own
+  const userRole = user.role;
+  const isNationalViewer = userRole.includes('super_admin') || userRole.includes('administrator') ||
+    userRole.includes('accountant') || userRole.includes('national_coordinator') ||
+    userRole.includes('assistant_national_coordinator_secondary_school_outreach');
+
+  let zoneFilterId = null;
+  if (isNationalViewer) {
+    if (zoneId) zoneFilterId = new mongoose.Types.ObjectId(zoneId);
+  } else if (userRole.includes('zonal_coordinator') && user.zone) {
+    zoneFilterId = user.zone;
+  } else {
+    res.status(403);
+    throw new Error('Not authorized to view zone money flows.');
+  }
+
+  // --- Down: disbursements paid to fellowships, by paying office (amounts in minor units) ---
+  const disbursementFlows = await Disbursement.aggregate([
+    { $match: { status: 'paid', paidAt: { $gte: periodStart, $lt: periodEnd }, ...(zoneFilterId ? { zone: zoneFilterId } : {}) } },
+    { $group: { _id: { zone: '$zone', source: '$source' }, total: { $sum: '$amount' } } }
+  ]);
+
+  // --- Up: levy payments confirmed from the zone's fellowships ---
+  const fellowshipMatch = {};
+  if (zoneFilterId) {
+    const fellowshipsInZone = await Fellowship.find({ zone: zoneFilterId }).select('_id');
+    fellowshipMatch.fellowship = { $in: fellowshipsInZone.map(f => f._id) };
+  }
+  const levyFlows = await Remittance.aggregate([
+    { $match: { ...fellowshipMatch, status: 'confirmed', paymentDate: { $gte: periodStart, $lt: periodEnd } } },
+    { $lookup: { from: 'fellowships', localField: 'fellowship', foreignField: '_id', as: 'fellowshipDoc' } },
+    { $unwind: '$fellowshipDoc' },
+    { $group: { _id: { zone: '$fellowshipDoc.zone', levyType: '$levyType' }, total: { $sum: '$amount' } } }
+  ]);
+
+  const flowsByZone = {};
+  const getFlow = (id) => {
+    const key = id.toString();
+    if (!flowsByZone[key]) {
+      flowsByZone[key] = { zoneId: id, nationalDisbursements: 0, zoneDisbursements: 0, zonalLeviesPaid: 0, nationalLeviesPaid: 0 };
+    }
+    return flowsByZone[key];
+  };
+  disbursementFlows.forEach(data => {
+    getFlow(data._id.zone)[`${data._id.source}Disbursements`] = data.total;
+  });
+  levyFlows.forEach(data => {
+    if (!data._id.zone) return; // Fellowship no longer assigned to a zone
+    getFlow(data._id.zone)[`${data._id.levyType}LeviesPaid`] = data.total;
+  });
+
+  const zones = await Zone.find({ _id: { $in: Object.values(flowsByZone).map(flow => flow.zoneId) } }).select('name');
+
+  const zoneFlows = zones.map(zone => {
+    const flow = flowsByZone[zone._id.toString()];
+    const receivedByFellowships = flow.nationalDisbursements + flow.zoneDisbursements;
+    const paidByFellowships = flow.zonalLeviesPaid + flow.nationalLeviesPaid;
+    return {
+      zone: { _id: zone._id, name: zone.name },
+      nationalDisbursements: fromMinorUnits(flow.nationalDisbursements),
+      zoneDisbursements: fromMinorUnits(flow.zoneDisbursements),
+      zonalLeviesPaid: fromMinorUnits(flow.zonalLeviesPaid),
+      nationalLeviesPaid: fromMinorUnits(flow.nationalLeviesPaid),
+      // Positive: the zone's fellowships received more than they paid up
+      netFlowToFellowships: fromMinorUnits(receivedByFellowships - paidByFellowships),
+      // Positive: the national office sent the zone more than it collected from it
+      netFlowFromNational: fromMinorUnits(flow.nationalDisbursements - flow.nationalLeviesPaid),
+    };
+  });
+
+  res.status(200).json({
+    periodStart,
+    periodEnd,
+    zones: zoneFlows.sort((a, b) => a.netFlowToFellowships - b.netFlowToFellowships),
+  });
+});
+
 module.exports = {
   getOverallSummary,
   getMonthlyTrends,
+  getZoneNetFlow,
 };
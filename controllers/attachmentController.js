@@ -0,0 +1,258 @@
+// backend/controllers/attachmentController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Attachment = require('../models/attachmentModel');
+const FinancialReport = require('../models/financialReportModel');
+const ActivityReport = require('../models/activityReportModel');
+const FellowshipOutreachReport = require('../models/fellowshipOutreachReportModel');
+const OutreachReport = require('../models/outreachReportModel');
+const { getStorageDriver } = require('../utils/storage');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const {
+    canViewFinancialReport,
+    canViewActivityReport,
+    canViewFellowshipOutreachReport,
+    canViewOutreachReport,
+} = require('../utils/reportAccess');
+
+// Report types that accept attachments, keyed by the slug used in requests
+// (the same names the report routes are mounted under).
+const REPORT_TYPES = {
+    finance: {
+        model: FinancialReport,
+        modelName: 'FinancialReport',
+        hasFellowship: true,
+        canView: canViewFinancialReport,
+        kinds: ['receipt', 'other'],
+        amendRoles: ['accountant', 'super_admin'], // See PUT /api/finance/reports/:id/amend
+    },
+    activity: {
+        model: ActivityReport,
+        modelName: 'ActivityReport',
+        hasFellowship: true,
+        canView: canViewActivityReport,
+        kinds: ['photo', 'register', 'other'],
+        amendRoles: [],
+    },
+    'fellowship-outreach': {
+        model: FellowshipOutreachReport,
+        modelName: 'FellowshipOutreachReport',
+        hasFellowship: true,
+        canView: canViewFellowshipOutreachReport,
+        kinds: ['photo', 'register', 'other'],
+        amendRoles: [],
+    },
+    outreach: {
+        model: OutreachReport,
+        modelName: 'OutreachReport',
+        hasFellowship: false,
+        canView: canViewOutreachReport,
+        kinds: ['photo', 'register', 'other'],
+        amendRoles: [],
+    },
+};
+
+const getReportTypeByModelName = (modelName) => {
+    return Object.values(REPORT_TYPES).find(type => type.modelName === modelName);
+};
+
+// Load a report with what the view authorization checks need
+const findReport = (reportType, reportId) => {
+    const query = reportType.model.findById(reportId);
+    return reportType.hasFellowship ? query.populate('fellowship', 'name zone') : query;
+};
+
+// Only the submitter or an Administrator/Super Admin may add evidence to a report. Once the
+// report is approved its evidence is part of the record, so only the roles that may amend
+// it (none, for reports without amendments) can still change it.
+const canChangeEvidence = (user, reportType, report, owner) => {
+    if (report.status === 'approved') return reportType.amendRoles.includes(user.role);
+    return ['super_admin', 'administrator'].includes(user.role) || owner.equals(user._id);
+};
+
+// @desc    Upload a receipt, photo or register for a report
+// @route   POST /api/attachments (multipart: file, reportType, reportId, kind, description)
+// @access  Private/Report submitter, Administrator, Super Admin (amendment roles once approved)
+const uploadReportAttachment = asyncHandler(async (req, res) => {
+    const { reportType: reportTypeSlug, reportId, kind, description } = req.body;
+    const user = req.user;
+
+    // 1. Basic Validation
+    const reportType = REPORT_TYPES[reportTypeSlug];
+    if (!reportType) {
+        res.status(400);
+        throw new Error(`Invalid reportType. Allowed values: ${Object.keys(REPORT_TYPES).join(', ')}.`);
+    }
+    if (!reportId || !mongoose.isValidObjectId(reportId)) {
+        res.status(400);
+        throw new Error('Please provide a valid reportId.');
+    }
+    if (!kind || !reportType.kinds.includes(kind)) {
+        res.status(400);
+        throw new Error(`Invalid kind for ${reportTypeSlug} reports. Allowed values: ${reportType.kinds.join(', ')}.`);
+    }
+    if (!req.file) {
+        res.status(400);
+        throw new Error('Please attach a file in the "file" field.');
+    }
+
+    // 2. The report must exist and belong to the uploader (or the uploader is an admin)
+    const report = await findReport(reportType, reportId);
+    if (!report) {
+        res.status(404);
+        throw new Error('Report not found.');
+    }
+    if (!canChangeEvidence(user, reportType, report, report.submittedBy)) {
+        res.status(403);
+        throw new Error(report.status === 'approved'
+            ? 'This report is approved. Its attachments can only be changed by the roles that may amend it.'
+            : 'Not authorized to add attachments to this report.');
+    }
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    // 3. Store the file, then record it
+    const driver = getStorageDriver();
+    const { key, size } = await driver.save({
+        buffer: req.file.buffer,
+        extension: req.file.extension, // From the detected type (see uploadAttachment)
+        mimeType: req.file.mimetype,
+    });
+
+    try {
+        const attachment = await Attachment.create({
+            reportType: reportType.modelName,
+            report: report._id,
+            kind,
+            description,
+            originalName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            size,
+            storageDriver: driver.name,
+            storageKey: key,
+            uploadedBy: user._id,
+        });
+        res.status(201).json(attachment);
+    } catch (error) {
+        await driver.remove(key); // Don't leave an orphaned file behind
+        throw error;
+    }
+});
+
+// @desc    List attachments for a report
+// @route   GET /api/attachments?reportType=<finance|activity|fellowship-outreach|outreach>&reportId=<ID>
+// @access  Private (same roles as viewing the report)
+const getReportAttachments = asyncHandler(async (req, res) => {
+    const { reportType: reportTypeSlug, reportId } = req.query;
+    const user = req.user;
+
+    const reportType = REPORT_TYPES[reportTypeSlug];
+    if (!reportType || !reportId || !mongoose.isValidObjectId(reportId)) {
+        res.status(400);
+        throw new Error(`Please provide a valid reportId and reportType (${Object.keys(REPORT_TYPES).join(', ')}).`);
+    }
+
+    const report = await findReport(reportType, reportId);
+    if (!report) {
+        res.status(404);
+        throw new Error('Report not found.');
+    }
+    if (!reportType.canView(user, report)) {
+        res.status(403);
+        throw new Error('Not authorized to view attachments for this report.');
+    }
+
+    const attachments = await Attachment.find({ reportType: reportType.modelName, report: report._id })
+        .populate('uploadedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(attachments);
+});
+
+// @desc    Download an attachment
+// @route   GET /api/attachments/:id/download
+// @access  Private (same roles as viewing the report it belongs to)
+const downloadAttachment = asyncHandler(async (req, res, next) => {
+    const user = req.user;
+
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) {
+        res.status(404);
+        throw new Error('Attachment not found.');
+    }
+
+    const reportType = getReportTypeByModelName(attachment.reportType);
+    const report = await findReport(reportType, attachment.report);
+    if (!report) {
+        res.status(404);
+        throw new Error('Report for this attachment no longer exists.');
+    }
+    if (!reportType.canView(user, report)) {
+        res.status(403);
+        throw new Error('Not authorized to download this attachment.');
+    }
+
+    const driver = getStorageDriver(attachment.storageDriver);
+    if (!(await driver.exists(attachment.storageKey))) {
+        res.status(404);
+        throw new Error('Attachment file is missing from storage.');
+    }
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(attachment.originalName)}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff'); // Browsers must not guess a different type
+
+    // A file that vanishes or cannot be read becomes an error response, not an unhandled stream error
+    const stream = driver.createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+        if (res.headersSent) return res.destroy(error);
+        ['Content-Type', 'Content-Length', 'Content-Disposition'].forEach(header => res.removeHeader(header));
+        if (error.code === 'ENOENT') {
+            res.status(404);
+            return next(new Error('Attachment file is missing from storage.'));
+        }
+        res.status(500);
+        next(error);
+    });
+    stream.pipe(res);
+});
+
+// @desc    Delete an attachment
+// @route   DELETE /api/attachments/:id
+// @access  Private/Uploader, Administrator, Super Admin (amendment roles once approved)
+const deleteAttachment = asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) {
+        res.status(404);
+        throw new Error('Attachment not found.');
+    }
+
+    // The report decides whether it may still change; an attachment left behind by a deleted
+    // report can be removed by its uploader or an Administrator/Super Admin
+    const reportType = getReportTypeByModelName(attachment.reportType);
+    const report = reportType ? await reportType.model.findById(attachment.report) : null;
+    const canDelete = report
+        ? canChangeEvidence(user, reportType, report, attachment.uploadedBy)
+        : ['super_admin', 'administrator'].includes(user.role) || attachment.uploadedBy.equals(user._id);
+    if (!canDelete) {
+        res.status(403);
+        throw new Error(report && report.status === 'approved'
+            ? 'This report is approved. Its attachments can only be changed by the roles that may amend it.'
+            : 'Not authorized to delete this attachment.');
+    }
+    if (report) await assertPeriodOpen(res, report.reportingMonth);
+
+    await getStorageDriver(attachment.storageDriver).remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    res.status(200).json({ message: 'Attachment removed.' });
+});
+
+module.exports = {
+    uploadReportAttachment,
+    getReportAttachments,
+    downloadAttachment,
+    deleteAttachment,
+};
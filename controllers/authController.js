@@ -1,69 +1,410 @@
 // backend/controllers/authController.js
 const User = require('../models/User');
 const asyncHandler = require('express-async-handler');
-const generateToken = require('../utils/generateToken');
+const Invitation = require('../models/invitationModel');
+const Fellowship = require('../models/fellowshipModel');
+const Zone = require('../models/zoneModel');
+const PasswordReset = require('../models/passwordResetModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const { issueAuthTokens, findRefreshToken, rotateRefreshToken } = require('../utils/authTokens');
+const {
+    getAccountRetryAfter,
+    getIpRetryAfter,
+    registerFailedLogin,
+    clearFailedLogins,
+    recordLoginAttempt,
+} = require('../utils/loginThrottle');
+const { createLoginChallenge, findLoginChallengeUser, verifySecondFactor } = require('../utils/twoFactor');
+const TwoFactorPolicy = require('../models/twoFactorPolicyModel');
+const { hashToken, createOneTimeToken } = require('../utils/oneTimeToken');
+const { sendMail } = require('../utils/mail');
 
-// @desc    Register a new user
-// @route   POST /api/auth/register
-// @access  Public
-const registerUser = asyncHandler(async (req, res) => {
-    const { name, email, password, role } = req.body;
+const MIN_PASSWORD_LENGTH = 8;
 
-    if (!name || !email || !password || !role) {
-        res.status(400);
-        throw new Error('Please enter all required fields');
-    }
+// How long a password reset link works (PASSWORD_RESET_TTL_MINUTES, default 60)
+const getPasswordResetTtlMs = () => (parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
 
-    const userExists = await User.findOne({ email });
-    if (userExists) {
-        res.status(400);
-        throw new Error('User already exists with that email');
-    }
+// At most PASSWORD_RESET_MAX_REQUESTS (default 3) reset emails per account within
+// PASSWORD_RESET_WINDOW_MINUTES (default 60), so the endpoint cannot flood a mailbox
+const getPasswordResetLimit = () => ({
+    maxRequests: parseFloat(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3,
+    windowMs: (parseFloat(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60) * 60 * 1000,
+});
 
-    const user = await User.create({
-        name,
-        email,
-        password,
-        role,
-    });
+// Same answer whether or not the email belongs to an account, so the endpoint cannot be used to find accounts
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account exists for that email, a password reset link has been sent.' };
 
-    if (user) {
-        res.status(201).json({
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            token: generateToken(user._id, user.role),
-        });
-    } else {
-        res.status(400);
-        throw new Error('Invalid user data');
+// Rejects the attempt with 429 (or 423 for a locked account) and a Retry-After header while
+// this address or account has to wait after failed logins (see utils/loginThrottle.js)
+const enforceLoginThrottle = async (req, res, email, user) => {
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+        await recordLoginAttempt(req, email, null, false, 'throttled');
+        res.set('Retry-After', String(ipRetryAfter));
+        res.status(429);
+        throw new Error(`Too many failed login attempts. Try again in ${ipRetryAfter} seconds.`);
     }
-});
 
-// @desc    Authenticate user & get token
+    if (!user) return;
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter > 0) {
+        const isLocked = user.lockedUntil && user.lockedUntil.getTime() > Date.now();
+        await recordLoginAttempt(req, email, user, false, isLocked ? 'account_locked' : 'throttled');
+        res.set('Retry-After', String(accountRetryAfter));
+        res.status(isLocked ? 423 : 429);
+        throw new Error(isLocked
+            ? `Account is temporarily locked after repeated failed logins. Try again in ${Math.ceil(accountRetryAfter / 60)} minutes or ask an administrator to unlock it.`
+            : `Too many failed login attempts. Try again in ${accountRetryAfter} seconds.`);
+    }
+};
+
+// @desc    Authenticate user & get token (or a two-factor challenge when 2FA is enabled)
 // @route   POST /api/auth/login
 // @access  Public
 const loginUser = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
+    if (!email || !password) {
+        res.status(400);
+        throw new Error('Please provide email and password.');
+    }
+
     const user = await User.findOne({ email });
 
+    // 1. Too many failures from this address, or a locked or waiting account
+    await enforceLoginThrottle(req, res, email, user);
+
+    // 2. Check the password
     if (user && (await user.matchPassword(password))) {
+        // 3. With two-factor authentication on, the login is finished at POST /api/auth/login/2fa.
+        // Failed attempts are only cleared once the second factor passes too.
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: createLoginChallenge(user),
+            });
+        }
+
+        await clearFailedLogins(user);
+        await recordLoginAttempt(req, email, user, true);
         res.json({
             _id: user._id,
             name: user.name,
             email: user.email,
             role: user.role,
-            token: generateToken(user._id, user.role),
+            // Role needs 2FA but the user has not set it up: only two-factor setup, the profile and logout will work
+            twoFactorSetupRequired: await TwoFactorPolicy.isRequiredForRole(user.role),
+            ...await issueAuthTokens(user, req.ip), // token, refreshToken, refreshTokenExpiresAt
         });
     } else {
+        if (user) await registerFailedLogin(user);
+        await recordLoginAttempt(req, email, user, false, 'invalid_credentials');
         res.status(401);
         throw new Error('Invalid email or password');
     }
 });
 
+// @desc    Finish a two-factor login with an authenticator code or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires the challenge token from POST /api/auth/login)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        res.status(400);
+        throw new Error('Please provide the challenge token and an authentication code or recovery code.');
+    }
+
+    // 1. The password step must have passed recently
+    const user = await findLoginChallengeUser(challengeToken);
+    if (!user) {
+        res.status(401);
+        throw new Error('Login challenge is invalid or has expired. Please log in again.');
+    }
+
+    // 2. Wrong codes count as failed logins
+    await enforceLoginThrottle(req, res, user.email, user);
+
+    // 3. Check the code; each code works only once
+    const secondFactor = await verifySecondFactor(user, { code, recoveryCode });
+    if (!secondFactor) {
+        await registerFailedLogin(user);
+        await recordLoginAttempt(req, user.email, user, false, 'invalid_two_factor');
+        res.status(401);
+        throw new Error('Invalid authentication code.');
+    }
+
+    await clearFailedLogins(user);
+    await recordLoginAttempt(req, user.email, user, true, undefined, secondFactor);
+    res.json({
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        // Shown after a recovery code was used, so the user knows when to generate new ones
+        recoveryCodesRemaining: secondFactor === 'recovery_code' ? user.twoFactor.recoveryCodes.length : undefined,
+        ...await issueAuthTokens(user, req.ip, true), // token, refreshToken, refreshTokenExpiresAt
+    });
+});
+
+// @desc    Accept an invitation: create the account with the invited role and a chosen password
+// @route   POST /api/auth/accept-invite
+// @access  Public (requires the invitation token)
+const acceptInvitation = asyncHandler(async (req, res) => {
+    const { token, password, name } = req.body; // name: optional, defaults to the invited name
+
+    if (!token || !password) {
+        res.status(400);
+        throw new Error('Please provide the invitation token and a password.');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        res.status(400);
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    // 1. The invitation must be pending and not expired
+    const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+    if (!invitation || invitation.status !== 'pending') {
+        res.status(400);
+        throw new Error('Invitation is invalid or has already been used.');
+    }
+    if (invitation.isExpired) {
+        res.status(400);
+        throw new Error('Invitation has expired. Ask for a new one.');
+    }
+
+    // 2. Things may have changed since the invitation was sent
+    const userExists = await User.findOne({ email: invitation.email });
+    if (userExists) {
+        res.status(400);
+        throw new Error('User already exists with that email.');
+    }
+    if (invitation.zone && await User.findOne({ zone: invitation.zone, role: 'zonal_coordinator' })) {
+        res.status(400);
+        throw new Error('This zone already has a Zonal Coordinator.');
+    }
+    if (invitation.fellowship) {
+        const fellowship = await Fellowship.findById(invitation.fellowship);
+        if (!fellowship) {
+            res.status(404);
+            throw new Error('Fellowship not found.');
+        }
+        if (fellowship.president) {
+            res.status(400);
+            throw new Error(`Fellowship '${fellowship.name}' already has a president assigned.`);
+        }
+    }
+
+    // 3. Claim the invitation in one update, so the same token cannot create two accounts
+    const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'accepted', acceptedAt: new Date() },
+        { new: true }
+    );
+    if (!claimed) {
+        res.status(400);
+        throw new Error('Invitation is invalid or has already been used.');
+    }
+
+    // 4. Create the account and link it to its zone or fellowship
+    let user;
+    try {
+        user = await User.create({
+            name: name || claimed.name,
+            email: claimed.email,
+            password,
+            role: claimed.role,
+            zone: claimed.zone,
+            fellowship: claimed.fellowship,
+        });
+    } catch (error) {
+        // Give the invitation back so it can be accepted once the problem is fixed
+        await Invitation.updateOne({ _id: claimed._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+        throw error;
+    }
+    if (user.role === 'zonal_coordinator' && user.zone) {
+        await Zone.findByIdAndUpdate(user.zone, { coordinator: user._id });
+    }
+    if (user.role.includes('fellowship_president') && user.fellowship) {
+        await Fellowship.findByIdAndUpdate(user.fellowship, { president: user._id });
+    }
+
+    claimed.user = user._id;
+    await claimed.save();
+
+    res.status(201).json({
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        ...await issueAuthTokens(user, req.ip), // token, refreshToken, refreshTokenExpiresAt
+    });
+});
+
+// @desc    Email a one-time password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        res.status(400);
+        throw new Error('Please provide your email.');
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+        return res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+    }
+
+    // Over the limit nothing more is sent; the answer stays the same so it reveals nothing
+    const { maxRequests, windowMs } = getPasswordResetLimit();
+    const recentRequests = await PasswordReset.countDocuments({ user: user._id, createdAt: { $gt: new Date(Date.now() - windowMs) } });
+    if (recentRequests >= maxRequests) {
+        return res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+    }
+
+    // Only the latest link works
+    await PasswordReset.updateMany({ user: user._id, status: 'pending' }, { status: 'superseded' });
+
+    const { token, tokenHash, expiresAt } = createOneTimeToken(getPasswordResetTtlMs());
+    const passwordReset = await PasswordReset.create({
+        user: user._id,
+        tokenHash,
+        expiresAt,
+        requestedIp: req.ip,
+    });
+
+    const resetUrl = `${process.env.APP_URL || ''}/reset-password?token=${token}`;
+    try {
+        const { messageId } = await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hello ${user.name},\n\n` +
+                `Use this link to choose a new password. It works once and expires at ${expiresAt.toUTCString()}:\n\n${resetUrl}\n\n` +
+                'If you did not ask to reset your password, you can ignore this email.',
+        });
+        passwordReset.messageId = messageId;
+        await passwordReset.save();
+    } catch (error) {
+        console.error(`Password reset mail to ${user.email} failed:`, error);
+    }
+
+    res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+});
+
+// @desc    Set a new password with a password reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires the reset token)
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        res.status(400);
+        throw new Error('Please provide the reset token and a new password.');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        res.status(400);
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    // Claim the link in one update, so the same token cannot be used twice
+    const passwordReset = await PasswordReset.findOneAndUpdate(
+        { tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'used', usedAt: new Date(), usedIp: req.ip },
+        { new: true }
+    );
+    const user = passwordReset ? await User.findById(passwordReset.user) : null;
+    if (!user) {
+        res.status(400);
+        throw new Error('Password reset link is invalid or has expired. Ask for a new one.');
+    }
+
+    user.password = password; // Hashed by the pre-save hook
+    user.failedLoginAttempts = 0; // Proving access to the mailbox lifts a login lockout
+    user.lastFailedLoginAt = undefined;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    try {
+        await sendMail({
+            to: user.email,
+            subject: 'Your password was changed',
+            text: `Hello ${user.name},\n\nYour password was just reset. If this was not you, contact an administrator immediately.`,
+        });
+    } catch (error) {
+        console.error(`Password change notice to ${user.email} failed:`, error);
+    }
+
+    res.status(200).json({ message: 'Password has been reset. You can now log in with your new password.' });
+});
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        res.status(400);
+        throw new Error('Please provide the refresh token.');
+    }
+
+    const storedToken = await findRefreshToken(refreshToken);
+    const user = storedToken ? await User.findById(storedToken.user) : null;
+    const tokens = user ? await rotateRefreshToken(storedToken, user, req.ip) : null;
+    if (!tokens) {
+        res.status(401);
+        throw new Error('Refresh token is invalid, expired or revoked. Please log in again.');
+    }
+
+    res.status(200).json({
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        ...tokens,
+    });
+});
+
+// @desc    Log out this session (revokes its refresh token; the access token expires shortly)
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+        const storedToken = await findRefreshToken(refreshToken);
+        if (storedToken && storedToken.user.equals(req.user._id) && !storedToken.revokedAt) {
+            storedToken.revokedAt = new Date();
+            storedToken.revokedReason = 'logout';
+            await storedToken.save();
+        }
+    }
+
+    res.status(200).json({ message: 'Logged out.' });
+});
+
+// @desc    Log out of every session: revokes all refresh tokens and all access tokens issued so far
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await RefreshToken.revokeAllForUser(user._id, 'logout_all');
+
+    res.status(200).json({ message: 'Logged out of all sessions.' });
+});
+
 module.exports = {
-    registerUser,
     loginUser,
+    verifyTwoFactorLogin,
+    acceptInvitation,
+    forgotPassword,
+    resetPassword,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
 };
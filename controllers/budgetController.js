@@ -0,0 +1,376 @@
+// backend/controllers/budgetController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Budget = require('../models/budgetModel');
+const FinancialReport = require('../models/financialReportModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+const { INCOME_REPORT_FIELDS, EXPENSE_REPORT_FIELDS } = FinanceCategory;
+const REPORT_FIELDS = [...INCOME_REPORT_FIELDS, ...EXPENSE_REPORT_FIELDS];
+const MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Validates budget lines from a request body and returns them in minor units. Each line is
+// { reportField, monthlyAmounts: [12 amounts] } or { reportField, annualAmount }, the latter
+// spread evenly over the year (left-over kobo go to the first months).
+const buildBudgetLines = (res, lines) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        res.status(400);
+        throw new Error('lines must be a non-empty array.');
+    }
+
+    const seenFields = new Set();
+    return lines.map(line => {
+        if (!REPORT_FIELDS.includes(line.reportField)) {
+            res.status(400);
+            throw new Error(`Invalid reportField "${line.reportField}". Allowed: ${REPORT_FIELDS.join(', ')}.`);
+        }
+        if (seenFields.has(line.reportField)) {
+            res.status(400);
+            throw new Error(`${line.reportField} appears on more than one budget line.`);
+        }
+        seenFields.add(line.reportField);
+
+        if (line.monthlyAmounts !== undefined) {
+            if (!Array.isArray(line.monthlyAmounts) || line.monthlyAmounts.length !== 12 || !line.monthlyAmounts.every(isMoneyAmount)) {
+                res.status(400);
+                throw new Error(`monthlyAmounts for ${line.reportField} must be 12 non-negative amounts with at most two decimal places.`);
+            }
+            return { reportField: line.reportField, monthlyAmounts: line.monthlyAmounts.map(toMinorUnits) };
+        }
+
+        if (!isMoneyAmount(line.annualAmount)) {
+            res.status(400);
+            throw new Error(`Budget line ${line.reportField} needs monthlyAmounts or a non-negative annualAmount with at most two decimal places.`);
+        }
+        const annual = toMinorUnits(line.annualAmount);
+        const monthly = Math.floor(annual / 12);
+        const leftOver = annual - monthly * 12;
+        return {
+            reportField: line.reportField,
+            monthlyAmounts: MONTHS.map(month => monthly + (month <= leftOver ? 1 : 0)),
+        };
+    });
+};
+
+const isValidBudgetYear = (year) => Number.isInteger(Number(year)) && Number(year) >= 2000 && Number(year) <= 2100;
+
+// Compares one approved budget with the approved reports of its fellowship (minor units in,
+// major units out). Only months with an approved report are compared, so a month still
+// going through the approval chain does not look like an underspend. Expense fields whose
+// actual exceeds the budget are flagged, per month and for the months compared so far.
+const compareBudgetWithReports = (budget, reports, throughMonth) => {
+    const reportsByMonth = {};
+    reports.forEach(report => {
+        reportsByMonth[report.reportingMonth.getMonth() + 1] = report;
+    });
+    const comparedMonths = MONTHS.filter(month => month <= throughMonth && reportsByMonth[month]);
+
+    const overspending = [];
+    const months = MONTHS.filter(month => month <= throughMonth).map(month => {
+        const report = reportsByMonth[month];
+        return {
+            month,
+            hasApprovedReport: !!report,
+            lines: REPORT_FIELDS.map(field => {
+                const budgeted = budget.getBudgetedAmount(field, month);
+                if (!report) return { reportField: field, budgeted: fromMinorUnits(budgeted), actual: null, variance: null, overspent: false };
+
+                const actual = report[field] || 0;
+                const overspent = EXPENSE_REPORT_FIELDS.includes(field) && actual > budgeted;
+                if (overspent) {
+                    overspending.push({ month, reportField: field, budgeted: fromMinorUnits(budgeted), actual: fromMinorUnits(actual), overBy: fromMinorUnits(actual - budgeted) });
+                }
+                return { reportField: field, budgeted: fromMinorUnits(budgeted), actual: fromMinorUnits(actual), variance: fromMinorUnits(actual - budgeted), overspent };
+            }),
+        };
+    });
+
+    const lines = REPORT_FIELDS.map(field => {
+        const annualBudget = MONTHS.reduce((sum, month) => sum + budget.getBudgetedAmount(field, month), 0);
+        const budgeted = comparedMonths.reduce((sum, month) => sum + budget.getBudgetedAmount(field, month), 0);
+        const actual = comparedMonths.reduce((sum, month) => sum + (reportsByMonth[month][field] || 0), 0);
+        const overspent = EXPENSE_REPORT_FIELDS.includes(field) && actual > budgeted;
+        if (overspent) {
+            overspending.push({ month: null, reportField: field, budgeted: fromMinorUnits(budgeted), actual: fromMinorUnits(actual), overBy: fromMinorUnits(actual - budgeted) });
+        }
+        return {
+            reportField: field,
+            type: INCOME_REPORT_FIELDS.includes(field) ? 'income' : 'expense',
+            annualBudget: fromMinorUnits(annualBudget),
+            budgeted: fromMinorUnits(budgeted),
+            actual: fromMinorUnits(actual),
+            variance: fromMinorUnits(actual - budgeted),
+            percentUsed: budgeted > 0 ? Math.round((actual / budgeted) * 1000) / 10 : null,
+            overspent,
+        };
+    });
+
+    return {
+        budget: budget._id,
+        fellowship: budget.fellowship,
+        year: budget.year,
+        comparedMonths,
+        lines,
+        months,
+        overspending,
+    };
+};
+
+// @desc    Submit an annual budget for a fellowship
+// @route   POST /api/budgets
+// @access  Private/Fellowship President RCF/RCCF
+const createBudget = asyncHandler(async (req, res) => {
+    const { fellowshipId, year, lines, notes } = req.body; // lines: [{ reportField, monthlyAmounts | annualAmount }]
+    const user = req.user;
+
+    // 1. Basic Validation
+    if (!fellowshipId || !year || !lines) {
+        res.status(400);
+        throw new Error('Please provide fellowshipId, year and lines.');
+    }
+    if (!isValidBudgetYear(year)) {
+        res.status(400);
+        throw new Error('Invalid year.');
+    }
+    const budgetLines = buildBudgetLines(res, lines);
+
+    // 2. Validate User Role and Fellowship Link
+    if (!user.fellowship || !user.fellowship.equals(fellowshipId)) {
+        res.status(403);
+        throw new Error('You are not authorized to submit budgets for this fellowship.');
+    }
+
+    // 3. One budget per fellowship per year (unique index will also catch this)
+    const existingBudget = await Budget.findOne({ fellowship: fellowshipId, year: Number(year) });
+    if (existingBudget) {
+        res.status(400);
+        throw new Error(`A budget for ${year} already exists for this fellowship. Update it instead.`);
+    }
+
+    const budget = await Budget.create({
+        fellowship: fellowshipId,
+        year: Number(year),
+        lines: budgetLines,
+        notes,
+        submittedBy: user._id,
+        status: 'pending',
+    });
+
+    res.status(201).json(budget);
+});
+
+// @desc    Get budgets (filter by year, fellowship, zone, status)
+// @route   GET /api/budgets?year=<year>&fellowshipId=<ID>&zoneId=<ID>&status=<status>
+// @access  Private (scoped by role in controller)
+const getBudgets = asyncHandler(async (req, res) => {
+    const { year, fellowshipId, zoneId, status } = req.query;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(req.user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view budgets.');
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+    if (year) query.year = Number(year);
+    if (status) query.status = status;
+
+    const budgets = await Budget.find(query)
+        .populate('fellowship', 'name zone')
+        .populate('submittedBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .sort({ year: -1 });
+
+    res.status(200).json(budgets);
+});
+
+// @desc    Compare approved budgets with approved financial reports and flag overspending
+// @route   GET /api/budgets/budget-vs-actual?year=<year>&fellowshipId=<ID>&zoneId=<ID>&throughMonth=<1-12>&overspentOnly=true
+// @access  Private (scoped by role in controller)
+const getBudgetVsActual = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId, overspentOnly } = req.query;
+    const year = req.query.year ? Number(req.query.year) : new Date().getFullYear();
+    const throughMonth = req.query.throughMonth ? Number(req.query.throughMonth) : 12;
+
+    if (!isValidBudgetYear(year)) {
+        res.status(400);
+        throw new Error('Invalid year.');
+    }
+    if (!Number.isInteger(throughMonth) || throughMonth < 1 || throughMonth > 12) {
+        res.status(400);
+        throw new Error('throughMonth must be a month number from 1 to 12.');
+    }
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(req.user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view budgets.');
+    }
+
+    // 1. Approved budgets for the year in scope
+    let budgetQuery = { year, status: 'approved' };
+    if (fellowshipIds) budgetQuery.fellowship = { $in: fellowshipIds };
+    const budgets = (await Budget.find(budgetQuery).populate('fellowship', 'name'))
+        .filter(budget => budget.fellowship); // Skip budgets of deleted fellowships
+
+    // 2. Approved reports of those fellowships in the year
+    const reports = await FinancialReport.find({
+        fellowship: { $in: budgets.map(budget => budget.fellowship._id) },
+        status: 'approved',
+        reportingMonth: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+    }).select(`fellowship reportingMonth ${REPORT_FIELDS.join(' ')}`);
+    const reportsByFellowship = {};
+    reports.forEach(report => {
+        const key = report.fellowship.toString();
+        (reportsByFellowship[key] = reportsByFellowship[key] || []).push(report);
+    });
+
+    // 3. Compare
+    let comparisons = budgets.map(budget => compareBudgetWithReports(budget, reportsByFellowship[budget.fellowship._id.toString()] || [], throughMonth));
+    if (overspentOnly === 'true') {
+        comparisons = comparisons.filter(comparison => comparison.overspending.length > 0);
+    }
+    comparisons.sort((a, b) => a.fellowship.name.localeCompare(b.fellowship.name));
+
+    res.status(200).json({
+        year,
+        throughMonth,
+        budgets: comparisons,
+    });
+});
+
+// @desc    Get a single budget by ID
+// @route   GET /api/budgets/:id
+// @access  Private (access based on role in controller)
+const getBudgetById = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid budget ID.');
+    }
+    const budget = await Budget.findById(req.params.id)
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .populate('submittedBy', 'name email')
+        .populate('approvedBy', 'name email');
+
+    if (!budget) {
+        res.status(404);
+        throw new Error('Budget not found.');
+    }
+
+    // Budgets are visible to whoever can see the fellowship's financial reports
+    if (!canViewFinancialReport(req.user, budget)) {
+        res.status(403);
+        throw new Error('Not authorized to view this budget.');
+    }
+
+    res.status(200).json(budget);
+});
+
+// @desc    Update a budget (sends it back to pending for re-approval)
+// @route   PUT /api/budgets/:id
+// @access  Private/Fellowship President (own pending or rejected budget), Super Admin (any budget)
+const updateBudget = asyncHandler(async (req, res) => {
+    const { lines, notes } = req.body;
+    const user = req.user;
+
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+        res.status(404);
+        throw new Error('Budget not found.');
+    }
+
+    // Authorization for update
+    const canUpdateAnyStatus = user.role === 'super_admin';
+    const canUpdateOwn = user.role.includes('fellowship_president') &&
+        !!user.fellowship && user.fellowship.equals(budget.fellowship) &&
+        ['pending', 'rejected'].includes(budget.status);
+
+    if (!canUpdateAnyStatus && !canUpdateOwn) {
+        res.status(403);
+        throw new Error('Not authorized to update this budget, or budget is not in pending or rejected status.');
+    }
+
+    if (lines !== undefined) budget.lines = buildBudgetLines(res, lines);
+    if (notes !== undefined) budget.notes = notes;
+
+    // An edited budget needs the Zonal Coordinator's approval again
+    budget.status = 'pending';
+    budget.approvedBy = undefined;
+    budget.approvalDate = undefined;
+    budget.rejectionReason = undefined;
+
+    const updatedBudget = await budget.save();
+    res.status(200).json(updatedBudget);
+});
+
+// @desc    Approve or reject a budget
+// @route   PUT /api/budgets/:id/approve-reject
+// @access  Private/Zonal Coordinator (fellowships in own zone)
+const approveRejectBudget = asyncHandler(async (req, res) => {
+    const { status, rejectionReason } = req.body; // status: 'approved' or 'rejected'
+    const user = req.user;
+
+    if (!['approved', 'rejected'].includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status. Must be "approved" or "rejected".');
+    }
+
+    const budget = await Budget.findById(req.params.id).populate('fellowship', 'zone');
+
+    if (!budget) {
+        res.status(404);
+        throw new Error('Budget not found.');
+    }
+    if (!(user.zone && budget.fellowship && budget.fellowship.zone && user.zone.equals(budget.fellowship.zone))) {
+        res.status(403);
+        throw new Error('Not authorized: budgets are approved by the Zonal Coordinator of the fellowship\'s zone.');
+    }
+    if (budget.status !== 'pending') {
+        res.status(400);
+        throw new Error(`Budget is already ${budget.status}. Cannot change status.`);
+    }
+
+    if (status === 'rejected') {
+        if (!rejectionReason) {
+            res.status(400);
+            throw new Error('Rejection reason is required for rejected budgets.');
+        }
+        budget.status = 'rejected';
+        budget.rejectionReason = rejectionReason;
+    } else {
+        budget.status = 'approved';
+        budget.rejectionReason = undefined;
+        budget.approvedBy = user._id;
+        budget.approvalDate = new Date();
+    }
+
+    const updatedBudget = await budget.save();
+    res.status(200).json(updatedBudget);
+});
+
+module.exports = {
+    createBudget,
+    getBudgets,
+    getBudgetVsActual,
+    getBudgetById,
+    updateBudget,
+    approveRejectBudget,
+};
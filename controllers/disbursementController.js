@@ -0,0 +1,266 @@
+// backend/controllers/disbursementController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Disbursement = require('../models/disbursementModel');
+const Fellowship = require('../models/fellowshipModel');
+const User = require('../models/User');
+const { canViewFinancialReport, FINANCE_VIEW_ALL_ROLES } = require('../utils/reportAccess');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { isMoneyAmount, toMinorUnits } = require('../utils/money');
+
+const { DISBURSEMENT_SOURCES, DISBURSEMENT_PURPOSES } = Disbursement;
+
+// National disbursements are approved by the national office and paid out by the Accountant;
+// zone disbursements are approved and paid by the Zonal Coordinator of the paying zone (or,
+// when that Coordinator requested it, approved by the national office).
+const NATIONAL_APPROVER_ROLES = ['super_admin', 'national_coordinator'];
+const NATIONAL_PAYER_ROLES = ['super_admin', 'accountant'];
+
+const isZoneCoordinatorOf = (user, zoneId) => {
+    return user.role === 'zonal_coordinator' && !!user.zone && user.zone.equals(zoneId);
+};
+
+// requester: the user who requested the disbursement (role and zone)
+const canApproveDisbursement = (user, disbursement, requester) => {
+    if (disbursement.source === 'national') return NATIONAL_APPROVER_ROLES.includes(user.role);
+    if (isZoneCoordinatorOf(user, disbursement.zone)) return true;
+    // A Coordinator cannot approve their own request, so the national office does
+    return NATIONAL_APPROVER_ROLES.includes(user.role) && !!requester && isZoneCoordinatorOf(requester, disbursement.zone);
+};
+
+const canPayDisbursement = (user, disbursement) => {
+    if (disbursement.source === 'national') return NATIONAL_PAYER_ROLES.includes(user.role);
+    return isZoneCoordinatorOf(user, disbursement.zone);
+};
+
+// Who may ask for money to be sent to a fellowship: its President, the Zonal Coordinator of
+// its zone, and the national office
+const canRequestDisbursement = (user, fellowship) => {
+    if (FINANCE_VIEW_ALL_ROLES.includes(user.role)) return true;
+    if (user.role === 'zonal_coordinator') return !!user.zone && !!fellowship.zone && user.zone.equals(fellowship.zone);
+    if (user.role.includes('fellowship_president')) return !!user.fellowship && user.fellowship.equals(fellowship._id);
+    return false;
+};
+
+// @desc    Request a disbursement to a fellowship from the national office or its zone
+// @route   POST /api/disbursements
+// @access  Private/Fellowship President (own fellowship), Zonal Coordinator (own zone), national finance roles
+const createDisbursement = asyncHandler(async (req, res) => {
+    const { fellowshipId, source, purpose, amount, description } = req.body;
+    const user = req.user;
+
+    // 1. Basic Validation
+    if (!fellowshipId || !source || !purpose || amount === undefined || !description) {
+        res.status(400);
+        throw new Error('Please provide fellowshipId, source, purpose, amount and description.');
+    }
+    if (!mongoose.isValidObjectId(fellowshipId)) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId.');
+    }
+    if (!DISBURSEMENT_SOURCES.includes(source)) {
+        res.status(400);
+        throw new Error(`Invalid source. Must be one of: ${DISBURSEMENT_SOURCES.join(', ')}.`);
+    }
+    if (!DISBURSEMENT_PURPOSES.includes(purpose)) {
+        res.status(400);
+        throw new Error(`Invalid purpose. Must be one of: ${DISBURSEMENT_PURPOSES.join(', ')}.`);
+    }
+    if (!isMoneyAmount(amount) || amount === 0) {
+        res.status(400);
+        throw new Error('Amount must be a positive amount with at most two decimal places.');
+    }
+
+    // 2. The receiving fellowship must be one the user can request for
+    const fellowship = await Fellowship.findById(fellowshipId);
+    if (!fellowship) {
+        res.status(404);
+        throw new Error('Fellowship not found.');
+    }
+    if (!fellowship.zone) {
+        res.status(400);
+        throw new Error('Fellowship is not assigned to a zone.');
+    }
+    if (!canRequestDisbursement(user, fellowship)) {
+        res.status(403);
+        throw new Error('You are not authorized to request disbursements for this fellowship.');
+    }
+
+    const disbursement = await Disbursement.create({
+        source,
+        zone: fellowship.zone,
+        fellowship: fellowship._id,
+        purpose,
+        amount: toMinorUnits(amount),
+        description,
+        requestedBy: user._id,
+        status: 'requested',
+    });
+
+    res.status(201).json(disbursement);
+});
+
+// @desc    Get disbursements (filter by fellowship, zone, source, purpose, status)
+// @route   GET /api/disbursements?fellowshipId=<ID>&zoneId=<ID>&source=<source>&purpose=<purpose>&status=<status>
+// @access  Private (scoped by role in controller)
+const getDisbursements = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId, source, purpose, status } = req.query;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(req.user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view disbursements.');
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+    if (source) query.source = source;
+    if (purpose) query.purpose = purpose;
+    if (status) query.status = status;
+
+    const disbursements = await Disbursement.find(query)
+        .populate('fellowship', 'name zone')
+        .populate('zone', 'name')
+        .populate('requestedBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .populate('paidBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(disbursements);
+});
+
+// @desc    Get a single disbursement by ID
+// @route   GET /api/disbursements/:id
+// @access  Private (whoever can see the receiving fellowship's financial reports)
+const getDisbursementById = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid disbursement ID.');
+    }
+    const disbursement = await Disbursement.findById(req.params.id)
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .populate('zone', 'name')
+        .populate('requestedBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .populate('paidBy', 'name email')
+        .populate('financialReport', 'reportingMonth status');
+
+    if (!disbursement) {
+        res.status(404);
+        throw new Error('Disbursement not found.');
+    }
+    if (!canViewFinancialReport(req.user, disbursement)) {
+        res.status(403);
+        throw new Error('Not authorized to view this disbursement.');
+    }
+
+    res.status(200).json(disbursement);
+});
+
+// @desc    Approve or reject a requested disbursement
+// @route   PUT /api/disbursements/:id/approve-reject
+// @access  Private/National Coordinator, Super Admin (national; zone when its Coordinator requested it), Zonal Coordinator of the paying zone (zone)
+const approveRejectDisbursement = asyncHandler(async (req, res) => {
+    const { status, rejectionReason } = req.body; // status: 'approved' or 'rejected'
+    const user = req.user;
+
+    if (!['approved', 'rejected'].includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status. Must be "approved" or "rejected".');
+    }
+
+    const disbursement = await Disbursement.findById(req.params.id);
+
+    if (!disbursement) {
+        res.status(404);
+        throw new Error('Disbursement not found.');
+    }
+    const requester = await User.findById(disbursement.requestedBy).select('role zone');
+    if (!canApproveDisbursement(user, disbursement, requester)) {
+        res.status(403);
+        throw new Error(disbursement.source === 'national'
+            ? 'Not authorized: national disbursements are approved by the National Coordinator.'
+            : 'Not authorized: zone disbursements are approved by the Zonal Coordinator of the zone, or by the National Coordinator when the Zonal Coordinator requested them.');
+    }
+    if (disbursement.requestedBy.equals(user._id)) {
+        res.status(403);
+        throw new Error('You cannot approve or reject a disbursement you requested.');
+    }
+    if (disbursement.status !== 'requested') {
+        res.status(400);
+        throw new Error(`Disbursement is already ${disbursement.status}. Cannot change status.`);
+    }
+
+    if (status === 'rejected') {
+        if (!rejectionReason) {
+            res.status(400);
+            throw new Error('Rejection reason is required for rejected disbursements.');
+        }
+        disbursement.status = 'rejected';
+        disbursement.rejectionReason = rejectionReason;
+    } else {
+        disbursement.status = 'approved';
+        disbursement.rejectionReason = undefined;
+        disbursement.approvedBy = user._id;
+        disbursement.approvalDate = new Date();
+    }
+
+    const updatedDisbursement = await disbursement.save();
+    res.status(200).json(updatedDisbursement);
+});
+
+// @desc    Record that an approved disbursement has been paid out
+// @route   PUT /api/disbursements/:id/pay
+// @access  Private/Accountant, Super Admin (national), Zonal Coordinator of the paying zone (zone)
+const payDisbursement = asyncHandler(async (req, res) => {
+    const { paymentReference, paidAt } = req.body;
+    const user = req.user;
+
+    const paidAtDate = paidAt ? new Date(paidAt) : new Date();
+    if (isNaN(paidAtDate.getTime())) {
+        res.status(400);
+        throw new Error('Invalid paidAt date.');
+    }
+
+    const disbursement = await Disbursement.findById(req.params.id);
+
+    if (!disbursement) {
+        res.status(404);
+        throw new Error('Disbursement not found.');
+    }
+    if (!canPayDisbursement(user, disbursement)) {
+        res.status(403);
+        throw new Error(disbursement.source === 'national'
+            ? 'Not authorized: national disbursements are paid out by the Accountant.'
+            : 'Not authorized: zone disbursements are paid out by the Zonal Coordinator of the zone.');
+    }
+    if (disbursement.status !== 'approved') {
+        res.status(400);
+        throw new Error(`Only approved disbursements can be paid out. This one is ${disbursement.status}.`);
+    }
+
+    disbursement.status = 'paid';
+    disbursement.paidBy = user._id;
+    disbursement.paidAt = paidAtDate;
+    disbursement.paymentReference = paymentReference;
+
+    const updatedDisbursement = await disbursement.save();
+    res.status(200).json(updatedDisbursement);
+});
+
+module.exports = {
+    createDisbursement,
+    getDisbursements,
+    getDisbursementById,
+    approveRejectDisbursement,
+    payDisbursement,
+};
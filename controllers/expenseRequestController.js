@@ -0,0 +1,178 @@
+// backend/controllers/expenseRequestController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ExpenseRequest = require('../models/expenseRequestModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { getExpenseApprovalThreshold } = require('../utils/expenseApproval');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+const { EXPENSE_REPORT_FIELDS } = FinanceCategory;
+
+// @desc    Ask the Zonal Coordinator to pre-approve a large spend
+// @route   POST /api/expense-requests
+// @access  Private/Fellowship President RCF/RCCF
+const createExpenseRequest = asyncHandler(async (req, res) => {
+    const { fellowshipId, reportField, spendMonth, amount, description } = req.body; // spendMonth: 'YYYY-MM-DD' (any day of the month)
+    const user = req.user;
+
+    // 1. Basic Validation
+    if (!fellowshipId || !reportField || !spendMonth || amount === undefined || !description) {
+        res.status(400);
+        throw new Error('Please provide fellowshipId, reportField, spendMonth, amount and description.');
+    }
+    if (!EXPENSE_REPORT_FIELDS.includes(reportField)) {
+        res.status(400);
+        throw new Error(`Invalid reportField. Must be one of: ${EXPENSE_REPORT_FIELDS.join(', ')}.`);
+    }
+    if (!isMoneyAmount(amount) || amount === 0) {
+        res.status(400);
+        throw new Error('Amount must be a positive amount with at most two decimal places.');
+    }
+    const spendDate = new Date(spendMonth);
+    if (isNaN(spendDate.getTime())) {
+        res.status(400);
+        throw new Error('Invalid spendMonth format. Please use YYYY-MM-DD.');
+    }
+    // A pre-approval is asked for before the money is spent: the current month or later
+    const spendMonthStart = new Date(spendDate.getFullYear(), spendDate.getMonth(), 1);
+    const now = new Date();
+    if (spendMonthStart < new Date(now.getFullYear(), now.getMonth(), 1)) {
+        res.status(400);
+        throw new Error('spendMonth cannot be before the current month.');
+    }
+
+    // 2. Validate Fellowship Link
+    if (!user.fellowship || !user.fellowship.equals(fellowshipId)) {
+        res.status(403);
+        throw new Error('You are not authorized to request expenses for this fellowship.');
+    }
+
+    const expenseRequest = await ExpenseRequest.create({
+        fellowship: fellowshipId,
+        reportField,
+        spendMonth: spendMonthStart,
+        amount: toMinorUnits(amount),
+        description,
+        requestedBy: user._id,
+        status: 'pending',
+    });
+
+    res.status(201).json({
+        ...expenseRequest.toObject(),
+        threshold: fromMinorUnits(getExpenseApprovalThreshold()),
+    });
+});
+
+// @desc    Get expense requests (filter by fellowship, zone, month, status)
+// @route   GET /api/expense-requests?fellowshipId=<ID>&zoneId=<ID>&month=<MM>&year=<YYYY>&status=<status>
+// @access  Private (scoped by role in controller)
+const getExpenseRequests = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId, month, year, status } = req.query;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(req.user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view expense requests.');
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+    if (status) query.status = status;
+    if (month && year) query.spendMonth = new Date(year, month - 1, 1);
+
+    const expenseRequests = await ExpenseRequest.find(query)
+        .populate('fellowship', 'name zone')
+        .populate('requestedBy', 'name email')
+        .populate('approvedBy', 'name email')
+        .sort({ spendMonth: -1, createdAt: -1 });
+
+    res.status(200).json(expenseRequests);
+});
+
+// @desc    Get a single expense request by ID
+// @route   GET /api/expense-requests/:id
+// @access  Private (whoever can see the fellowship's financial reports)
+const getExpenseRequestById = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid expense request ID.');
+    }
+    const expenseRequest = await ExpenseRequest.findById(req.params.id)
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .populate('requestedBy', 'name email')
+        .populate('approvedBy', 'name email');
+
+    if (!expenseRequest) {
+        res.status(404);
+        throw new Error('Expense request not found.');
+    }
+    if (!canViewFinancialReport(req.user, expenseRequest)) {
+        res.status(403);
+        throw new Error('Not authorized to view this expense request.');
+    }
+
+    res.status(200).json(expenseRequest);
+});
+
+// @desc    Approve or reject an expense request
+// @route   PUT /api/expense-requests/:id/approve-reject
+// @access  Private/Zonal Coordinator (fellowships in own zone)
+const approveRejectExpenseRequest = asyncHandler(async (req, res) => {
+    const { status, rejectionReason } = req.body; // status: 'approved' or 'rejected'
+    const user = req.user;
+
+    if (!['approved', 'rejected'].includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status. Must be "approved" or "rejected".');
+    }
+
+    const expenseRequest = await ExpenseRequest.findById(req.params.id).populate('fellowship', 'zone');
+
+    if (!expenseRequest) {
+        res.status(404);
+        throw new Error('Expense request not found.');
+    }
+    if (!(user.zone && expenseRequest.fellowship && expenseRequest.fellowship.zone && user.zone.equals(expenseRequest.fellowship.zone))) {
+        res.status(403);
+        throw new Error('Not authorized: expense requests are approved by the Zonal Coordinator of the fellowship\'s zone.');
+    }
+    if (expenseRequest.status !== 'pending') {
+        res.status(400);
+        throw new Error(`Expense request is already ${expenseRequest.status}. Cannot change status.`);
+    }
+
+    if (status === 'rejected') {
+        if (!rejectionReason) {
+            res.status(400);
+            throw new Error('Rejection reason is required for rejected expense requests.');
+        }
+        expenseRequest.status = 'rejected';
+        expenseRequest.rejectionReason = rejectionReason;
+    } else {
+        expenseRequest.status = 'approved';
+        expenseRequest.rejectionReason = undefined;
+        expenseRequest.approvedBy = user._id;
+        expenseRequest.approvalDate = new Date();
+    }
+
+    const updatedExpenseRequest = await expenseRequest.save();
+    res.status(200).json(updatedExpenseRequest);
+});
+
+module.exports = {
+    createExpenseRequest,
+    getExpenseRequests,
+    getExpenseRequestById,
+    approveRejectExpenseRequest,
+};
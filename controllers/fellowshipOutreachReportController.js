@@ -1,8 +1,11 @@
 // backend/controllers/fellowshipOutreachReportController.js
 const asyncHandler = require('express-async-handler');
 const FellowshipOutreachReport = require('../models/fellowshipOutreachReportModel');
+const Attachment = require('../models/attachmentModel');
 const Fellowship = require('../models/fellowshipModel'); // To populate fellowship details
 const User = require('../models/User'); // To populate submittedBy/approvedBy details
+const { canViewFellowshipOutreachReport } = require('../utils/reportAccess');
+const { assertPeriodOpen } = require('../utils/periodLock');
 
 // --- Helper Date Functions (Modified for consistency with activityReportController) ---
 const getStartOfMonth = (date) => {
@@ -111,6 +114,7 @@ const submitFellowshipOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Invalid reportingMonth format. Please use ISO format (YYYY-MM-DD).');
     }
     const reportCalendarMonth = getStartOfMonth(reportDateInput);
+    await assertPeriodOpen(res, reportCalendarMonth);
 
     // 5. Check for existing report for this *fellowship* for this *calendar* month
     const existingReport = await FellowshipOutreachReport.findOne({
@@ -268,20 +272,7 @@ const getFellowshipOutreachReportById = asyncHandler(async (req, res) => {
     }
 
     // Authorization check
-    let authorized = false;
-    if (user.role.includes('super_admin') || user.role.includes('administrator') || user.role.includes('national_coordinator') || user.role.includes('assistant_national_coordinator_secondary_school_outreach')) {
-        authorized = true;
-    } else if (user.role.includes('zonal_coordinator')) {
-        if (user.zone && report.fellowship && report.fellowship.zone && user.zone.equals(report.fellowship.zone)) {
-            authorized = true;
-        }
-    } else if (user.role.includes('fellowship_president')) {
-        if (user.fellowship && report.fellowship && user.fellowship.equals(report.fellowship._id) && user._id.equals(report.submittedBy._id)) {
-            authorized = true;
-        }
-    }
-
-    if (!authorized) {
+    if (!canViewFellowshipOutreachReport(user, report)) {
         res.status(403);
         throw new Error('Not authorized to view this detailed outreach report.');
     }
@@ -330,6 +321,8 @@ const updateFellowshipOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to update this report, or report is not in pending status.');
     }
 
+    await assertPeriodOpen(res, report.reportingMonth);
+
     // Update fields
     if (detailsOfVisits !== undefined) {
         report.detailsOfVisits = detailsOfVisits;
@@ -386,6 +379,8 @@ const approveRejectFellowshipOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to approve/reject this detailed outreach report.');
     }
 
+    await assertPeriodOpen(res, report.reportingMonth);
+
     report.status = status;
     report.approvedBy = approvedBy;
     report.approvalDate = new Date();
@@ -438,6 +433,9 @@ const deleteFellowshipOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to delete this report.');
     }
 
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    await Attachment.removeForReport('FellowshipOutreachReport', report._id);
     await report.deleteOne(); // Use deleteOne() for Mongoose 6+
 
     res.status(200).json({ message: 'Fellowship outreach report removed.' });
@@ -0,0 +1,135 @@
+// backend/controllers/financeCategoryController.js
+const asyncHandler = require('express-async-handler');
+const FinanceCategory = require('../models/financeCategoryModel');
+const FinancialReport = require('../models/financialReportModel');
+
+const { CATEGORY_INCOME_FIELDS, EXPENSE_REPORT_FIELDS } = FinanceCategory;
+
+// Checks that a category's reportField belongs to its type (income or expense)
+const isValidReportField = (type, reportField) => {
+    const allowed = type === 'income' ? CATEGORY_INCOME_FIELDS : EXPENSE_REPORT_FIELDS;
+    return allowed.includes(reportField);
+};
+
+// @desc    Create a new finance category for report line items
+// @route   POST /api/finance-categories
+// @access  Private/Administrator, Super Admin
+const createFinanceCategory = asyncHandler(async (req, res) => {
+    const { name, type, reportField, description } = req.body;
+
+    if (!name || !type || !reportField) {
+        res.status(400);
+        throw new Error('Please provide name, type and reportField.');
+    }
+    if (!['income', 'expense'].includes(type)) {
+        res.status(400);
+        throw new Error('Invalid type. Must be "income" or "expense".');
+    }
+    if (!isValidReportField(type, reportField)) {
+        const allowed = type === 'income' ? CATEGORY_INCOME_FIELDS : EXPENSE_REPORT_FIELDS;
+        res.status(400);
+        throw new Error(`Invalid reportField for ${type} category. Allowed: ${allowed.join(', ')}.`);
+    }
+
+    const categoryExists = await FinanceCategory.findOne({ name });
+    if (categoryExists) {
+        res.status(400);
+        throw new Error('Finance category with this name already exists.');
+    }
+
+    const category = await FinanceCategory.create({
+        name,
+        type,
+        reportField,
+        description,
+    });
+
+    if (category) {
+        res.status(201).json(category);
+    } else {
+        res.status(400);
+        throw new Error('Invalid finance category data.');
+    }
+});
+
+// @desc    Get finance categories (filter by type, include retired ones with ?includeInactive=true)
+// @route   GET /api/finance-categories
+// @access  Private
+const getFinanceCategories = asyncHandler(async (req, res) => {
+    const { type, includeInactive } = req.query;
+
+    let query = {};
+    if (type) query.type = type;
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const categories = await FinanceCategory.find(query).sort({ type: 1, name: 1 });
+    res.status(200).json(categories);
+});
+
+// @desc    Update a finance category
+// @route   PUT /api/finance-categories/:id
+// @access  Private/Administrator, Super Admin
+const updateFinanceCategory = asyncHandler(async (req, res) => {
+    const { name, type, reportField, description, isActive } = req.body;
+
+    const category = await FinanceCategory.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Finance category not found.');
+    }
+
+    // Changing where a category rolls up only affects new lines; old lines keep their snapshot
+    const newType = type || category.type;
+    const newReportField = reportField || category.reportField;
+    if (!['income', 'expense'].includes(newType) || !isValidReportField(newType, newReportField)) {
+        res.status(400);
+        throw new Error('Invalid type/reportField combination.');
+    }
+
+    if (name && name !== category.name) {
+        const nameTaken = await FinanceCategory.findOne({ name, _id: { $ne: category._id } });
+        if (nameTaken) {
+            res.status(400);
+            throw new Error('Finance category with this name already exists.');
+        }
+    }
+
+    category.name = name || category.name;
+    category.type = newType;
+    category.reportField = newReportField;
+    category.description = description !== undefined ? description : category.description;
+    category.isActive = isActive !== undefined ? isActive : category.isActive;
+
+    const updatedCategory = await category.save();
+    res.status(200).json(updatedCategory);
+});
+
+// @desc    Delete a finance category (retired instead if reports already use it)
+// @route   DELETE /api/finance-categories/:id
+// @access  Private/Administrator, Super Admin
+const deleteFinanceCategory = asyncHandler(async (req, res) => {
+    const category = await FinanceCategory.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Finance category not found.');
+    }
+
+    const usedByReport = await FinancialReport.exists({ 'lineItems.category': category._id });
+    if (usedByReport) {
+        category.isActive = false;
+        await category.save();
+        return res.status(200).json({ message: 'Finance category is used on existing reports and has been retired instead.' });
+    }
+
+    await FinanceCategory.deleteOne({ _id: category._id });
+    res.status(200).json({ message: 'Finance category removed.' });
+});
+
+module.exports = {
+    createFinanceCategory,
+    getFinanceCategories,
+    updateFinanceCategory,
+    deleteFinanceCategory,
+};
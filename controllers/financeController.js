@@ -1,9 +1,24 @@
 // backend/controllers/financeController.js
 const asyncHandler = require('express-async-handler');
 const FinancialReport = require('../models/financialReportModel');
+const FinancialReportVersion = require('../models/financialReportVersionModel');
 const Fellowship = require('../models/fellowshipModel');
+const LevyRule = require('../models/levyRuleModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const Project = require('../models/projectModel');
+const Pledge = require('../models/pledgeModel');
+const Disbursement = require('../models/disbursementModel');
+const Remittance = require('../models/remittanceModel');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { getCurrentStage, AWAITING_APPROVAL_STATUSES } = require('../utils/financeApprovalChain');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { checkExpenseApprovals } = require('../utils/expenseApproval');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits, mapMoneyFields } = require('../utils/money');
+const { postFinancialReport, reverseFinancialReport, postOpeningBalance } = require('../utils/ledger');
+const { getPreviousMonth, getExpectedBalanceBroughtDown, rechainBalances } = require('../utils/balanceChain');
 
 // --- Helper Date Functions ---
 
@@ -61,6 +76,226 @@ const getCustomReportingPeriodDates = (year, monthIndex) => { // monthIndex is 0
     };
 };
 
+// Income and expense fields a president enters (everything else is calculated)
+const EDITABLE_AMOUNT_FIELDS = [
+    'tithe',
+    'offering',
+    'projectDonation',
+    'otherIncome',
+    'fellowshipProgramExpense',
+    'welfareExpense',
+    'adminExpense',
+    'outreachExpense',
+];
+
+// Validates line items from a request body against active FinanceCategories and returns them
+// ready to store on a report, with the category name and reportField snapshotted.
+const buildLineItems = async (res, lineItems) => {
+    if (lineItems === undefined || lineItems === null) return [];
+    if (!Array.isArray(lineItems)) {
+        res.status(400);
+        throw new Error('lineItems must be an array.');
+    }
+
+    const categoryIds = [...new Set(lineItems.map(line => line.categoryId))];
+    if (categoryIds.some(id => !mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error('Each line item needs a valid categoryId.');
+    }
+    const categories = await FinanceCategory.find({ _id: { $in: categoryIds }, isActive: true });
+    const categoriesById = {};
+    categories.forEach(category => {
+        categoriesById[category._id.toString()] = category;
+    });
+
+    return lineItems.map(line => {
+        const category = categoriesById[line.categoryId.toString()];
+        if (!category) {
+            res.status(400);
+            throw new Error(`Finance category ${line.categoryId} not found or no longer active.`);
+        }
+        if (!line.description || !isMoneyAmount(line.amount)) {
+            res.status(400);
+            throw new Error('Each line item needs a description and a non-negative amount with at most two decimal places.');
+        }
+        return {
+            category: category._id,
+            categoryName: category.name,
+            reportField: category.reportField,
+            description: line.description,
+            amount: toMinorUnits(line.amount),
+            receiptReference: line.receiptReference,
+        };
+    });
+};
+
+// Validates per-project donations from a request body and returns them ready to store on a
+// report, with the project name snapshotted. Each project must be active and open to the
+// report's `fellowship` (a document with its zone); a pledge being redeemed must be an active
+// pledge to that project made through the same fellowship.
+const buildProjectDonations = async (res, projectDonations, fellowship) => {
+    if (projectDonations === undefined || projectDonations === null) return [];
+    if (!Array.isArray(projectDonations)) {
+        res.status(400);
+        throw new Error('projectDonations must be an array.');
+    }
+
+    const projectIds = [...new Set(projectDonations.map(donation => donation.projectId))];
+    const pledgeIds = [...new Set(projectDonations.filter(donation => donation.pledgeId).map(donation => donation.pledgeId))];
+    if (projectIds.some(id => !mongoose.isValidObjectId(id)) || pledgeIds.some(id => !mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error('Each project donation needs a valid projectId (and pledgeId, when given).');
+    }
+    const projects = await Project.find({ _id: { $in: projectIds } });
+    const pledges = pledgeIds.length > 0 ? await Pledge.find({ _id: { $in: pledgeIds } }) : [];
+    const projectsById = {};
+    projects.forEach(project => {
+        projectsById[project._id.toString()] = project;
+    });
+    const pledgesById = {};
+    pledges.forEach(pledge => {
+        pledgesById[pledge._id.toString()] = pledge;
+    });
+
+    return projectDonations.map(donation => {
+        const project = projectsById[donation.projectId.toString()];
+        if (!project || project.status !== 'active' || !project.coversFellowship(fellowship)) {
+            res.status(400);
+            throw new Error(`Project ${donation.projectId} not found, no longer active, or not open to this fellowship.`);
+        }
+        if (!isMoneyAmount(donation.amount)) {
+            res.status(400);
+            throw new Error('Each project donation needs a non-negative amount with at most two decimal places.');
+        }
+        let pledge;
+        if (donation.pledgeId) {
+            pledge = pledgesById[donation.pledgeId.toString()];
+            if (!pledge || pledge.status !== 'active' || !pledge.project.equals(project._id) || !pledge.fellowship.equals(fellowship._id)) {
+                res.status(400);
+                throw new Error(`Pledge ${donation.pledgeId} not found, cancelled, or not made to this project through this fellowship.`);
+            }
+        }
+        return {
+            project: project._id,
+            projectName: project.name,
+            pledge: pledge ? pledge._id : undefined,
+            donorName: donation.donorName || (pledge ? pledge.pledgerName : undefined),
+            amount: toMinorUnits(donation.amount),
+        };
+    });
+};
+
+// projectDonation is either broken down by project or entered directly/through line items,
+// never both, as the pre-save hook would silently overwrite one with the other
+const assertSingleProjectDonationSource = (res, projectDonations, projectDonation, lineItems) => {
+    if (!projectDonations || projectDonations.length === 0) return;
+    if (projectDonation !== undefined || lineItems.some(line => line.reportField === 'projectDonation')) {
+        res.status(400);
+        throw new Error('Record project donations either in projectDonations or as projectDonation/line items, not both.');
+    }
+};
+
+// A fixed field covered by line items is calculated from them by the pre-save hook, so a value
+// entered directly for the same field would be silently overwritten
+const assertSingleLineItemSource = (res, body, lineItems) => {
+    const lineFields = new Set(lineItems.map(line => line.reportField));
+    const conflicting = EDITABLE_AMOUNT_FIELDS.filter(field => body[field] !== undefined && lineFields.has(field));
+    if (conflicting.length > 0) {
+        res.status(400);
+        throw new Error(`Record ${conflicting.join(', ')} either directly or as line items, not both.`);
+    }
+};
+
+// Replaces the line items and/or project donations of an existing report (undefined leaves
+// them as they are). A field that was calculated from lines that are now all gone goes back
+// to 0, unless the request enters it directly, instead of keeping the old calculated total.
+const replaceDerivedSources = (report, body, lineItems, projectDonations) => {
+    const getDerivedFields = () => {
+        const fields = new Set(report.lineItems.map(line => line.reportField));
+        if (report.projectDonations.length > 0) fields.add('projectDonation');
+        return fields;
+    };
+
+    const previouslyDerived = getDerivedFields();
+    if (lineItems !== undefined) report.lineItems = lineItems;
+    if (projectDonations !== undefined) report.projectDonations = projectDonations;
+
+    const stillDerived = getDerivedFields();
+    previouslyDerived.forEach(field => {
+        if (!stillDerived.has(field) && body[field] === undefined) report[field] = 0;
+    });
+};
+
+// Rejects any provided amount field that is not a valid money amount (major units)
+const validateAmountFields = (res, body) => {
+    for (const field of EDITABLE_AMOUNT_FIELDS) {
+        if (body[field] !== undefined && !isMoneyAmount(body[field])) {
+            res.status(400);
+            throw new Error(`${field} must be a non-negative amount with at most two decimal places.`);
+        }
+    }
+};
+
+// rechainBalances results in major units, for responses
+const balanceChangesToJSON = (changes) => {
+    return changes.map(change => mapMoneyFields({ ...change }, FinancialReportVersion.BALANCE_CHANGE_FIELDS, fromMinorUnits));
+};
+
+// Works out the balance brought down for a new report and whether the balance chain is broken:
+// the previous month's report is missing, not yet approved, or the fellowship has no earlier report.
+// Returns { balanceBroughtDown, balanceWarning } where balanceWarning is null when the chain is intact.
+const checkBalanceContinuity = async (fellowshipId, reportCalendarMonth) => {
+    const previousMonth = getPreviousMonth(reportCalendarMonth);
+
+    const previousReport = await FinancialReport.findOne({
+        fellowship: fellowshipId,
+        reportingMonth: previousMonth,
+    });
+
+    if (previousReport && previousReport.status === 'approved') {
+        return { balanceBroughtDown: previousReport.balanceCarriedForward, balanceWarning: null };
+    }
+
+    if (previousReport) {
+        return {
+            balanceBroughtDown: 0,
+            balanceWarning: {
+                code: 'PREVIOUS_MONTH_NOT_APPROVED',
+                message: `The report for ${previousMonth.toDateString()} is ${previousReport.status}, so no balance was brought down. It will be carried forward once that report is approved.`,
+                previousReportingMonth: previousMonth,
+                previousReportId: previousReport._id,
+                previousReportStatus: previousReport.status,
+            },
+        };
+    }
+
+    const lastEarlierReport = await FinancialReport.findOne({
+        fellowship: fellowshipId,
+        reportingMonth: { $lt: reportCalendarMonth },
+    }).sort({ reportingMonth: -1 });
+
+    if (lastEarlierReport) {
+        return {
+            balanceBroughtDown: 0,
+            balanceWarning: {
+                code: 'PREVIOUS_MONTH_MISSING',
+                message: `No report exists for ${previousMonth.toDateString()}; the last report is for ${lastEarlierReport.reportingMonth.toDateString()}. Submit the missing months or declare an opening balance.`,
+                previousReportingMonth: previousMonth,
+                lastReportingMonth: lastEarlierReport.reportingMonth,
+            },
+        };
+    }
+
+    return {
+        balanceBroughtDown: 0,
+        balanceWarning: {
+            code: 'NO_PREVIOUS_REPORT',
+            message: 'This is the first financial report for this fellowship. Declare an opening balance if the fellowship already held funds.',
+            previousReportingMonth: previousMonth,
+        },
+    };
+};
+
 // @desc    Submit a new financial report for a fellowship
 // @route   POST /api/finance/reports
 // @access  Private/Fellowship President RCF/RCCF
@@ -76,17 +311,25 @@ const submitFinancialReport = asyncHandler(async (req, res) => {
         welfareExpense,
         adminExpense,
         outreachExpense,
+        lineItems, // Optional: [{ categoryId, description, amount, receiptReference }]
+        projectDonations, // Optional: [{ projectId, amount, pledgeId, donorName }]
+        openingBalance, // Optional: declared when there is no approved previous month to carry from
     } = req.body;
 
     const submittedBy = req.user._id; // Authenticated user
     const userRole = req.user.role;
     const userFellowship = req.user.fellowship; // The fellowship ID associated with the president
 
-    // 1. Basic Validation
-    if (!fellowshipId || !reportingMonth || tithe === undefined || offering === undefined) {
+    // 1. Basic Validation (tithe and offering may come from line items instead)
+    const reportLineItems = await buildLineItems(res, lineItems);
+    const itemisedFields = reportLineItems.map(line => line.reportField);
+    if (!fellowshipId || !reportingMonth ||
+        (tithe === undefined && !itemisedFields.includes('tithe')) ||
+        (offering === undefined && !itemisedFields.includes('offering'))) {
         res.status(400);
         throw new Error('Please fill all required financial report fields (fellowshipId, reportingMonth, tithe, offering).');
     }
+    validateAmountFields(res, req.body);
 
     // 2. Validate User Role and Fellowship Link
     if (!userRole.includes('fellowship_president')) {
@@ -105,6 +348,7 @@ const submitFinancialReport = asyncHandler(async (req, res) => {
         throw new Error('Invalid reportingMonth format. Please use YYYY-MM-DD.');
     }
     const reportCalendarMonth = getStartOfMonth(reportDateInput); // This is the date stored in the model
+    await assertPeriodOpen(res, reportCalendarMonth);
 
     // 4. Check for existing report for this *calendar* month/fellowship (unique compound index will also catch this)
     const existingReport = await FinancialReport.findOne({
@@ -117,38 +361,102 @@ const submitFinancialReport = asyncHandler(async (req, res) => {
     }
 
     // 5. Calculate Balance Brought Down (from previous *calendar* month's APPROVED report)
-    let balanceBroughtDown = 0;
-    const previousCalendarMonth = new Date(reportCalendarMonth);
-    previousCalendarMonth.setMonth(previousCalendarMonth.getMonth() - 1); // Go back one calendar month
+    // and warn when the chain is broken instead of silently starting from 0
+    const { balanceBroughtDown, balanceWarning } = await checkBalanceContinuity(fellowshipId, reportCalendarMonth);
 
-    const prevApprovedReport = await FinancialReport.findOne({
-        fellowship: fellowshipId,
-        reportingMonth: getStartOfMonth(previousCalendarMonth),
-        status: 'approved' // Only pull balance from APPROVED reports
-    }).sort({ reportingMonth: -1 });
+    if (openingBalance !== undefined) {
+        if (!isMoneyAmount(openingBalance)) {
+            res.status(400);
+            throw new Error('openingBalance must be a non-negative amount with at most two decimal places.');
+        }
+        if (!balanceWarning) {
+            res.status(400);
+            throw new Error('An opening balance can only be declared when there is no approved report for the previous month.');
+        }
+    }
 
-    if (prevApprovedReport) {
-        balanceBroughtDown = prevApprovedReport.balanceCarriedForward;
+    // 6. Check project donations are to projects open to this fellowship
+    const fellowship = await Fellowship.findById(fellowshipId);
+    if (!fellowship) {
+        res.status(404);
+        throw new Error('Fellowship not found.');
     }
+    const reportProjectDonations = await buildProjectDonations(res, projectDonations, fellowship);
+    assertSingleProjectDonationSource(res, reportProjectDonations, projectDonation, reportLineItems);
+    assertSingleLineItemSource(res, req.body, reportLineItems);
+
+    // 7. Snapshot the levy rule in force for this fellowship's zone and month
+    const levyRule = await LevyRule.findApplicable(fellowship.zone, reportCalendarMonth);
+    const { base, zonalLevyPercent, nationalLevyPercent } = levyRule || LevyRule.DEFAULT_LEVY_RULE;
 
-    // 6. Create the report
-    const report = await FinancialReport.create({
+    // 8. Claim the disbursements approved for this fellowship by the end of the month that are not
+    // on a report yet. Each is claimed only while still unclaimed, so a report submitted at the
+    // same time cannot count it too.
+    const reportId = new mongoose.Types.ObjectId();
+    const approvedDisbursements = await Disbursement.find({
         fellowship: fellowshipId,
-        reportingMonth: reportCalendarMonth, // Store the start of the calendar month
-        tithe,
-        offering,
-        projectDonation,
-        otherIncome,
-        fellowshipProgramExpense,
-        welfareExpense,
-        adminExpense,
-        outreachExpense,
-        balanceBroughtDown, // Set the calculated balance brought down
-        submittedBy,
-        status: 'pending', // Default status
+        status: { $in: ['approved', 'paid'] },
+        financialReport: null,
+        approvalDate: { $lt: new Date(reportCalendarMonth.getFullYear(), reportCalendarMonth.getMonth() + 1, 1) },
     });
+    const claimedDisbursements = [];
+    for (const disbursement of approvedDisbursements) {
+        const claimed = await Disbursement.findOneAndUpdate(
+            { _id: disbursement._id, financialReport: null },
+            { financialReport: reportId },
+            { new: true }
+        );
+        if (claimed) claimedDisbursements.push(claimed);
+    }
+
+    // 9. Create the report from the disbursements actually claimed, releasing them if it fails
+    let report;
+    try {
+        report = await FinancialReport.create({
+            _id: reportId,
+            fellowship: fellowshipId,
+            reportingMonth: reportCalendarMonth, // Store the start of the calendar month
+            tithe: toMinorUnits(tithe), // Amounts are stored in minor units
+            offering: toMinorUnits(offering),
+            projectDonation: toMinorUnits(projectDonation),
+            otherIncome: toMinorUnits(otherIncome),
+            fellowshipProgramExpense: toMinorUnits(fellowshipProgramExpense),
+            welfareExpense: toMinorUnits(welfareExpense),
+            adminExpense: toMinorUnits(adminExpense),
+            outreachExpense: toMinorUnits(outreachExpense),
+            lineItems: reportLineItems, // Pre-save hook derives the fixed fields they cover
+            projectDonations: reportProjectDonations, // ... and projectDonation from these
+            disbursements: claimedDisbursements.map(disbursement => ({ // ... and disbursementIncome from these
+                disbursement: disbursement._id,
+                source: disbursement.source,
+                purpose: disbursement.purpose,
+                amount: disbursement.amount,
+            })),
+            balanceBroughtDown, // Set the calculated balance brought down
+            openingBalance: openingBalance !== undefined
+                ? { amount: toMinorUnits(openingBalance), declaredBy: submittedBy, declaredAt: new Date(), status: 'pending' }
+                : undefined,
+            levyRule: {
+                rule: levyRule ? levyRule._id : undefined,
+                base,
+                zonalLevyPercent,
+                nationalLevyPercent,
+                effectiveFrom: levyRule ? levyRule.effectiveFrom : undefined,
+            },
+            submittedBy,
+            status: 'pending', // Default status
+        });
+    } catch (error) {
+        if (claimedDisbursements.length > 0) {
+            await Disbursement.updateMany({ financialReport: reportId }, { financialReport: null });
+        }
+        throw error;
+    }
 
     if (report) {
+        // Large spends without a pre-approved ExpenseRequest are flagged, not refused
+        const expenseWarnings = await checkExpenseApprovals(report);
+
         // Add custom period dates for response, but not stored in DB
         const { periodStartDate, periodEndDate } = getCustomReportingPeriodDates(
             reportCalendarMonth.getFullYear(),
@@ -157,7 +465,9 @@ const submitFinancialReport = asyncHandler(async (req, res) => {
         res.status(201).json({
             ...report.toObject(), // Convert mongoose document to plain object
             periodStartDate,
-            periodEndDate
+            periodEndDate,
+            balanceWarning, // null when the balance chain from last month is intact
+            expenseWarnings, // empty when every large spend was pre-approved
         });
     } else {
         res.status(400);
@@ -285,7 +595,8 @@ const getFinancialReportById = asyncHandler(async (req, res) => {
             populate: { path: 'zone', select: 'name' } // Populate zone name within fellowship
         })
         .populate('submittedBy', 'name email')
-        .populate('approvedBy', 'name email');
+        .populate('approvedBy', 'name email')
+        .populate('approvalHistory.by', 'name email');
 
     if (!report) {
         res.status(404);
@@ -293,17 +604,7 @@ const getFinancialReportById = asyncHandler(async (req, res) => {
     }
 
     // Authorization check
-    let authorized = false;
-    if (user.role === 'super_admin' || user.role === 'administrator' || user.role === 'accountant' ||
-        user.role === 'national_coordinator' || user.role === 'assistant_national_coordinator_secondary_school_outreach') {
-        authorized = true;
-    } else if (user.role === 'zonal_coordinator' && user.zone && report.fellowship && report.fellowship.zone && user.zone.equals(report.fellowship.zone._id)) {
-        authorized = true;
-    } else if (user.role.includes('fellowship_president') && user.fellowship && user.fellowship.equals(report.fellowship._id)) {
-        authorized = true;
-    }
-
-    if (!authorized) {
+    if (!canViewFinancialReport(user, report)) {
         res.status(403);
         throw new Error('Not authorized to view this financial report.');
     }
@@ -318,65 +619,502 @@ const getFinancialReportById = asyncHandler(async (req, res) => {
     res.status(200).json({
         ...report.toObject(),
         periodStartDate,
-        periodEndDate
+        periodEndDate,
+        expenseWarnings: await checkExpenseApprovals(report), // So reviewers see unapproved large spends
     });
 });
 
 
-// @desc    Approve/Reject a financial report
+// @desc    Approve/Reject a financial report at its current approval stage
 // @route   PUT /api/finance/reports/:id/approve-reject
-// @access  Private/Accountant
+// @access  Private/Zonal Coordinator (zonal review of their zone's reports), Accountant (final approval)
 const approveRejectFinancialReport = asyncHandler(async (req, res) => {
     const reportId = req.params.id;
-    const { status, rejectionReason } = req.body; // status: 'approved' or 'rejected'
-    const approvedBy = req.user._id;
+    const { status, rejectionReason, comment } = req.body; // status: 'approved' or 'rejected'
+    const user = req.user;
 
     if (!['approved', 'rejected'].includes(status)) {
         res.status(400);
         throw new Error('Invalid status. Must be "approved" or "rejected".');
     }
 
-    const report = await FinancialReport.findById(reportId);
+    const report = await FinancialReport.findById(reportId).populate('fellowship', 'zone');
 
     if (!report) {
         res.status(404);
         throw new Error('Financial report not found.');
     }
 
-    if (report.status !== 'pending') {
+    // Work out which stage of the approval chain the report is waiting on
+    const stage = getCurrentStage(report);
+    if (!stage) {
         res.status(400);
         throw new Error(`Report is already ${report.status}. Cannot change status.`);
     }
 
-    report.status = status;
-    report.approvedBy = approvedBy;
-    report.approvalDate = new Date();
+    // Authorization for this stage
+    let authorizedForStage = user.role === stage.role;
+    if (authorizedForStage && stage.role === 'zonal_coordinator') {
+        authorizedForStage = !!(user.zone && report.fellowship && report.fellowship.zone && user.zone.equals(report.fellowship.zone));
+    }
+    if (!authorizedForStage) {
+        res.status(403);
+        throw new Error(`Not authorized: this report is awaiting the ${stage.name} stage (${stage.role}).`);
+    }
+
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    // Kept so the approval can be undone if it cannot be posted to the ledger
+    const previousApprovalFields = {
+        status: report.status,
+        rejectionReason: report.rejectionReason,
+        approvedBy: report.approvedBy,
+        approvalDate: report.approvalDate,
+    };
 
     if (status === 'rejected') {
         if (!rejectionReason) {
             res.status(400);
             throw new Error('Rejection reason is required for rejected reports.');
         }
+        report.status = 'rejected';
         report.rejectionReason = rejectionReason;
-        report.approvedByAccountant = false; // Explicitly set false if rejected
     } else { // status === 'approved'
-        report.approvedByAccountant = true;
+        report.status = stage.status; // Either an intermediate status (e.g. 'zonal_reviewed') or 'approved'
         report.rejectionReason = undefined; // Clear rejection reason if approved
+        if (stage.status === 'approved') {
+            report.approvedBy = user._id;
+            report.approvalDate = new Date();
+        }
+    }
+
+    report.approvalHistory.push({
+        stage: stage.name,
+        action: status,
+        by: user._id,
+        role: user.role,
+        date: new Date(),
+        comment: status === 'rejected' ? rejectionReason : comment,
+    });
+
+    const updatedReport = await report.save();
+
+    // Post the approved report (and an approved opening balance declaration) to the ledger.
+    // If posting fails the approval is undone, so no report is approved without its entries.
+    if (updatedReport.status === 'approved') {
+        let reportEntry = null;
+        try {
+            reportEntry = await postFinancialReport(updatedReport, user._id);
+            await postOpeningBalance(updatedReport, user._id);
+        } catch (error) {
+            if (reportEntry) await reverseFinancialReport(updatedReport, user._id, 'approval rolled back');
+            updatedReport.set(previousApprovalFields);
+            updatedReport.approvalHistory.pop();
+            await updatedReport.save();
+            throw new Error(`The report could not be posted to the ledger, so it was not approved: ${error.message}`);
+        }
+    }
+
+    // Later months that were submitted while this report was pending can now carry its balance
+    const rechainedReports = updatedReport.status === 'approved' ? await rechainBalances(updatedReport) : [];
+
+    res.status(200).json({
+        ...updatedReport.toObject(),
+        rechainedReports: balanceChangesToJSON(rechainedReports),
+    });
+});
+
+// @desc    Update a financial report (sends it back to pending for re-approval)
+// @route   PUT /api/finance/reports/:id
+// @access  Private/Fellowship President (own report awaiting approval or rejected), Super Admin (any report not yet approved)
+const updateFinancialReport = asyncHandler(async (req, res) => {
+    const reportId = req.params.id;
+    const user = req.user;
+
+    const report = await FinancialReport.findById(reportId);
+
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+
+    // Authorization for update. A president may also edit a report part-way through the
+    // approval chain (e.g. 'zonal_reviewed'); the edit sends it back to the first stage.
+    const canUpdateAnyStatus = user.role === 'super_admin';
+    const canUpdateOwn = user.role.includes('fellowship_president') &&
+        report.submittedBy.equals(user._id) &&
+        [...AWAITING_APPROVAL_STATUSES, 'rejected'].includes(report.status);
+
+    if (!canUpdateAnyStatus && !canUpdateOwn) {
+        res.status(403);
+        throw new Error('Not authorized to update this report, or report is no longer awaiting approval or rejected.');
+    }
+
+    // Approved figures are in the ledger and carried into later months; they only change
+    // through an amendment, which keeps the previous version and re-chains the balances
+    if (report.status === 'approved') {
+        res.status(400);
+        throw new Error('Approved reports cannot be edited. Amend the report instead (PUT /api/finance/:id/amend).');
+    }
+
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    // Validate the changes before touching the report
+    validateAmountFields(res, req.body);
+    const lineItems = req.body.lineItems !== undefined
+        ? await buildLineItems(res, req.body.lineItems)
+        : undefined;
+    const projectDonations = req.body.projectDonations !== undefined
+        ? await buildProjectDonations(res, req.body.projectDonations, await Fellowship.findById(report.fellowship))
+        : undefined;
+    const updatedLineItems = lineItems !== undefined ? lineItems : report.lineItems;
+    assertSingleProjectDonationSource(
+        res,
+        projectDonations !== undefined ? projectDonations : report.projectDonations,
+        req.body.projectDonation,
+        updatedLineItems
+    );
+    assertSingleLineItemSource(res, req.body, updatedLineItems);
+
+    // Update amount fields (only if provided in request body), then the lines they may come from
+    for (const field of EDITABLE_AMOUNT_FIELDS) {
+        if (req.body[field] !== undefined) {
+            report[field] = toMinorUnits(req.body[field]);
+        }
+    }
+    replaceDerivedSources(report, req.body, lineItems, projectDonations);
+
+    // An edited report needs to go through the approval chain again
+    report.status = 'pending';
+    report.approvedBy = undefined;
+    report.approvalDate = undefined;
+    report.rejectionReason = undefined;
+    report.approvalHistory.push({
+        stage: 'submission',
+        action: 'resubmitted',
+        by: user._id,
+        role: user.role,
+        date: new Date(),
+    });
+
+    const updatedReport = await report.save(); // Pre-save hook recalculates totals and levies
+
+    const { periodStartDate, periodEndDate } = getCustomReportingPeriodDates(
+        updatedReport.reportingMonth.getFullYear(),
+        updatedReport.reportingMonth.getMonth()
+    );
+
+    res.status(200).json({
+        ...updatedReport.toObject(),
+        periodStartDate,
+        periodEndDate,
+        expenseWarnings: await checkExpenseApprovals(updatedReport), // Edited spends are checked again
+    });
+});
+
+// @desc    Amend an approved financial report and re-chain later balances
+// @route   PUT /api/finance/reports/:id/amend
+// @access  Private/Accountant, Super Admin
+const amendFinancialReport = asyncHandler(async (req, res) => {
+    const reportId = req.params.id;
+    const user = req.user;
+    const { reason } = req.body;
+
+    if (!reason) {
+        res.status(400);
+        throw new Error('An amendment reason is required.');
+    }
+
+    const report = await FinancialReport.findById(reportId);
+
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+
+    if (report.status !== 'approved') {
+        res.status(400);
+        throw new Error('Only approved reports can be amended. Use the update route for pending or rejected reports.');
+    }
+
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    // Validate the amended amounts before touching anything
+    const amendedFields = EDITABLE_AMOUNT_FIELDS.filter(field => req.body[field] !== undefined);
+    if (amendedFields.length === 0 && req.body.lineItems === undefined && req.body.projectDonations === undefined) {
+        res.status(400);
+        throw new Error(`Please provide lineItems, projectDonations or at least one amended amount: ${EDITABLE_AMOUNT_FIELDS.join(', ')}.`);
+    }
+    validateAmountFields(res, req.body);
+    const amendedLineItems = req.body.lineItems !== undefined
+        ? await buildLineItems(res, req.body.lineItems)
+        : undefined;
+    const amendedProjectDonations = req.body.projectDonations !== undefined
+        ? await buildProjectDonations(res, req.body.projectDonations, await Fellowship.findById(report.fellowship))
+        : undefined;
+    const updatedLineItems = amendedLineItems !== undefined ? amendedLineItems : report.lineItems;
+    assertSingleProjectDonationSource(
+        res,
+        amendedProjectDonations !== undefined ? amendedProjectDonations : report.projectDonations,
+        req.body.projectDonation,
+        updatedLineItems
+    );
+    assertSingleLineItemSource(res, req.body, updatedLineItems);
+
+    // 1. Keep the original figures; they are stored as a version once the amendment is saved
+    const previousVersion = report.version;
+    const snapshot = report.toObject({ virtuals: false, transform: false }); // Raw minor units
+
+    // 2. Apply the amendment and recalculate totals, levies and balanceCarriedForward
+    for (const field of amendedFields) {
+        report[field] = toMinorUnits(req.body[field]);
+    }
+    replaceDerivedSources(report, req.body, amendedLineItems, amendedProjectDonations);
+    report.calculateTotals();
+
+    // 3. Levies cannot drop below what has already been remitted against them; the excess
+    // remittances have to be rejected (or refunded outside the system) first
+    for (const [levyType, levyField] of Object.entries(Remittance.LEVY_FIELDS)) {
+        const declared = await Remittance.getDeclaredAmount(report._id, levyType);
+        if (report[levyField] < declared) {
+            res.status(400);
+            throw new Error(`The amended ${levyType} levy (${fromMinorUnits(report[levyField])}) is less than the ${fromMinorUnits(declared)} already remitted or declared against it. Reject the excess remittances before amending.`);
+        }
+    }
+
+    report.version += 1;
+    report.approvalHistory.push({
+        stage: 'amendment',
+        action: 'amended',
+        by: user._id,
+        role: user.role,
+        date: new Date(),
+        comment: reason,
+    });
+    const amendedReport = await report.save();
+
+    // 4. Record the previous version now that the amendment is saved
+    const version = await FinancialReportVersion.create({
+        financialReport: report._id,
+        version: previousVersion,
+        snapshot,
+        amendedBy: user._id,
+        reason,
+    });
+
+    // 5. Replace the report's ledger posting with one for the amended figures. If that fails the
+    // amendment is undone and the original figures are posted again, so the report is never
+    // left without its entry or with figures the ledger does not have.
+    let reversal = null;
+    try {
+        reversal = await reverseFinancialReport(amendedReport, user._id, reason);
+        await postFinancialReport(amendedReport, user._id);
+    } catch (error) {
+        const { _id, __v, ...previousFields } = snapshot;
+        amendedReport.set(previousFields);
+        await amendedReport.save();
+        await FinancialReportVersion.deleteOne({ _id: version._id });
+        if (reversal) await postFinancialReport(amendedReport, user._id);
+        throw new Error(`The amendment could not be posted to the ledger, so it was not saved: ${error.message}`);
+    }
+
+    // 6. Carry the new closing balance through every later month of the fellowship
+    const rechainedReports = await rechainBalances(amendedReport);
+    version.rechainedReports = rechainedReports;
+    await version.save();
+
+    res.status(200).json({
+        report: amendedReport,
+        amendmentSummary: {
+            previousVersion: version.version,
+            currentVersion: amendedReport.version,
+            previousBalanceCarriedForward: fromMinorUnits(version.snapshot.balanceCarriedForward),
+            newBalanceCarriedForward: fromMinorUnits(amendedReport.balanceCarriedForward),
+            rechainedReports: balanceChangesToJSON(rechainedReports),
+        },
+        expenseWarnings: await checkExpenseApprovals(amendedReport), // Amended spends are checked again
+    });
+});
+
+// @desc    Get the amendment history (previous versions) of a financial report
+// @route   GET /api/finance/reports/:id/versions
+// @access  Private (same roles as viewing the report)
+const getFinancialReportVersions = asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const report = await FinancialReport.findById(req.params.id).populate('fellowship', 'zone');
+
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+
+    // Authorization check (same as getFinancialReportById)
+    if (!canViewFinancialReport(user, report)) {
+        res.status(403);
+        throw new Error('Not authorized to view this financial report.');
+    }
+
+    const versions = await FinancialReportVersion.find({ financialReport: report._id })
+        .populate('amendedBy', 'name email')
+        .sort({ version: -1 });
+
+    res.status(200).json(versions);
+});
+
+// @desc    Approve/Reject a declared opening balance
+// @route   PUT /api/finance/reports/:id/opening-balance
+// @access  Private/Accountant
+const reviewOpeningBalance = asyncHandler(async (req, res) => {
+    const { status, rejectionReason } = req.body; // status: 'approved' or 'rejected'
+
+    if (!['approved', 'rejected'].includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status. Must be "approved" or "rejected".');
+    }
+
+    const report = await FinancialReport.findById(req.params.id);
+
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+
+    if (!report.openingBalance || report.openingBalance.status !== 'pending') {
+        res.status(400);
+        throw new Error('This report has no pending opening balance declaration.');
+    }
+
+    await assertPeriodOpen(res, report.reportingMonth);
+
+    report.openingBalance.status = status;
+    report.openingBalance.reviewedBy = req.user._id;
+    report.openingBalance.reviewedAt = new Date();
+
+    if (status === 'rejected') {
+        if (!rejectionReason) {
+            res.status(400);
+            throw new Error('Rejection reason is required for rejected opening balances.');
+        }
+        report.openingBalance.rejectionReason = rejectionReason;
+    } else { // status === 'approved'
+        report.openingBalance.rejectionReason = undefined;
+        report.balanceBroughtDown = report.openingBalance.amount; // Pre-save hook recalculates balanceCarriedForward
     }
 
     const updatedReport = await report.save();
+    if (status === 'approved') await postOpeningBalance(updatedReport, req.user._id); // Once the report is approved too
+    const rechainedReports = status === 'approved' ? await rechainBalances(updatedReport) : [];
 
-    res.status(200).json(updatedReport);
+    res.status(200).json({
+        report: updatedReport,
+        rechainedReports: balanceChangesToJSON(rechainedReports),
+    });
 });
 
-// Future: Update existing report (only if status is pending and by original submitter)
-// const updateFinancialReport = asyncHandler(async (req, res) => { ... });
+// @desc    List fellowships whose balance chain is broken
+// @route   GET /api/finance/reports/balance-continuity?fellowshipId=<ID>&zoneId=<ID>
+// @access  Private (role-based: national roles see all, Zonal Coordinator their zone, President their fellowship)
+const getBalanceContinuity = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId } = req.query;
+    const user = req.user;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view financial reports.');
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+
+    const reports = await FinancialReport.find(query)
+        .select('fellowship reportingMonth status balanceBroughtDown balanceCarriedForward openingBalance')
+        .sort({ fellowship: 1, reportingMonth: 1 });
+
+    // Walk each fellowship's reports in month order, recording every break in the chain
+    const issuesByFellowship = {};
+    let previousReport = null;
+
+    for (const report of reports) {
+        if (previousReport && !previousReport.fellowship.equals(report.fellowship)) {
+            previousReport = null; // First report of the next fellowship
+        }
+
+        const issues = [];
+        const reportInfo = { reportId: report._id, reportingMonth: report.reportingMonth };
+        const previousMonth = getPreviousMonth(report.reportingMonth);
+        const openingStatus = report.openingBalance && report.openingBalance.status;
+
+        if (openingStatus === 'pending' || openingStatus === 'rejected') {
+            issues.push({
+                ...reportInfo,
+                code: openingStatus === 'pending' ? 'OPENING_BALANCE_PENDING' : 'OPENING_BALANCE_REJECTED',
+                message: `Declared opening balance of ${fromMinorUnits(report.openingBalance.amount)} is ${openingStatus}.`,
+            });
+        }
+
+        if (previousReport && openingStatus !== 'approved') {
+            if (previousReport.reportingMonth.getTime() !== previousMonth.getTime()) {
+                issues.push({
+                    ...reportInfo,
+                    code: 'PREVIOUS_MONTH_MISSING',
+                    message: `No report for ${previousMonth.toDateString()}; previous report is for ${previousReport.reportingMonth.toDateString()}.`,
+                });
+            } else if (previousReport.status !== 'approved') {
+                issues.push({
+                    ...reportInfo,
+                    code: 'PREVIOUS_MONTH_NOT_APPROVED',
+                    message: `The report for ${previousMonth.toDateString()} is ${previousReport.status}.`,
+                });
+            }
+        }
+
+        const expectedBalanceBroughtDown = getExpectedBalanceBroughtDown(report, previousReport);
+        if (previousReport && report.balanceBroughtDown !== expectedBalanceBroughtDown) {
+            issues.push({
+                ...reportInfo,
+                code: 'BALANCE_MISMATCH',
+                message: `balanceBroughtDown is ${fromMinorUnits(report.balanceBroughtDown)} but should be ${fromMinorUnits(expectedBalanceBroughtDown)}.`,
+                expectedBalanceBroughtDown: fromMinorUnits(expectedBalanceBroughtDown),
+                actualBalanceBroughtDown: fromMinorUnits(report.balanceBroughtDown),
+            });
+        }
+
+        if (issues.length > 0) {
+            const key = report.fellowship.toString();
+            issuesByFellowship[key] = (issuesByFellowship[key] || []).concat(issues);
+        }
+
+        previousReport = report;
+    }
+
+    const fellowships = await Fellowship.find({ _id: { $in: Object.keys(issuesByFellowship) } })
+        .select('name zone')
+        .populate('zone', 'name')
+        .sort({ name: 1 });
+
+    res.status(200).json(fellowships.map(fellowship => ({
+        fellowship,
+        issues: issuesByFellowship[fellowship._id.toString()],
+    })));
+});
 
 module.exports = {
     submitFinancialReport,
     getFinancialReports,
     getFinancialReportById,
     approveRejectFinancialReport,
+    updateFinancialReport,
+    amendFinancialReport,
+    getFinancialReportVersions,
+    reviewOpeningBalance,
+    getBalanceContinuity,
     // Export helper functions for testing if needed, but typically kept internal
     // getNthDayOfMonth,
     // getCustomReportingPeriodDates
@@ -0,0 +1,188 @@
+// backend/controllers/financeDocumentController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const Remittance = require('../models/remittanceModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const {
+    formatDate,
+    drawHeader,
+    drawDetails,
+    drawAmountRow,
+    drawSectionTitle,
+    drawFooter,
+    sendPdf,
+} = require('../utils/pdf');
+
+const { INCOME_REPORT_FIELDS, EXPENSE_REPORT_FIELDS, REPORT_FIELD_LABELS } = FinanceCategory;
+const { LEVY_FIELDS } = Remittance;
+
+const LEVY_LABELS = { zonal: 'Zonal levy', national: 'National levy' };
+
+const formatMonth = (date) => date.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+const monthLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+const toFilenamePart = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// The amounts making up a report field, by category (line items) or project (project donations)
+const getFieldBreakdown = (report, field) => {
+    const parts = {};
+    report.lineItems.filter(line => line.reportField === field).forEach(line => {
+        const name = line.categoryName || 'Uncategorised';
+        parts[name] = (parts[name] || 0) + line.amount;
+    });
+    if (field === 'projectDonation') {
+        report.projectDonations.forEach(donation => {
+            const name = donation.projectName || 'Unnamed project';
+            parts[name] = (parts[name] || 0) + donation.amount;
+        });
+    }
+    return Object.keys(parts).sort().map(name => ({ name, amount: parts[name] }));
+};
+
+// Section rows for report fields, with their breakdown indented underneath
+const drawFieldRows = (doc, report, fields) => {
+    fields.forEach(field => {
+        drawAmountRow(doc, REPORT_FIELD_LABELS[field], report[field]);
+        getFieldBreakdown(report, field).forEach(part => drawAmountRow(doc, part.name, part.amount, { indent: 15 }));
+    });
+};
+
+// @desc    Download the official receipt for a confirmed levy payment (PDF)
+// @route   GET /api/finance/remittances/:remittanceId/receipt
+// @access  Private (same as GET /api/finance/:id: national roles, Zonal Coordinator of the fellowship's zone, the fellowship's President)
+const getRemittanceReceipt = asyncHandler(async (req, res) => {
+    const { remittanceId } = req.params;
+
+    if (!mongoose.isValidObjectId(remittanceId)) {
+        res.status(400);
+        throw new Error('Invalid remittance ID.');
+    }
+    const remittance = await Remittance.findById(remittanceId)
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .populate('financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('confirmedBy', 'name');
+
+    if (!remittance) {
+        res.status(404);
+        throw new Error('Remittance not found.');
+    }
+    if (!canViewFinancialReport(req.user, remittance)) {
+        res.status(403);
+        throw new Error('Not authorized to view this remittance.');
+    }
+    if (remittance.status !== 'confirmed') {
+        res.status(400);
+        throw new Error('Receipts are only issued for confirmed remittances.');
+    }
+    if (!remittance.receiptNumber) {
+        await remittance.save(); // Payments confirmed before receipts were numbered get their number now
+    }
+
+    const report = remittance.financialReport;
+    const outstanding = report
+        ? report[LEVY_FIELDS[remittance.levyType]] - await Remittance.getDeclaredAmount(report._id, remittance.levyType)
+        : null;
+
+    sendPdf(res, `receipt-${remittance.receiptNumber}.pdf`, (doc) => {
+        drawHeader(doc, 'Official Receipt', `Receipt No. ${remittance.receiptNumber}`);
+        drawDetails(doc, [
+            ['Received from', remittance.fellowship ? remittance.fellowship.name : 'Deleted fellowship'],
+            ['Zone', remittance.fellowship && remittance.fellowship.zone ? remittance.fellowship.zone.name : ''],
+            ['Being payment of', `${LEVY_LABELS[remittance.levyType]}${report ? ` for ${formatMonth(report.reportingMonth)}` : ''}`],
+            ['Payment date', formatDate(remittance.paymentDate)],
+            ['Payment method', remittance.paymentMethod.replace(/_/g, ' ')],
+            ['Reference', remittance.reference],
+            ['Confirmed', `${formatDate(remittance.confirmationDate)}${remittance.confirmedBy ? ` by ${remittance.confirmedBy.name}` : ' by the payment provider'}`],
+        ]);
+        drawAmountRow(doc, 'Amount received', remittance.amount, { bold: true });
+        if (outstanding !== null) {
+            drawAmountRow(doc, `${LEVY_LABELS[remittance.levyType]} still outstanding on this report`, Math.max(outstanding, 0));
+        }
+        drawFooter(doc, `Issued ${formatDate(new Date())}. This receipt was generated electronically and is valid without a signature.`);
+    });
+});
+
+// @desc    Download the monthly account statement for an approved financial report (PDF)
+// @route   GET /api/finance/:id/account-statement
+// @access  Private (same as GET /api/finance/:id)
+const getAccountStatement = asyncHandler(async (req, res) => {
+    const report = await FinancialReport.findById(req.params.id)
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .populate('approvedBy', 'name');
+
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+    if (!canViewFinancialReport(req.user, report)) {
+        res.status(403);
+        throw new Error('Not authorized to view this financial report.');
+    }
+    if (report.status !== 'approved') {
+        res.status(400);
+        throw new Error('Account statements are only available for approved financial reports.');
+    }
+
+    const remittances = await Remittance.find({ financialReport: report._id, status: 'confirmed' }).sort({ paymentDate: 1 });
+    const baseExpenses = EXPENSE_REPORT_FIELDS.reduce((sum, field) => sum + report[field], 0);
+    const fellowshipName = report.fellowship ? report.fellowship.name : 'Deleted fellowship';
+
+    sendPdf(res, `account-statement-${toFilenamePart(fellowshipName)}-${monthLabel(report.reportingMonth)}.pdf`, (doc) => {
+        drawHeader(doc, 'Monthly Account Statement', formatMonth(report.reportingMonth));
+        drawDetails(doc, [
+            ['Fellowship', fellowshipName],
+            ['Zone', report.fellowship && report.fellowship.zone ? report.fellowship.zone.name : ''],
+            ['Report version', report.version],
+            ['Approved', `${formatDate(report.approvalDate)}${report.approvedBy ? ` by ${report.approvedBy.name}` : ''}`],
+        ]);
+
+        drawAmountRow(doc, 'Balance brought down', report.balanceBroughtDown, { bold: true });
+
+        drawSectionTitle(doc, 'Income');
+        drawFieldRows(doc, report, INCOME_REPORT_FIELDS);
+        drawAmountRow(doc, 'Total income', report.totalIncome, { bold: true });
+
+        drawSectionTitle(doc, 'Expenses');
+        drawFieldRows(doc, report, EXPENSE_REPORT_FIELDS);
+        drawAmountRow(doc, 'Total expenses', baseExpenses, { bold: true });
+
+        const rule = report.levyRule && report.levyRule.base ? report.levyRule : null;
+        drawSectionTitle(doc, 'Levies');
+        drawAmountRow(doc, `Zonal levy${rule ? ` (${rule.zonalLevyPercent}%)` : ''}`, report.zonalLevy);
+        drawAmountRow(doc, `National levy${rule ? ` (${rule.nationalLevyPercent}%)` : ''}`, report.nationalLevy);
+        drawAmountRow(doc, 'Total levies', report.zonalLevy + report.nationalLevy, { bold: true });
+
+        doc.moveDown(0.5);
+        drawAmountRow(doc, 'Balance carried forward', report.balanceCarriedForward, { bold: true });
+
+        drawSectionTitle(doc, 'Levy payments received');
+        if (remittances.length === 0) {
+            doc.font('Helvetica').fontSize(10).text('No confirmed levy payments yet.');
+        }
+        remittances.forEach(remittance => {
+            drawAmountRow(doc, `${LEVY_LABELS[remittance.levyType]}, ${formatDate(remittance.paymentDate)}${remittance.receiptNumber ? ` (${remittance.receiptNumber})` : ''}`, remittance.amount);
+        });
+        Object.keys(LEVY_FIELDS).forEach(levyType => {
+            const paid = remittances
+                .filter(remittance => remittance.levyType === levyType)
+                .reduce((sum, remittance) => sum + remittance.amount, 0);
+            drawAmountRow(doc, `${LEVY_LABELS[levyType]} outstanding`, Math.max(report[LEVY_FIELDS[levyType]] - paid, 0), { bold: true });
+        });
+
+        drawFooter(doc, `Generated ${formatDate(new Date())}. All amounts in Nigerian naira (NGN).`);
+    });
+});
+
+module.exports = {
+    getRemittanceReceipt,
+    getAccountStatement,
+};
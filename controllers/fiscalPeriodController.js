@@ -0,0 +1,137 @@
+// backend/controllers/fiscalPeriodController.js
+const asyncHandler = require('express-async-handler');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const FinancialReport = require('../models/financialReportModel');
+const ActivityReport = require('../models/activityReportModel');
+const FellowshipOutreachReport = require('../models/fellowshipOutreachReportModel');
+const OutreachReport = require('../models/outreachReportModel');
+
+// Every report type locked by a closed period (see utils/periodLock.js), with the name used in messages
+const PERIOD_REPORT_TYPES = [
+    { model: FinancialReport, name: 'financial' },
+    { model: ActivityReport, name: 'activity' },
+    { model: FellowshipOutreachReport, name: 'fellowship outreach' },
+    { model: OutreachReport, name: 'outreach' },
+];
+
+// @desc    Close a month or a fiscal year
+// @route   POST /api/fiscal-periods/close
+// @access  Private/Accountant
+const closeFiscalPeriod = asyncHandler(async (req, res) => {
+    const { year, month, notes } = req.body; // month: 1-12, omit to close the whole year
+
+    // 1. Basic Validation
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        res.status(400);
+        throw new Error('Please provide a valid year (e.g. 2024).');
+    }
+    if (month !== undefined && month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) {
+        res.status(400);
+        throw new Error('month must be a number from 1 to 12, or omitted to close the whole year.');
+    }
+    const periodType = month ? 'month' : 'year';
+    const startDate = new Date(year, month ? month - 1 : 0, 1);
+    const endDate = month ? new Date(year, month, 1) : new Date(year + 1, 0, 1);
+
+    // 2. Every report in the period must have been approved or rejected
+    const unfinished = [];
+    for (const reportType of PERIOD_REPORT_TYPES) {
+        const count = await reportType.model.countDocuments({
+            reportingMonth: { $gte: startDate, $lt: endDate },
+            status: { $nin: ['approved', 'rejected'] },
+        });
+        if (count > 0) unfinished.push(`${count} ${reportType.name}`);
+    }
+    if (unfinished.length > 0) {
+        res.status(400);
+        throw new Error(`Reports in this period are still awaiting approval (${unfinished.join(', ')}). Approve or reject them before closing.`);
+    }
+
+    // 3. Close the period (re-closing a reopened period reuses its record)
+    let period = await FiscalPeriod.findOne({ periodType, year, month: month || null });
+    if (period && period.status === 'closed') {
+        res.status(400);
+        throw new Error(`The ${period.label} period is already closed.`);
+    }
+    if (!period) {
+        period = new FiscalPeriod({ periodType, year, month: month || null, startDate, endDate });
+    }
+
+    period.status = 'closed';
+    period.closedBy = req.user._id;
+    period.closedAt = new Date();
+    period.history.push({
+        action: 'closed',
+        by: req.user._id,
+        date: period.closedAt,
+        reason: notes,
+    });
+
+    const closedPeriod = await period.save();
+
+    res.status(200).json(closedPeriod);
+});
+
+// @desc    Reopen a closed period
+// @route   PUT /api/fiscal-periods/:id/reopen
+// @access  Private/Super Admin
+const reopenFiscalPeriod = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason) {
+        res.status(400);
+        throw new Error('A reason is required to reopen a closed period.');
+    }
+
+    const period = await FiscalPeriod.findById(req.params.id);
+
+    if (!period) {
+        res.status(404);
+        throw new Error('Fiscal period not found.');
+    }
+
+    if (period.status !== 'closed') {
+        res.status(400);
+        throw new Error(`The ${period.label} period is not closed.`);
+    }
+
+    period.status = 'open';
+    period.reopenedBy = req.user._id;
+    period.reopenedAt = new Date();
+    period.reopenReason = reason;
+    period.history.push({
+        action: 'reopened',
+        by: req.user._id,
+        date: period.reopenedAt,
+        reason,
+    });
+
+    const reopenedPeriod = await period.save();
+
+    res.status(200).json(reopenedPeriod);
+});
+
+// @desc    Get fiscal periods (optionally for one year)
+// @route   GET /api/fiscal-periods?year=<YYYY>&status=<open|closed>
+// @access  Private
+const getFiscalPeriods = asyncHandler(async (req, res) => {
+    const { year, status } = req.query;
+
+    let query = {};
+    if (year) query.year = parseInt(year);
+    if (status) query.status = status;
+
+    const periods = await FiscalPeriod.find(query)
+        .populate('closedBy', 'name email')
+        .populate('reopenedBy', 'name email')
+        .populate('history.by', 'name email')
+        .sort({ startDate: -1, periodType: 1 });
+
+    res.status(200).json(periods);
+});
+
+module.exports = {
+    closeFiscalPeriod,
+    reopenFiscalPeriod,
+    getFiscalPeriods,
+};
@@ -0,0 +1,204 @@
+// backend/controllers/ledgerController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const JournalEntry = require('../models/journalEntryModel');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { fromMinorUnits } = require('../utils/money');
+
+// Reads an optional YYYY-MM-DD query date. `endOfDay` turns an inclusive end date into the
+// exclusive start of the next day.
+const parseQueryDate = (res, value, name, endOfDay) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        res.status(400);
+        throw new Error(`Invalid ${name} format. Please use YYYY-MM-DD.`);
+    }
+    if (endOfDay) date.setDate(date.getDate() + 1);
+    return date;
+};
+
+// Base journal entry query for the fellowships the user may see, or responds 400/403
+const getScopedEntryQuery = async (req, res) => {
+    const { fellowshipId, zoneId } = req.query;
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+    const fellowshipIds = await getFellowshipScope(req.user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view the ledger.');
+    }
+    return fellowshipIds ? { fellowship: { $in: fellowshipIds } } : {};
+};
+
+// Debit and credit totals (minor units) per account for the entries matching `query`,
+// keyed by account ID; `accountId` limits the totals to one account
+const sumByAccount = async (query, accountId) => {
+    const lineMatch = accountId ? [{ $match: { 'lines.account': accountId } }] : [];
+    const totals = await JournalEntry.aggregate([
+        { $match: query },
+        { $unwind: '$lines' },
+        ...lineMatch,
+        { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+    ]);
+    const totalsByAccount = {};
+    totals.forEach(row => {
+        totalsByAccount[row._id.toString()] = row;
+    });
+    return totalsByAccount;
+};
+
+// Balance on the account's normal side (debit for assets/expenses, credit otherwise)
+const getNormalBalance = (account, debit, credit) => {
+    return account.normalBalance === 'debit' ? debit - credit : credit - debit;
+};
+
+// @desc    Get the chart of accounts
+// @route   GET /api/ledger/accounts
+// @access  Private (finance roles)
+const getLedgerAccounts = asyncHandler(async (req, res) => {
+    await LedgerAccount.getSystemAccounts(); // Creates the chart on first use
+    const accounts = await LedgerAccount.find({}).sort({ code: 1 });
+    res.status(200).json(accounts);
+});
+
+// @desc    Get the trial balance as of a date
+// @route   GET /api/ledger/trial-balance?asOf=<YYYY-MM-DD>&fellowshipId=<ID>&zoneId=<ID>
+// @access  Private (finance roles, scoped by role in controller)
+const getTrialBalance = asyncHandler(async (req, res) => {
+    const asOf = parseQueryDate(res, req.query.asOf, 'asOf', true) || new Date();
+    const query = { ...(await getScopedEntryQuery(req, res)), entryDate: { $lt: asOf } };
+
+    const totalsByAccount = await sumByAccount(query);
+    const accounts = await LedgerAccount.find({ _id: { $in: Object.keys(totalsByAccount) } }).sort({ code: 1 });
+
+    // Each account's net balance goes in the debit or the credit column
+    let totalDebit = 0;
+    let totalCredit = 0;
+    const rows = accounts.map(account => {
+        const { debit, credit } = totalsByAccount[account._id.toString()];
+        const net = debit - credit;
+        totalDebit += Math.max(net, 0);
+        totalCredit += Math.max(-net, 0);
+        return {
+            account: { _id: account._id, code: account.code, name: account.name, type: account.type },
+            debit: fromMinorUnits(Math.max(net, 0)),
+            credit: fromMinorUnits(Math.max(-net, 0)),
+        };
+    });
+
+    res.status(200).json({
+        asOf: req.query.asOf ? new Date(req.query.asOf) : new Date(),
+        accounts: rows,
+        totalDebit: fromMinorUnits(totalDebit),
+        totalCredit: fromMinorUnits(totalCredit),
+        balanced: totalDebit === totalCredit,
+    });
+});
+
+// @desc    Get an account statement: opening balance, postings with running balance, closing balance
+// @route   GET /api/ledger/accounts/:id/statement?from=<YYYY-MM-DD>&to=<YYYY-MM-DD>&fellowshipId=<ID>&zoneId=<ID>
+// @access  Private (finance roles, scoped by role in controller)
+const getAccountStatement = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid account ID.');
+    }
+    const account = await LedgerAccount.findById(req.params.id);
+    if (!account) {
+        res.status(404);
+        throw new Error('Ledger account not found.');
+    }
+
+    const from = parseQueryDate(res, req.query.from, 'from');
+    const to = parseQueryDate(res, req.query.to, 'to', true);
+    const scopeQuery = await getScopedEntryQuery(req, res);
+
+    // 1. Balance brought forward from before the period
+    let openingBalance = 0;
+    if (from) {
+        const openingTotals = await sumByAccount({ ...scopeQuery, entryDate: { $lt: from } }, account._id);
+        const totals = openingTotals[account._id.toString()];
+        if (totals) openingBalance = getNormalBalance(account, totals.debit, totals.credit);
+    }
+
+    // 2. Postings in the period
+    let query = { ...scopeQuery, 'lines.account': account._id };
+    if (from || to) {
+        query.entryDate = {};
+        if (from) query.entryDate.$gte = from;
+        if (to) query.entryDate.$lt = to;
+    }
+    const entries = await JournalEntry.find(query)
+        .populate('fellowship', 'name')
+        .sort({ entryDate: 1, createdAt: 1 });
+
+    let balance = openingBalance;
+    const postings = entries.map(entry => {
+        const accountLines = entry.lines.filter(line => line.account.equals(account._id));
+        const debit = accountLines.reduce((sum, line) => sum + line.debit, 0);
+        const credit = accountLines.reduce((sum, line) => sum + line.credit, 0);
+        balance += getNormalBalance(account, debit, credit);
+        return {
+            journalEntry: entry._id,
+            entryDate: entry.entryDate,
+            fellowship: entry.fellowship,
+            description: entry.description,
+            source: entry.source,
+            debit: fromMinorUnits(debit),
+            credit: fromMinorUnits(credit),
+            balance: fromMinorUnits(balance),
+        };
+    });
+
+    res.status(200).json({
+        account,
+        from: from || null,
+        to: req.query.to ? new Date(req.query.to) : null,
+        openingBalance: fromMinorUnits(openingBalance),
+        postings,
+        closingBalance: fromMinorUnits(balance),
+    });
+});
+
+// @desc    Get journal entries (filter by fellowship, zone, source, report and date range)
+// @route   GET /api/ledger/entries?fellowshipId=<ID>&zoneId=<ID>&sourceType=<type>&financialReportId=<ID>&from=<YYYY-MM-DD>&to=<YYYY-MM-DD>
+// @access  Private (finance roles, scoped by role in controller)
+const getJournalEntries = asyncHandler(async (req, res) => {
+    const { sourceType, financialReportId } = req.query;
+    const from = parseQueryDate(res, req.query.from, 'from');
+    const to = parseQueryDate(res, req.query.to, 'to', true);
+
+    let query = await getScopedEntryQuery(req, res);
+    if (sourceType) query['source.type'] = sourceType;
+    if (financialReportId) {
+        if (!mongoose.isValidObjectId(financialReportId)) {
+            res.status(400);
+            throw new Error('Invalid financialReportId.');
+        }
+        query['source.financialReport'] = financialReportId;
+    }
+    if (from || to) {
+        query.entryDate = {};
+        if (from) query.entryDate.$gte = from;
+        if (to) query.entryDate.$lt = to;
+    }
+
+    const entries = await JournalEntry.find(query)
+        .populate('fellowship', 'name')
+        .populate('lines.account', 'code name type')
+        .populate('postedBy', 'name email')
+        .sort({ entryDate: -1, createdAt: -1 });
+
+    res.status(200).json(entries);
+});
+
+module.exports = {
+    getLedgerAccounts,
+    getTrialBalance,
+    getAccountStatement,
+    getJournalEntries,
+};
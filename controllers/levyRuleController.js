@@ -0,0 +1,247 @@
+// backend/controllers/levyRuleController.js
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const LevyRule = require('../models/levyRuleModel');
+const FinancialReport = require('../models/financialReportModel');
+const Zone = require('../models/zoneModel');
+
+const { LEVY_BASES, DEFAULT_LEVY_RULE } = LevyRule;
+
+// Get the start of a calendar month
+const getStartOfMonth = (date) => {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+// Validates a levy percentage from the request body
+const isValidPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+// @desc    Create a new levy rule
+// @route   POST /api/levy-rules
+// @access  Private/Super Admin, Accountant
+const createLevyRule = asyncHandler(async (req, res) => {
+    const {
+        name,
+        zoneId, // Optional: omit for the national default rule
+        base,
+        zonalLevyPercent,
+        nationalLevyPercent,
+        effectiveFrom, // 'YYYY-MM-DD' (any day of the first month the rule applies to)
+        notes,
+    } = req.body;
+
+    // 1. Basic Validation
+    if (!name || zonalLevyPercent === undefined || nationalLevyPercent === undefined || !effectiveFrom) {
+        res.status(400);
+        throw new Error('Please provide name, zonalLevyPercent, nationalLevyPercent and effectiveFrom.');
+    }
+    if (base && !LEVY_BASES.includes(base)) {
+        res.status(400);
+        throw new Error(`Invalid base. Allowed values: ${LEVY_BASES.join(', ')}.`);
+    }
+    if (!isValidPercent(zonalLevyPercent) || !isValidPercent(nationalLevyPercent)) {
+        res.status(400);
+        throw new Error('Levy percentages must be numbers between 0 and 100.');
+    }
+    const effectiveFromInput = new Date(effectiveFrom);
+    if (isNaN(effectiveFromInput.getTime())) {
+        res.status(400);
+        throw new Error('Invalid effectiveFrom format. Please use YYYY-MM-DD.');
+    }
+    const effectiveMonth = getStartOfMonth(effectiveFromInput);
+
+    // 2. Zone override must point at an existing zone
+    if (zoneId) {
+        if (!mongoose.isValidObjectId(zoneId)) {
+            res.status(400);
+            throw new Error('Invalid zoneId.');
+        }
+        const zone = await Zone.findById(zoneId);
+        if (!zone) {
+            res.status(404);
+            throw new Error('Zone not found for the provided zoneId.');
+        }
+    }
+
+    // 3. Only one rule per zone (or national default) per starting month
+    const existingRule = await LevyRule.findOne({ zone: zoneId || null, effectiveFrom: effectiveMonth });
+    if (existingRule) {
+        res.status(400);
+        throw new Error(`A levy rule starting ${effectiveMonth.toDateString()} already exists for this ${zoneId ? 'zone' : 'national default'}.`);
+    }
+
+    const levyRule = await LevyRule.create({
+        name,
+        zone: zoneId || null,
+        base,
+        zonalLevyPercent,
+        nationalLevyPercent,
+        effectiveFrom: effectiveMonth,
+        createdBy: req.user._id,
+        notes,
+    });
+
+    if (levyRule) {
+        res.status(201).json(levyRule);
+    } else {
+        res.status(400);
+        throw new Error('Invalid levy rule data.');
+    }
+});
+
+// @desc    Get levy rules (optionally filtered by zone)
+// @route   GET /api/levy-rules?zoneId=<ID|national>
+// @access  Private
+const getLevyRules = asyncHandler(async (req, res) => {
+    const { zoneId } = req.query;
+
+    if (zoneId && zoneId !== 'national' && !mongoose.isValidObjectId(zoneId)) {
+        res.status(400);
+        throw new Error('Invalid zoneId.');
+    }
+
+    let query = {};
+    if (zoneId === 'national') {
+        query.zone = null;
+    } else if (zoneId) {
+        query.zone = zoneId;
+    }
+
+    const levyRules = await LevyRule.find(query)
+        .populate('zone', 'name')
+        .populate('createdBy', 'name email')
+        .sort({ effectiveFrom: -1 });
+
+    res.status(200).json(levyRules);
+});
+
+// @desc    Get the levy rule in force for a zone and month
+// @route   GET /api/levy-rules/applicable?zoneId=<ID>&month=<MM>&year=<YYYY>
+// @access  Private
+const getApplicableLevyRule = asyncHandler(async (req, res) => {
+    const { zoneId, month, year } = req.query;
+
+    if (zoneId && !mongoose.isValidObjectId(zoneId)) {
+        res.status(400);
+        throw new Error('Invalid zoneId.');
+    }
+
+    const now = new Date();
+    const queryYear = parseInt(year) || now.getFullYear();
+    const queryMonth = month ? parseInt(month) - 1 : now.getMonth();
+    const reportingMonth = new Date(queryYear, queryMonth, 1);
+
+    const levyRule = await LevyRule.findApplicable(zoneId, reportingMonth);
+
+    if (levyRule) {
+        res.status(200).json(levyRule);
+    } else {
+        // No rule configured yet: report the built-in default
+        res.status(200).json({ ...DEFAULT_LEVY_RULE, isDefault: true });
+    }
+});
+
+// @desc    Get single levy rule by ID
+// @route   GET /api/levy-rules/:id
+// @access  Private
+const getLevyRuleById = asyncHandler(async (req, res) => {
+    const levyRule = await LevyRule.findById(req.params.id)
+        .populate('zone', 'name')
+        .populate('createdBy', 'name email');
+
+    if (levyRule) {
+        res.status(200).json(levyRule);
+    } else {
+        res.status(404);
+        throw new Error('Levy rule not found.');
+    }
+});
+
+// @desc    Update a levy rule that no financial report has used yet
+// @route   PUT /api/levy-rules/:id
+// @access  Private/Super Admin, Accountant
+const updateLevyRule = asyncHandler(async (req, res) => {
+    const { name, base, zonalLevyPercent, nationalLevyPercent, effectiveFrom, notes } = req.body;
+
+    const levyRule = await LevyRule.findById(req.params.id);
+
+    if (!levyRule) {
+        res.status(404);
+        throw new Error('Levy rule not found.');
+    }
+
+    // A rule already snapshotted on a report is history; changes need a new rule
+    const usedByReport = await FinancialReport.exists({ 'levyRule.rule': levyRule._id });
+    if (usedByReport) {
+        res.status(400);
+        throw new Error('This levy rule has already been applied to financial reports. Create a new rule with a later effectiveFrom instead.');
+    }
+
+    if (base !== undefined && !LEVY_BASES.includes(base)) {
+        res.status(400);
+        throw new Error(`Invalid base. Allowed values: ${LEVY_BASES.join(', ')}.`);
+    }
+    if ((zonalLevyPercent !== undefined && !isValidPercent(zonalLevyPercent)) ||
+        (nationalLevyPercent !== undefined && !isValidPercent(nationalLevyPercent))) {
+        res.status(400);
+        throw new Error('Levy percentages must be numbers between 0 and 100.');
+    }
+    if (effectiveFrom !== undefined) {
+        const effectiveFromInput = new Date(effectiveFrom);
+        if (isNaN(effectiveFromInput.getTime())) {
+            res.status(400);
+            throw new Error('Invalid effectiveFrom format. Please use YYYY-MM-DD.');
+        }
+        const effectiveMonth = getStartOfMonth(effectiveFromInput);
+
+        // Only one rule per zone (or national default) per starting month
+        const existingRule = await LevyRule.findOne({
+            _id: { $ne: levyRule._id },
+            zone: levyRule.zone || null,
+            effectiveFrom: effectiveMonth,
+        });
+        if (existingRule) {
+            res.status(400);
+            throw new Error(`A levy rule starting ${effectiveMonth.toDateString()} already exists for this ${levyRule.zone ? 'zone' : 'national default'}.`);
+        }
+        levyRule.effectiveFrom = effectiveMonth;
+    }
+
+    levyRule.name = name || levyRule.name;
+    levyRule.base = base !== undefined ? base : levyRule.base;
+    levyRule.zonalLevyPercent = zonalLevyPercent !== undefined ? zonalLevyPercent : levyRule.zonalLevyPercent;
+    levyRule.nationalLevyPercent = nationalLevyPercent !== undefined ? nationalLevyPercent : levyRule.nationalLevyPercent;
+    levyRule.notes = notes !== undefined ? notes : levyRule.notes;
+
+    const updatedLevyRule = await levyRule.save();
+    res.status(200).json(updatedLevyRule);
+});
+
+// @desc    Delete a levy rule that no financial report has used yet
+// @route   DELETE /api/levy-rules/:id
+// @access  Private/Super Admin, Accountant
+const deleteLevyRule = asyncHandler(async (req, res) => {
+    const levyRule = await LevyRule.findById(req.params.id);
+
+    if (!levyRule) {
+        res.status(404);
+        throw new Error('Levy rule not found.');
+    }
+
+    const usedByReport = await FinancialReport.exists({ 'levyRule.rule': levyRule._id });
+    if (usedByReport) {
+        res.status(400);
+        throw new Error('This levy rule has already been applied to financial reports and cannot be deleted.');
+    }
+
+    await LevyRule.deleteOne({ _id: levyRule._id });
+    res.status(200).json({ message: 'Levy rule removed.' });
+});
+
+module.exports = {
+    createLevyRule,
+    getLevyRules,
+    getApplicableLevyRule,
+    getLevyRuleById,
+    updateLevyRule,
+    deleteLevyRule,
+};
@@ -2,6 +2,8 @@
 const asyncHandler = require('express-async-handler');
 const OutreachReport = require('../models/outreachReportModel');
 const User = require('../models/User'); // To populate submittedBy/approvedBy details
+const { canViewOutreachReport } = require('../utils/reportAccess');
+const { assertPeriodOpen } = require('../utils/periodLock');
 
 // --- Helper Date Functions (Copied for consistency across reporting modules) ---
 const getStartOfMonth = (date) => {
@@ -96,6 +98,7 @@ const submitOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Invalid reportingMonth format. Please use ISO format (YYYY-MM-DD).');
     }
     const reportCalendarMonth = getStartOfMonth(reportDateInput);
+    await assertPeriodOpen(res, reportCalendarMonth);
 
     // 4. Check for existing report for this *calendar* month/submitting user
     const existingReport = await OutreachReport.findOne({
@@ -203,14 +206,7 @@ const getOutreachReportById = asyncHandler(async (req, res) => {
     }
 
     // Authorization check (same as getOutreachReports for consistency)
-    let authorized = false;
-    const allowedToView = ['super_admin', 'administrator', 'national_coordinator', 'assistant_national_coordinator_secondary_school_outreach', 'zonal_coordinator'];
-
-    if (allowedToView.includes(user.role)) {
-        authorized = true;
-    }
-
-    if (!authorized) {
+    if (!canViewOutreachReport(user)) {
         res.status(403);
         throw new Error('Not authorized to view this outreach report.');
     }
@@ -260,6 +256,8 @@ const updateOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to update this report, or report is not in pending status.');
     }
 
+    await assertPeriodOpen(res, report.reportingMonth);
+
     // Update fields (only if provided in request body)
     if (detailsOfVisits !== undefined) {
         if (!Array.isArray(detailsOfVisits) || detailsOfVisits.length === 0) {
@@ -329,6 +327,8 @@ const approveRejectOutreachReport = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to approve/reject this outreach report.');
     }
 
+    await assertPeriodOpen(res, report.reportingMonth);
+
     report.status = status;
     report.approvedBy = approvedBy;
     report.approvalDate = new Date();
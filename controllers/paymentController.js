@@ -0,0 +1,447 @@
+// backend/controllers/paymentController.js
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PaymentIntent = require('../models/paymentIntentModel');
+const Remittance = require('../models/remittanceModel');
+const FinancialReport = require('../models/financialReportModel');
+const { getPaymentProvider, isPaymentsEnabled } = require('../utils/payments');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { postRemittance } = require('../utils/ledger');
+
+const { LEVY_FIELDS } = Remittance;
+const PAYMENT_STATUSES = PaymentIntent.schema.path('status').enumValues;
+
+// Accountant decisions on a payment left for review, and the status each one leaves it in
+const REVIEW_ACTIONS = { apply: 'succeeded', refund: 'refunded', resolve: 'resolved' };
+
+// A pending payment older than this is treated as abandoned when the levy is paid again
+const getPaymentIntentTtlMs = () => (parseFloat(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30) * 60 * 1000;
+
+// Expires abandoned online payments of a report's levy, releasing their pending remittances.
+// Returns the payment still in progress, if any.
+const expireStalePaymentIntents = async (financialReportId, levyType) => {
+    const pendingIntents = await PaymentIntent.find({ financialReport: financialReportId, levyType, status: 'pending' });
+    const cutoff = Date.now() - getPaymentIntentTtlMs();
+
+    let inProgress = null;
+    for (const intent of pendingIntents) {
+        if (intent.createdAt.getTime() > cutoff) {
+            inProgress = intent;
+            continue;
+        }
+        intent.status = 'expired';
+        await intent.save();
+        await Remittance.updateOne(
+            { _id: intent.remittance, status: 'pending' },
+            { status: 'rejected', rejectionReason: 'Online payment was not completed.' }
+        );
+    }
+    return inProgress;
+};
+
+// Moves a payment on from the status it was read with. Returns the updated payment, or null
+// when another request (e.g. a retried webhook delivery) changed it first.
+const transitionPaymentIntent = (intent, update) => PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: intent.status },
+    update,
+    { new: true }
+);
+
+// Confirms the remittance of a completed payment (with any `fields` to correct, e.g. the amount
+// actually paid) and posts it to the ledger, unless it was confirmed already
+const confirmPaidRemittance = async (intent, postedBy, fields = {}) => {
+    const remittance = await Remittance.findOneAndUpdate(
+        { _id: intent.remittance, status: { $ne: 'confirmed' } },
+        {
+            ...fields,
+            status: 'confirmed',
+            paymentDate: intent.paidAt || new Date(),
+            confirmationDate: new Date(),
+            $unset: { rejectionReason: 1 },
+        },
+        { new: true }
+    );
+    if (remittance) {
+        await postRemittance(remittance, postedBy); // Clears the levy payable in the ledger
+    }
+    return remittance;
+};
+
+// @desc    Start an online payment of a report's outstanding levy
+// @route   POST /api/payments/intents
+// @access  Private/Fellowship President RCF/RCCF
+const createPaymentIntent = asyncHandler(async (req, res) => {
+    const { financialReportId, levyType, amount } = req.body; // amount: optional, defaults to the full outstanding levy
+    const user = req.user;
+
+    if (!isPaymentsEnabled()) {
+        res.status(503);
+        throw new Error('Online payments are not configured.');
+    }
+
+    // 1. Basic Validation
+    if (!financialReportId || !levyType) {
+        res.status(400);
+        throw new Error('Please provide financialReportId and levyType.');
+    }
+    if (!mongoose.isValidObjectId(financialReportId)) {
+        res.status(400);
+        throw new Error('Invalid financialReportId.');
+    }
+    if (!LEVY_FIELDS[levyType]) {
+        res.status(400);
+        throw new Error('Invalid levyType. Must be "zonal" or "national".');
+    }
+    if (amount !== undefined && (!isMoneyAmount(amount) || amount === 0)) {
+        res.status(400);
+        throw new Error('Amount must be a positive amount with at most two decimal places.');
+    }
+
+    // 2. The report must exist, belong to the president's fellowship and be approved
+    const report = await FinancialReport.findById(financialReportId);
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+    if (!user.fellowship || !user.fellowship.equals(report.fellowship)) {
+        res.status(403);
+        throw new Error('You are not authorized to pay levies for this fellowship.');
+    }
+    if (report.status !== 'approved') {
+        res.status(400);
+        throw new Error('Levies can only be paid for approved financial reports.');
+    }
+
+    // 3. One online payment per levy at a time
+    const inProgress = await expireStalePaymentIntents(report._id, levyType);
+    if (inProgress) {
+        res.status(400);
+        throw new Error('An online payment for this levy is already in progress. Complete it or try again later.');
+    }
+
+    // 4. Pay at most what is still owed (pending declarations count as paid)
+    const outstanding = report[LEVY_FIELDS[levyType]] - await Remittance.getDeclaredAmount(report._id, levyType);
+    if (outstanding <= 0) {
+        res.status(400);
+        throw new Error(`There is no outstanding ${levyType} levy on this report.`);
+    }
+    const amountInMinorUnits = amount !== undefined ? toMinorUnits(amount) : outstanding;
+    if (amountInMinorUnits > outstanding) {
+        res.status(400);
+        throw new Error(`Amount exceeds the outstanding ${levyType} levy of ${fromMinorUnits(outstanding)} for this report.`);
+    }
+
+    // 5. Payments declared for the same levy are recorded one at a time (see declareRemittance)
+    if (!await FinancialReport.claimLevyDeclaration(report, levyType)) {
+        res.status(409);
+        throw new Error(`Another ${levyType} levy payment was declared for this report at the same time. Please try again.`);
+    }
+
+    // 6. Create the payment with the provider
+    const provider = getPaymentProvider();
+    const reference = `LEVY-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+    let payment;
+    try {
+        payment = await provider.createPayment({
+            reference,
+            amount: amountInMinorUnits,
+            currency: 'NGN',
+            email: user.email,
+            description: `${levyType === 'zonal' ? 'Zonal' : 'National'} levy for ${report.reportingMonth.toDateString()}`,
+            metadata: { financialReport: report._id.toString(), levyType },
+        });
+    } catch (error) {
+        res.status(502);
+        throw new Error(`Payment provider error: ${error.message}`);
+    }
+
+    // 7. Record the payment and declare it as a pending online remittance
+    const intent = new PaymentIntent({
+        financialReport: report._id,
+        fellowship: report.fellowship,
+        levyType,
+        amount: amountInMinorUnits,
+        provider: provider.name,
+        reference,
+        providerReference: payment.providerReference,
+        checkoutUrl: payment.checkoutUrl,
+        initiatedBy: user._id,
+    });
+    const remittance = await Remittance.create({
+        financialReport: report._id,
+        fellowship: report.fellowship,
+        levyType,
+        amount: amountInMinorUnits,
+        paymentDate: new Date(),
+        paymentMethod: 'online',
+        reference,
+        notes: `Online payment via ${provider.name}`,
+        paymentIntent: intent._id,
+        declaredBy: user._id,
+        status: 'pending',
+    });
+    intent.remittance = remittance._id;
+    await intent.save();
+
+    // 8. Check again now that it is recorded, in case another payment was declared while the
+    // provider was called; the payer is then not sent to the checkout
+    if (await Remittance.getDeclaredAmount(report._id, levyType) > report[LEVY_FIELDS[levyType]]) {
+        await transitionPaymentIntent(intent, { status: 'failed', failureReason: 'Another payment was declared for this levy at the same time.' });
+        await Remittance.updateOne(
+            { _id: remittance._id, status: 'pending' },
+            { status: 'rejected', rejectionReason: 'Online payment cancelled: another payment was declared at the same time.' }
+        );
+        res.status(400);
+        throw new Error(`Amount exceeds the outstanding ${levyType} levy for this report; another payment was declared at the same time.`);
+    }
+
+    res.status(201).json({
+        paymentIntent: intent,
+        checkoutUrl: intent.checkoutUrl,
+    });
+});
+
+// @desc    Receive payment results from a payment provider
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (verified by the provider's HMAC signature)
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+    if (!isPaymentsEnabled()) {
+        res.status(503);
+        throw new Error('Online payments are not configured.');
+    }
+
+    let provider;
+    try {
+        provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+        res.status(404);
+        throw new Error('Unknown payment provider.');
+    }
+
+    // 1. Only trust events signed with the shared secret
+    if (!req.rawBody || !provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+        res.status(401);
+        throw new Error('Invalid webhook signature.');
+    }
+    let event;
+    try {
+        event = provider.parseWebhookEvent(req.rawBody);
+    } catch (error) {
+        res.status(400);
+        throw new Error(`Could not read webhook event: ${error.message}`);
+    }
+    if (!['succeeded', 'failed'].includes(event.type)) {
+        return res.status(200).json({ received: true, ignored: true });
+    }
+
+    const intent = await PaymentIntent.findOne({ reference: event.reference, provider: provider.name });
+    if (!intent) {
+        res.status(404);
+        throw new Error('Payment not found.');
+    }
+    // Providers retry deliveries, so a payment that already succeeded (or is waiting for, or has
+    // had, an Accountant's review) is left as it is
+    if (!['pending', 'failed', 'expired'].includes(intent.status)) {
+        return res.status(200).json({ received: true });
+    }
+
+    if (event.type === 'failed') {
+        const failureReason = event.failureReason || 'Payment failed.';
+        if (await transitionPaymentIntent(intent, { status: 'failed', failureReason })) {
+            await Remittance.updateOne(
+                { _id: intent.remittance, status: 'pending' },
+                { status: 'rejected', rejectionReason: `Online payment failed: ${failureReason}` }
+            );
+        }
+        return res.status(200).json({ received: true });
+    }
+
+    // Every transition below is conditional on the status read above, so of two deliveries of
+    // the same event only the first one moves the payment on
+    const paidAmount = event.amount !== undefined ? event.amount : intent.amount;
+    const paid = { paidAmount, paidAt: event.paidAt };
+    if (event.providerReference) paid.providerReference = event.providerReference;
+
+    // 2. A payment for a different amount is left for the Accountant to review
+    if (paidAmount !== intent.amount) {
+        await transitionPaymentIntent(intent, {
+            ...paid,
+            status: 'needs_review',
+            failureReason: `Provider reported ${fromMinorUnits(paidAmount)} paid, expected ${fromMinorUnits(intent.amount)}. Needs review.`,
+        });
+        return res.status(200).json({ received: true });
+    }
+
+    // 3. A payment completed after its remittance was rejected (e.g. it had expired and the levy
+    // was paid again) only counts if the levy is still owed; otherwise it would overpay
+    const remittance = await Remittance.findById(intent.remittance);
+    if (remittance && remittance.status === 'rejected') {
+        const report = await FinancialReport.findById(intent.financialReport);
+        const outstanding = report
+            ? report[LEVY_FIELDS[intent.levyType]] - await Remittance.getDeclaredAmount(report._id, intent.levyType)
+            : 0;
+        if (intent.amount > outstanding) {
+            await transitionPaymentIntent(intent, {
+                ...paid,
+                status: 'needs_review',
+                failureReason: `Payment completed after its remittance was rejected and exceeds the outstanding ${intent.levyType} levy of ${fromMinorUnits(Math.max(outstanding, 0))}. Needs review.`,
+            });
+            return res.status(200).json({ received: true });
+        }
+    }
+
+    // 4. Mark the payment and its remittance paid
+    const succeeded = await transitionPaymentIntent(intent, { ...paid, status: 'succeeded', $unset: { failureReason: 1 } });
+    if (succeeded) {
+        await confirmPaidRemittance(succeeded, succeeded.initiatedBy);
+    }
+
+    res.status(200).json({ received: true });
+});
+
+// @desc    Settle an online payment left for review: apply it to the levy, or record that it
+//          was refunded to the payer or resolved another way
+// @route   PUT /api/payments/intents/:id/review
+// @access  Private/Accountant
+const reviewPaymentIntent = asyncHandler(async (req, res) => {
+    const { action, note } = req.body; // action: 'apply', 'refund' or 'resolve'
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid payment ID.');
+    }
+    if (!REVIEW_ACTIONS[action]) {
+        res.status(400);
+        throw new Error('Invalid action. Must be "apply", "refund" or "resolve".');
+    }
+    if (action !== 'apply' && !note) {
+        res.status(400);
+        throw new Error('A note is required when a payment is refunded or resolved.');
+    }
+
+    const intent = await PaymentIntent.findById(req.params.id);
+    if (!intent) {
+        res.status(404);
+        throw new Error('Payment not found.');
+    }
+    if (intent.status !== 'needs_review') {
+        res.status(400);
+        throw new Error(`Payment is ${intent.status}, not waiting for review.`);
+    }
+
+    // 1. What was paid can only be applied while the levy still owes it (the payment's own
+    // pending remittance does not count against it)
+    const paidAmount = intent.paidAmount !== undefined ? intent.paidAmount : intent.amount;
+    if (action === 'apply') {
+        const [report, remittance] = await Promise.all([
+            FinancialReport.findById(intent.financialReport),
+            Remittance.findById(intent.remittance),
+        ]);
+        if (!report) {
+            res.status(404);
+            throw new Error('Financial report not found.');
+        }
+        const ownDeclaration = remittance && remittance.status === 'pending' ? remittance.amount : 0;
+        const outstanding = report[LEVY_FIELDS[intent.levyType]] - (await Remittance.getDeclaredAmount(report._id, intent.levyType) - ownDeclaration);
+        if (paidAmount > outstanding) {
+            res.status(400);
+            throw new Error(`The payment of ${fromMinorUnits(paidAmount)} exceeds the outstanding ${intent.levyType} levy of ${fromMinorUnits(Math.max(outstanding, 0))}. Refund it instead.`);
+        }
+    }
+
+    // 2. Claim the payment, so a second review of it is refused
+    const reviewed = await transitionPaymentIntent(intent, {
+        status: REVIEW_ACTIONS[action],
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        ...(note && { reviewNote: note }),
+    });
+    if (!reviewed) {
+        res.status(400);
+        throw new Error('This payment has already been reviewed.');
+    }
+
+    // 3. Apply the amount actually paid, or release the levy the payment had declared
+    if (action === 'apply') {
+        await confirmPaidRemittance(reviewed, req.user._id, { amount: paidAmount, confirmedBy: req.user._id });
+    } else {
+        await Remittance.updateOne(
+            { _id: intent.remittance, status: 'pending' },
+            { status: 'rejected', rejectionReason: `Online payment ${REVIEW_ACTIONS[action]}: ${note}` }
+        );
+    }
+
+    res.status(200).json(reviewed);
+});
+
+// @desc    Get online levy payments (filtered by report and status)
+// @route   GET /api/payments/intents?financialReportId=<ID>&status=<status>
+// @access  Private (scoped by role in controller)
+const getPaymentIntents = asyncHandler(async (req, res) => {
+    const { financialReportId, status } = req.query;
+
+    const fellowshipIds = await getFellowshipScope(req.user);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view payments.');
+    }
+
+    if (financialReportId && !mongoose.isValidObjectId(financialReportId)) {
+        res.status(400);
+        throw new Error('Invalid financialReportId.');
+    }
+    if (status && !PAYMENT_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status. Must be one of: ${PAYMENT_STATUSES.join(', ')}.`);
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+    if (financialReportId) query.financialReport = financialReportId;
+    if (status) query.status = status;
+
+    const intents = await PaymentIntent.find(query)
+        .populate('fellowship', 'name')
+        .populate('financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('initiatedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(intents);
+});
+
+// @desc    Get a single online levy payment
+// @route   GET /api/payments/intents/:id
+// @access  Private (access based on role in controller)
+const getPaymentIntentById = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid payment ID.');
+    }
+    const intent = await PaymentIntent.findById(req.params.id)
+        .populate('fellowship', 'name zone')
+        .populate('financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('remittance', 'amount status paymentDate')
+        .populate('initiatedBy', 'name email');
+
+    if (!intent) {
+        res.status(404);
+        throw new Error('Payment not found.');
+    }
+    if (!canViewFinancialReport(req.user, intent)) {
+        res.status(403);
+        throw new Error('Not authorized to view this payment.');
+    }
+
+    res.status(200).json(intent);
+});
+
+module.exports = {
+    createPaymentIntent,
+    handlePaymentWebhook,
+    getPaymentIntents,
+    getPaymentIntentById,
+    reviewPaymentIntent,
+};
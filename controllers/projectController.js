@@ -0,0 +1,447 @@
+// backend/controllers/projectController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Project = require('../models/projectModel');
+const Pledge = require('../models/pledgeModel');
+const FinancialReport = require('../models/financialReportModel');
+const Fellowship = require('../models/fellowshipModel');
+const Zone = require('../models/zoneModel');
+const { FINANCE_VIEW_ALL_ROLES } = require('../utils/reportAccess');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+const { PROJECT_SCOPES } = Project;
+const PROJECT_CATEGORIES = Project.schema.path('category').enumValues;
+const PROJECT_STATUSES = Project.schema.path('status').enumValues;
+
+// Roles that can run projects of any scope and record pledges for any fellowship
+const PROJECT_ADMIN_ROLES = ['super_admin', 'administrator', 'national_coordinator'];
+
+// Query matching the projects a user can see: national roles see every project, others see
+// national projects, their zone's projects and the projects of fellowships in their scope.
+// Returns null when the user cannot see projects at all.
+const getVisibleProjectsQuery = async (user) => {
+    if (FINANCE_VIEW_ALL_ROLES.includes(user.role)) return {};
+
+    const fellowshipIds = await getFellowshipScope(user);
+    if (!fellowshipIds) return null;
+
+    let zoneId = user.zone;
+    if (user.role.includes('fellowship_president')) {
+        const fellowship = await Fellowship.findById(user.fellowship).select('zone');
+        zoneId = fellowship ? fellowship.zone : undefined;
+    }
+
+    const visible = [
+        { scope: 'national' },
+        { scope: 'fellowship', fellowship: { $in: fellowshipIds } },
+    ];
+    // A fellowship without a zone sees no zone projects ({ zone: undefined } would match them all)
+    if (zoneId) visible.push({ scope: 'zone', zone: zoneId });
+
+    return { $or: visible };
+};
+
+// Zonal Coordinators run their zone's projects and those of its fellowships,
+// Fellowship Presidents their own fellowship's projects
+const canManageProject = async (user, project) => {
+    if (PROJECT_ADMIN_ROLES.includes(user.role)) return true;
+    if (user.role === 'zonal_coordinator') {
+        if (!user.zone) return false;
+        if (project.scope === 'zone') return project.zone.equals(user.zone);
+        if (project.scope === 'fellowship') return !!(await Fellowship.exists({ _id: project.fellowship, zone: user.zone }));
+        return false;
+    }
+    if (user.role.includes('fellowship_president')) {
+        return project.scope === 'fellowship' && !!user.fellowship && project.fellowship.equals(user.fellowship);
+    }
+    return false;
+};
+
+// Pledges are recorded by whoever looks after the fellowship they are made through
+const canRecordPledge = (user, fellowship) => {
+    if (PROJECT_ADMIN_ROLES.includes(user.role)) return true;
+    if (user.role === 'zonal_coordinator') return !!user.zone && user.zone.equals(fellowship.zone);
+    if (user.role.includes('fellowship_president')) return !!user.fellowship && user.fellowship.equals(fellowship._id);
+    return false;
+};
+
+// How much of each pledge has been redeemed by donations on approved reports (minor units)
+const getPledgeFulfilment = async (pledgeIds) => {
+    const fulfilment = await FinancialReport.aggregate([
+        { $match: { status: 'approved', 'projectDonations.pledge': { $in: pledgeIds } } },
+        { $unwind: '$projectDonations' },
+        { $match: { 'projectDonations.pledge': { $in: pledgeIds } } },
+        { $group: { _id: '$projectDonations.pledge', fulfilled: { $sum: '$projectDonations.amount' } } },
+    ]);
+    const fulfilledById = {};
+    fulfilment.forEach(row => {
+        fulfilledById[row._id.toString()] = row.fulfilled;
+    });
+    return fulfilledById;
+};
+
+// Progress of each project toward its target, in major units, keyed by project ID.
+// Donations count as raised once their report is approved; donations on reports still
+// going through the approval chain are shown separately. Pledges count while active, and
+// what is still outstanding on them excludes what has been redeemed already.
+const getProjectProgress = async (projects) => {
+    const projectIds = projects.map(project => project._id);
+
+    const donations = await FinancialReport.aggregate([
+        { $match: { status: { $ne: 'rejected' }, 'projectDonations.project': { $in: projectIds } } },
+        { $unwind: '$projectDonations' },
+        { $match: { 'projectDonations.project': { $in: projectIds } } },
+        {
+            $group: {
+                _id: { project: '$projectDonations.project', approved: { $eq: ['$status', 'approved'] } },
+                amount: { $sum: '$projectDonations.amount' },
+            }
+        },
+    ]);
+    const pledges = await Pledge.find({ project: { $in: projectIds }, status: 'active' }).select('project amount');
+    const fulfilledById = await getPledgeFulfilment(pledges.map(pledge => pledge._id));
+
+    const totals = {};
+    projectIds.forEach(id => {
+        totals[id.toString()] = { raised: 0, awaitingApproval: 0, pledged: 0, pledgeCount: 0, pledgesOutstanding: 0 };
+    });
+    donations.forEach(row => {
+        totals[row._id.project.toString()][row._id.approved ? 'raised' : 'awaitingApproval'] += row.amount;
+    });
+    pledges.forEach(pledge => {
+        const projectTotals = totals[pledge.project.toString()];
+        projectTotals.pledged += pledge.amount;
+        projectTotals.pledgeCount += 1;
+        projectTotals.pledgesOutstanding += Math.max(0, pledge.amount - (fulfilledById[pledge._id.toString()] || 0));
+    });
+
+    const now = new Date();
+    const progressById = {};
+    projects.forEach(project => {
+        const projectTotals = totals[project._id.toString()];
+        progressById[project._id.toString()] = {
+            targetAmount: fromMinorUnits(project.targetAmount),
+            raised: fromMinorUnits(projectTotals.raised),
+            awaitingApproval: fromMinorUnits(projectTotals.awaitingApproval),
+            remaining: fromMinorUnits(Math.max(0, project.targetAmount - projectTotals.raised)),
+            percentRaised: project.targetAmount > 0
+                ? Math.round((projectTotals.raised / project.targetAmount) * 1000) / 10
+                : null,
+            pledged: fromMinorUnits(projectTotals.pledged),
+            pledgeCount: projectTotals.pledgeCount,
+            pledgesOutstanding: fromMinorUnits(projectTotals.pledgesOutstanding),
+            targetReached: projectTotals.raised >= project.targetAmount,
+            deadlinePassed: !!project.deadline && project.deadline < now,
+        };
+    });
+    return progressById;
+};
+
+// Loads a project the user can see, or responds 404/403
+const findVisibleProject = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        throw new Error('Invalid project ID.');
+    }
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+        res.status(404);
+        throw new Error('Project not found.');
+    }
+
+    const visibleQuery = await getVisibleProjectsQuery(req.user);
+    if (!visibleQuery || !(await Project.exists({ ...visibleQuery, _id: project._id }))) {
+        res.status(403);
+        throw new Error('Not authorized to view this project.');
+    }
+    return project;
+};
+
+// Validates targetAmount and deadline from a request body (either may be absent on update)
+const validateTargetAndDeadline = (res, targetAmount, deadline) => {
+    if (targetAmount !== undefined && !isMoneyAmount(targetAmount)) {
+        res.status(400);
+        throw new Error('targetAmount must be a non-negative amount with at most two decimal places.');
+    }
+    if (deadline !== undefined && deadline !== null && isNaN(new Date(deadline).getTime())) {
+        res.status(400);
+        throw new Error('Invalid deadline format. Please use YYYY-MM-DD.');
+    }
+};
+
+// @desc    Create a fundraising project for a fellowship, a zone or the nation
+// @route   POST /api/projects
+// @access  Private/Super Admin, Administrator, National Coordinator (any scope), Zonal Coordinator (own zone), Fellowship President (own fellowship)
+const createProject = asyncHandler(async (req, res) => {
+    const { name, description, category, scope, fellowshipId, zoneId, targetAmount, deadline } = req.body;
+
+    // 1. Basic Validation
+    if (!name || !scope || targetAmount === undefined) {
+        res.status(400);
+        throw new Error('Please provide name, scope and targetAmount.');
+    }
+    if (!PROJECT_SCOPES.includes(scope)) {
+        res.status(400);
+        throw new Error(`Invalid scope. Must be one of: ${PROJECT_SCOPES.join(', ')}.`);
+    }
+    if (category !== undefined && !PROJECT_CATEGORIES.includes(category)) {
+        res.status(400);
+        throw new Error(`Invalid category. Must be one of: ${PROJECT_CATEGORIES.join(', ')}.`);
+    }
+    validateTargetAndDeadline(res, targetAmount, deadline);
+
+    // 2. Check the fellowship or zone the project belongs to
+    if (scope === 'fellowship') {
+        if (!mongoose.isValidObjectId(fellowshipId) || !(await Fellowship.exists({ _id: fellowshipId }))) {
+            res.status(400);
+            throw new Error('Fellowship projects need a valid fellowshipId.');
+        }
+    }
+    if (scope === 'zone') {
+        if (!mongoose.isValidObjectId(zoneId) || !(await Zone.exists({ _id: zoneId }))) {
+            res.status(400);
+            throw new Error('Zone projects need a valid zoneId.');
+        }
+    }
+
+    const project = new Project({
+        name,
+        description,
+        category,
+        scope,
+        fellowship: scope === 'fellowship' ? fellowshipId : undefined,
+        zone: scope === 'zone' ? zoneId : undefined,
+        targetAmount: toMinorUnits(targetAmount),
+        deadline: deadline ? new Date(deadline) : undefined,
+        createdBy: req.user._id,
+    });
+
+    // 3. Authorization depends on who the project belongs to
+    if (!(await canManageProject(req.user, project))) {
+        res.status(403);
+        throw new Error(`You are not authorized to create ${scope} projects${scope === 'national' ? '' : ` for this ${scope}`}.`);
+    }
+
+    const createdProject = await project.save();
+    res.status(201).json(createdProject);
+});
+
+// @desc    Get the projects visible to the user, with progress toward each target
+// @route   GET /api/projects?scope=<scope>&status=<status>&category=<category>
+// @access  Private (scoped by role in controller)
+const getProjects = asyncHandler(async (req, res) => {
+    const { scope, status, category } = req.query;
+
+    const visibleQuery = await getVisibleProjectsQuery(req.user);
+    if (!visibleQuery) {
+        res.status(403);
+        throw new Error('Not authorized to view projects.');
+    }
+
+    let query = { ...visibleQuery };
+    if (scope) query.scope = scope;
+    if (status) query.status = status;
+    if (category) query.category = category;
+
+    const projects = await Project.find(query)
+        .populate('fellowship', 'name')
+        .populate('zone', 'name')
+        .sort({ status: 1, deadline: 1, createdAt: -1 });
+    const progressById = await getProjectProgress(projects);
+
+    res.status(200).json(projects.map(project => ({
+        ...project.toObject(),
+        progress: progressById[project._id.toString()],
+    })));
+});
+
+// @desc    Get a project with its progress, donations by fellowship and pledges
+// @route   GET /api/projects/:id
+// @access  Private (scoped by role in controller)
+const getProjectById = asyncHandler(async (req, res) => {
+    const project = await findVisibleProject(req, res);
+    await project.populate([
+        { path: 'fellowship', select: 'name' },
+        { path: 'zone', select: 'name' },
+        { path: 'createdBy', select: 'name email' },
+    ]);
+
+    // Donations and pledges of other fellowships stay out of a Fellowship President's or
+    // Zonal Coordinator's view; the progress totals cover everyone
+    const fellowshipIds = await getFellowshipScope(req.user);
+
+    // 1. Progress toward the target
+    const progressById = await getProjectProgress([project]);
+
+    // 2. Approved donations by fellowship
+    const donationMatch = { 'projectDonations.project': project._id };
+    const fellowshipFilter = fellowshipIds ? { fellowship: { $in: fellowshipIds } } : {};
+    const donationsByFellowship = await FinancialReport.aggregate([
+        { $match: { status: 'approved', ...donationMatch, ...fellowshipFilter } },
+        { $unwind: '$projectDonations' },
+        { $match: donationMatch },
+        { $group: { _id: '$fellowship', raised: { $sum: '$projectDonations.amount' }, donationCount: { $sum: 1 } } },
+        { $lookup: { from: 'fellowships', localField: '_id', foreignField: '_id', as: 'fellowship' } },
+        { $unwind: '$fellowship' },
+        { $project: { _id: 0, fellowshipId: '$_id', fellowshipName: '$fellowship.name', raised: 1, donationCount: 1 } },
+        { $sort: { raised: -1 } },
+    ]);
+
+    // 3. Pledges, with how much of each has been redeemed
+    const pledges = await Pledge.find({ project: project._id, ...fellowshipFilter })
+        .populate('fellowship', 'name')
+        .populate('recordedBy', 'name email')
+        .sort({ dueDate: 1, createdAt: 1 });
+    const fulfilledById = await getPledgeFulfilment(pledges.map(pledge => pledge._id));
+
+    res.status(200).json({
+        ...project.toObject(),
+        progress: progressById[project._id.toString()],
+        donationsByFellowship: donationsByFellowship.map(row => ({ ...row, raised: fromMinorUnits(row.raised) })),
+        pledges: pledges.map(pledge => {
+            const fulfilled = fulfilledById[pledge._id.toString()] || 0;
+            return {
+                ...pledge.toObject(),
+                fulfilledAmount: fromMinorUnits(fulfilled),
+                outstandingAmount: pledge.status === 'active' ? fromMinorUnits(Math.max(0, pledge.amount - fulfilled)) : 0,
+            };
+        }),
+    });
+});
+
+// @desc    Update a project (target, deadline, status, details)
+// @route   PUT /api/projects/:id
+// @access  Private (whoever can create the project, checked in controller)
+const updateProject = asyncHandler(async (req, res) => {
+    const { name, description, category, targetAmount, deadline, status } = req.body;
+
+    const project = await findVisibleProject(req, res);
+    if (!(await canManageProject(req.user, project))) {
+        res.status(403);
+        throw new Error('Not authorized to update this project.');
+    }
+
+    if (category !== undefined && !PROJECT_CATEGORIES.includes(category)) {
+        res.status(400);
+        throw new Error(`Invalid category. Must be one of: ${PROJECT_CATEGORIES.join(', ')}.`);
+    }
+    if (status !== undefined && !PROJECT_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status. Must be one of: ${PROJECT_STATUSES.join(', ')}.`);
+    }
+    validateTargetAndDeadline(res, targetAmount, deadline);
+
+    // The scope and owner of a project are fixed; donations already recorded depend on them
+    project.name = name || project.name;
+    project.description = description !== undefined ? description : project.description;
+    project.category = category || project.category;
+    if (targetAmount !== undefined) project.targetAmount = toMinorUnits(targetAmount);
+    if (deadline !== undefined) project.deadline = deadline ? new Date(deadline) : undefined;
+    project.status = status || project.status;
+
+    const updatedProject = await project.save();
+    res.status(200).json(updatedProject);
+});
+
+// @desc    Record a pledge toward a project, made through a fellowship
+// @route   POST /api/projects/:id/pledges
+// @access  Private/Super Admin, Administrator, National Coordinator, Zonal Coordinator (own zone), Fellowship President (own fellowship)
+const createPledge = asyncHandler(async (req, res) => {
+    const { fellowshipId, pledgerName, amount, dueDate, notes } = req.body;
+
+    // 1. Basic Validation
+    if (!fellowshipId || !pledgerName || amount === undefined) {
+        res.status(400);
+        throw new Error('Please provide fellowshipId, pledgerName and amount.');
+    }
+    if (!isMoneyAmount(amount) || amount === 0) {
+        res.status(400);
+        throw new Error('amount must be a positive amount with at most two decimal places.');
+    }
+    if (dueDate !== undefined && isNaN(new Date(dueDate).getTime())) {
+        res.status(400);
+        throw new Error('Invalid dueDate format. Please use YYYY-MM-DD.');
+    }
+    if (!mongoose.isValidObjectId(fellowshipId)) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId.');
+    }
+
+    // 2. The project must be active and open to the fellowship
+    const project = await findVisibleProject(req, res);
+    if (project.status !== 'active') {
+        res.status(400);
+        throw new Error(`Project is ${project.status}. Pledges can only be made to active projects.`);
+    }
+    const fellowship = await Fellowship.findById(fellowshipId);
+    if (!fellowship) {
+        res.status(404);
+        throw new Error('Fellowship not found.');
+    }
+    if (!project.coversFellowship(fellowship)) {
+        res.status(400);
+        throw new Error('This project is not open to the given fellowship.');
+    }
+
+    // 3. Authorization
+    if (!canRecordPledge(req.user, fellowship)) {
+        res.status(403);
+        throw new Error('You are not authorized to record pledges for this fellowship.');
+    }
+
+    const pledge = await Pledge.create({
+        project: project._id,
+        fellowship: fellowship._id,
+        pledgerName,
+        amount: toMinorUnits(amount),
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+        notes,
+        recordedBy: req.user._id,
+    });
+
+    res.status(201).json(pledge);
+});
+
+// @desc    Cancel a pledge (it no longer counts toward pledged totals; redeemed donations stay raised)
+// @route   PUT /api/projects/:id/pledges/:pledgeId/cancel
+// @access  Private (whoever can record the pledge, checked in controller)
+const cancelPledge = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const project = await findVisibleProject(req, res);
+    if (!mongoose.isValidObjectId(req.params.pledgeId)) {
+        res.status(400);
+        throw new Error('Invalid pledge ID.');
+    }
+    const pledge = await Pledge.findOne({ _id: req.params.pledgeId, project: project._id })
+        .populate('fellowship', 'zone');
+    if (!pledge) {
+        res.status(404);
+        throw new Error('Pledge not found for this project.');
+    }
+    if (!pledge.fellowship || !canRecordPledge(req.user, pledge.fellowship)) {
+        res.status(403);
+        throw new Error('Not authorized to cancel this pledge.');
+    }
+    if (pledge.status === 'cancelled') {
+        res.status(400);
+        throw new Error('Pledge is already cancelled.');
+    }
+
+    pledge.status = 'cancelled';
+    pledge.cancelledBy = req.user._id;
+    pledge.cancellationReason = reason;
+
+    const updatedPledge = await pledge.save();
+    res.status(200).json(updatedPledge);
+});
+
+module.exports = {
+    createProject,
+    getProjects,
+    getProjectById,
+    updateProject,
+    createPledge,
+    cancelPledge,
+};
@@ -0,0 +1,342 @@
+// backend/controllers/reconciliationController.js
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BankStatement = require('../models/bankStatementModel');
+const BankStatementLine = require('../models/bankStatementLineModel');
+const Remittance = require('../models/remittanceModel');
+const FinancialReport = require('../models/financialReportModel');
+const { parseBankStatementCsv } = require('../utils/bankStatementParser');
+const { proposeMatches, matchKey } = require('../utils/levyMatcher');
+const { fromMinorUnits } = require('../utils/money');
+const { postRemittance } = require('../utils/ledger');
+
+// Lines still waiting for the Accountant
+const QUEUE_STATUSES = ['unmatched', 'proposed'];
+
+// Identifies a transaction across overlapping statements. `occurrence` keeps genuinely
+// repeated transactions (same day, amount and narration) within one file apart.
+const getLineFingerprint = (line, occurrence) => {
+    return crypto.createHash('sha256')
+        .update([line.transactionDate.toISOString(), line.amount, line.narration, line.reference, occurrence].join('|'))
+        .digest('hex');
+};
+
+// Loads and checks the levy payment a line is being confirmed against. `match` is either
+// { remittance } (a pending declaration) or { financialReport, levyType } (an undeclared levy).
+// Returns the match to record on the line, with the remittance/report it refers to.
+const resolveMatch = async (res, line, match) => {
+    if (match.remittance) {
+        const remittance = await Remittance.findById(match.remittance);
+        if (!remittance) {
+            res.status(404);
+            throw new Error('Remittance not found.');
+        }
+        if (remittance.status !== 'pending') {
+            res.status(400);
+            throw new Error(`Remittance is already ${remittance.status}. Only pending remittances can be matched.`);
+        }
+        if (remittance.amount !== line.amount) {
+            res.status(400);
+            throw new Error(`The line amount (${fromMinorUnits(line.amount)}) does not match the declared remittance (${fromMinorUnits(remittance.amount)}).`);
+        }
+        return {
+            remittance,
+            match: {
+                remittance: remittance._id,
+                financialReport: remittance.financialReport,
+                fellowship: remittance.fellowship,
+                levyType: remittance.levyType,
+            },
+        };
+    }
+
+    if (!Remittance.LEVY_FIELDS[match.levyType]) {
+        res.status(400);
+        throw new Error('Invalid levyType. Must be "zonal" or "national".');
+    }
+    const report = await FinancialReport.findById(match.financialReport);
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+    if (report.status !== 'approved') {
+        res.status(400);
+        throw new Error('Levy payments can only be matched to approved financial reports.');
+    }
+    const outstanding = report[Remittance.LEVY_FIELDS[match.levyType]] -
+        await Remittance.getDeclaredAmount(report._id, match.levyType);
+    if (line.amount > outstanding) {
+        res.status(400);
+        throw new Error(`The line amount (${fromMinorUnits(line.amount)}) exceeds the outstanding ${match.levyType} levy of ${fromMinorUnits(outstanding)} for this report.`);
+    }
+    return {
+        report,
+        match: {
+            financialReport: report._id,
+            fellowship: report.fellowship,
+            levyType: match.levyType,
+        },
+    };
+};
+
+// @desc    Import a bank statement CSV and propose levy matches for its credit lines
+// @route   POST /api/reconciliation/statements (multipart: file)
+// @access  Private/Accountant
+const importBankStatement = asyncHandler(async (req, res) => {
+    // 1. Basic Validation
+    if (!req.file) {
+        res.status(400);
+        throw new Error('Please attach the bank statement CSV in the "file" field.');
+    }
+
+    let parsed;
+    try {
+        parsed = parseBankStatementCsv(req.file.buffer.toString('utf8'));
+    } catch (error) {
+        res.status(400);
+        throw new Error(`Could not read bank statement: ${error.message}`);
+    }
+    if (parsed.lines.length === 0) {
+        res.status(400);
+        throw new Error('No credit transactions were found in this bank statement.');
+    }
+
+    // 2. Skip lines already imported from an earlier, overlapping statement
+    const occurrences = {};
+    const parsedLines = parsed.lines.map(line => {
+        const baseKey = getLineFingerprint(line, 0);
+        occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+        return { ...line, fingerprint: getLineFingerprint(line, occurrences[baseKey] - 1) };
+    });
+    const existing = await BankStatementLine.find({ fingerprint: { $in: parsedLines.map(line => line.fingerprint) } })
+        .select('fingerprint');
+    const existingFingerprints = new Set(existing.map(line => line.fingerprint));
+    const newLines = parsedLines.filter(line => !existingFingerprints.has(line.fingerprint));
+
+    // 3. Record the statement and queue its new lines
+    const dates = parsedLines.map(line => line.transactionDate.getTime());
+    const statement = await BankStatement.create({
+        originalName: req.file.originalname,
+        layout: parsed.layout,
+        periodStart: new Date(Math.min(...dates)),
+        periodEnd: new Date(Math.max(...dates)),
+        lineCount: newLines.length,
+        duplicateCount: parsedLines.length - newLines.length,
+        skippedCount: parsed.skipped,
+        importedBy: req.user._id,
+    });
+
+    const lines = await BankStatementLine.insertMany(
+        newLines.map(line => ({ ...line, statement: statement._id, status: 'unmatched' }))
+    );
+
+    // 4. Propose matches against pending declarations and outstanding levies
+    const proposedCount = await proposeMatches(lines);
+
+    res.status(201).json({
+        statement,
+        proposedCount,
+        unmatchedCount: lines.length - proposedCount,
+    });
+});
+
+// @desc    Get imported bank statements
+// @route   GET /api/reconciliation/statements
+// @access  Private/Accountant
+const getBankStatements = asyncHandler(async (req, res) => {
+    const statements = await BankStatement.find({})
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(statements);
+});
+
+// @desc    Get statement lines (defaults to the reconciliation queue: unmatched and proposed lines)
+// @route   GET /api/reconciliation/lines?status=<status>&statementId=<ID>
+// @access  Private/Accountant
+const getStatementLines = asyncHandler(async (req, res) => {
+    const { status, statementId } = req.query;
+
+    let query = { status: { $in: QUEUE_STATUSES } };
+    if (status) query.status = status;
+    if (statementId) {
+        if (!mongoose.isValidObjectId(statementId)) {
+            res.status(400);
+            throw new Error('Invalid statementId.');
+        }
+        query.statement = statementId;
+    }
+
+    const lines = await BankStatementLine.find(query)
+        .populate('proposedMatch.fellowship', 'name')
+        .populate('proposedMatch.financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('proposedMatch.remittance', 'amount paymentDate reference status')
+        .populate('remittance', 'amount levyType financialReport status')
+        .sort({ transactionDate: 1, rowNumber: 1 });
+
+    res.status(200).json(lines);
+});
+
+// @desc    Re-run matching for unmatched lines (e.g. after presidents declare more payments)
+// @route   POST /api/reconciliation/lines/rematch
+// @access  Private/Accountant
+const rematchStatementLines = asyncHandler(async (req, res) => {
+    const lines = await BankStatementLine.find({ status: 'unmatched' });
+    const proposedCount = await proposeMatches(lines);
+
+    res.status(200).json({
+        proposedCount,
+        unmatchedCount: lines.length - proposedCount,
+    });
+});
+
+// @desc    Confirm a statement line as a levy payment, using the proposed match or one chosen by the Accountant
+// @route   PUT /api/reconciliation/lines/:id/confirm
+// @access  Private/Accountant
+const confirmStatementLine = asyncHandler(async (req, res) => {
+    const { remittanceId, financialReportId, levyType } = req.body; // Optional: overrides the proposed match
+    const user = req.user;
+
+    const line = await BankStatementLine.findById(req.params.id);
+    if (!line) {
+        res.status(404);
+        throw new Error('Statement line not found.');
+    }
+    if (!QUEUE_STATUSES.includes(line.status)) {
+        res.status(400);
+        throw new Error(`Statement line is already ${line.status}.`);
+    }
+
+    // 1. Work out what the line is being matched to
+    let requestedMatch;
+    if (remittanceId) {
+        if (!mongoose.isValidObjectId(remittanceId)) {
+            res.status(400);
+            throw new Error('Invalid remittanceId.');
+        }
+        requestedMatch = { remittance: remittanceId };
+    } else if (financialReportId) {
+        if (!mongoose.isValidObjectId(financialReportId)) {
+            res.status(400);
+            throw new Error('Invalid financialReportId.');
+        }
+        requestedMatch = { financialReport: financialReportId, levyType };
+    } else if (line.proposedMatch) {
+        requestedMatch = line.proposedMatch;
+    } else {
+        res.status(400);
+        throw new Error('This line has no proposed match. Provide remittanceId, or financialReportId and levyType.');
+    }
+
+    // 2. Claim the line, so two Accountants confirming it at once cannot both record the payment
+    const claimed = await BankStatementLine.findOneAndUpdate(
+        { _id: line._id, status: { $in: QUEUE_STATUSES } },
+        { status: 'reconciling' },
+        { new: true }
+    );
+    if (!claimed) {
+        res.status(400);
+        throw new Error('Statement line is already being reconciled.');
+    }
+
+    let remittance;
+    let match;
+    const now = new Date();
+    try {
+        // 3. Re-check it against the current state of the remittance or report
+        const resolved = await resolveMatch(res, line, requestedMatch);
+        match = resolved.match;
+        remittance = resolved.remittance;
+
+        // 4. Confirm the declared remittance, or record the undeclared payment as a confirmed remittance
+        if (remittance) {
+            remittance.status = 'confirmed';
+            remittance.confirmedBy = user._id;
+            remittance.confirmationDate = now;
+            remittance.rejectionReason = undefined;
+            remittance.bankStatementLine = line._id;
+            await remittance.save();
+        } else {
+            remittance = await Remittance.create({
+                financialReport: match.financialReport,
+                fellowship: match.fellowship,
+                levyType: match.levyType,
+                amount: line.amount,
+                paymentDate: line.transactionDate,
+                paymentMethod: 'bank_transfer',
+                reference: line.reference || undefined,
+                notes: `Matched from bank statement: ${line.narration}`,
+                bankStatementLine: line._id,
+                declaredBy: user._id,
+                status: 'confirmed',
+                confirmedBy: user._id,
+                confirmationDate: now,
+            });
+        }
+    } catch (error) {
+        // Nothing was recorded: put the line back in the queue
+        await BankStatementLine.updateOne({ _id: line._id, status: 'reconciling' }, { status: line.status });
+        throw error;
+    }
+    await postRemittance(remittance, user._id); // Clears the levy payable in the ledger
+
+    // 5. Take the line out of the queue
+    const isProposedMatch = line.proposedMatch && matchKey(line.proposedMatch) === matchKey(match);
+    if (!isProposedMatch) line.proposedMatch = match; // Manual match: no matcher score
+    line.status = 'reconciled';
+    line.remittance = remittance._id;
+    line.reconciledBy = user._id;
+    line.reconciledAt = now;
+    const updatedLine = await line.save();
+
+    res.status(200).json({
+        line: updatedLine,
+        remittance,
+    });
+});
+
+// @desc    Reject a proposed match (the line returns to the queue), or ignore a line that is not a levy payment
+// @route   PUT /api/reconciliation/lines/:id/reject
+// @access  Private/Accountant
+const rejectStatementLine = asyncHandler(async (req, res) => {
+    const { ignore, notes } = req.body; // ignore: true drops the line from the queue for good
+
+    const line = await BankStatementLine.findById(req.params.id);
+    if (!line) {
+        res.status(404);
+        throw new Error('Statement line not found.');
+    }
+    if (!QUEUE_STATUSES.includes(line.status)) {
+        res.status(400);
+        throw new Error(`Statement line is already ${line.status}.`);
+    }
+
+    if (ignore) {
+        line.status = 'ignored';
+        line.reconciledBy = req.user._id;
+        line.reconciledAt = new Date();
+    } else {
+        if (!line.proposedMatch) {
+            res.status(400);
+            throw new Error('This line has no proposed match to reject. Use ignore to remove it from the queue.');
+        }
+        line.rejectedMatches.push(line.proposedMatch.toObject());
+        line.proposedMatch = undefined;
+        line.status = 'unmatched';
+    }
+    if (notes !== undefined) line.notes = notes;
+
+    const updatedLine = await line.save();
+
+    res.status(200).json(updatedLine);
+});
+
+module.exports = {
+    importBankStatement,
+    getBankStatements,
+    getStatementLines,
+    rematchStatementLines,
+    confirmStatementLine,
+    rejectStatementLine,
+};
@@ -0,0 +1,494 @@
+// backend/controllers/remittanceController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Remittance = require('../models/remittanceModel');
+const PaymentIntent = require('../models/paymentIntentModel');
+const FinancialReport = require('../models/financialReportModel');
+const Fellowship = require('../models/fellowshipModel');
+const { getFellowshipScope } = require('../utils/fellowshipScope');
+const { canViewFinancialReport } = require('../utils/reportAccess');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { postRemittance } = require('../utils/ledger');
+
+const { LEVY_FIELDS } = Remittance;
+
+// Aging buckets for unpaid levies, by days since the report was approved (the levy fell due)
+const AGING_BUCKETS = [
+    { key: '0-30', maxDays: 30 },
+    { key: '31-60', maxDays: 60 },
+    { key: '61-90', maxDays: 90 },
+    { key: '90+', maxDays: Infinity },
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getAgingBucket = (days) => AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+
+// @desc    Declare a levy payment against an approved financial report
+// @route   POST /api/remittances
+// @access  Private/Fellowship President RCF/RCCF
+const declareRemittance = asyncHandler(async (req, res) => {
+    const {
+        financialReportId,
+        levyType, // 'zonal' or 'national'
+        amount,
+        paymentDate, // 'YYYY-MM-DD'
+        paymentMethod,
+        reference,
+        notes,
+    } = req.body;
+
+    const user = req.user;
+
+    // 1. Basic Validation
+    if (!financialReportId || !levyType || amount === undefined || !paymentDate) {
+        res.status(400);
+        throw new Error('Please provide financialReportId, levyType, amount and paymentDate.');
+    }
+    if (!LEVY_FIELDS[levyType]) {
+        res.status(400);
+        throw new Error('Invalid levyType. Must be "zonal" or "national".');
+    }
+    if (!isMoneyAmount(amount) || amount === 0) {
+        res.status(400);
+        throw new Error('Amount must be a positive amount with at most two decimal places.');
+    }
+    const paymentDateInput = new Date(paymentDate);
+    if (isNaN(paymentDateInput.getTime())) {
+        res.status(400);
+        throw new Error('Invalid paymentDate format. Please use YYYY-MM-DD.');
+    }
+
+    // 2. The report must exist, belong to the president's fellowship and be approved
+    const report = await FinancialReport.findById(financialReportId);
+    if (!report) {
+        res.status(404);
+        throw new Error('Financial report not found.');
+    }
+    if (!user.fellowship || !user.fellowship.equals(report.fellowship)) {
+        res.status(403);
+        throw new Error('You are not authorized to declare payments for this fellowship.');
+    }
+    if (report.status !== 'approved') {
+        res.status(400);
+        throw new Error('Levy payments can only be declared against approved financial reports.');
+    }
+
+    // 3. Prevent declaring more than is still owed on this report's levy (compared in minor units)
+    const amountInMinorUnits = toMinorUnits(amount);
+    const levyDue = report[LEVY_FIELDS[levyType]];
+    const alreadyDeclared = await Remittance.getDeclaredAmount(report._id, levyType);
+    const remaining = levyDue - alreadyDeclared;
+    if (amountInMinorUnits > remaining) {
+        res.status(400);
+        throw new Error(`Amount exceeds the outstanding ${levyType} levy of ${fromMinorUnits(remaining)} for this report.`);
+    }
+
+    // 4. Declarations for the same levy are recorded one at a time: if another one was made
+    // since the report was read, the outstanding levy above may be out of date
+    if (!await FinancialReport.claimLevyDeclaration(report, levyType)) {
+        res.status(409);
+        throw new Error(`Another ${levyType} levy payment was declared for this report at the same time. Please try again.`);
+    }
+
+    // 5. Create the declaration
+    const remittance = await Remittance.create({
+        financialReport: report._id,
+        fellowship: report.fellowship,
+        levyType,
+        amount: amountInMinorUnits,
+        paymentDate: paymentDateInput,
+        paymentMethod,
+        reference,
+        notes,
+        declaredBy: user._id,
+        status: 'pending',
+    });
+
+    // 6. Check again now that it is recorded, in case a payment made another way (e.g. online)
+    // was declared in the meantime
+    if (await Remittance.getDeclaredAmount(report._id, levyType) > levyDue) {
+        await remittance.deleteOne();
+        res.status(400);
+        throw new Error(`Amount exceeds the outstanding ${levyType} levy for this report; another payment was declared at the same time.`);
+    }
+
+    if (remittance) {
+        res.status(201).json(remittance);
+    } else {
+        res.status(400);
+        throw new Error('Invalid remittance data.');
+    }
+});
+
+// @desc    Get remittances (filtered by fellowship, zone, report, levy type, status)
+// @route   GET /api/remittances
+// @access  Private (varies by role: Accountant, Zonal Coordinator, National Coordinator, Super Admin, Admin, Fellowship President)
+const getRemittances = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId, financialReportId, levyType, status } = req.query;
+    const user = req.user;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view remittances.');
+    }
+
+    let query = {};
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+    if (financialReportId) query.financialReport = financialReportId;
+    if (levyType) query.levyType = levyType;
+    if (status) query.status = status;
+
+    const remittances = await Remittance.find(query)
+        .populate('fellowship', 'name zone')
+        .populate('financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('declaredBy', 'name email')
+        .populate('confirmedBy', 'name email')
+        .sort({ paymentDate: -1 });
+
+    res.status(200).json(remittances);
+});
+
+// @desc    Get a single remittance by ID
+// @route   GET /api/remittances/:id
+// @access  Private (role-based)
+const getRemittanceById = asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    const remittance = await Remittance.findById(req.params.id)
+        .populate('fellowship', 'name zone')
+        .populate('financialReport', 'reportingMonth zonalLevy nationalLevy')
+        .populate('declaredBy', 'name email')
+        .populate('confirmedBy', 'name email');
+
+    if (!remittance) {
+        res.status(404);
+        throw new Error('Remittance not found.');
+    }
+
+    // Authorization check (same rules as the financial report it settles)
+    if (!canViewFinancialReport(user, remittance)) {
+        res.status(403);
+        throw new Error('Not authorized to view this remittance.');
+    }
+
+    res.status(200).json(remittance);
+});
+
+// @desc    Confirm/Reject a declared levy payment
+// @route   PUT /api/remittances/:id/confirm-reject
+// @access  Private/Accountant
+const confirmRejectRemittance = asyncHandler(async (req, res) => {
+    const { status, rejectionReason } = req.body; // status: 'confirmed' or 'rejected'
+
+    if (!['confirmed', 'rejected'].includes(status)) {
+        res.status(400);
+        throw new Error('Invalid status. Must be "confirmed" or "rejected".');
+    }
+
+    const remittance = await Remittance.findById(req.params.id);
+
+    if (!remittance) {
+        res.status(404);
+        throw new Error('Remittance not found.');
+    }
+
+    if (remittance.status !== 'pending') {
+        res.status(400);
+        throw new Error(`Remittance is already ${remittance.status}. Cannot change status.`);
+    }
+
+    // Online payments are settled by the payment provider's webhook, or through the payment
+    // review when it reported a problem
+    if (remittance.paymentIntent && await PaymentIntent.exists({ _id: remittance.paymentIntent, status: 'pending' })) {
+        res.status(400);
+        throw new Error('This online payment is still in progress and will be confirmed by the payment provider.');
+    }
+    if (remittance.paymentIntent && await PaymentIntent.exists({ _id: remittance.paymentIntent, status: 'needs_review' })) {
+        res.status(400);
+        throw new Error('This online payment is waiting for review. Settle it through the payment review instead.');
+    }
+
+    remittance.status = status;
+    remittance.confirmedBy = req.user._id;
+    remittance.confirmationDate = new Date();
+
+    if (status === 'rejected') {
+        if (!rejectionReason) {
+            res.status(400);
+            throw new Error('Rejection reason is required for rejected remittances.');
+        }
+        remittance.rejectionReason = rejectionReason;
+    } else { // status === 'confirmed'
+        remittance.rejectionReason = undefined;
+    }
+
+    const updatedRemittance = await remittance.save();
+    await postRemittance(updatedRemittance, req.user._id); // Clears the levy payable in the ledger
+
+    res.status(200).json(updatedRemittance);
+});
+
+// @desc    Get outstanding levy balances per fellowship and per zone
+// @route   GET /api/remittances/outstanding?fellowshipId=<ID>&zoneId=<ID>
+// @access  Private (role-based, same scoping as GET /api/remittances)
+const getOutstandingBalances = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId } = req.query;
+    const user = req.user;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view outstanding balances.');
+    }
+
+    const fellowshipMatch = fellowshipIds ? { fellowship: { $in: fellowshipIds } } : {};
+
+    // Levies owed: everything computed on approved reports
+    const leviesDue = await FinancialReport.aggregate([
+        { $match: { ...fellowshipMatch, status: 'approved' } },
+        {
+            $group: {
+                _id: '$fellowship',
+                zonalLevyDue: { $sum: '$zonalLevy' },
+                nationalLevyDue: { $sum: '$nationalLevy' }
+            }
+        }
+    ]);
+
+    // Levies paid: only remittances an accountant has confirmed
+    const leviesPaid = await Remittance.aggregate([
+        { $match: { ...fellowshipMatch, status: 'confirmed' } },
+        {
+            $group: {
+                _id: { fellowship: '$fellowship', levyType: '$levyType' },
+                total: { $sum: '$amount' }
+            }
+        }
+    ]);
+
+    const balancesByFellowship = {};
+    const getBalance = (id) => {
+        const key = id.toString();
+        if (!balancesByFellowship[key]) {
+            balancesByFellowship[key] = {
+                fellowshipId: id,
+                zonalLevyDue: 0,
+                zonalLevyPaid: 0,
+                nationalLevyDue: 0,
+                nationalLevyPaid: 0,
+            };
+        }
+        return balancesByFellowship[key];
+    };
+
+    leviesDue.forEach(data => {
+        const balance = getBalance(data._id);
+        balance.zonalLevyDue = data.zonalLevyDue;
+        balance.nationalLevyDue = data.nationalLevyDue;
+    });
+    leviesPaid.forEach(data => {
+        const balance = getBalance(data._id.fellowship);
+        balance[`${data._id.levyType}LevyPaid`] = data.total;
+    });
+
+    const fellowships = await Fellowship.find({ _id: { $in: Object.values(balancesByFellowship).map(b => b.fellowshipId) } })
+        .select('name zone')
+        .populate('zone', 'name');
+
+    // Totals are summed in minor units and converted to major units for the response
+    const zoneTotals = {};
+    const fellowshipBalances = fellowships.map(fellowship => {
+        const balance = balancesByFellowship[fellowship._id.toString()];
+        const zonalLevyOutstanding = balance.zonalLevyDue - balance.zonalLevyPaid;
+        const nationalLevyOutstanding = balance.nationalLevyDue - balance.nationalLevyPaid;
+
+        if (fellowship.zone) {
+            const zoneKey = fellowship.zone._id.toString();
+            if (!zoneTotals[zoneKey]) {
+                zoneTotals[zoneKey] = {
+                    zone: fellowship.zone,
+                    zonalLevyOutstanding: 0,
+                    nationalLevyOutstanding: 0,
+                    totalOutstanding: 0,
+                };
+            }
+            zoneTotals[zoneKey].zonalLevyOutstanding += zonalLevyOutstanding;
+            zoneTotals[zoneKey].nationalLevyOutstanding += nationalLevyOutstanding;
+            zoneTotals[zoneKey].totalOutstanding += zonalLevyOutstanding + nationalLevyOutstanding;
+        }
+
+        return {
+            fellowship: { _id: fellowship._id, name: fellowship.name, zone: fellowship.zone },
+            zonalLevyDue: balance.zonalLevyDue,
+            zonalLevyPaid: balance.zonalLevyPaid,
+            zonalLevyOutstanding,
+            nationalLevyDue: balance.nationalLevyDue,
+            nationalLevyPaid: balance.nationalLevyPaid,
+            nationalLevyOutstanding,
+            totalOutstanding: zonalLevyOutstanding + nationalLevyOutstanding,
+        };
+    });
+
+    const toMajorUnits = (totals) => {
+        const converted = { ...totals };
+        Object.keys(converted).forEach(key => {
+            if (typeof converted[key] === 'number') converted[key] = fromMinorUnits(converted[key]);
+        });
+        return converted;
+    };
+
+    res.status(200).json({
+        fellowships: fellowshipBalances.sort((a, b) => b.totalOutstanding - a.totalOutstanding).map(toMajorUnits),
+        zones: Object.values(zoneTotals).map(toMajorUnits),
+        totalOutstanding: fromMinorUnits(fellowshipBalances.reduce((sum, b) => sum + b.totalOutstanding, 0)),
+    });
+});
+
+// @desc    Get unpaid levies grouped into 0-30, 31-60, 61-90 and 90+ day aging buckets
+// @route   GET /api/remittances/aging?zoneId=<ID>&fellowshipId=<ID>&levyType=<zonal|national>&asOf=<YYYY-MM-DD>
+// @access  Private (role-based, same scoping as GET /api/remittances)
+const getLevyAging = asyncHandler(async (req, res) => {
+    const { fellowshipId, zoneId, levyType, asOf } = req.query;
+    const user = req.user;
+
+    if ((fellowshipId && !mongoose.isValidObjectId(fellowshipId)) || (zoneId && !mongoose.isValidObjectId(zoneId))) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId or zoneId.');
+    }
+    if (levyType && !LEVY_FIELDS[levyType]) {
+        res.status(400);
+        throw new Error('Invalid levyType. Must be "zonal" or "national".');
+    }
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    if (isNaN(asOfDate.getTime())) {
+        res.status(400);
+        throw new Error('Invalid asOf date.');
+    }
+
+    const fellowshipIds = await getFellowshipScope(user, fellowshipId, zoneId);
+    if (fellowshipIds === false) {
+        res.status(403);
+        throw new Error('Not authorized to view outstanding levies.');
+    }
+
+    const fellowshipMatch = fellowshipIds ? { fellowship: { $in: fellowshipIds } } : {};
+    const levyTypes = levyType ? [levyType] : Object.keys(LEVY_FIELDS);
+
+    // 1. Levies owed on approved reports, and what has been confirmed as paid against each report
+    const reports = await FinancialReport.find({ ...fellowshipMatch, status: 'approved', approvalDate: { $lte: asOfDate } })
+        .select('fellowship reportingMonth approvalDate zonalLevy nationalLevy');
+    const paidAmounts = await Remittance.aggregate([
+        { $match: { financialReport: { $in: reports.map(r => r._id) }, status: 'confirmed', confirmationDate: { $lte: asOfDate } } },
+        {
+            $group: {
+                _id: { financialReport: '$financialReport', levyType: '$levyType' },
+                total: { $sum: '$amount' }
+            }
+        }
+    ]);
+    const paidByReportLevy = {};
+    paidAmounts.forEach(data => {
+        paidByReportLevy[`${data._id.financialReport}:${data._id.levyType}`] = data.total;
+    });
+
+    // 2. Age every unpaid levy from the day its report was approved
+    const itemsByFellowship = {};
+    reports.forEach(report => {
+        levyTypes.forEach(type => {
+            const outstanding = report[LEVY_FIELDS[type]] - (paidByReportLevy[`${report._id}:${type}`] || 0);
+            if (outstanding <= 0) return;
+
+            const daysOutstanding = Math.max(Math.floor((asOfDate - report.approvalDate) / DAY_MS), 0);
+            const key = report.fellowship.toString();
+            if (!itemsByFellowship[key]) itemsByFellowship[key] = [];
+            itemsByFellowship[key].push({
+                financialReport: report._id,
+                reportingMonth: report.reportingMonth,
+                levyType: type,
+                outstanding,
+                daysOutstanding,
+                bucket: getAgingBucket(daysOutstanding),
+            });
+        });
+    });
+
+    const fellowships = await Fellowship.find({ _id: { $in: Object.keys(itemsByFellowship) } })
+        .select('name zone')
+        .populate('zone', 'name');
+
+    // 3. Bucket totals per fellowship, per zone and overall (minor units, converted for the response)
+    const totals = emptyBuckets();
+    const zoneTotals = {};
+    const fellowshipAging = fellowships.map(fellowship => {
+        const items = itemsByFellowship[fellowship._id.toString()];
+        const buckets = emptyBuckets();
+        items.forEach(item => {
+            buckets[item.bucket] += item.outstanding;
+            totals[item.bucket] += item.outstanding;
+        });
+        const totalOutstanding = items.reduce((sum, item) => sum + item.outstanding, 0);
+
+        if (fellowship.zone) {
+            const zoneKey = fellowship.zone._id.toString();
+            if (!zoneTotals[zoneKey]) {
+                zoneTotals[zoneKey] = { zone: fellowship.zone, buckets: emptyBuckets(), totalOutstanding: 0 };
+            }
+            AGING_BUCKETS.forEach(bucket => { zoneTotals[zoneKey].buckets[bucket.key] += buckets[bucket.key]; });
+            zoneTotals[zoneKey].totalOutstanding += totalOutstanding;
+        }
+
+        return {
+            fellowship: { _id: fellowship._id, name: fellowship.name, zone: fellowship.zone },
+            buckets,
+            totalOutstanding,
+            oldestDaysOutstanding: Math.max(...items.map(item => item.daysOutstanding)),
+            items: items.sort((a, b) => b.daysOutstanding - a.daysOutstanding),
+        };
+    });
+
+    const bucketsToMajorUnits = (buckets) => {
+        const converted = {};
+        Object.keys(buckets).forEach(key => { converted[key] = fromMinorUnits(buckets[key]); });
+        return converted;
+    };
+
+    res.status(200).json({
+        asOf: asOfDate,
+        buckets: bucketsToMajorUnits(totals),
+        totalOutstanding: fromMinorUnits(Object.values(totals).reduce((sum, amount) => sum + amount, 0)),
+        zones: Object.values(zoneTotals).map(zone => ({
+            zone: zone.zone,
+            buckets: bucketsToMajorUnits(zone.buckets),
+            totalOutstanding: fromMinorUnits(zone.totalOutstanding),
+        })),
+        fellowships: fellowshipAging
+            .sort((a, b) => b.oldestDaysOutstanding - a.oldestDaysOutstanding || b.totalOutstanding - a.totalOutstanding)
+            .map(aging => ({
+                ...aging,
+                buckets: bucketsToMajorUnits(aging.buckets),
+                totalOutstanding: fromMinorUnits(aging.totalOutstanding),
+                items: aging.items.map(item => ({ ...item, outstanding: fromMinorUnits(item.outstanding) })),
+            })),
+    });
+});
+
+module.exports = {
+    declareRemittance,
+    getRemittances,
+    getRemittanceById,
+    confirmRejectRemittance,
+    getOutstandingBalances,
+    getLevyAging,
+};
@@ -0,0 +1,329 @@
+// backend/controllers/statementController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const Fellowship = require('../models/fellowshipModel');
+const Zone = require('../models/zoneModel');
+const { FINANCE_VIEW_ALL_ROLES, canViewFinancialReport } = require('../utils/reportAccess');
+const { fromMinorUnits } = require('../utils/money');
+const { sendCsv } = require('../utils/csv');
+
+const { INCOME_REPORT_FIELDS, EXPENSE_REPORT_FIELDS, REPORT_FIELD_LABELS } = FinanceCategory;
+
+// Get the start of a calendar month
+const getStartOfMonth = (date) => {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+// Reads ?from=&to= (any day of the first and last month, inclusive).
+// Defaults to the current calendar year up to this month.
+const getStatementPeriod = (res, from, to) => {
+    const now = new Date();
+    const fromDate = from ? new Date(from) : new Date(now.getFullYear(), 0, 1);
+    const toDate = to ? new Date(to) : now;
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        res.status(400);
+        throw new Error('Invalid from/to format. Please use YYYY-MM-DD.');
+    }
+
+    const fromMonth = getStartOfMonth(fromDate);
+    const toMonth = getStartOfMonth(toDate);
+    if (fromMonth > toMonth) {
+        res.status(400);
+        throw new Error('from must not be after to.');
+    }
+    return { fromMonth, toMonth };
+};
+
+// Totals a set of approved reports (all amounts in minor units): each fixed field with its
+// line-item categories (project donations by project), the levies, and the opening/closing balances of every fellowship
+// (first report's balance brought down, last report's balance carried forward).
+const summariseReports = (reports) => {
+    const fields = {};
+    [...INCOME_REPORT_FIELDS, ...EXPENSE_REPORT_FIELDS].forEach(field => {
+        fields[field] = { amount: 0, categories: {} };
+    });
+    const summary = { fields, zonalLevy: 0, nationalLevy: 0, openingBalance: 0, closingBalance: 0 };
+
+    const firstByFellowship = {};
+    const lastByFellowship = {};
+
+    reports.forEach(report => {
+        Object.keys(fields).forEach(field => {
+            fields[field].amount += report[field] || 0;
+        });
+        (report.lineItems || []).forEach(line => {
+            const categories = fields[line.reportField].categories;
+            const name = line.categoryName || 'Uncategorised';
+            categories[name] = (categories[name] || 0) + line.amount;
+        });
+        (report.projectDonations || []).forEach(donation => {
+            const categories = fields.projectDonation.categories;
+            const name = donation.projectName || 'Unnamed project';
+            categories[name] = (categories[name] || 0) + donation.amount;
+        });
+        summary.zonalLevy += report.zonalLevy;
+        summary.nationalLevy += report.nationalLevy;
+
+        const key = report.fellowship._id.toString();
+        if (!firstByFellowship[key] || report.reportingMonth < firstByFellowship[key].reportingMonth) {
+            firstByFellowship[key] = report;
+        }
+        if (!lastByFellowship[key] || report.reportingMonth > lastByFellowship[key].reportingMonth) {
+            lastByFellowship[key] = report;
+        }
+    });
+
+    Object.values(firstByFellowship).forEach(report => { summary.openingBalance += report.balanceBroughtDown; });
+    Object.values(lastByFellowship).forEach(report => { summary.closingBalance += report.balanceCarriedForward; });
+
+    summary.totalIncome = INCOME_REPORT_FIELDS.reduce((sum, field) => sum + fields[field].amount, 0);
+    summary.totalLevies = summary.zonalLevy + summary.nationalLevy;
+    summary.totalExpenditure = EXPENSE_REPORT_FIELDS.reduce((sum, field) => sum + fields[field].amount, 0) + summary.totalLevies;
+    summary.surplus = summary.totalIncome - summary.totalExpenditure;
+
+    return summary;
+};
+
+// Statement lines for one side (income or expenditure), in major units. Amounts that were
+// not itemised on line items appear as "Not itemised" next to the categories.
+const buildStatementLines = (summary, reportFields) => {
+    return reportFields.map(field => {
+        const { amount, categories } = summary.fields[field];
+        const itemised = Object.values(categories).reduce((sum, value) => sum + value, 0);
+        const categoryLines = Object.keys(categories).sort().map(name => ({ name, amount: fromMinorUnits(categories[name]) }));
+        if (categoryLines.length > 0 && amount > itemised) {
+            categoryLines.push({ name: 'Not itemised', amount: fromMinorUnits(amount - itemised) });
+        }
+        return { field, label: REPORT_FIELD_LABELS[field], amount: fromMinorUnits(amount), categories: categoryLines };
+    });
+};
+
+// Short totals for the per-fellowship / per-zone breakdown of a consolidated statement
+const buildBreakdownRow = (summary) => ({
+    totalIncome: fromMinorUnits(summary.totalIncome),
+    totalExpenditure: fromMinorUnits(summary.totalExpenditure),
+    zonalLevy: fromMinorUnits(summary.zonalLevy),
+    nationalLevy: fromMinorUnits(summary.nationalLevy),
+    surplus: fromMinorUnits(summary.surplus),
+    openingBalance: fromMinorUnits(summary.openingBalance),
+    closingBalance: fromMinorUnits(summary.closingBalance),
+});
+
+// Groups reports by a key and summarises each group
+const summariseBy = (reports, getKey) => {
+    const groups = {};
+    reports.forEach(report => {
+        const key = getKey(report);
+        if (!key) return;
+        (groups[key] = groups[key] || []).push(report);
+    });
+    return Object.entries(groups).map(([key, groupReports]) => ({ key, summary: summariseReports(groupReports) }));
+};
+
+// Builds the full statement for a scope from its approved reports in the period
+const buildStatement = (scope, period, allReports, breakdownBy) => {
+    const reports = allReports.filter(report => report.fellowship); // Skip reports of deleted fellowships
+    const summary = summariseReports(reports);
+
+    const statement = {
+        title: 'Income and Expenditure Statement',
+        scope,
+        period: { from: period.fromMonth, to: period.toMonth },
+        reportCount: reports.length,
+        income: {
+            lines: buildStatementLines(summary, INCOME_REPORT_FIELDS),
+            total: fromMinorUnits(summary.totalIncome),
+        },
+        expenditure: {
+            lines: buildStatementLines(summary, EXPENSE_REPORT_FIELDS),
+            levies: {
+                zonal: fromMinorUnits(summary.zonalLevy),
+                national: fromMinorUnits(summary.nationalLevy),
+                total: fromMinorUnits(summary.totalLevies),
+            },
+            total: fromMinorUnits(summary.totalExpenditure),
+        },
+        surplus: fromMinorUnits(summary.surplus),
+        openingBalance: fromMinorUnits(summary.openingBalance),
+        closingBalance: fromMinorUnits(summary.closingBalance),
+    };
+
+    if (breakdownBy === 'fellowship') {
+        statement.breakdown = summariseBy(reports, report => report.fellowship._id.toString())
+            .map(({ key, summary: groupSummary }) => {
+                const fellowship = reports.find(report => report.fellowship._id.toString() === key).fellowship;
+                return { fellowship: { _id: fellowship._id, name: fellowship.name }, ...buildBreakdownRow(groupSummary) };
+            })
+            .sort((a, b) => a.fellowship.name.localeCompare(b.fellowship.name));
+    } else if (breakdownBy === 'zone') {
+        statement.breakdown = summariseBy(reports, report => report.fellowship.zone && report.fellowship.zone._id.toString())
+            .map(({ key, summary: groupSummary }) => {
+                const zone = reports.find(report => report.fellowship.zone && report.fellowship.zone._id.toString() === key).fellowship.zone;
+                return { zone: { _id: zone._id, name: zone.name }, ...buildBreakdownRow(groupSummary) };
+            })
+            .sort((a, b) => a.zone.name.localeCompare(b.zone.name));
+    }
+
+    return statement;
+};
+
+// Approved reports for the given fellowships (null = all) within the period
+const findStatementReports = (fellowshipIds, period) => {
+    let query = {
+        status: 'approved',
+        reportingMonth: { $gte: period.fromMonth, $lte: period.toMonth },
+    };
+    if (fellowshipIds) query.fellowship = { $in: fellowshipIds };
+
+    return FinancialReport.find(query)
+        .select('fellowship reportingMonth lineItems projectDonations zonalLevy nationalLevy balanceBroughtDown balanceCarriedForward ' +
+            [...INCOME_REPORT_FIELDS, ...EXPENSE_REPORT_FIELDS].join(' '))
+        .populate({
+            path: 'fellowship',
+            select: 'name zone',
+            populate: { path: 'zone', select: 'name' }
+        })
+        .sort({ reportingMonth: 1 });
+};
+
+// Sends the statement as JSON, or as a CSV download when ?format=csv
+const sendStatement = (req, res, statement, filenameScope) => {
+    if (req.query.format !== 'csv') {
+        return res.status(200).json(statement);
+    }
+
+    const monthLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const rows = [
+        [statement.title],
+        ['Scope', statement.scope.name],
+        ['Period', monthLabel(statement.period.from), monthLabel(statement.period.to)],
+        ['Approved reports', statement.reportCount],
+        [],
+        ['Section', 'Line', 'Category', 'Amount'],
+    ];
+    const pushLines = (section, lines) => {
+        lines.forEach(line => {
+            rows.push([section, line.label, '', line.amount.toFixed(2)]);
+            line.categories.forEach(category => rows.push([section, line.label, category.name, category.amount.toFixed(2)]));
+        });
+    };
+    pushLines('Income', statement.income.lines);
+    rows.push(['Income', 'Total income', '', statement.income.total.toFixed(2)]);
+    pushLines('Expenditure', statement.expenditure.lines);
+    rows.push(['Expenditure', 'Zonal levy', '', statement.expenditure.levies.zonal.toFixed(2)]);
+    rows.push(['Expenditure', 'National levy', '', statement.expenditure.levies.national.toFixed(2)]);
+    rows.push(['Expenditure', 'Total expenditure', '', statement.expenditure.total.toFixed(2)]);
+    rows.push(['Summary', 'Surplus/(deficit)', '', statement.surplus.toFixed(2)]);
+    rows.push(['Summary', 'Opening balance', '', statement.openingBalance.toFixed(2)]);
+    rows.push(['Summary', 'Closing balance', '', statement.closingBalance.toFixed(2)]);
+
+    if (statement.breakdown) {
+        rows.push([]);
+        rows.push([statement.scope.level === 'zone' ? 'Fellowship' : 'Zone', 'Total income', 'Total expenditure', 'Zonal levy', 'National levy', 'Surplus/(deficit)', 'Opening balance', 'Closing balance']);
+        statement.breakdown.forEach(row => {
+            rows.push([
+                (row.fellowship || row.zone).name,
+                ...['totalIncome', 'totalExpenditure', 'zonalLevy', 'nationalLevy', 'surplus', 'openingBalance', 'closingBalance']
+                    .map(key => row[key].toFixed(2)),
+            ]);
+        });
+    }
+
+    const safeName = filenameScope.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    sendCsv(res, `income-statement-${safeName}-${monthLabel(statement.period.from)}-to-${monthLabel(statement.period.to)}.csv`, rows);
+};
+
+// @desc    Income and expenditure statement for one fellowship
+// @route   GET /api/finance/statements/fellowship/:fellowshipId?from=<YYYY-MM-DD>&to=<YYYY-MM-DD>&format=<json|csv>
+// @access  Private (role-based: national roles, Zonal Coordinator of the fellowship's zone, the fellowship's President)
+const getFellowshipStatement = asyncHandler(async (req, res) => {
+    const { fellowshipId } = req.params;
+    const period = getStatementPeriod(res, req.query.from, req.query.to);
+
+    if (!mongoose.isValidObjectId(fellowshipId)) {
+        res.status(400);
+        throw new Error('Invalid fellowshipId.');
+    }
+    const fellowship = await Fellowship.findById(fellowshipId).select('name zone').populate('zone', 'name');
+    if (!fellowship) {
+        res.status(404);
+        throw new Error('Fellowship not found.');
+    }
+
+    // Same rules as viewing one of the fellowship's reports
+    if (!canViewFinancialReport(req.user, { fellowship })) {
+        res.status(403);
+        throw new Error('Not authorized to view statements for this fellowship.');
+    }
+
+    const reports = await findStatementReports([fellowship._id], period);
+    const statement = buildStatement(
+        { level: 'fellowship', name: fellowship.name, fellowship: { _id: fellowship._id, name: fellowship.name }, zone: fellowship.zone },
+        period,
+        reports
+    );
+
+    sendStatement(req, res, statement, fellowship.name);
+});
+
+// @desc    Consolidated income and expenditure statement for a zone, with a per-fellowship breakdown
+// @route   GET /api/finance/statements/zone/:zoneId?from=<YYYY-MM-DD>&to=<YYYY-MM-DD>&format=<json|csv>
+// @access  Private (national finance roles, Zonal Coordinator of the zone)
+const getZoneStatement = asyncHandler(async (req, res) => {
+    const { zoneId } = req.params;
+    const user = req.user;
+    const period = getStatementPeriod(res, req.query.from, req.query.to);
+
+    if (!mongoose.isValidObjectId(zoneId)) {
+        res.status(400);
+        throw new Error('Invalid zoneId.');
+    }
+    const zone = await Zone.findById(zoneId).select('name');
+    if (!zone) {
+        res.status(404);
+        throw new Error('Zone not found.');
+    }
+
+    const canViewZone = FINANCE_VIEW_ALL_ROLES.includes(user.role) ||
+        (user.role === 'zonal_coordinator' && user.zone && user.zone.equals(zone._id));
+    if (!canViewZone) {
+        res.status(403);
+        throw new Error('Not authorized to view statements for this zone.');
+    }
+
+    const fellowshipsInZone = await Fellowship.find({ zone: zone._id }).select('_id');
+    const reports = await findStatementReports(fellowshipsInZone.map(f => f._id), period);
+    const statement = buildStatement(
+        { level: 'zone', name: zone.name, zone: { _id: zone._id, name: zone.name } },
+        period,
+        reports,
+        'fellowship'
+    );
+
+    sendStatement(req, res, statement, zone.name);
+});
+
+// @desc    National consolidated income and expenditure statement, with a per-zone breakdown
+// @route   GET /api/finance/statements/national?from=<YYYY-MM-DD>&to=<YYYY-MM-DD>&format=<json|csv>
+// @access  Private (national finance roles)
+const getNationalStatement = asyncHandler(async (req, res) => {
+    const period = getStatementPeriod(res, req.query.from, req.query.to);
+
+    if (!FINANCE_VIEW_ALL_ROLES.includes(req.user.role)) {
+        res.status(403);
+        throw new Error('Not authorized to view the national statement.');
+    }
+
+    const reports = await findStatementReports(null, period);
+    const statement = buildStatement({ level: 'national', name: 'National' }, period, reports, 'zone');
+
+    sendStatement(req, res, statement, 'national');
+});
+
+module.exports = {
+    getFellowshipStatement,
+    getZoneStatement,
+    getNationalStatement,
+};
@@ -0,0 +1,247 @@
+// backend/controllers/twoFactorController.js
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const TwoFactorPolicy = require('../models/twoFactorPolicyModel');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { generateSecret, verifyCode, getProvisioningUri } = require('../utils/totp');
+const {
+    TWO_FACTOR_SECRET_FIELDS,
+    getIssuer,
+    createRecoveryCodes,
+    verifySecondFactor,
+} = require('../utils/twoFactor');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Loads the logged-in user with the two-factor secrets
+const findUserWithSecrets = (req) => User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+// @desc    Get the logged-in user's two-factor status
+// @route   GET /api/two-factor/status
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const user = await findUserWithSecrets(req);
+
+    res.status(200).json({
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        requiredForRole: await TwoFactorPolicy.isRequiredForRole(user.role),
+        sessionVerified: req.mfaVerified,
+    });
+});
+
+// @desc    Start two-factor setup: a new secret and the otpauth:// URI to show as a QR code
+// @route   POST /api/two-factor/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await findUserWithSecrets(req);
+
+    if (user.twoFactor.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is already enabled. Disable it first to set up a new authenticator.');
+    }
+
+    // Not active until confirmed with a code from the app (POST /api/two-factor/enable)
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+        secret, // For apps that cannot scan QR codes
+        otpauthUri: getProvisioningUri(secret, user.email, getIssuer()),
+    });
+});
+
+// @desc    Confirm two-factor setup with a code from the authenticator app
+// @route   POST /api/two-factor/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        res.status(400);
+        throw new Error('Please provide a code from your authenticator app.');
+    }
+
+    const user = await findUserWithSecrets(req);
+    if (user.twoFactor.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is already enabled.');
+    }
+    if (!user.twoFactor.pendingSecret) {
+        res.status(400);
+        throw new Error('Start two-factor setup first.');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+        res.status(400);
+        throw new Error('Invalid authentication code. Check the time on your device and try again.');
+    }
+
+    // 1. Activate the secret. Changing it logs out every other session (see User SESSION_FIELDS).
+    const { codes, hashes } = createRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    // 2. This session just proved the second factor, so it continues with new tokens
+    res.status(200).json({
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; each works once and they are not shown again.',
+        recoveryCodes: codes,
+        ...await issueAuthTokens(user, req.ip, true), // token, refreshToken, refreshTokenExpiresAt
+    });
+});
+
+// @desc    Turn off two-factor authentication (needs the password and a current code)
+// @route   POST /api/two-factor/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+        res.status(400);
+        throw new Error('Please provide your password and an authentication code or recovery code.');
+    }
+
+    const user = await findUserWithSecrets(req);
+    if (!user.twoFactor.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (await TwoFactorPolicy.isRequiredForRole(user.role)) {
+        res.status(403);
+        throw new Error('Two-factor authentication is required for your role and cannot be turned off.');
+    }
+    if (!(await user.matchPassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+        res.status(401);
+        throw new Error('Invalid password or authentication code.');
+    }
+
+    // Removing the secret logs out every session, this one included
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled. Please log in again.' });
+});
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/two-factor/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        res.status(400);
+        throw new Error('Please provide a code from your authenticator app.');
+    }
+
+    const user = await findUserWithSecrets(req);
+    if (!user.twoFactor.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled.');
+    }
+    if (!(await verifySecondFactor(user, { code }))) {
+        res.status(401);
+        throw new Error('Invalid authentication code.');
+    }
+
+    const { codes, hashes } = createRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({ recoveryCodes: codes });
+});
+
+// @desc    Get which roles require two-factor authentication
+// @route   GET /api/two-factor/policies
+// @access  Private/Administrator, Super Admin
+const getTwoFactorPolicies = asyncHandler(async (req, res) => {
+    const policies = await TwoFactorPolicy.find({}).populate('updatedBy', 'name email');
+    const policyByRole = new Map(policies.map(policy => [policy.role, policy]));
+
+    res.status(200).json(ROLES.map(role => {
+        const policy = policyByRole.get(role);
+        return {
+            role,
+            required: policy ? policy.required : false,
+            updatedBy: policy ? policy.updatedBy : null,
+            updatedAt: policy ? policy.updatedAt : null,
+        };
+    }));
+});
+
+// @desc    Require (or stop requiring) two-factor authentication for a role
+// @route   PUT /api/two-factor/policies/:role
+// @access  Private/Administrator, Super Admin
+const setTwoFactorPolicy = asyncHandler(async (req, res) => {
+    const { role } = req.params;
+    const { required } = req.body;
+
+    if (!ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Unknown role: ${role}.`);
+    }
+    if (typeof required !== 'boolean') {
+        res.status(400);
+        throw new Error('required must be true or false.');
+    }
+    if (req.user.role === 'administrator' && role === 'super_admin') {
+        res.status(403);
+        throw new Error('Administrator cannot change the Super Admin policy.');
+    }
+
+    const policy = await TwoFactorPolicy.findOneAndUpdate(
+        { role },
+        { required, updatedBy: req.user._id },
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json(policy);
+});
+
+// @desc    Reset another user's two-factor authentication (lost device and recovery codes)
+// @route   DELETE /api/two-factor/users/:id
+// @access  Private/Administrator, Super Admin
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found.');
+    }
+    if (user._id.equals(req.user._id)) {
+        res.status(400);
+        throw new Error('Use POST /api/two-factor/disable to turn off your own two-factor authentication.');
+    }
+    if (req.user.role === 'administrator' && user.role === 'super_admin') {
+        res.status(403);
+        throw new Error('Administrator cannot reset Super Admin two-factor authentication.');
+    }
+    if (!user.twoFactor.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled for this user.');
+    }
+
+    // Removing the secret logs the user out everywhere; they set it up again after logging in
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: `Two-factor authentication reset for ${user.email}.` });
+});
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorPolicies,
+    setTwoFactorPolicy,
+    resetUserTwoFactor,
+};
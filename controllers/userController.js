@@ -3,17 +3,58 @@ const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const Fellowship = require('../models/fellowshipModel');
 const Zone = require('../models/zoneModel');
-const generateToken = require("../utils/generateToken");
+const Invitation = require("../models/invitationModel");
+const PasswordReset = require("../models/passwordResetModel");
+const LoginAttempt = require("../models/loginAttemptModel");
+const { createOneTimeToken } = require("../utils/oneTimeToken");
+const { sendMail } = require("../utils/mail");
+
+// Most recent login attempts returned by the login history endpoints
+const LOGIN_HISTORY_LIMIT = 100;
+
+// How long an invitation can be accepted for (INVITATION_TTL_HOURS, default 72)
+const getInvitationTtlMs = () => (parseFloat(process.env.INVITATION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+// Issues a single-use invitation, replacing any still-pending one for the same email, and
+// emails its link to the invitee (the token is never returned to the inviter).
+// Returns the invitation; responds 502 and revokes it if the email cannot be sent.
+const createInvitation = async (res, fields, inviter) => {
+  await Invitation.updateMany({ email: fields.email, status: "pending" }, { status: "revoked" });
+
+  const { token, tokenHash, expiresAt } = createOneTimeToken(getInvitationTtlMs());
+  const invitation = await Invitation.create({ ...fields, tokenHash, expiresAt, invitedBy: inviter._id });
+
+  const acceptUrl = `${process.env.APP_URL || ""}/accept-invite?token=${token}`;
+  try {
+    const { messageId } = await sendMail({
+      to: invitation.email,
+      subject: "You have been invited",
+      text: `Hello ${invitation.name},\n\n` +
+        `${inviter.name} has invited you to join as ${invitation.role.replace(/_/g, " ")}. ` +
+        `Use this link to choose your password. It works once and expires at ${expiresAt.toUTCString()}:\n\n${acceptUrl}`,
+    });
+    invitation.messageId = messageId;
+    await invitation.save();
+  } catch (error) {
+    console.error(`Invitation mail to ${invitation.email} failed:`, error);
+    invitation.status = "revoked";
+    await invitation.save();
+    res.status(502);
+    throw new Error("The invitation email could not be sent. Please try again.");
+  }
+
+  return invitation;
+};
 
-// @desc    Admin/Super Admin creates new users (Admin, Accountant, Coordinators)
+// @desc    Admin/Super Admin invites new users (Admin, Accountant, Coordinators)
 // @route   POST /api/users/create-admin-user
 // @access  Private/Administrator, Super Admin
 const createAdminUser = asyncHandler(async (req, res) => {
-  const { name, email, password, role, zoneId } = req.body;
+  const { name, email, role, zoneId } = req.body;
 
-  if (!name || !email || !password || !role) {
+  if (!name || !email || !role) {
     res.status(400);
-    throw new Error("Please fill all required fields: name, email, password, role.");
+    throw new Error("Please fill all required fields: name, email, role.");
   }
 
   const allowedRoles = [
@@ -35,7 +76,7 @@ const createAdminUser = asyncHandler(async (req, res) => {
     throw new Error("User already exists with that email.");
   }
 
-  let userFields = { name, email, password, role };
+  let invitationFields = { name, email, role };
 
   if (role === "zonal_coordinator") {
     if (!zoneId) {
@@ -52,33 +93,17 @@ const createAdminUser = asyncHandler(async (req, res) => {
       res.status(400);
       throw new Error(`Zone '${zone.name}' already has a Zonal Coordinator.`);
     }
-    userFields.zone = zoneId;
+    invitationFields.zone = zoneId;
   }
 
-  const user = await User.create(userFields);
-
-  if (user) {
-    if (role === "zonal_coordinator" && user.zone) {
-      await Zone.findByIdAndUpdate(user.zone, { coordinator: user._id });
-    }
+  // The account is created when the invitee accepts and sets their own password
+  const invitation = await createInvitation(res, invitationFields, req.user);
 
-    const populatedUser = await User.findById(user._id)
-      .populate("zone", "name officeAddress")
-      .populate("fellowship", "name address email");
-
-    res.status(201).json({
-      _id: populatedUser._id,
-      name: populatedUser.name,
-      email: populatedUser.email,
-      role: populatedUser.role,
-      zone: populatedUser.zone,
-      fellowship: populatedUser.fellowship,
-      token: generateToken(populatedUser._id, populatedUser.role), // ✅ unified
-    });
-  } else {
-    res.status(400);
-    throw new Error("Invalid user data for creation.");
-  }
+  res.status(201).json({
+    invitation,
+    message: `Invitation sent to ${invitation.email}.`,
+    expiresAt: invitation.expiresAt,
+  });
 });
 
 // @desc    Get logged-in user profile
@@ -99,6 +124,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
         role: user.role,
         zone: user.zone,
         fellowship: user.fellowship,
+        twoFactorEnabled: user.twoFactor.enabled,
       });
     } else {
       res.status(404);
@@ -110,16 +136,16 @@ const getUserProfile = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Zonal Coordinator creates new Fellowship President user
+// @desc    Zonal Coordinator invites a new Fellowship President
 // @route   POST /api/users/create-fellowship-president
 // @access  Private/Zonal Coordinator
 const createFellowshipPresident = asyncHandler(async (req, res) => {
-  const { name, email, password, fellowshipId, role } = req.body;
+  const { name, email, fellowshipId, role } = req.body;
   const zonalCoordinatorId = req.user._id;
 
-  if (!name || !email || !password || !fellowshipId) {
+  if (!name || !email || !fellowshipId) {
     res.status(400);
-    throw new Error("Please fill all required fields: name, email, password, fellowshipId.");
+    throw new Error("Please fill all required fields: name, email, fellowshipId.");
   }
 
   if (!["fellowship_president_rcf", "fellowship_president_rccf"].includes(role)) {
@@ -140,7 +166,7 @@ const createFellowshipPresident = asyncHandler(async (req, res) => {
   }
 
   const zonalCoordinator = await User.findById(zonalCoordinatorId);
-  if (!zonalCoordinator || zonalCoordinator.role !== "zonal_coordinator" || !zonalCoordinator.zone.equals(fellowship.zone._id)) {
+  if (!zonalCoordinator || zonalCoordinator.role !== "zonal_coordinator" || !fellowship.zone || !zonalCoordinator.zone.equals(fellowship.zone._id)) {
     res.status(403);
     throw new Error("Not authorized to create a president for this fellowship.");
   }
@@ -150,34 +176,14 @@ const createFellowshipPresident = asyncHandler(async (req, res) => {
     throw new Error(`Fellowship '${fellowship.name}' already has a president assigned.`);
   }
 
-  const user = await User.create({
-    name,
-    email,
-    password,
-    role,
-    fellowship: fellowshipId,
-  });
+  // The account is created when the invitee accepts and sets their own password
+  const invitation = await createInvitation(res, { name, email, role, fellowship: fellowshipId }, zonalCoordinator);
 
-  if (user) {
-    await Fellowship.findByIdAndUpdate(fellowshipId, { president: user._id });
-
-    const populatedUser = await User.findById(user._id)
-      .populate("fellowship", "name address email")
-      .populate("zone", "name officeAddress");
-
-    res.status(201).json({
-      _id: populatedUser._id,
-      name: populatedUser.name,
-      email: populatedUser.email,
-      role: populatedUser.role,
-      fellowship: populatedUser.fellowship,
-      zone: populatedUser.zone,
-      token: generateToken(populatedUser._id, populatedUser.role), // ✅ unified
-    });
-  } else {
-    res.status(400);
-    throw new Error("Invalid user data for president creation.");
-  }
+  res.status(201).json({
+    invitation,
+    message: `Invitation sent to ${invitation.email}.`,
+    expiresAt: invitation.expiresAt,
+  });
 });
 
 
@@ -376,6 +382,124 @@ const deleteUser = asyncHandler(async (req, res) => {
     res.status(200).json({ message: 'User removed successfully.' });
 });
 
+// @desc    Get invitations (Admins see all, Zonal Coordinators the ones they sent)
+// @route   GET /api/users/invitations?status=<status>
+// @access  Private/Administrator, Super Admin, Zonal Coordinator
+const getInvitations = asyncHandler(async (req, res) => {
+    let query = {};
+    if (req.user.role === 'zonal_coordinator') query.invitedBy = req.user._id;
+    if (req.query.status) query.status = req.query.status;
+
+    const invitations = await Invitation.find(query)
+        .populate('zone', 'name')
+        .populate('fellowship', 'name')
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(invitations);
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private/Administrator, Super Admin, Zonal Coordinator (own invitations)
+const revokeInvitation = asyncHandler(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+        res.status(404);
+        throw new Error('Invitation not found.');
+    }
+    if (req.user.role === 'zonal_coordinator' && !invitation.invitedBy.equals(req.user._id)) {
+        res.status(403);
+        throw new Error('Not authorized to revoke this invitation.');
+    }
+    if (invitation.status !== 'pending') {
+        res.status(400);
+        throw new Error(`Invitation is already ${invitation.status}.`);
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+    res.status(200).json({ message: 'Invitation revoked.' });
+});
+
+// @desc    Get the password reset history of a user
+// @route   GET /api/users/:id/password-resets
+// @access  Private/Administrator, Super Admin
+const getPasswordResets = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found.');
+    }
+    if (req.user.role === 'administrator' && user.role === 'super_admin') {
+        res.status(403);
+        throw new Error('Administrator cannot view Super Admin password resets.');
+    }
+
+    const passwordResets = await PasswordReset.find({ user: user._id }).sort({ createdAt: -1 });
+    res.status(200).json(passwordResets);
+});
+
+// @desc    Get the logged-in user's recent login attempts
+// @route   GET /api/users/profile/login-history
+// @access  Private
+const getMyLoginHistory = asyncHandler(async (req, res) => {
+    const attempts = await LoginAttempt.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .limit(LOGIN_HISTORY_LIMIT);
+    res.status(200).json(attempts);
+});
+
+// @desc    Get a user's recent login attempts
+// @route   GET /api/users/:id/login-history
+// @access  Private/Administrator, Super Admin
+const getUserLoginHistory = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found.');
+    }
+    if (req.user.role === 'administrator' && user.role === 'super_admin') {
+        res.status(403);
+        throw new Error('Administrator cannot view Super Admin login history.');
+    }
+
+    const attempts = await LoginAttempt.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(LOGIN_HISTORY_LIMIT);
+    res.status(200).json({
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockedUntil: user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null,
+        attempts,
+    });
+});
+
+// @desc    Unlock an account locked after repeated failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Administrator, Super Admin
+const unlockUser = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found.');
+    }
+    if (req.user.role === 'administrator' && user.role === 'super_admin') {
+        res.status(403);
+        throw new Error('Administrator cannot unlock Super Admin.');
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    res.status(200).json({ message: 'Account unlocked.' });
+});
+
 
 module.exports = {
     createAdminUser,
@@ -385,4 +509,10 @@ module.exports = {
     updateUserProfile,
     deleteUser,
     getUserProfile,
+    getInvitations,
+    revokeInvitation,
+    getPasswordResets,
+    getMyLoginHistory,
+    getUserLoginHistory,
+    unlockUser,
 };
\ No newline at end of file
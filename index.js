@@ -7,9 +7,17 @@ const path = require("path");
 
 dotenv.config();
 
+// Refuse to start with a payment provider that is not usable (online payments stay off while
+// PAYMENT_PROVIDER is unset) or without a mail transport (MAIL_TRANSPORT, required in production)
+require("./utils/payments").assertPaymentConfig();
+require("./utils/mail").assertMailConfig();
+
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address (login throttling uses it)
+if (process.env.TRUST_PROXY) app.set("trust proxy", isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too: payment provider webhooks are verified against the exact bytes sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static('public'));
 
 // --- Import Routes ---
@@ -22,6 +30,19 @@ const outreachReportRoutes = require("./routes/outreachReportRoutes");
 const financeRoutes = require("./routes/financeRoutes");
 const activityReportRoutes = require("./routes/activityReportRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
+const remittanceRoutes = require("./routes/remittanceRoutes");
+const levyRuleRoutes = require("./routes/levyRuleRoutes");
+const financeCategoryRoutes = require("./routes/financeCategoryRoutes");
+const attachmentRoutes = require("./routes/attachmentRoutes");
+const reconciliationRoutes = require("./routes/reconciliationRoutes");
+const fiscalPeriodRoutes = require("./routes/fiscalPeriodRoutes");
+const projectRoutes = require("./routes/projectRoutes");
+const budgetRoutes = require("./routes/budgetRoutes");
+const ledgerRoutes = require("./routes/ledgerRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const disbursementRoutes = require("./routes/disbursementRoutes");
+const expenseRequestRoutes = require("./routes/expenseRequestRoutes");
+const twoFactorRoutes = require("./routes/twoFactorRoutes");
 
 // --- Health Check ---
 
@@ -42,6 +63,19 @@ app.use("/api/outreach", outreachReportRoutes);
 app.use("/api/finance", financeRoutes);
 app.use("/api/activity", activityReportRoutes);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/remittances", remittanceRoutes);
+app.use("/api/levy-rules", levyRuleRoutes);
+app.use("/api/finance-categories", financeCategoryRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/reconciliation", reconciliationRoutes);
+app.use("/api/fiscal-periods", fiscalPeriodRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/disbursements", disbursementRoutes);
+app.use("/api/expense-requests", expenseRequestRoutes);
+app.use("/api/two-factor", twoFactorRoutes);
 
 // --- Error Handling Middleware ---
 app.use((err, req, res, next) => {
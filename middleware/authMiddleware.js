@@ -1,9 +1,29 @@
 // backend/middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const TwoFactorPolicy = require("../models/twoFactorPolicyModel");
 const asyncHandler = require("express-async-handler");
 
-// Protect routes with JWT
+// What a user whose role requires two-factor authentication can reach before the session
+// passed it: their own two-factor setup, their profile, and logging out
+const TWO_FACTOR_EXEMPT_PATHS = [
+  "/api/two-factor/status",
+  "/api/two-factor/setup",
+  "/api/two-factor/enable",
+  "/api/two-factor/disable",
+  "/api/two-factor/recovery-codes",
+  "/api/users/profile",
+  "/api/auth/logout",
+  "/api/auth/logout-all",
+];
+
+const isTwoFactorExempt = (req) => {
+  const path = req.originalUrl.split("?")[0].replace(/\/+$/, "");
+  return TWO_FACTOR_EXEMPT_PATHS.includes(path);
+};
+
+// Protect routes with JWT. Roles that require two-factor authentication (TwoFactorPolicy)
+// are only let through when the session passed the second factor, except to the paths above.
 const protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -18,6 +38,12 @@ const protect = asyncHandler(async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Two-factor login challenges are signed with the same secret but are not access tokens
+      if (decoded.purpose) {
+        res.status(401);
+        throw new Error("Not an access token");
+      }
+
       // Attach user to request (without password)
       req.user = await User.findById(decoded.id).select("-password");
 
@@ -26,7 +52,14 @@ const protect = asyncHandler(async (req, res, next) => {
         throw new Error("User not found");
       }
 
-      next();
+      // Tokens issued before the user logged out everywhere or changed password, role or scope
+      if (decoded.tv !== req.user.tokenVersion) {
+        res.status(401);
+        throw new Error("Token has been revoked");
+      }
+
+      // Whether this session passed the second factor
+      req.mfaVerified = decoded.mfa === true;
     } catch (error) {
       console.error(error);
       res.status(401);
@@ -36,9 +69,18 @@ const protect = asyncHandler(async (req, res, next) => {
     res.status(401);
     throw new Error("Not authorized, no token");
   }
+
+  if (!req.mfaVerified && !isTwoFactorExempt(req) && (await TwoFactorPolicy.isRequiredForRole(req.user.role))) {
+    res.status(403);
+    throw new Error(req.user.twoFactor && req.user.twoFactor.enabled
+      ? "Two-factor authentication is required for your role. Log in again with your authenticator code."
+      : "Two-factor authentication is required for your role. Set it up at /api/two-factor/setup.");
+  }
+
+  next();
 });
 
-// Role-based authorization
+// Role-based authorization (after protect, which has already enforced two-factor authentication)
 const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
@@ -0,0 +1,73 @@
+// backend/middleware/uploadMiddleware.js
+const multer = require('multer');
+const { detectFileType } = require('../utils/fileType');
+
+// File types accepted as report evidence: photos, scanned receipts and registers
+const ALLOWED_ATTACHMENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'application/pdf',
+    'text/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Maximum upload size in bytes (ATTACHMENT_MAX_SIZE_MB, default 5 MB)
+const MAX_ATTACHMENT_SIZE = Math.floor((parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 5) * 1024 * 1024);
+
+// Bank statements are CSV exports; Windows browsers often send .csv files as application/vnd.ms-excel
+const BANK_STATEMENT_TYPES = [
+    'text/csv',
+    'application/csv',
+    'text/plain',
+    'application/vnd.ms-excel',
+];
+
+// Builds a single "file" upload middleware accepting `allowedTypes` as declared by the client
+// and `contentTypes` as detected from the file's bytes. Files are held in memory and handed to
+// the controller with `file.mimetype` set to the detected type and `file.extension` to match;
+// rejected or oversized files become 400 errors for the error handler.
+const singleFileUpload = (allowedTypes, contentTypes = allowedTypes) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (allowedTypes.includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed types: ${allowedTypes.join(', ')}.`));
+            }
+        },
+    }).single('file');
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err) {
+                res.status(400);
+                if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                    return next(new Error(`File is too large. Maximum size is ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB.`));
+                }
+                return next(err);
+            }
+            if (req.file) {
+                const detected = detectFileType(req.file.buffer);
+                if (!detected || !contentTypes.includes(detected.mimeType)) {
+                    res.status(400);
+                    return next(new Error(`File content does not match an allowed type (${contentTypes.join(', ')}).`));
+                }
+                req.file.mimetype = detected.mimeType;
+                req.file.extension = detected.extension;
+            }
+            next();
+        });
+    };
+};
+
+// Report evidence, stored by the attachment controller through the storage driver
+const uploadAttachment = singleFileUpload(ALLOWED_ATTACHMENT_TYPES);
+
+// Bank statement CSVs, parsed straight from memory by the reconciliation controller
+const uploadBankStatement = singleFileUpload(BANK_STATEMENT_TYPES, ['text/csv']);
+
+module.exports = { uploadAttachment, uploadBankStatement, ALLOWED_ATTACHMENT_TYPES };
@@ -1,6 +1,10 @@
 // backend/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RefreshToken = require('./refreshTokenModel');
+
+// Changing any of these logs the user out everywhere (see the tokenVersion hook below)
+const SESSION_FIELDS = ['password', 'role', 'zone', 'fellowship', 'twoFactor.secret'];
 
 const userSchema = new mongoose.Schema(
   {
@@ -44,10 +48,52 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '/uploads/default-profile.png',
     },
+    // Part of every access token; bumping it invalidates all access tokens issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Consecutive failed logins since the last successful one (see utils/loginThrottle.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Authenticator app (TOTP) second factor; the secrets are only loaded when asked for
+    // (see utils/twoFactor.js)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // Set up but not yet confirmed with a code
+      lastUsedStep: { type: Number, select: false }, // So a code cannot be used twice
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+      enabledAt: { type: Date },
+    },
   },
   { timestamps: true }
 );
 
+// --- Session Invalidation Middleware ---
+userSchema.pre('save', function (next) {
+  if (!this.isNew && SESSION_FIELDS.some(field => this.isModified(field))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.$locals.sessionsInvalidated = true;
+  }
+  next();
+});
+
+// Refresh tokens are revoked only once the change is actually saved
+userSchema.post('save', async function () {
+  if (!this.$locals.sessionsInvalidated) return;
+  this.$locals.sessionsInvalidated = false;
+  await RefreshToken.revokeAllForUser(this._id, 'credentials_changed');
+});
+
 // --- Password Hashing Middleware ---
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,72 @@
+// backend/models/attachmentModel.js
+const mongoose = require('mongoose');
+const { getStorageDriver } = require('../utils/storage');
+
+const attachmentSchema = mongoose.Schema(
+    {
+        // The report this file is evidence for
+        reportType: {
+            type: String,
+            enum: ['FinancialReport', 'ActivityReport', 'FellowshipOutreachReport', 'OutreachReport'],
+            required: true,
+        },
+        report: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'reportType',
+            required: true,
+        },
+        kind: { // receipts for financial reports; photos and attendance registers for activity/outreach
+            type: String,
+            enum: ['receipt', 'photo', 'register', 'other'],
+            required: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        originalName: {
+            type: String,
+            required: true,
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        size: { // Bytes
+            type: Number,
+            required: true,
+        },
+        // Where the file lives: the driver name and the driver-specific key
+        storageDriver: {
+            type: String,
+            required: true,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+attachmentSchema.index({ reportType: 1, report: 1 });
+
+// Delete every attachment (file and record) belonging to a report, e.g. when the report is deleted
+attachmentSchema.statics.removeForReport = async function (reportType, reportId) {
+    const attachments = await this.find({ reportType, report: reportId });
+    for (const attachment of attachments) {
+        await getStorageDriver(attachment.storageDriver).remove(attachment.storageKey);
+    }
+    await this.deleteMany({ reportType, report: reportId });
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,90 @@
+// backend/models/bankStatementLineModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// A levy payment the matcher proposes (or an Accountant picks) for a statement line:
+// either a pending declared Remittance, or a levy on an approved report nobody declared yet.
+const matchSchema = mongoose.Schema(
+    {
+        remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'Remittance' },
+        financialReport: { type: mongoose.Schema.Types.ObjectId, ref: 'FinancialReport', required: true },
+        fellowship: { type: mongoose.Schema.Types.ObjectId, ref: 'Fellowship', required: true },
+        levyType: { type: String, enum: ['zonal', 'national'], required: true },
+        score: { type: Number }, // Matcher confidence (0-100); empty for manual matches
+        reasons: [{ type: String }], // Why the matcher proposed it, e.g. 'amount', 'reference'
+    },
+    { _id: false }
+);
+
+// A credit transaction from an imported bank statement, queued until it is reconciled
+const bankStatementLineSchema = mongoose.Schema(
+    {
+        statement: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BankStatement',
+            required: true,
+        },
+        rowNumber: {
+            type: Number,
+        },
+        transactionDate: {
+            type: Date,
+            required: true,
+        },
+        narration: {
+            type: String,
+            trim: true,
+        },
+        reference: {
+            type: String,
+            trim: true,
+        },
+        amount: { // Minor units, always a credit
+            type: Number,
+            validate: minorUnitsValidator,
+            required: true,
+            min: 0,
+        },
+        // Hash of date, amount, narration and reference, so overlapping statements don't import a line twice
+        fingerprint: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            // reconciling: claimed by an Accountant confirming its match (see confirmStatementLine)
+            enum: ['unmatched', 'proposed', 'reconciling', 'reconciled', 'ignored'],
+            default: 'unmatched',
+        },
+        proposedMatch: matchSchema,
+        rejectedMatches: [matchSchema], // Proposals the Accountant rejected; never proposed again
+        remittance: { // The confirmed remittance this line settled
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Remittance',
+        },
+        reconciledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reconciledAt: {
+            type: Date,
+        },
+        notes: {
+            type: String,
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount']) },
+        toObject: { transform: moneyTransform(['amount']) },
+    }
+);
+
+bankStatementLineSchema.index({ status: 1, transactionDate: 1 });
+bankStatementLineSchema.index({ statement: 1 });
+// Looked up on every import to skip lines already imported
+bankStatementLineSchema.index({ fingerprint: 1 }, { unique: true });
+
+const BankStatementLine = mongoose.model('BankStatementLine', bankStatementLineSchema);
+
+module.exports = BankStatementLine;
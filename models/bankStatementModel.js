@@ -0,0 +1,47 @@
+// backend/models/bankStatementModel.js
+const mongoose = require('mongoose');
+
+// One imported bank statement CSV. Its transactions are stored as BankStatementLines.
+const bankStatementSchema = mongoose.Schema(
+    {
+        originalName: {
+            type: String,
+            required: true,
+        },
+        layout: { // How amounts were laid out in the file (see utils/bankStatementParser.js)
+            type: String,
+            enum: ['credit_debit', 'signed_amount'],
+            required: true,
+        },
+        periodStart: { // Earliest and latest transaction dates of the imported credit lines
+            type: Date,
+        },
+        periodEnd: {
+            type: Date,
+        },
+        lineCount: { // Credit lines stored for reconciliation
+            type: Number,
+            default: 0,
+        },
+        duplicateCount: { // Credit lines already imported from an earlier (overlapping) statement
+            type: Number,
+            default: 0,
+        },
+        skippedCount: { // Debits and rows that could not be read
+            type: Number,
+            default: 0,
+        },
+        importedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+module.exports = BankStatement;
@@ -0,0 +1,77 @@
+// backend/models/budgetModel.js
+const mongoose = require('mongoose');
+const { INCOME_REPORT_FIELDS, EXPENSE_REPORT_FIELDS } = require('./financeCategoryModel');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+const BUDGET_MONEY_FIELDS = ['lines.monthlyAmounts'];
+
+// A fellowship's planned income and spending for one calendar year, per FinancialReport
+// field, so approved reports can be compared against it (see budgetController).
+const budgetSchema = mongoose.Schema(
+    {
+        fellowship: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        // One line per report field; fields without a line are budgeted at 0
+        lines: [
+            {
+                reportField: { type: String, enum: [...INCOME_REPORT_FIELDS, ...EXPENSE_REPORT_FIELDS], required: true },
+                monthlyAmounts: { // January to December, minor units
+                    type: [{ type: Number, min: 0, validate: minorUnitsValidator }],
+                    validate: {
+                        validator: (amounts) => amounts.length === 12,
+                        message: 'monthlyAmounts must have one amount for each of the 12 months.',
+                    },
+                },
+            },
+        ],
+        notes: {
+            type: String,
+        },
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // Approved by the Zonal Coordinator of the fellowship's zone
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        approvalDate: {
+            type: Date,
+        },
+        rejectionReason: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(BUDGET_MONEY_FIELDS) },
+        toObject: { transform: moneyTransform(BUDGET_MONEY_FIELDS) },
+    }
+);
+
+// One budget per fellowship per year
+budgetSchema.index({ fellowship: 1, year: 1 }, { unique: true });
+
+// The budgeted amount (minor units) for a report field in a month (1-12)
+budgetSchema.methods.getBudgetedAmount = function (reportField, month) {
+    const line = this.lines.find(budgetLine => budgetLine.reportField === reportField);
+    return line ? line.monthlyAmounts[month - 1] : 0;
+};
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -0,0 +1,29 @@
+// backend/models/counterModel.js
+const mongoose = require('mongoose');
+
+// Named sequences for gap-free document numbers (e.g. remittance receipts per year)
+const counterSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    value: {
+        type: Number,
+        default: 0,
+    },
+});
+
+// Atomically increments a sequence, creating it on first use, and returns the new value
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { name },
+        { $inc: { value: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.value;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
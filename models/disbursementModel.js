@@ -0,0 +1,97 @@
+// backend/models/disbursementModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// Which office the money comes from
+const DISBURSEMENT_SOURCES = ['national', 'zone'];
+
+const DISBURSEMENT_PURPOSES = ['outreach_grant', 'welfare_support', 'operations_support', 'other'];
+
+// Money sent down to a fellowship by the national office or its zone. Once approved it is
+// picked up as disbursementIncome on the fellowship's next FinancialReport (see submitFinancialReport).
+const disbursementSchema = mongoose.Schema(
+    {
+        source: {
+            type: String,
+            enum: DISBURSEMENT_SOURCES,
+            required: true,
+        },
+        zone: { // The paying zone for zone disbursements, the receiving fellowship's zone otherwise
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Zone',
+            required: true,
+        },
+        fellowship: { // The receiving fellowship
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        purpose: {
+            type: String,
+            enum: DISBURSEMENT_PURPOSES,
+            required: true,
+        },
+        amount: { // Minor units
+            type: Number,
+            required: true,
+            min: 1,
+            validate: minorUnitsValidator,
+        },
+        description: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // requested -> approved -> paid, or requested -> rejected
+        status: {
+            type: String,
+            enum: ['requested', 'approved', 'rejected', 'paid'],
+            default: 'requested',
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        approvalDate: {
+            type: Date,
+        },
+        rejectionReason: {
+            type: String,
+        },
+        paidBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        paidAt: {
+            type: Date,
+        },
+        paymentReference: {
+            type: String,
+            trim: true,
+        },
+        // The FinancialReport the disbursement was recorded as income on
+        financialReport: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FinancialReport',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount']) },
+        toObject: { transform: moneyTransform(['amount']) },
+    }
+);
+
+disbursementSchema.index({ fellowship: 1, status: 1 });
+disbursementSchema.index({ zone: 1, status: 1 });
+
+const Disbursement = mongoose.model('Disbursement', disbursementSchema);
+
+module.exports = Disbursement;
+module.exports.DISBURSEMENT_SOURCES = DISBURSEMENT_SOURCES;
+module.exports.DISBURSEMENT_PURPOSES = DISBURSEMENT_PURPOSES;
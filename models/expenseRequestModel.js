@@ -0,0 +1,68 @@
+// backend/models/expenseRequestModel.js
+const mongoose = require('mongoose');
+const { EXPENSE_REPORT_FIELDS } = require('./financeCategoryModel');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// A Fellowship President's request to spend more than the pre-approval threshold on one
+// expense field in a month (see utils/expenseApproval.js). Approved by the Zonal
+// Coordinator of the fellowship's zone before the money is spent.
+const expenseRequestSchema = mongoose.Schema(
+    {
+        fellowship: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        reportField: { // The FinancialReport expense field the spend will be reported under
+            type: String,
+            enum: EXPENSE_REPORT_FIELDS,
+            required: true,
+        },
+        spendMonth: { // First day of the calendar month the money will be spent in
+            type: Date,
+            required: true,
+        },
+        amount: { // Minor units
+            type: Number,
+            required: true,
+            min: 1,
+            validate: minorUnitsValidator,
+        },
+        description: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        approvalDate: {
+            type: Date,
+        },
+        rejectionReason: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount']) },
+        toObject: { transform: moneyTransform(['amount']) },
+    }
+);
+
+expenseRequestSchema.index({ fellowship: 1, spendMonth: 1, reportField: 1, status: 1 });
+
+const ExpenseRequest = mongoose.model('ExpenseRequest', expenseRequestSchema);
+
+module.exports = ExpenseRequest;
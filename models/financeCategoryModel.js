@@ -0,0 +1,72 @@
+// backend/models/financeCategoryModel.js
+const mongoose = require('mongoose');
+
+// The fixed FinancialReport fields a category's line items roll up into
+const INCOME_REPORT_FIELDS = ['tithe', 'offering', 'projectDonation', 'otherIncome', 'disbursementIncome'];
+const EXPENSE_REPORT_FIELDS = ['fellowshipProgramExpense', 'welfareExpense', 'adminExpense', 'outreachExpense'];
+
+// Fields filled in from other records (approved Disbursements), never from line items
+const SYSTEM_REPORT_FIELDS = ['disbursementIncome'];
+const CATEGORY_INCOME_FIELDS = INCOME_REPORT_FIELDS.filter(field => !SYSTEM_REPORT_FIELDS.includes(field));
+
+// Display labels for those fields on statements and receipts
+const REPORT_FIELD_LABELS = {
+    tithe: 'Tithe',
+    offering: 'Offering',
+    projectDonation: 'Project donations',
+    otherIncome: 'Other income',
+    disbursementIncome: 'Grants and support received',
+    fellowshipProgramExpense: 'Fellowship programmes',
+    welfareExpense: 'Welfare',
+    adminExpense: 'Administration',
+    outreachExpense: 'Outreach',
+};
+
+const financeCategorySchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true, // Category names should be unique
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: ['income', 'expense'],
+            required: true,
+        },
+        // Which fixed report field line items in this category are summed into,
+        // e.g. "Transport" -> adminExpense, "Book sales" -> otherIncome
+        reportField: {
+            type: String,
+            enum: [...CATEGORY_INCOME_FIELDS, ...EXPENSE_REPORT_FIELDS],
+            required: true,
+            validate: {
+                validator: function (value) {
+                    const allowed = this.type === 'income' ? CATEGORY_INCOME_FIELDS : EXPENSE_REPORT_FIELDS;
+                    return allowed.includes(value);
+                },
+                message: 'reportField does not match the category type.',
+            },
+        },
+        description: {
+            type: String,
+        },
+        isActive: { // Retired categories stay on old reports but cannot be used on new lines
+            type: Boolean,
+            default: true,
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const FinanceCategory = mongoose.model('FinanceCategory', financeCategorySchema);
+
+module.exports = FinanceCategory;
+module.exports.INCOME_REPORT_FIELDS = INCOME_REPORT_FIELDS;
+module.exports.EXPENSE_REPORT_FIELDS = EXPENSE_REPORT_FIELDS;
+module.exports.SYSTEM_REPORT_FIELDS = SYSTEM_REPORT_FIELDS;
+module.exports.CATEGORY_INCOME_FIELDS = CATEGORY_INCOME_FIELDS;
+module.exports.REPORT_FIELD_LABELS = REPORT_FIELD_LABELS;
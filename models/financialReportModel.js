@@ -1,5 +1,31 @@
 // backend/models/financialReportModel.js
 const mongoose = require('mongoose');
+const { LEVY_BASES, DEFAULT_LEVY_RULE } = require('./levyRuleModel');
+const { minorUnitsValidator, percentOf, moneyTransform } = require('../utils/money');
+
+// Every money path on a report. Amounts are stored as integer minor units (kobo) and
+// serialized in major units (see utils/money.js).
+const MONEY_FIELDS = [
+    'tithe',
+    'offering',
+    'projectDonation',
+    'otherIncome',
+    'disbursementIncome',
+    'fellowshipProgramExpense',
+    'welfareExpense',
+    'adminExpense',
+    'outreachExpense',
+    'lineItems.amount',
+    'projectDonations.amount',
+    'disbursements.amount',
+    'zonalLevy',
+    'nationalLevy',
+    'totalIncome',
+    'totalExpense',
+    'balanceCarriedForward',
+    'balanceBroughtDown',
+    'openingBalance.amount',
+];
 
 const financialReportSchema = mongoose.Schema(
     {
@@ -14,71 +40,140 @@ const financialReportSchema = mongoose.Schema(
             unique: true, // Ensures only one report per fellowship per month
             // To ensure uniqueness across fellowship and month, we'll use a compound index later
         },
-        // Income Section
+        // Income Section (all amounts in minor units)
         tithe: {
             type: Number,
+            validate: minorUnitsValidator,
             required: true,
             default: 0,
         },
         offering: {
             type: Number,
+            validate: minorUnitsValidator,
             required: true,
             default: 0,
         },
         projectDonation: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         otherIncome: {
             type: Number,
+            validate: minorUnitsValidator,
+            default: 0,
+        },
+        disbursementIncome: { // Derived from `disbursements`, never entered by the president
+            type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         // Expense Section
         fellowshipProgramExpense: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         welfareExpense: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         adminExpense: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         outreachExpense: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
+        // Optional itemised lines. When present, each fixed income/expense field above that has
+        // lines is derived from them (see pre-save hook), so analytics and levies keep working.
+        lineItems: [
+            {
+                category: { type: mongoose.Schema.Types.ObjectId, ref: 'FinanceCategory', required: true },
+                categoryName: { type: String }, // Snapshot, so renaming a category does not rewrite history
+                reportField: { type: String, required: true }, // Snapshot of the category's reportField
+                description: { type: String, required: true, trim: true },
+                amount: { type: Number, required: true, min: 0, validate: minorUnitsValidator },
+                receiptReference: { type: String, trim: true },
+            },
+        ],
+        // Optional breakdown of projectDonation by fundraising Project. When present,
+        // projectDonation is derived from it (see pre-save hook).
+        projectDonations: [
+            {
+                project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+                projectName: { type: String }, // Snapshot, so renaming a project does not rewrite history
+                pledge: { type: mongoose.Schema.Types.ObjectId, ref: 'Pledge' }, // Set when the donation redeems a pledge
+                donorName: { type: String, trim: true },
+                amount: { type: Number, required: true, min: 0, validate: minorUnitsValidator },
+            },
+        ],
+        // Approved Disbursements received from the national office or the zone, attached when
+        // the report is submitted. disbursementIncome is derived from them (see pre-save hook).
+        disbursements: [
+            {
+                disbursement: { type: mongoose.Schema.Types.ObjectId, ref: 'Disbursement', required: true },
+                source: { type: String }, // Snapshot of the Disbursement's source and purpose
+                purpose: { type: String },
+                amount: { type: Number, required: true, min: 0, validate: minorUnitsValidator },
+            },
+        ],
         zonalLevy: { // This will be calculated, not directly input
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         nationalLevy: { // This will be calculated, not directly input
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
+        // Snapshot of the LevyRule in force when the report was submitted,
+        // so later rule changes never rewrite the levies on historical reports
+        levyRule: {
+            rule: { type: mongoose.Schema.Types.ObjectId, ref: 'LevyRule' },
+            base: { type: String, enum: LEVY_BASES },
+            zonalLevyPercent: { type: Number },
+            nationalLevyPercent: { type: Number },
+            effectiveFrom: { type: Date },
+        },
         // Calculated fields
         totalIncome: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         totalExpense: {
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         balanceCarriedForward: { // Closing balance for the current month
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
         },
         balanceBroughtDown: { // Opening balance from previous month
             type: Number,
+            validate: minorUnitsValidator,
             default: 0,
             required: true, // This will be 0 for the very first report, but typically required
         },
-        approvedByAccountant: {
-            type: Boolean,
-            default: false,
+        // Explicit opening balance declared when there is no approved previous month to carry
+        // a balance from (first report, or after a gap). It only becomes balanceBroughtDown once
+        // an Accountant approves it.
+        openingBalance: {
+            amount: { type: Number, min: 0, validate: minorUnitsValidator },
+            declaredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            declaredAt: { type: Date },
+            status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+            reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            reviewedAt: { type: Date },
+            rejectionReason: { type: String },
         },
         // Reference to the user who submitted the report (Fellowship President)
         submittedBy: {
@@ -86,7 +181,18 @@ const financialReportSchema = mongoose.Schema(
             ref: 'User',
             required: true,
         },
-        // Reference to the user who approved the report (Accountant)
+        // Every approval-chain action taken on the report (zonal review, accountant approval, ...)
+        approvalHistory: [
+            {
+                stage: { type: String, required: true }, // e.g. 'zonal_review', 'accountant_approval', 'submission'
+                action: { type: String, enum: ['approved', 'rejected', 'resubmitted', 'amended'], required: true },
+                by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+                role: { type: String },
+                date: { type: Date, default: Date.now },
+                comment: { type: String },
+            },
+        ],
+        // Reference to the user who gave final approval (Accountant)
         approvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -96,21 +202,108 @@ const financialReportSchema = mongoose.Schema(
         },
         status: {
             type: String,
-            enum: ['pending', 'approved', 'rejected'],
+            enum: ['pending', 'zonal_reviewed', 'approved', 'rejected'],
             default: 'pending',
         },
         rejectionReason: {
             type: String,
+        },
+        // Counts levy payments declared against the report, per levy type. Declaring one claims
+        // the next number, so declarations checked against the same outstanding levy are recorded
+        // one at a time (see claimLevyDeclaration)
+        levyDeclarations: {
+            zonal: { type: Number, default: 0 },
+            national: { type: Number, default: 0 },
+        },
+        // Incremented every time an approved report is amended (see FinancialReportVersion)
+        version: {
+            type: Number,
+            default: 1,
         }
     },
     {
         timestamps: true,
+        toJSON: { virtuals: true, id: false, transform: moneyTransform(MONEY_FIELDS) },
+        toObject: { virtuals: true, id: false, transform: moneyTransform(MONEY_FIELDS) },
     }
 );
 
 // Compound unique index to ensure only one report per fellowship per month
 financialReportSchema.index({ fellowship: 1, reportingMonth: 1 }, { unique: true });
 
+// Claims the next levy declaration for the report as it was read. Returns false when another
+// declaration for the same levy was claimed since, i.e. the outstanding levy may have changed.
+financialReportSchema.statics.claimLevyDeclaration = async function (report, levyType) {
+    const path = `levyDeclarations.${levyType}`;
+    const current = report.get(path) || 0;
+    const result = await this.updateOne(
+        { _id: report._id, [path]: current === 0 ? { $in: [0, null] } : current }, // Reports from before the counter have none
+        { $set: { [path]: current + 1 } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Accountant sign-off is now one step of the approval history.
+// Reports approved before the history existed have no entries but are still accountant-approved.
+financialReportSchema.virtual('approvedByAccountant').get(function () {
+    if (!this.approvalHistory || this.approvalHistory.length === 0) {
+        return this.status === 'approved';
+    }
+    const lastAccountantStep = [...this.approvalHistory].reverse().find(step => step.stage === 'accountant_approval');
+    return this.status === 'approved' && !!lastAccountantStep && lastAccountantStep.action === 'approved';
+});
+
+// Recalculates the derived fields: fixed fields covered by line items, projectDonation,
+// disbursementIncome, totals, levies and balanceCarriedForward. Run by the pre-save hook;
+// call it directly to see the figures an edit would produce before saving it.
+financialReportSchema.methods.calculateTotals = function () {
+    // Derive the fixed fields covered by line items from the lines themselves
+    if (this.lineItems && this.lineItems.length > 0) {
+        const lineTotals = {};
+        this.lineItems.forEach(line => {
+            lineTotals[line.reportField] = (lineTotals[line.reportField] || 0) + line.amount;
+        });
+        Object.keys(lineTotals).forEach(field => {
+            this[field] = lineTotals[field];
+        });
+    }
+
+    // Likewise projectDonation from the per-project donations
+    if (this.projectDonations && this.projectDonations.length > 0) {
+        this.projectDonation = this.projectDonations.reduce((sum, donation) => sum + donation.amount, 0);
+    }
+
+    this.disbursementIncome = (this.disbursements || []).reduce((sum, line) => sum + line.amount, 0);
+
+    this.totalIncome = this.tithe + this.offering + this.projectDonation + this.otherIncome + this.disbursementIncome;
+    
+    // Temporarily calculate total expenses *without* levies for now.
+    // Levies will be added to totalExpense later after their calculation.
+    let baseExpenses = this.fellowshipProgramExpense + this.welfareExpense + this.adminExpense + this.outreachExpense;
+    this.totalExpense = baseExpenses; // Initial assignment
+
+    // Calculate levies from the snapshotted LevyRule (see submitFinancialReport).
+    // Reports submitted before levy rules existed fall back to the default 10%/5% of tithe.
+    const rule = this.levyRule && this.levyRule.base ? this.levyRule : DEFAULT_LEVY_RULE;
+
+    // Grants and support sent down by the zone or national office are not levied back
+    let levyBase = this.tithe;
+    if (rule.base === 'totalIncome') {
+        levyBase = this.totalIncome - this.disbursementIncome;
+    } else if (rule.base === 'titheAndOffering') {
+        levyBase = this.tithe + this.offering;
+    }
+
+    // All amounts are integer minor units, so each levy is rounded to the nearest kobo once
+    this.zonalLevy = percentOf(levyBase, rule.zonalLevyPercent);
+    this.nationalLevy = percentOf(levyBase, rule.nationalLevyPercent);
+
+    // Add levies to total expenses
+    this.totalExpense = baseExpenses + this.zonalLevy + this.nationalLevy;
+    
+    // Calculate balance carried forward including the balance brought down
+    this.balanceCarriedForward = this.balanceBroughtDown + this.totalIncome - this.totalExpense;
+};
 
 // Pre-save hook to calculate total income, total expense, and balance carried forward
 // And to potentially auto-calculate zonal/national levy based on rules
@@ -119,33 +312,15 @@ financialReportSchema.pre('save', async function (next) {
     if (this.isModified('tithe') || this.isModified('offering') || this.isModified('projectDonation') ||
         this.isModified('otherIncome') || this.isModified('fellowshipProgramExpense') ||
         this.isModified('welfareExpense') || this.isModified('adminExpense') ||
-        this.isModified('outreachExpense') || this.isNew) {
-
-        this.totalIncome = this.tithe + this.offering + this.projectDonation + this.otherIncome;
-        
-        // Temporarily calculate total expenses *without* levies for now.
-        // Levies will be added to totalExpense later after their calculation.
-        let baseExpenses = this.fellowshipProgramExpense + this.welfareExpense + this.adminExpense + this.outreachExpense;
-        this.totalExpense = baseExpenses; // Initial assignment
-
-        // Calculate levies based on business rules (e.g., % of total income or tithe)
-        // For example, let's assume 10% of tithe for Zonal Levy, and 5% of tithe for National Levy
-        // These percentages should ideally be configurable (e.g., in a settings document)
-        const ZONAL_LEVY_PERCENT = 0.10; // 10%
-        const NATIONAL_LEVY_PERCENT = 0.05; // 5%
-
-        this.zonalLevy = this.tithe * ZONAL_LEVY_PERCENT;
-        this.nationalLevy = this.tithe * NATIONAL_LEVY_PERCENT;
-
-        // Add levies to total expenses
-        this.totalExpense = baseExpenses + this.zonalLevy + this.nationalLevy;
-        
-        // Calculate balance carried forward including the balance brought down
-        this.balanceCarriedForward = this.balanceBroughtDown + this.totalIncome - this.totalExpense;
+        this.isModified('outreachExpense') || this.isModified('levyRule') ||
+        this.isModified('balanceBroughtDown') || this.isModified('lineItems') ||
+        this.isModified('projectDonations') || this.isModified('disbursements') || this.isNew) {
+        this.calculateTotals();
     }
     next();
 });
 
 const FinancialReport = mongoose.model('FinancialReport', financialReportSchema);
 
-module.exports = FinancialReport;
\ No newline at end of file
+module.exports = FinancialReport;
+module.exports.MONEY_FIELDS = MONEY_FIELDS;
\ No newline at end of file
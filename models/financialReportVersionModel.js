@@ -0,0 +1,69 @@
+// backend/models/financialReportVersionModel.js
+const mongoose = require('mongoose');
+const { MONEY_FIELDS } = require('./financialReportModel');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// Money paths of a rechainedReports entry (minor units, like the report itself)
+const BALANCE_CHANGE_FIELDS = [
+    'previousBalanceBroughtDown',
+    'newBalanceBroughtDown',
+    'previousBalanceCarriedForward',
+    'newBalanceCarriedForward',
+];
+
+const VERSION_MONEY_FIELDS = [
+    ...MONEY_FIELDS.map(field => `snapshot.${field}`),
+    ...BALANCE_CHANGE_FIELDS.map(field => `rechainedReports.${field}`),
+];
+
+// A superseded version of an approved FinancialReport, kept whenever the report is amended
+const financialReportVersionSchema = mongoose.Schema(
+    {
+        financialReport: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FinancialReport',
+            required: true,
+        },
+        version: { // The version number the snapshot had before it was amended
+            type: Number,
+            required: true,
+        },
+        snapshot: { // Full copy of the report as it was before the amendment (amounts in minor units)
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        amendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        reason: {
+            type: String,
+            required: true,
+        },
+        // Later reports whose balances were re-chained because of this amendment
+        rechainedReports: [
+            {
+                financialReport: { type: mongoose.Schema.Types.ObjectId, ref: 'FinancialReport' },
+                reportingMonth: { type: Date },
+                previousBalanceBroughtDown: { type: Number, validate: minorUnitsValidator },
+                newBalanceBroughtDown: { type: Number, validate: minorUnitsValidator },
+                previousBalanceCarriedForward: { type: Number, validate: minorUnitsValidator },
+                newBalanceCarriedForward: { type: Number, validate: minorUnitsValidator },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(VERSION_MONEY_FIELDS) },
+        toObject: { transform: moneyTransform(VERSION_MONEY_FIELDS) },
+    }
+);
+
+financialReportVersionSchema.index({ financialReport: 1, version: 1 }, { unique: true });
+
+const FinancialReportVersion = mongoose.model('FinancialReportVersion', financialReportVersionSchema);
+
+module.exports = FinancialReportVersion;
+module.exports.BALANCE_CHANGE_FIELDS = BALANCE_CHANGE_FIELDS;
+module.exports.VERSION_MONEY_FIELDS = VERSION_MONEY_FIELDS;
@@ -0,0 +1,89 @@
+// backend/models/fiscalPeriodModel.js
+const mongoose = require('mongoose');
+
+// A month or a whole (calendar) fiscal year that the Accountant can close.
+// While a period is closed, reports whose reportingMonth falls inside it cannot be
+// submitted, updated, deleted or approved/rejected (see utils/periodLock.js).
+const fiscalPeriodSchema = mongoose.Schema(
+    {
+        periodType: {
+            type: String,
+            enum: ['month', 'year'],
+            required: true,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        month: { // 1-12 for monthly periods, null for a fiscal year
+            type: Number,
+            min: 1,
+            max: 12,
+            default: null,
+        },
+        startDate: { // Start of the first month in the period
+            type: Date,
+            required: true,
+        },
+        endDate: { // Start of the month after the period (exclusive)
+            type: Date,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'closed'],
+            default: 'closed',
+        },
+        closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        closedAt: {
+            type: Date,
+        },
+        reopenedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reopenedAt: {
+            type: Date,
+        },
+        reopenReason: {
+            type: String,
+        },
+        // Every close and reopen, so the audit trail survives repeated reopenings
+        history: [
+            {
+                action: { type: String, enum: ['closed', 'reopened'], required: true },
+                by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+                date: { type: Date, default: Date.now },
+                reason: { type: String },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+fiscalPeriodSchema.index({ periodType: 1, year: 1, month: 1 }, { unique: true });
+fiscalPeriodSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+// Find the closed period (month or year) covering a reporting month, if any
+fiscalPeriodSchema.statics.findClosedPeriodFor = function (reportingMonth) {
+    return this.findOne({
+        status: 'closed',
+        startDate: { $lte: reportingMonth },
+        endDate: { $gt: reportingMonth },
+    });
+};
+
+// Human-readable name, e.g. "June 2024" or "fiscal year 2024"
+fiscalPeriodSchema.virtual('label').get(function () {
+    if (this.periodType === 'year') return `fiscal year ${this.year}`;
+    return new Date(this.year, this.month - 1).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+});
+
+const FiscalPeriod = mongoose.model('FiscalPeriod', fiscalPeriodSchema);
+
+module.exports = FiscalPeriod;
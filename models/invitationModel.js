@@ -0,0 +1,79 @@
+// backend/models/invitationModel.js
+const mongoose = require('mongoose');
+
+// An invitation to join with a given role (and zone or fellowship). The one-time token is
+// emailed to the invitee, who accepts it and chooses their own password (see acceptInvitation).
+const invitationSchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        role: {
+            type: String,
+            required: true,
+        },
+        zone: { // For zonal coordinators
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Zone',
+        },
+        fellowship: { // For fellowship presidents
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+        },
+        tokenHash: { // SHA-256 of the token sent to the invitee (see utils/oneTimeToken.js)
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'revoked'],
+            default: 'pending',
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        messageId: { // From the mail transport, to trace delivery
+            type: String,
+        },
+        acceptedAt: {
+            type: Date,
+        },
+        user: { // The account created when the invitation was accepted
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                delete ret.tokenHash;
+                return ret;
+            },
+        },
+    }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.virtual('isExpired').get(function () {
+    return this.expiresAt.getTime() <= Date.now();
+});
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
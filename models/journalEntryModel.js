@@ -0,0 +1,86 @@
+// backend/models/journalEntryModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+const JOURNAL_MONEY_FIELDS = ['lines.debit', 'lines.credit'];
+
+// A balanced double-entry posting to the general ledger (see utils/ledger.js). Entries are
+// never edited: a posting that no longer holds (e.g. an amended report) is cancelled by a
+// reversing entry and replaced.
+const journalEntrySchema = mongoose.Schema(
+    {
+        entryDate: { // The date the entry belongs to in the books (report month, payment date)
+            type: Date,
+            required: true,
+        },
+        fellowship: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        description: {
+            type: String,
+            required: true,
+        },
+        // What caused the posting
+        source: {
+            type: {
+                type: String,
+                enum: ['financial_report', 'opening_balance', 'remittance', 'reversal'],
+                required: true,
+            },
+            financialReport: { type: mongoose.Schema.Types.ObjectId, ref: 'FinancialReport' },
+            remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'Remittance' },
+        },
+        lines: [
+            {
+                account: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerAccount', required: true },
+                accountCode: { type: String }, // Snapshot of the account code
+                debit: { type: Number, min: 0, default: 0, validate: minorUnitsValidator }, // Minor units
+                credit: { type: Number, min: 0, default: 0, validate: minorUnitsValidator },
+            },
+        ],
+        postedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reversalOf: { // Set on reversing entries
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+        },
+        reversedBy: { // Set on entries that have been reversed
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JournalEntry',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(JOURNAL_MONEY_FIELDS) },
+        toObject: { transform: moneyTransform(JOURNAL_MONEY_FIELDS) },
+    }
+);
+
+journalEntrySchema.index({ fellowship: 1, entryDate: 1 });
+journalEntrySchema.index({ 'lines.account': 1, entryDate: 1 });
+journalEntrySchema.index({ 'source.financialReport': 1 });
+journalEntrySchema.index({ 'source.remittance': 1 });
+
+// Every entry must balance, and every line is either a debit or a credit
+journalEntrySchema.pre('validate', function (next) {
+    if (!this.lines || this.lines.length < 2) {
+        return next(new Error('A journal entry needs at least two lines.'));
+    }
+    if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+        return next(new Error('Each journal line must have either a debit or a credit amount.'));
+    }
+    const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+    if (debits !== credits) {
+        return next(new Error(`Journal entry does not balance: debits ${debits}, credits ${credits} (minor units).`));
+    }
+    next();
+});
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
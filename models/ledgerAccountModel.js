@@ -0,0 +1,86 @@
+// backend/models/ledgerAccountModel.js
+const mongoose = require('mongoose');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// The accounts postings are made to. `systemKey` identifies the accounts the ledger posts to
+// automatically; for income and expense accounts it is the FinancialReport field they book.
+const CHART_OF_ACCOUNTS = [
+    { systemKey: 'cash', code: '1000', name: 'Cash and bank', type: 'asset' },
+    { systemKey: 'zonalLevyPayable', code: '2100', name: 'Levy payable to zone', type: 'liability' },
+    { systemKey: 'nationalLevyPayable', code: '2200', name: 'Levy payable to national', type: 'liability' },
+    { systemKey: 'accumulatedFund', code: '3000', name: 'Accumulated fund', type: 'equity' },
+    { systemKey: 'tithe', code: '4000', name: 'Tithe income', type: 'income' },
+    { systemKey: 'offering', code: '4100', name: 'Offering income', type: 'income' },
+    { systemKey: 'projectDonation', code: '4200', name: 'Project donations', type: 'income' },
+    { systemKey: 'otherIncome', code: '4300', name: 'Other income', type: 'income' },
+    { systemKey: 'disbursementIncome', code: '4400', name: 'Grants and support received', type: 'income' },
+    { systemKey: 'fellowshipProgramExpense', code: '5000', name: 'Fellowship programme expenses', type: 'expense' },
+    { systemKey: 'welfareExpense', code: '5100', name: 'Welfare expenses', type: 'expense' },
+    { systemKey: 'adminExpense', code: '5200', name: 'Administration expenses', type: 'expense' },
+    { systemKey: 'outreachExpense', code: '5300', name: 'Outreach expenses', type: 'expense' },
+    { systemKey: 'zonalLevy', code: '5800', name: 'Zonal levy', type: 'expense' },
+    { systemKey: 'nationalLevy', code: '5900', name: 'National levy', type: 'expense' },
+];
+
+const ledgerAccountSchema = mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: ACCOUNT_TYPES,
+            required: true,
+        },
+        systemKey: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true, id: false },
+        toObject: { virtuals: true, id: false },
+    }
+);
+
+// Assets and expenses grow with debits; liabilities, equity and income with credits
+ledgerAccountSchema.virtual('normalBalance').get(function () {
+    return ['asset', 'expense'].includes(this.type) ? 'debit' : 'credit';
+});
+
+// Creates any missing chart of accounts entries and returns the system accounts by systemKey
+ledgerAccountSchema.statics.getSystemAccounts = async function () {
+    let accounts = await this.find({ systemKey: { $in: CHART_OF_ACCOUNTS.map(account => account.systemKey) } });
+    if (accounts.length < CHART_OF_ACCOUNTS.length) {
+        await this.bulkWrite(CHART_OF_ACCOUNTS.map(account => ({
+            updateOne: {
+                filter: { systemKey: account.systemKey },
+                update: { $setOnInsert: account },
+                upsert: true,
+            },
+        })));
+        accounts = await this.find({ systemKey: { $in: CHART_OF_ACCOUNTS.map(account => account.systemKey) } });
+    }
+
+    const accountsByKey = {};
+    accounts.forEach(account => {
+        accountsByKey[account.systemKey] = account;
+    });
+    return accountsByKey;
+};
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+module.exports = LedgerAccount;
+module.exports.CHART_OF_ACCOUNTS = CHART_OF_ACCOUNTS;
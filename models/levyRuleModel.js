@@ -0,0 +1,82 @@
+// backend/models/levyRuleModel.js
+const mongoose = require('mongoose');
+
+// Income figures a levy can be calculated on
+const LEVY_BASES = ['tithe', 'totalIncome', 'titheAndOffering'];
+
+// Used when no LevyRule has been configured yet (the original hardcoded rates)
+const DEFAULT_LEVY_RULE = {
+    base: 'tithe',
+    zonalLevyPercent: 10,
+    nationalLevyPercent: 5,
+};
+
+const levyRuleSchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Zone this rule overrides. Leave empty for the national default rule.
+        zone: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Zone',
+            default: null,
+        },
+        base: {
+            type: String,
+            enum: LEVY_BASES,
+            required: true,
+            default: 'tithe',
+        },
+        zonalLevyPercent: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 100,
+        },
+        nationalLevyPercent: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 100,
+        },
+        effectiveFrom: {
+            type: Date, // Start of the first calendar month the rule applies to
+            required: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        notes: {
+            type: String,
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Only one rule per zone (or national default) can start in a given month
+levyRuleSchema.index({ zone: 1, effectiveFrom: 1 }, { unique: true });
+
+// Find the rule in force for a zone and reporting month.
+// A zone override wins over the national default; the latest effectiveFrom wins within each.
+levyRuleSchema.statics.findApplicable = async function (zoneId, reportingMonth) {
+    if (zoneId) {
+        const zoneRule = await this.findOne({ zone: zoneId, effectiveFrom: { $lte: reportingMonth } })
+            .sort({ effectiveFrom: -1 });
+        if (zoneRule) return zoneRule;
+    }
+    return this.findOne({ zone: null, effectiveFrom: { $lte: reportingMonth } })
+        .sort({ effectiveFrom: -1 });
+};
+
+const LevyRule = mongoose.model('LevyRule', levyRuleSchema);
+
+module.exports = LevyRule;
+module.exports.LEVY_BASES = LEVY_BASES;
+module.exports.DEFAULT_LEVY_RULE = DEFAULT_LEVY_RULE;
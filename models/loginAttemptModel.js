@@ -0,0 +1,47 @@
+// backend/models/loginAttemptModel.js
+const mongoose = require('mongoose');
+
+// Every login attempt, successful or not. Used to throttle by IP address and shown to users
+// so they can spot attempts on their account.
+const loginAttemptSchema = mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: true,
+        },
+        user: { // Unset when the email does not belong to an account
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        ip: {
+            type: String,
+        },
+        userAgent: {
+            type: String,
+        },
+        success: {
+            type: Boolean,
+            required: true,
+        },
+        // Why a failed attempt failed
+        failureReason: {
+            type: String,
+            enum: ['invalid_credentials', 'invalid_two_factor', 'account_locked', 'throttled'],
+        },
+        // How the second step of a two-factor login was passed
+        secondFactor: {
+            type: String,
+            enum: ['totp', 'recovery_code'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,59 @@
+// backend/models/passwordResetModel.js
+const mongoose = require('mongoose');
+
+// One password reset request and what became of it. Kept after use as the record of resets.
+const passwordResetSchema = mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        tokenHash: { // SHA-256 of the token mailed to the user (see utils/oneTimeToken.js)
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // superseded: a newer request was made before this one was used
+        status: {
+            type: String,
+            enum: ['pending', 'used', 'superseded'],
+            default: 'pending',
+        },
+        requestedIp: {
+            type: String,
+        },
+        messageId: { // From the mail transport, to trace delivery
+            type: String,
+        },
+        usedAt: {
+            type: Date,
+        },
+        usedIp: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                delete ret.tokenHash;
+                return ret;
+            },
+        },
+    }
+);
+
+passwordResetSchema.index({ user: 1, status: 1 });
+
+passwordResetSchema.virtual('isExpired').get(function () {
+    return this.expiresAt.getTime() <= Date.now();
+});
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+module.exports = PasswordReset;
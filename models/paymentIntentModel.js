@@ -0,0 +1,100 @@
+// backend/models/paymentIntentModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// An online payment of a report's levy started by a Fellowship President. Creating it also
+// declares a pending 'online' Remittance, which the provider's webhook confirms (or rejects).
+const paymentIntentSchema = mongoose.Schema(
+    {
+        // The approved financial report whose levy is being paid
+        financialReport: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FinancialReport',
+            required: true,
+        },
+        fellowship: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        levyType: {
+            type: String,
+            enum: ['zonal', 'national'],
+            required: true,
+        },
+        amount: { // Minor units
+            type: Number,
+            validate: minorUnitsValidator,
+            required: true,
+            min: 0,
+        },
+        currency: {
+            type: String,
+            default: 'NGN',
+        },
+        remittance: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Remittance',
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        reference: { // Our reference, sent to the provider and echoed back in its webhooks
+            type: String,
+            required: true,
+            unique: true,
+        },
+        providerReference: {
+            type: String,
+        },
+        checkoutUrl: {
+            type: String,
+        },
+        status: {
+            type: String,
+            // needs_review: the provider reported a payment that cannot be applied as it is
+            // (a different amount, or more than the levy still owed); an Accountant settles it by
+            // applying it to the levy (succeeded), refunding it (refunded) or closing it (resolved)
+            enum: ['pending', 'succeeded', 'failed', 'expired', 'needs_review', 'refunded', 'resolved'],
+            default: 'pending',
+        },
+        initiatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        paidAmount: { // Minor units, as reported by the provider
+            type: Number,
+            validate: minorUnitsValidator,
+            min: 0,
+        },
+        paidAt: {
+            type: Date,
+        },
+        failureReason: {
+            type: String,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        reviewNote: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount', 'paidAmount']) },
+        toObject: { transform: moneyTransform(['amount', 'paidAmount']) },
+    }
+);
+
+paymentIntentSchema.index({ financialReport: 1, levyType: 1, status: 1 });
+
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
+
+module.exports = PaymentIntent;
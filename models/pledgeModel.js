@@ -0,0 +1,66 @@
+// backend/models/pledgeModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// A promise to give towards a Project, made through a fellowship by a member (or by the
+// fellowship itself). Redemptions are the project donations on financial reports that
+// reference the pledge, so how much has been fulfilled is derived, never stored.
+const pledgeSchema = mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+        },
+        fellowship: { // The fellowship the pledge was made through, and whose reports redeem it
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        pledgerName: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        amount: { // Minor units
+            type: Number,
+            required: true,
+            min: 0,
+            validate: minorUnitsValidator,
+        },
+        dueDate: {
+            type: Date,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'cancelled'],
+            default: 'active',
+        },
+        notes: {
+            type: String,
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        cancellationReason: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount']) },
+        toObject: { transform: moneyTransform(['amount']) },
+    }
+);
+
+pledgeSchema.index({ project: 1, fellowship: 1 });
+
+const Pledge = mongoose.model('Pledge', pledgeSchema);
+
+module.exports = Pledge;
@@ -0,0 +1,81 @@
+// backend/models/projectModel.js
+const mongoose = require('mongoose');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+const PROJECT_SCOPES = ['fellowship', 'zone', 'national'];
+
+// A fundraising project (building fund, conference, missions, ...) that fellowships raise
+// money for. Donations are recorded on financial reports (FinancialReport.projectDonations)
+// and pledges against the project (see Pledge).
+const projectSchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: {
+            type: String,
+        },
+        category: {
+            type: String,
+            enum: ['building_fund', 'conference', 'missions', 'other'],
+            default: 'other',
+        },
+        // Who the project belongs to, and so which fellowships can donate to it:
+        // one fellowship, every fellowship in a zone, or every fellowship in the nation
+        scope: {
+            type: String,
+            enum: PROJECT_SCOPES,
+            required: true,
+        },
+        fellowship: { // Required for fellowship projects
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: function () { return this.scope === 'fellowship'; },
+        },
+        zone: { // Required for zone projects
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Zone',
+            required: function () { return this.scope === 'zone'; },
+        },
+        targetAmount: { // Minor units
+            type: Number,
+            required: true,
+            min: 0,
+            validate: minorUnitsValidator,
+        },
+        deadline: {
+            type: Date,
+        },
+        status: { // Only active projects accept new donations and pledges
+            type: String,
+            enum: ['active', 'completed', 'cancelled'],
+            default: 'active',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['targetAmount']) },
+        toObject: { transform: moneyTransform(['targetAmount']) },
+    }
+);
+
+projectSchema.index({ scope: 1, zone: 1, fellowship: 1 });
+
+// True when `fellowship` (a document with its zone) may donate and pledge to this project
+projectSchema.methods.coversFellowship = function (fellowship) {
+    if (this.scope === 'national') return true;
+    if (this.scope === 'zone') return !!fellowship.zone && this.zone.equals(fellowship.zone._id || fellowship.zone);
+    return this.fellowship.equals(fellowship._id);
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
+module.exports.PROJECT_SCOPES = PROJECT_SCOPES;
@@ -0,0 +1,66 @@
+// backend/models/refreshTokenModel.js
+const mongoose = require('mongoose');
+
+// A refresh token issued at login. Each use replaces it with a new one in the same family
+// (rotation); presenting a token that was already replaced revokes the whole family, since
+// it means the token was copied. See utils/authTokens.js.
+const refreshTokenSchema = mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        tokenHash: { // SHA-256 of the token handed to the client (see utils/oneTimeToken.js)
+            type: String,
+            required: true,
+            unique: true,
+        },
+        family: { // Shared by every token rotated from the same login
+            type: String,
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        mfa: { // The login passed the second factor; carried over on rotation
+            type: Boolean,
+            default: false,
+        },
+        createdByIp: {
+            type: String,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        revokedReason: { // e.g. 'rotated', 'logout', 'logout_all', 'reuse_detected', 'credentials_changed'
+            type: String,
+        },
+        replacedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RefreshToken',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are no use to anyone; let MongoDB remove them a day later
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+refreshTokenSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+});
+
+// Revokes every still-active refresh token of a user
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,126 @@
+// backend/models/remittanceModel.js
+const mongoose = require('mongoose');
+const Counter = require('./counterModel');
+const { minorUnitsValidator, moneyTransform } = require('../utils/money');
+
+// Maps a remittance levyType to the levy field it settles on a FinancialReport
+const LEVY_FIELDS = {
+    zonal: 'zonalLevy',
+    national: 'nationalLevy',
+};
+
+const remittanceSchema = mongoose.Schema(
+    {
+        // The approved financial report whose levy this payment settles
+        financialReport: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FinancialReport',
+            required: true,
+        },
+        fellowship: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Fellowship',
+            required: true,
+        },
+        levyType: {
+            type: String,
+            enum: ['zonal', 'national'],
+            required: true,
+        },
+        amount: {
+            type: Number,
+            validate: minorUnitsValidator,
+            required: true,
+            min: 0,
+        },
+        paymentDate: {
+            type: Date,
+            required: true,
+        },
+        paymentMethod: {
+            type: String,
+            enum: ['bank_transfer', 'cash', 'cheque', 'online', 'other'],
+            default: 'bank_transfer',
+        },
+        reference: { // Bank transaction reference, teller or cheque number
+            type: String,
+            trim: true,
+        },
+        notes: {
+            type: String,
+        },
+        bankStatementLine: { // Set when the payment was matched on an imported bank statement
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BankStatementLine',
+        },
+        paymentIntent: { // Set on online payments, which the payment provider's webhook confirms
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PaymentIntent',
+        },
+
+        // Declaration and Confirmation Workflow
+        declaredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true, // The Fellowship President declaring the payment
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'confirmed', 'rejected'],
+            default: 'pending',
+        },
+        confirmedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User', // The Accountant who confirmed or rejected the payment
+        },
+        confirmationDate: {
+            type: Date,
+        },
+        rejectionReason: {
+            type: String,
+        },
+        receiptNumber: { // e.g. "RCT-2024-000042", assigned when the payment is confirmed
+            type: String,
+            unique: true,
+            sparse: true,
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { transform: moneyTransform(['amount']) },
+        toObject: { transform: moneyTransform(['amount']) },
+    }
+);
+
+remittanceSchema.index({ financialReport: 1, levyType: 1 });
+remittanceSchema.index({ fellowship: 1, status: 1 });
+
+// Number every confirmed payment's receipt, in confirmation order within each year
+remittanceSchema.pre('save', async function (next) {
+    if (this.status === 'confirmed' && !this.receiptNumber) {
+        const year = (this.confirmationDate || new Date()).getFullYear();
+        const sequence = await Counter.next(`remittance-receipt-${year}`);
+        this.receiptNumber = `RCT-${year}-${String(sequence).padStart(6, '0')}`;
+    }
+    next();
+});
+
+// Sums the pending and confirmed remittances already declared against a report's levy (minor units)
+remittanceSchema.statics.getDeclaredAmount = async function (financialReportId, levyType) {
+    const result = await this.aggregate([
+        {
+            $match: {
+                financialReport: financialReportId,
+                levyType,
+                status: { $in: ['pending', 'confirmed'] }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return result[0] ? result[0].total : 0;
+};
+
+const Remittance = mongoose.model('Remittance', remittanceSchema);
+
+module.exports = Remittance;
+module.exports.LEVY_FIELDS = LEVY_FIELDS;
@@ -0,0 +1,33 @@
+// backend/models/twoFactorPolicyModel.js
+const mongoose = require('mongoose');
+
+// Whether users with a role must pass two-factor authentication. Roles without a policy do
+// not require it. Enforced by protect (see middleware/authMiddleware.js).
+const twoFactorPolicySchema = mongoose.Schema(
+    {
+        role: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        required: {
+            type: Boolean,
+            default: false,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+twoFactorPolicySchema.statics.isRequiredForRole = async function (role) {
+    return Boolean(await this.exists({ role, required: true }));
+};
+
+const TwoFactorPolicy = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
+
+module.exports = TwoFactorPolicy;
@@ -4,6 +4,7 @@ const router = express.Router();
 const {
     getOverallSummary,
     getMonthlyTrends,
+    getZoneNetFlow,
 } = require('../controllers/analyticsController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
@@ -28,4 +29,15 @@ router.get('/summary', protect, authorizeRoles(...ANALYTICS_VIEW_ROLES), getOver
 // Get monthly trends for key metrics over a year, filtered by user's role/scope.
 router.get('/monthly-trends', protect, authorizeRoles(...ANALYTICS_VIEW_ROLES), getMonthlyTrends);
 
+// GET /api/analytics/zone-net-flow
+// Disbursements paid down vs levies paid up per zone, for a year or month (zone scoping in controller).
+router.get('/zone-net-flow', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'national_coordinator',
+    'accountant',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'zonal_coordinator'
+), getZoneNetFlow);
+
 module.exports = router;
\ No newline at end of file
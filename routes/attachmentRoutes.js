@@ -0,0 +1,32 @@
+// backend/routes/attachmentRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    uploadReportAttachment,
+    getReportAttachments,
+    downloadAttachment,
+    deleteAttachment,
+} = require('../controllers/attachmentController');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadAttachment } = require('../middleware/uploadMiddleware');
+
+// Routes for Report Attachments (receipts, photos, registers)
+// Authorization mirrors the report being attached to and is handled within the controller.
+
+// POST /api/attachments
+// Upload a file (multipart field "file") for a report.
+router.post('/', protect, uploadAttachment, uploadReportAttachment);
+
+// GET /api/attachments?reportType=<type>&reportId=<ID>
+// List the attachments of a report.
+router.get('/', protect, getReportAttachments);
+
+// GET /api/attachments/:id/download
+// Download a single attachment.
+router.get('/:id/download', protect, downloadAttachment);
+
+// DELETE /api/attachments/:id
+// Delete an attachment (uploader, Administrator or Super Admin).
+router.delete('/:id', protect, deleteAttachment);
+
+module.exports = router;
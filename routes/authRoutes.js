@@ -1,10 +1,29 @@
 // backend/routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser } = require('../controllers/authController');
+const {
+    loginUser,
+    verifyTwoFactorLogin,
+    acceptInvitation,
+    forgotPassword,
+    resetPassword,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
+} = require('../controllers/authController');
+const { protect } = require('../middleware/authMiddleware');
 
 // Public routes for authentication
-router.post('/register', registerUser);
+// Accounts are created by invitation only (see POST /api/users/create-admin-user and /create-fellowship-president)
 router.post('/login', loginUser);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/accept-invite', acceptInvitation);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshAccessToken);
+
+// Session routes (need a valid access token)
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// backend/routes/budgetRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createBudget,
+    getBudgets,
+    getBudgetVsActual,
+    getBudgetById,
+    updateBudget,
+    approveRejectBudget,
+} = require('../controllers/budgetController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view budgets (scoping to zone/fellowship handled in the controller)
+const BUDGET_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for Fellowship Budgets
+// Submit an annual budget (only by Fellowship President for their assigned fellowship)
+router.post('/', protect, authorizeRoles('fellowship_president_rcf', 'fellowship_president_rccf'), createBudget);
+
+// Get all/filtered budgets
+router.get('/', protect, authorizeRoles(...BUDGET_VIEW_ROLES), getBudgets);
+
+// Budget vs actual with overspending flags
+// Must be declared before '/:id' so "budget-vs-actual" is not treated as an ID.
+router.get('/budget-vs-actual', protect, authorizeRoles(...BUDGET_VIEW_ROLES), getBudgetVsActual);
+
+// Get single budget by ID
+router.get('/:id', protect, authorizeRoles(...BUDGET_VIEW_ROLES), getBudgetById);
+
+// Update a pending/rejected budget (Fellowship President) or any budget (Super Admin)
+router.put('/:id', protect, authorizeRoles('super_admin', 'fellowship_president_rcf', 'fellowship_president_rccf'), updateBudget);
+
+// Approve/Reject a budget (Zonal Coordinator of the fellowship's zone, checked in controller)
+router.put('/:id/approve-reject', protect, authorizeRoles('zonal_coordinator'), approveRejectBudget);
+
+module.exports = router;
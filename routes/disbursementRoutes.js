@@ -0,0 +1,41 @@
+// backend/routes/disbursementRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createDisbursement,
+    getDisbursements,
+    getDisbursementById,
+    approveRejectDisbursement,
+    payDisbursement,
+} = require('../controllers/disbursementController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view and request disbursements (scoping to zone/fellowship handled in the controller)
+const DISBURSEMENT_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for Disbursements (money sent down to fellowships by the national office or a zone)
+// Request a disbursement for a fellowship
+router.post('/', protect, authorizeRoles(...DISBURSEMENT_VIEW_ROLES), createDisbursement);
+
+// Get all/filtered disbursements
+router.get('/', protect, authorizeRoles(...DISBURSEMENT_VIEW_ROLES), getDisbursements);
+
+// Get single disbursement by ID
+router.get('/:id', protect, authorizeRoles(...DISBURSEMENT_VIEW_ROLES), getDisbursementById);
+
+// Approve/Reject a request (National Coordinator for national, Zonal Coordinator for zone disbursements; checked in controller)
+router.put('/:id/approve-reject', protect, authorizeRoles('super_admin', 'national_coordinator', 'zonal_coordinator'), approveRejectDisbursement);
+
+// Record the payout (Accountant for national, Zonal Coordinator for zone disbursements; checked in controller)
+router.put('/:id/pay', protect, authorizeRoles('super_admin', 'accountant', 'zonal_coordinator'), payDisbursement);
+
+module.exports = router;
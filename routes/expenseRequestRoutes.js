@@ -0,0 +1,37 @@
+// backend/routes/expenseRequestRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createExpenseRequest,
+    getExpenseRequests,
+    getExpenseRequestById,
+    approveRejectExpenseRequest,
+} = require('../controllers/expenseRequestController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view expense requests (scoping to zone/fellowship handled in the controller)
+const EXPENSE_REQUEST_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for Expense Pre-approval Requests
+// Request pre-approval of a large spend (only by Fellowship President for their assigned fellowship)
+router.post('/', protect, authorizeRoles('fellowship_president_rcf', 'fellowship_president_rccf'), createExpenseRequest);
+
+// Get all/filtered expense requests
+router.get('/', protect, authorizeRoles(...EXPENSE_REQUEST_VIEW_ROLES), getExpenseRequests);
+
+// Get single expense request by ID
+router.get('/:id', protect, authorizeRoles(...EXPENSE_REQUEST_VIEW_ROLES), getExpenseRequestById);
+
+// Approve/Reject an expense request (Zonal Coordinator of the fellowship's zone, checked in controller)
+router.put('/:id/approve-reject', protect, authorizeRoles('zonal_coordinator'), approveRejectExpenseRequest);
+
+module.exports = router;
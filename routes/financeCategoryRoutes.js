@@ -0,0 +1,19 @@
+// backend/routes/financeCategoryRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createFinanceCategory,
+    getFinanceCategories,
+    updateFinanceCategory,
+    deleteFinanceCategory,
+} = require('../controllers/financeCategoryController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Routes for Finance Categories (used by financial report line items)
+// Only Administrator (or Super Admin) can create, update, delete categories
+router.post('/', protect, authorizeRoles('administrator', 'super_admin'), createFinanceCategory);
+router.get('/', protect, getFinanceCategories); // Everyone authenticated needs the list to fill in reports
+router.put('/:id', protect, authorizeRoles('administrator', 'super_admin'), updateFinanceCategory);
+router.delete('/:id', protect, authorizeRoles('administrator', 'super_admin'), deleteFinanceCategory);
+
+module.exports = router;
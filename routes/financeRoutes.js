@@ -6,7 +6,21 @@ const {
     getFinancialReports,
     getFinancialReportById,
     approveRejectFinancialReport,
+    updateFinancialReport,
+    amendFinancialReport,
+    getFinancialReportVersions,
+    reviewOpeningBalance,
+    getBalanceContinuity,
 } = require('../controllers/financeController');
+const {
+    getFellowshipStatement,
+    getZoneStatement,
+    getNationalStatement,
+} = require('../controllers/statementController');
+const {
+    getRemittanceReceipt,
+    getAccountStatement,
+} = require('../controllers/financeDocumentController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
 // Routes for Financial Reports
@@ -25,6 +39,58 @@ router.get('/', protect, authorizeRoles(
     'fellowship_president_rccf'
 ), getFinancialReports);
 
+// List fellowships whose balance chain is broken (scoped by role in controller)
+// Must be declared before '/:id' so "balance-continuity" is not treated as an ID.
+router.get('/balance-continuity', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf'
+), getBalanceContinuity);
+
+// Income and expenditure statements as JSON or CSV (?format=csv), scoped by role in controller
+router.get('/statements/fellowship/:fellowshipId', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf'
+), getFellowshipStatement);
+router.get('/statements/zone/:zoneId', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach'
+), getZoneStatement);
+router.get('/statements/national', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach'
+), getNationalStatement);
+
+// PDF receipt for a confirmed levy payment (same access as a single report, checked in controller)
+router.get('/remittances/:remittanceId/receipt', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf'
+), getRemittanceReceipt);
+
 // Get single report by ID (access based on role in controller)
 router.get('/:id', protect, authorizeRoles(
     'super_admin',
@@ -37,7 +103,42 @@ router.get('/:id', protect, authorizeRoles(
     'fellowship_president_rccf'
 ), getFinancialReportById);
 
-// Approve/Reject report (only by Accountant)
-router.put('/:id/approve-reject', protect, authorizeRoles('accountant'), approveRejectFinancialReport);
+// PDF monthly account statement of an approved report (same access as a single report, checked in controller)
+router.get('/:id/account-statement', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf'
+), getAccountStatement);
+
+// Update a pending/rejected report (Fellowship President who submitted it) or any report (Super Admin)
+// Ownership and status checks handled within the controller.
+router.put('/:id', protect, authorizeRoles('super_admin', 'fellowship_president_rcf', 'fellowship_president_rccf'), updateFinancialReport);
+
+// Amend an approved report; later months' balances are re-chained (Accountant or Super Admin)
+router.put('/:id/amend', protect, authorizeRoles('accountant', 'super_admin'), amendFinancialReport);
+
+// Get previous versions of an amended report (access based on role in controller)
+router.get('/:id/versions', protect, authorizeRoles(
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf'
+), getFinancialReportVersions);
+
+// Approve/Reject a declared opening balance (only by Accountant)
+router.put('/:id/opening-balance', protect, authorizeRoles('accountant'), reviewOpeningBalance);
+
+// Approve/Reject report at its current approval stage
+// Zonal Coordinator reviews first, then the Accountant gives final approval (stage checks in controller).
+router.put('/:id/approve-reject', protect, authorizeRoles('zonal_coordinator', 'accountant'), approveRejectFinancialReport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// backend/routes/fiscalPeriodRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    closeFiscalPeriod,
+    reopenFiscalPeriod,
+    getFiscalPeriods,
+} = require('../controllers/fiscalPeriodController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Routes for Fiscal Periods (month and year close)
+// Get periods (any authenticated user, so clients can tell which months are locked)
+router.get('/', protect, getFiscalPeriods);
+
+// Close a month or a fiscal year (only by Accountant)
+router.post('/close', protect, authorizeRoles('accountant'), closeFiscalPeriod);
+
+// Reopen a closed period with a recorded reason (only by Super Admin)
+router.put('/:id/reopen', protect, authorizeRoles('super_admin'), reopenFiscalPeriod);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// backend/routes/ledgerRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    getLedgerAccounts,
+    getTrialBalance,
+    getAccountStatement,
+    getJournalEntries,
+} = require('../controllers/ledgerController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view the general ledger (scoping to zone/fellowship handled in the controller)
+const LEDGER_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+];
+
+// Routes for the General Ledger (entries are posted by the finance workflows, never by hand)
+// Chart of accounts
+router.get('/accounts', protect, authorizeRoles(...LEDGER_VIEW_ROLES), getLedgerAccounts);
+
+// Statement for one account
+router.get('/accounts/:id/statement', protect, authorizeRoles(...LEDGER_VIEW_ROLES), getAccountStatement);
+
+// Trial balance
+router.get('/trial-balance', protect, authorizeRoles(...LEDGER_VIEW_ROLES), getTrialBalance);
+
+// Journal entries
+router.get('/entries', protect, authorizeRoles(...LEDGER_VIEW_ROLES), getJournalEntries);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// backend/routes/levyRuleRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createLevyRule,
+    getLevyRules,
+    getApplicableLevyRule,
+    getLevyRuleById,
+    updateLevyRule,
+    deleteLevyRule,
+} = require('../controllers/levyRuleController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Routes for Levy Rules
+// Only Super Admin (or Accountant) can create, update, delete levy rules
+router.post('/', protect, authorizeRoles('super_admin', 'accountant'), createLevyRule);
+router.get('/', protect, getLevyRules); // Everyone authenticated can see how levies are calculated
+router.get('/applicable', protect, getApplicableLevyRule); // Declared before '/:id'
+router.get('/:id', protect, getLevyRuleById);
+router.put('/:id', protect, authorizeRoles('super_admin', 'accountant'), updateLevyRule);
+router.delete('/:id', protect, authorizeRoles('super_admin', 'accountant'), deleteLevyRule);
+
+module.exports = router;
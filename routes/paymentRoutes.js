@@ -0,0 +1,41 @@
+// backend/routes/paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createPaymentIntent,
+    handlePaymentWebhook,
+    getPaymentIntents,
+    getPaymentIntentById,
+    reviewPaymentIntent,
+} = require('../controllers/paymentController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view online payments (scoping to zone/fellowship handled in the controller)
+const PAYMENT_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for Online Levy Payments
+// Start paying a levy online (only by Fellowship President for their assigned fellowship)
+router.post('/intents', protect, authorizeRoles('fellowship_president_rcf', 'fellowship_president_rccf'), createPaymentIntent);
+
+// Get all/filtered payments
+router.get('/intents', protect, authorizeRoles(...PAYMENT_VIEW_ROLES), getPaymentIntents);
+
+// Get single payment by ID
+router.get('/intents/:id', protect, authorizeRoles(...PAYMENT_VIEW_ROLES), getPaymentIntentById);
+
+// Settle a payment the provider reported but that could not be applied as it was (Accountant only)
+router.put('/intents/:id/review', protect, authorizeRoles('accountant'), reviewPaymentIntent);
+
+// Payment results from the provider (no login: the request is verified by its signature)
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+module.exports = router;
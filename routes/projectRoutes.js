@@ -0,0 +1,53 @@
+// backend/routes/projectRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createProject,
+    getProjects,
+    getProjectById,
+    updateProject,
+    createPledge,
+    cancelPledge,
+} = require('../controllers/projectController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view projects (scoping to zone/fellowship handled in the controller)
+const PROJECT_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Roles that can run projects and record pledges (which projects and fellowships checked in the controller)
+const PROJECT_MANAGER_ROLES = [
+    'super_admin',
+    'administrator',
+    'national_coordinator',
+    'zonal_coordinator',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for fundraising Projects and their Pledges
+// Create a national, zone or fellowship project
+router.post('/', protect, authorizeRoles(...PROJECT_MANAGER_ROLES), createProject);
+
+// Get projects with progress toward their targets
+router.get('/', protect, authorizeRoles(...PROJECT_VIEW_ROLES), getProjects);
+
+// Get a single project with donations by fellowship and pledges
+router.get('/:id', protect, authorizeRoles(...PROJECT_VIEW_ROLES), getProjectById);
+
+// Update a project's details, target, deadline or status
+router.put('/:id', protect, authorizeRoles(...PROJECT_MANAGER_ROLES), updateProject);
+
+// Record and cancel pledges made through a fellowship
+router.post('/:id/pledges', protect, authorizeRoles(...PROJECT_MANAGER_ROLES), createPledge);
+router.put('/:id/pledges/:pledgeId/cancel', protect, authorizeRoles(...PROJECT_MANAGER_ROLES), cancelPledge);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// backend/routes/reconciliationRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    importBankStatement,
+    getBankStatements,
+    getStatementLines,
+    rematchStatementLines,
+    confirmStatementLine,
+    rejectStatementLine,
+} = require('../controllers/reconciliationController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { uploadBankStatement } = require('../middleware/uploadMiddleware');
+
+// Routes for Bank Statement Reconciliation (Accountant only)
+// Import a bank statement CSV (multipart field "file") and propose levy matches
+router.post('/statements', protect, authorizeRoles('accountant'), uploadBankStatement, importBankStatement);
+
+// Get imported bank statements
+router.get('/statements', protect, authorizeRoles('accountant'), getBankStatements);
+
+// Get the reconciliation queue (or lines filtered by status/statement)
+router.get('/lines', protect, authorizeRoles('accountant'), getStatementLines);
+
+// Re-run matching for unmatched lines
+router.post('/lines/rematch', protect, authorizeRoles('accountant'), rematchStatementLines);
+
+// Confirm a line against its proposed match or a chosen remittance/levy
+router.put('/lines/:id/confirm', protect, authorizeRoles('accountant'), confirmStatementLine);
+
+// Reject a proposed match, or ignore a line that is not a levy payment
+router.put('/lines/:id/reject', protect, authorizeRoles('accountant'), rejectStatementLine);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// backend/routes/remittanceRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    declareRemittance,
+    getRemittances,
+    getRemittanceById,
+    confirmRejectRemittance,
+    getOutstandingBalances,
+    getLevyAging,
+} = require('../controllers/remittanceController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Roles that can view remittances (scoping to zone/fellowship handled in the controller)
+const REMITTANCE_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'zonal_coordinator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'fellowship_president_rcf',
+    'fellowship_president_rccf',
+];
+
+// Routes for Levy Remittances
+// Declare a levy payment (only by Fellowship President for their assigned fellowship)
+router.post('/', protect, authorizeRoles('fellowship_president_rcf', 'fellowship_president_rccf'), declareRemittance);
+
+// Get all/filtered remittances (access based on role in controller)
+router.get('/', protect, authorizeRoles(...REMITTANCE_VIEW_ROLES), getRemittances);
+
+// Get outstanding levy balances per fellowship and zone
+// Must be declared before '/:id' so "outstanding" is not treated as an ID.
+router.get('/outstanding', protect, authorizeRoles(...REMITTANCE_VIEW_ROLES), getOutstandingBalances);
+
+// Get unpaid levies grouped into aging buckets per fellowship and zone
+// Must be declared before '/:id' so "aging" is not treated as an ID.
+router.get('/aging', protect, authorizeRoles(...REMITTANCE_VIEW_ROLES), getLevyAging);
+
+// Get single remittance by ID (access based on role in controller)
+router.get('/:id', protect, authorizeRoles(...REMITTANCE_VIEW_ROLES), getRemittanceById);
+
+// Confirm/Reject a declared payment (only by Accountant)
+router.put('/:id/confirm-reject', protect, authorizeRoles('accountant'), confirmRejectRemittance);
+
+module.exports = router;
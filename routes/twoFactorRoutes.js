@@ -0,0 +1,29 @@
+// backend/routes/twoFactorRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorPolicies,
+    setTwoFactorPolicy,
+    resetUserTwoFactor,
+} = require('../controllers/twoFactorController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Own two-factor setup. `protect` lets users whose role requires two-factor authentication
+// reach these before they have set it up (see TWO_FACTOR_EXEMPT_PATHS in authMiddleware).
+router.get('/status', protect, getTwoFactorStatus);
+router.post('/setup', protect, setupTwoFactor);
+router.post('/enable', protect, enableTwoFactor);
+router.post('/disable', protect, disableTwoFactor);
+router.post('/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Which roles require it, and resetting it for users who lost their authenticator
+router.get('/policies', protect, authorizeRoles('administrator', 'super_admin'), getTwoFactorPolicies);
+router.put('/policies/:role', protect, authorizeRoles('administrator', 'super_admin'), setTwoFactorPolicy);
+router.delete('/users/:id', protect, authorizeRoles('administrator', 'super_admin'), resetUserTwoFactor);
+
+module.exports = router;
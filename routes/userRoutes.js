@@ -13,15 +13,21 @@ const {
     deleteUser,
     getUserProfile,
     updateUserProfilePicture, // Make sure this is imported from userController
+    getInvitations,
+    revokeInvitation,
+    getPasswordResets,
+    getMyLoginHistory,
+    getUserLoginHistory,
+    unlockUser,
 } = require('../controllers/userController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
 // --- Routes ---
 
-// @desc    Admin/Super Admin create other Admin roles
+// @desc    Admin/Super Admin invite other Admin roles
 router.post('/create-admin-user', protect, authorizeRoles('administrator', 'super_admin'), createAdminUser);
 
-// @desc    Zonal Coordinator creates Fellowship Presidents
+// @desc    Zonal Coordinator invites Fellowship Presidents
 router.post('/create-fellowship-president', protect, authorizeRoles('zonal_coordinator'), createFellowshipPresident);
 
 // @desc    Get all users (Admin/Super Admin can see all, Zonal Coord filtered)
@@ -37,9 +43,27 @@ router.get('/', protect, authorizeRoles(
 // @access  Private (requires token)
 router.get('/profile', protect, getUserProfile); // Good addition!
 
+// @desc    Get the logged-in user's recent login attempts
+// Must be declared before '/:id/login-history' so "profile" is not treated as an ID.
+router.get('/profile/login-history', protect, getMyLoginHistory);
+
+// @desc    List and revoke invitations (Zonal Coordinators only see their own, checked in controller)
+// Must be declared before '/:id' so "invitations" is not treated as an ID.
+router.get('/invitations', protect, authorizeRoles('administrator', 'super_admin', 'zonal_coordinator'), getInvitations);
+router.delete('/invitations/:id', protect, authorizeRoles('administrator', 'super_admin', 'zonal_coordinator'), revokeInvitation);
+
 // @desc    Get specific user profile by ID
 router.get('/:id', protect, getUserById); // Authorization handled in controller
 
+// @desc    Get a user's password reset history
+router.get('/:id/password-resets', protect, authorizeRoles('administrator', 'super_admin'), getPasswordResets);
+
+// @desc    Get a user's login attempts and lockout state
+router.get('/:id/login-history', protect, authorizeRoles('administrator', 'super_admin'), getUserLoginHistory);
+
+// @desc    Unlock an account locked after repeated failed logins
+router.put('/:id/unlock', protect, authorizeRoles('administrator', 'super_admin'), unlockUser);
+
 // @desc    Update user profile (for name, email, etc.)
 router.put('/:id', protect, updateUserProfile); // Authorization handled in controller
 
@@ -0,0 +1,73 @@
+// backend/scripts/backfillLedger.js
+// Posts finance activity recorded before the general ledger existed: approved financial
+// reports, approved opening balance declarations and confirmed levy remittances. Posting is
+// idempotent (see utils/ledger.js), so the script can be re-run safely.
+//
+// Usage: node scripts/backfillLedger.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const FinancialReport = require('../models/financialReportModel');
+const Remittance = require('../models/remittanceModel');
+const JournalEntry = require('../models/journalEntryModel');
+const { postFinancialReport, postOpeningBalance, postRemittance } = require('../utils/ledger');
+const { fromMinorUnits } = require('../utils/money');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const postedReportIds = new Set(
+        (await JournalEntry.distinct('source.financialReport', { 'source.type': 'financial_report', reversedBy: null }))
+            .map(id => id.toString())
+    );
+    const postedRemittanceIds = new Set(
+        (await JournalEntry.distinct('source.remittance', { 'source.type': 'remittance' })).map(id => id.toString())
+    );
+
+    // 1. Approved reports (with their opening balance declarations), oldest first
+    const reports = await FinancialReport.find({ status: 'approved' }).sort({ reportingMonth: 1 });
+    const unpostedReports = reports.filter(report => !postedReportIds.has(report._id.toString()));
+    if (!dryRun) {
+        for (const report of unpostedReports) {
+            await postFinancialReport(report, report.approvedBy);
+            await postOpeningBalance(report, report.openingBalance ? report.openingBalance.reviewedBy : undefined);
+        }
+    }
+
+    // 2. Confirmed remittances
+    const remittances = await Remittance.find({ status: 'confirmed' }).sort({ paymentDate: 1 });
+    const unpostedRemittances = remittances.filter(remittance => !postedRemittanceIds.has(remittance._id.toString()));
+    if (!dryRun) {
+        for (const remittance of unpostedRemittances) {
+            await postRemittance(remittance, remittance.confirmedBy);
+        }
+    }
+
+    console.log(`${dryRun ? '[dry run] Would post' : 'Posted'} ${unpostedReports.length} financial reports and ${unpostedRemittances.length} remittances.`);
+
+    // Balances carried in before any approved report (and never declared as an opening
+    // balance) have no posting, so the ledger's cash differs from the reports by that much
+    const firstByFellowship = {};
+    reports.forEach(report => {
+        const key = report.fellowship.toString();
+        if (!firstByFellowship[key]) firstByFellowship[key] = report;
+    });
+    const undeclared = Object.values(firstByFellowship).filter(report =>
+        report.balanceBroughtDown !== 0 && !(report.openingBalance && report.openingBalance.status === 'approved'));
+    if (undeclared.length > 0) {
+        console.warn(`${undeclared.length} fellowships start with a balance brought down that was never declared as an opening balance:`);
+        undeclared.forEach(report => {
+            console.warn(`  fellowship ${report.fellowship}: ${fromMinorUnits(report.balanceBroughtDown)} brought into ${report.reportingMonth.toDateString()} (report ${report._id})`);
+        });
+    }
+};
+
+run()
+    .catch((err) => {
+        console.error('Ledger backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// backend/scripts/createSuperAdmin.js
+// Creates the first Super Admin. Accounts are otherwise created by invitation only, and
+// invitations have to be sent by an existing Administrator or Super Admin.
+// The password is read from SUPER_ADMIN_PASSWORD so it does not end up in shell history.
+//
+// Usage: SUPER_ADMIN_PASSWORD=... node scripts/createSuperAdmin.js <email> "<name>"
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const [email, name] = process.argv.slice(2);
+const password = process.env.SUPER_ADMIN_PASSWORD;
+
+const run = async () => {
+    if (!email || !name || !password) {
+        throw new Error('Usage: SUPER_ADMIN_PASSWORD=... node scripts/createSuperAdmin.js <email> "<name>"');
+    }
+    if (password.length < 8) {
+        throw new Error('SUPER_ADMIN_PASSWORD must be at least 8 characters.');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    if (await User.findOne({ email })) {
+        throw new Error(`A user with email ${email} already exists.`);
+    }
+    const user = await User.create({ name, email, password, role: 'super_admin' });
+    console.log(`Created Super Admin ${user.email} (${user._id}).`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Creating Super Admin failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,120 @@
+// backend/scripts/migrateMoneyToMinorUnits.js
+// One-off migration: converts amounts stored as floating-point major units (naira) on
+// financial reports, report versions and remittances to integer minor units (kobo).
+//
+// Usage: node scripts/migrateMoneyToMinorUnits.js --before=<ISO date> [--dry-run]
+//
+// --before is when the minor-units code was deployed: only documents created before it are
+// converted, since anything the new code saved is already in minor units.
+//
+// The run is recorded in the "migrations" collection, so running it twice is refused
+// instead of multiplying amounts by 100 again. Each document is also marked as it is
+// converted (GUARD_FIELD, in the same update), so a run that stops part-way can be
+// started again and only converts what is left; the marks are removed at the end.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const FinancialReport = require('../models/financialReportModel');
+const FinancialReportVersion = require('../models/financialReportVersionModel');
+const Remittance = require('../models/remittanceModel');
+const { mapMoneyFields, toMinorUnits } = require('../utils/money');
+
+dotenv.config();
+
+const { VERSION_MONEY_FIELDS } = FinancialReportVersion;
+const MIGRATION_NAME = 'money-to-minor-units';
+const GUARD_FIELD = '_migratedToMinorUnits';
+const dryRun = process.argv.includes('--dry-run');
+const beforeArg = process.argv.find(arg => arg.startsWith('--before='));
+const createdBefore = beforeArg ? new Date(beforeArg.slice('--before='.length)) : null;
+
+// Rewrites the money paths of every not yet converted document created before the cutoff,
+// bypassing the schemas (which already expect minor units). Returns how many documents were converted.
+const convertCollection = async (collection, paths, topLevelFields) => {
+    const notConverted = {
+        // An ObjectId starts with its creation time, so this also covers documents without timestamps
+        _id: { $lt: mongoose.Types.ObjectId.createFromTime(Math.floor(createdBefore.getTime() / 1000)) },
+        [GUARD_FIELD]: { $ne: true },
+    };
+    const cursor = collection.find(notConverted, { projection: Object.fromEntries(topLevelFields.map(field => [field, 1])) });
+    let operations = [];
+    let converted = 0;
+
+    for await (const doc of cursor) {
+        const update = {};
+        topLevelFields.forEach(field => {
+            if (doc[field] !== undefined) update[field] = doc[field];
+        });
+        mapMoneyFields(update, paths, toMinorUnits);
+
+        update[GUARD_FIELD] = true;
+
+        // The guard in the filter keeps a document from being converted twice
+        operations.push({ updateOne: { filter: { _id: doc._id, ...notConverted }, update: { $set: update } } });
+        converted += 1;
+
+        if (operations.length === 500) {
+            if (!dryRun) await collection.bulkWrite(operations);
+            operations = [];
+        }
+    }
+    if (operations.length > 0 && !dryRun) await collection.bulkWrite(operations);
+
+    return converted;
+};
+
+// Converting each stored amount on its own can leave a closing balance a kobo away from
+// its parts; list those reports so an Accountant can review them.
+const findUnbalancedReports = async () => {
+    return FinancialReport.collection.find({
+        $expr: {
+            $ne: [
+                '$balanceCarriedForward',
+                { $subtract: [{ $add: ['$balanceBroughtDown', '$totalIncome'] }, '$totalExpense'] },
+            ],
+        },
+    }, { projection: { fellowship: 1, reportingMonth: 1 } }).toArray();
+};
+
+const run = async () => {
+    if (!createdBefore || Number.isNaN(createdBefore.getTime())) {
+        throw new Error('Pass --before=<ISO date>: when the minor-units code was deployed.');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    const migrations = mongoose.connection.collection('migrations');
+
+    if (await migrations.findOne({ name: MIGRATION_NAME })) {
+        console.log(`Migration "${MIGRATION_NAME}" has already been applied. Nothing to do.`);
+        return;
+    }
+
+    const reportFields = [...new Set(FinancialReport.MONEY_FIELDS.map(path => path.split('.')[0]))];
+    const reports = await convertCollection(FinancialReport.collection, FinancialReport.MONEY_FIELDS, reportFields);
+    const versions = await convertCollection(FinancialReportVersion.collection, VERSION_MONEY_FIELDS, ['snapshot', 'rechainedReports']);
+    const remittances = await convertCollection(Remittance.collection, ['amount'], ['amount']);
+
+    console.log(`${dryRun ? '[dry run] Would convert' : 'Converted'} ${reports} financial reports, ${versions} report versions and ${remittances} remittances.`);
+
+    if (dryRun) return;
+
+    const unbalanced = await findUnbalancedReports();
+    if (unbalanced.length > 0) {
+        console.warn(`${unbalanced.length} reports have a balanceCarriedForward that no longer matches balanceBroughtDown + totalIncome - totalExpense after rounding:`);
+        unbalanced.forEach(report => {
+            console.warn(`  ${report._id} (fellowship ${report.fellowship}, ${report.reportingMonth.toDateString()})`);
+        });
+    }
+
+    await migrations.insertOne({ name: MIGRATION_NAME, appliedAt: new Date() });
+
+    // The run is recorded, so the per-document marks are no longer needed
+    for (const collection of [FinancialReport.collection, FinancialReportVersion.collection, Remittance.collection]) {
+        await collection.updateMany({ [GUARD_FIELD]: { $exists: true } }, { $unset: { [GUARD_FIELD]: '' } });
+    }
+};
+
+run()
+    .catch((err) => {
+        console.error('Money migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
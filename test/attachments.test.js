@@ -0,0 +1,113 @@
+// backend/test/attachments.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Attachment = require('../models/attachmentModel');
+const FinancialReport = require('../models/financialReportModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const { registerStorageDriver } = require('../utils/storage');
+const { uploadReportAttachment, deleteAttachment } = require('../controllers/attachmentController');
+
+// Files kept in memory, keyed by storage key
+const files = new Map();
+registerStorageDriver({
+    name: 'memory',
+    save: async ({ buffer }) => {
+        const key = `file-${files.size + 1}`;
+        files.set(key, buffer);
+        return { key, size: buffer.length };
+    },
+    remove: async (key) => { files.delete(key); },
+});
+process.env.STORAGE_DRIVER = 'memory';
+
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf' };
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const upload = (user) => run(uploadReportAttachment, {
+    body: { reportType: 'finance', reportId: report._id.toString(), kind: 'receipt' },
+    file: { buffer: Buffer.from('%PDF-1.7\n'), extension: '.pdf', mimetype: 'application/pdf', originalname: 'receipt.pdf' },
+    user,
+});
+
+let report;
+let attachment;
+let closedPeriod;
+
+beforeEach(() => {
+    files.clear();
+    files.set('file-0', Buffer.from('%PDF-1.7\n'));
+    report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: president._id,
+        status: 'pending',
+    });
+    attachment = new Attachment({
+        reportType: 'FinancialReport',
+        report: report._id,
+        kind: 'receipt',
+        originalName: 'receipt.pdf',
+        mimeType: 'application/pdf',
+        size: 9,
+        storageDriver: 'memory',
+        storageKey: 'file-0',
+        uploadedBy: president._id,
+    });
+
+    closedPeriod = null;
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => closedPeriod);
+    mock.method(FinancialReport, 'findById', () => Object.assign(Promise.resolve(report), { populate: async () => report }));
+    mock.method(Attachment, 'create', async (doc) => new Attachment(doc));
+    mock.method(Attachment, 'findById', async () => attachment);
+    mock.method(Attachment.prototype, 'deleteOne', async function () { return this; });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('the submitter adds and removes evidence while the report is pending', async () => {
+    const uploaded = await upload(president);
+    const deleted = await run(deleteAttachment, { params: { id: attachment._id }, user: president });
+
+    assert.strictEqual(uploaded.statusCode, 201);
+    assert.strictEqual(deleted.statusCode, 200);
+    assert.deepStrictEqual([...files.keys()], ['file-2']);
+});
+
+test('once approved, only the roles that may amend the report change its evidence', async () => {
+    report.status = 'approved';
+
+    const uploaded = await upload(president);
+    const deleted = await run(deleteAttachment, { params: { id: attachment._id }, user: president });
+    assert.strictEqual(uploaded.statusCode, 403);
+    assert.match(uploaded.error.message, /only be changed by the roles that may amend it/);
+    assert.strictEqual(deleted.statusCode, 403);
+    assert.ok(files.has('file-0'));
+
+    assert.strictEqual((await upload(accountant)).statusCode, 201);
+    assert.strictEqual((await run(deleteAttachment, { params: { id: attachment._id }, user: accountant })).statusCode, 200);
+    assert.ok(!files.has('file-0'));
+});
+
+test('evidence of a report in a closed period cannot change', async () => {
+    closedPeriod = { label: 'January 2025' };
+
+    const uploaded = await upload(president);
+    const deleted = await run(deleteAttachment, { params: { id: attachment._id }, user: president });
+
+    assert.strictEqual(uploaded.statusCode, 409);
+    assert.strictEqual(deleted.statusCode, 409);
+    assert.match(deleted.error.message, /January 2025 period is closed/);
+    assert.deepStrictEqual([...files.keys()], ['file-0']);
+});
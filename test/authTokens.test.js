@@ -0,0 +1,107 @@
+// backend/test/authTokens.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const RefreshToken = require('../models/refreshTokenModel');
+const { issueAuthTokens, findRefreshToken, rotateRefreshToken } = require('../utils/authTokens');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'accountant', tokenVersion: 0 };
+
+// Refresh tokens kept in memory; each update checks its filter and applies in one step, as
+// a single MongoDB update would
+let records;
+const matches = (record, filter) => Object.entries(filter).every(([path, value]) => {
+    if (value === null) return record[path] == null;
+    if (value instanceof mongoose.Types.ObjectId) return value.equals(record[path]);
+    return record[path] === value;
+});
+
+beforeEach(() => {
+    records = [];
+    mock.method(RefreshToken, 'create', async (fields) => {
+        const record = new RefreshToken(fields);
+        records.push(record);
+        return record;
+    });
+    mock.method(RefreshToken, 'findOne', async (filter) => records.find(record => matches(record, filter)) || null);
+    mock.method(RefreshToken, 'exists', async (filter) => records.some(record => matches(record, filter)));
+    mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+        const record = records.find(candidate => matches(candidate, filter));
+        if (record) record.set(update);
+        return record || null;
+    });
+    mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+        const record = records.find(candidate => matches(candidate, filter));
+        if (record) record.set(update);
+    });
+    mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+        records.filter(record => matches(record, filter)).forEach(record => record.set(update));
+    });
+    mock.method(RefreshToken.prototype, 'save', async function () { return this; });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a refresh replaces the token with a new one in the same family', async () => {
+    const login = await issueAuthTokens(user, '127.0.0.1', true);
+    const stored = await findRefreshToken(login.refreshToken);
+
+    const refreshed = await rotateRefreshToken(stored, user, '127.0.0.1');
+    const replacement = await findRefreshToken(refreshed.refreshToken);
+
+    assert.notStrictEqual(refreshed.refreshToken, login.refreshToken);
+    assert.strictEqual(stored.revokedReason, 'rotated');
+    assert.ok(stored.replacedBy.equals(replacement._id));
+    assert.strictEqual(replacement.family, stored.family);
+    assert.ok(replacement.isActive);
+    // The second factor passed at login carries over to the new access token
+    assert.strictEqual(jwt.verify(refreshed.token, process.env.JWT_SECRET).mfa, true);
+});
+
+test('only the hash of a refresh token is stored', async () => {
+    const login = await issueAuthTokens(user, '127.0.0.1');
+
+    assert.strictEqual(records.length, 1);
+    assert.notStrictEqual(records[0].tokenHash, login.refreshToken);
+    assert.strictEqual(await findRefreshToken('not-a-token'), null);
+});
+
+test('reusing a rotated token revokes the whole family', async () => {
+    const login = await issueAuthTokens(user, '127.0.0.1');
+    const stolen = await findRefreshToken(login.refreshToken);
+    const refreshed = await rotateRefreshToken(stolen, user, '127.0.0.1');
+
+    const reused = await rotateRefreshToken(await findRefreshToken(login.refreshToken), user, '10.0.0.1');
+    const replacement = await findRefreshToken(refreshed.refreshToken);
+
+    assert.strictEqual(reused, null);
+    assert.ok(!replacement.isActive);
+    assert.strictEqual(replacement.revokedReason, 'reuse_detected');
+});
+
+test('two simultaneous refreshes with one token cannot both succeed', async () => {
+    const login = await issueAuthTokens(user, '127.0.0.1');
+    const stored = await findRefreshToken(login.refreshToken);
+
+    const results = await Promise.all([
+        rotateRefreshToken(stored, user, '127.0.0.1'),
+        rotateRefreshToken(stored, user, '10.0.0.1'),
+    ]);
+
+    // The loser reveals the token was copied, so neither side keeps a usable token
+    assert.ok(results.filter(Boolean).length <= 1);
+    assert.ok(records.every(record => !record.isActive));
+});
+
+test('an expired token is refused without revoking its family', async () => {
+    const login = await issueAuthTokens(user, '127.0.0.1');
+    const stored = await findRefreshToken(login.refreshToken);
+    stored.expiresAt = new Date(Date.now() - 1000);
+
+    assert.strictEqual(await rotateRefreshToken(stored, user, '127.0.0.1'), null);
+    assert.strictEqual(stored.revokedAt, undefined);
+});
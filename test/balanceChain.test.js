@@ -0,0 +1,90 @@
+// backend/test/balanceChain.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const { getExpectedBalanceBroughtDown, rechainBalances } = require('../utils/balanceChain');
+
+const fellowship = new mongoose.Types.ObjectId();
+
+// An in-memory report with its totals worked out (amounts in minor units)
+const makeReport = (month, fields) => {
+    const report = new FinancialReport({
+        fellowship,
+        reportingMonth: new Date(2025, month, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        ...fields,
+    });
+    report.calculateTotals();
+    return report;
+};
+
+// Stubs the queries rechainBalances makes, and save() to run the pre-save calculation only
+const stubChain = (laterReports, closedMonths = []) => {
+    mock.method(FinancialReport, 'find', () => ({ sort: async () => laterReports }));
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async (month) => closedMonths.some(m => m.getTime() === month.getTime()));
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        this.calculateTotals();
+        return this;
+    });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('the previous approved month carries its balance forward', () => {
+    const january = makeReport(0, { tithe: 100000 });
+    const february = makeReport(1, {});
+    assert.strictEqual(getExpectedBalanceBroughtDown(february, january), january.balanceCarriedForward);
+});
+
+test('nothing is brought down from a pending month or across a gap', () => {
+    const january = makeReport(0, { tithe: 100000, status: 'pending' });
+    const march = makeReport(2, {});
+    assert.strictEqual(getExpectedBalanceBroughtDown(makeReport(1, {}), january), 0);
+    assert.strictEqual(getExpectedBalanceBroughtDown(march, makeReport(0, { tithe: 100000 })), 0);
+});
+
+test('an approved opening balance declaration wins', () => {
+    const january = makeReport(0, { tithe: 100000 });
+    const february = makeReport(1, { openingBalance: { amount: 5000, status: 'approved' } });
+    assert.strictEqual(getExpectedBalanceBroughtDown(february, january), 5000);
+});
+
+test('an amended month re-chains every later month', async () => {
+    // Tithe 1,000.00 with the default 10% + 5% levies leaves 850.00 each month
+    const january = makeReport(0, { tithe: 100000 });
+    const february = makeReport(1, { tithe: 100000, balanceBroughtDown: january.balanceCarriedForward });
+    const march = makeReport(2, { tithe: 100000, balanceBroughtDown: february.balanceCarriedForward });
+    assert.strictEqual(march.balanceCarriedForward, 255000);
+
+    // January amended to tithe 2,000.00
+    january.tithe = 200000;
+    january.calculateTotals();
+    stubChain([february, march]);
+
+    const changes = await rechainBalances(january);
+
+    assert.strictEqual(changes.length, 2);
+    assert.strictEqual(february.balanceBroughtDown, 170000);
+    assert.strictEqual(march.balanceBroughtDown, 255000);
+    assert.strictEqual(march.balanceCarriedForward, 340000);
+    assert.deepStrictEqual(
+        changes.map(change => [change.previousBalanceCarriedForward, change.newBalanceCarriedForward]),
+        [[170000, 255000], [255000, 340000]]
+    );
+});
+
+test('re-chaining stops at a closed fiscal period', async () => {
+    const january = makeReport(0, { tithe: 100000 });
+    const february = makeReport(1, { tithe: 100000, balanceBroughtDown: january.balanceCarriedForward });
+    january.tithe = 200000;
+    january.calculateTotals();
+    stubChain([february], [february.reportingMonth]);
+
+    const changes = await rechainBalances(january);
+
+    assert.deepStrictEqual(changes, []);
+    assert.strictEqual(february.balanceBroughtDown, 85000);
+});
@@ -0,0 +1,91 @@
+// backend/test/balanceContinuity.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const Fellowship = require('../models/fellowshipModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const JournalEntry = require('../models/journalEntryModel');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const { getBalanceContinuity, reviewOpeningBalance } = require('../controllers/financeController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+const campus = { _id: new mongoose.Types.ObjectId(), name: 'Campus RCF' };
+const town = { _id: new mongoose.Types.ObjectId(), name: 'Town RCCF' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+// An in-memory report with its totals worked out (amounts in minor units)
+const makeReport = (fellowship, month, fields) => {
+    const report = new FinancialReport({
+        fellowship: fellowship._id,
+        reportingMonth: new Date(2025, month, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        tithe: 100000,
+        ...fields,
+    });
+    report.calculateTotals();
+    return report;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('missing months, unapproved months and wrong balances are reported', async () => {
+    const january = makeReport(campus, 0, {});
+    const march = makeReport(campus, 2, { status: 'pending' });
+    const april = makeReport(campus, 3, { balanceBroughtDown: 5000 });
+    const declared = makeReport(town, 0, { status: 'pending', openingBalance: { amount: 20000, status: 'pending' } });
+    mock.method(FinancialReport, 'find', () => ({ select: () => ({ sort: async () => [january, march, april, declared] }) }));
+    mock.method(Fellowship, 'find', () => ({ select: () => ({ populate: () => ({ sort: async () => [campus, town] }) }) }));
+
+    const res = await run(getBalanceContinuity, { query: {}, user: accountant });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.map(entry => [entry.fellowship.name, entry.issues.map(issue => issue.code)]), [
+        ['Campus RCF', ['PREVIOUS_MONTH_MISSING', 'PREVIOUS_MONTH_NOT_APPROVED', 'BALANCE_MISMATCH']],
+        ['Town RCCF', ['OPENING_BALANCE_PENDING']],
+    ]);
+    assert.strictEqual(res.body[0].issues[2].expectedBalanceBroughtDown, 0);
+    assert.strictEqual(res.body[0].issues[2].actualBalanceBroughtDown, 50);
+});
+
+test('an approved opening balance is brought down and carried through later months', async () => {
+    const january = makeReport(town, 0, { openingBalance: { amount: 20000, status: 'pending' } });
+    const february = makeReport(town, 1, { balanceBroughtDown: january.balanceCarriedForward });
+    const postings = [];
+    mock.method(FinancialReport, 'findById', async () => january);
+    mock.method(FinancialReport, 'find', () => ({ sort: async () => [february] }));
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        this.calculateTotals();
+        return this;
+    });
+    const accounts = Object.fromEntries(LedgerAccount.CHART_OF_ACCOUNTS.map(account => [account.systemKey, new LedgerAccount(account)]));
+    mock.method(LedgerAccount, 'getSystemAccounts', async () => accounts);
+    mock.method(JournalEntry, 'findOne', async () => null);
+    mock.method(JournalEntry, 'create', async (doc) => {
+        postings.push(doc);
+        return doc;
+    });
+    const review = (body) => run(reviewOpeningBalance, { params: { id: january._id.toString() }, body, user: accountant });
+
+    const res = await review({ status: 'approved' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(january.balanceBroughtDown, 20000);
+    assert.strictEqual(january.balanceCarriedForward, 105000);
+    assert.strictEqual(february.balanceBroughtDown, 105000);
+    assert.strictEqual(res.body.rechainedReports.length, 1);
+    assert.strictEqual(postings[0].source.type, 'opening_balance');
+    assert.strictEqual((await review({ status: 'approved' })).statusCode, 400);
+});
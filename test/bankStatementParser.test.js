@@ -0,0 +1,99 @@
+// backend/test/bankStatementParser.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseBankStatementCsv, parseStatementDate, parseStatementAmount } = require('../utils/bankStatementParser');
+
+test('amounts are read in minor units with money out negative', () => {
+    assert.strictEqual(parseStatementAmount('1,250.50'), 125050);
+    assert.strictEqual(parseStatementAmount('NGN 1250.5'), 125050);
+    assert.strictEqual(parseStatementAmount('(300.00)'), -30000);
+    assert.strictEqual(parseStatementAmount('-300'), -30000);
+    assert.strictEqual(parseStatementAmount('300.00-'), -30000);
+    assert.strictEqual(parseStatementAmount(''), null);
+    assert.strictEqual(parseStatementAmount('Total'), null);
+});
+
+test('DR and CR markers set the direction', () => {
+    assert.strictEqual(parseStatementAmount('1,000.00 DR'), -100000);
+    assert.strictEqual(parseStatementAmount('1,000.00Dr'), -100000);
+    assert.strictEqual(parseStatementAmount('DR 1,000.00'), -100000);
+    assert.strictEqual(parseStatementAmount('1,000.00 CR'), 100000);
+    assert.strictEqual(parseStatementAmount('1,000.00', 'Debit'), -100000);
+    assert.strictEqual(parseStatementAmount('1,000.00', 'C'), 100000);
+});
+
+test('contradictory or unknown markers are rejected', () => {
+    assert.throws(() => parseStatementAmount('-1,000.00 CR'), /money in or out/);
+    assert.throws(() => parseStatementAmount('1,000.00 DR', 'CR'), /money in or out/);
+    assert.throws(() => parseStatementAmount('1,000.00', 'reversal'), /Unknown debit\/credit indicator/);
+});
+
+test('dates are read day first in the common formats', () => {
+    assert.deepStrictEqual(parseStatementDate('05/02/2025'), new Date(2025, 1, 5));
+    assert.deepStrictEqual(parseStatementDate('2025-02-05'), new Date(2025, 1, 5));
+    assert.deepStrictEqual(parseStatementDate('05-Feb-25'), new Date(2025, 1, 5));
+    assert.deepStrictEqual(parseStatementDate('5 February 2025 10:15'), new Date(2025, 1, 5));
+    assert.strictEqual(parseStatementDate('31/02/2025'), null);
+});
+
+test('separate credit and debit columns keep only credits', () => {
+    const csv = [
+        'Account: 0123456789',
+        'Trans Date,Narration,Reference,Debit,Credit',
+        '01/03/2025,"RCF Ikeja, zonal levy",FT2406,,"5,000.00"',
+        '02/03/2025,Bank charges,,50.00,',
+        'Total,,,50.00,"5,000.00"',
+    ].join('\r\n');
+
+    const { layout, lines, skipped } = parseBankStatementCsv(csv);
+
+    assert.strictEqual(layout, 'credit_debit');
+    assert.strictEqual(skipped, 2);
+    assert.deepStrictEqual(lines, [{
+        rowNumber: 3,
+        transactionDate: new Date(2025, 2, 1),
+        narration: 'RCF Ikeja, zonal levy',
+        reference: 'FT2406',
+        amount: 500000,
+    }]);
+});
+
+test('a signed amount column with DR/CR suffixes never reads a debit as a credit', () => {
+    const csv = [
+        'Date,Description,Amount',
+        '01/03/2025,Transfer to vendor,"1,000.00 DR"',
+        '02/03/2025,Levy from RCF Yaba,"2,000.00 CR"',
+        '03/03/2025,Levy from RCF Ikeja,500',
+    ].join('\n');
+
+    const { layout, lines, skipped } = parseBankStatementCsv(csv);
+
+    assert.strictEqual(layout, 'signed_amount');
+    assert.strictEqual(skipped, 1);
+    assert.deepStrictEqual(lines.map(line => line.amount), [200000, 50000]);
+});
+
+test('a DR/CR indicator column is applied to the amount', () => {
+    const csv = [
+        'Date,Description,Amount,DR/CR',
+        '01/03/2025,Transfer to vendor,"1,000.00",DR',
+        '02/03/2025,Levy from RCF Yaba,"2,000.00",CR',
+    ].join('\n');
+
+    const { lines } = parseBankStatementCsv(csv);
+
+    assert.deepStrictEqual(lines.map(line => line.narration), ['Levy from RCF Yaba']);
+});
+
+test('a row whose direction cannot be told fails the import with its row number', () => {
+    const csv = [
+        'Date,Description,Amount,Type',
+        '01/03/2025,Something,"1,000.00",XFER',
+    ].join('\n');
+
+    assert.throws(() => parseBankStatementCsv(csv), /^Error: Row 2: Unknown debit\/credit indicator "XFER"/);
+});
+
+test('a file without a header row is rejected', () => {
+    assert.throws(() => parseBankStatementCsv('a,b,c\n1,2,3'), /header row/);
+});
@@ -0,0 +1,82 @@
+// backend/test/budgets.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Budget = require('../models/budgetModel');
+const FinancialReport = require('../models/financialReportModel');
+const { createBudget, getBudgetVsActual } = require('../controllers/budgetController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('an annual amount is spread over the months, left-over kobo first', async () => {
+    const fellowship = new mongoose.Types.ObjectId();
+    mock.method(Budget, 'findOne', async () => null);
+    mock.method(Budget, 'create', async (doc) => new Budget(doc));
+
+    const res = await run(createBudget, {
+        body: { fellowshipId: fellowship.toString(), year: 2025, lines: [{ reportField: 'welfareExpense', annualAmount: 1000.05 }] },
+        user: { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship },
+    });
+
+    const { monthlyAmounts } = res.body.lines[0];
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(monthlyAmounts.slice(0, 9), Array(9).fill(8334));
+    assert.deepStrictEqual(monthlyAmounts.slice(9), [8333, 8333, 8333]);
+    assert.strictEqual(monthlyAmounts.reduce((sum, amount) => sum + amount, 0), 100005);
+});
+
+test('overspending is flagged only for months with an approved report', async () => {
+    const fellowship = { _id: new mongoose.Types.ObjectId(), name: 'Campus Fellowship' };
+    // 100.00 of welfare a month; 150.00 spent in January, February not yet approved
+    const budget = new Budget({
+        fellowship: fellowship._id,
+        year: 2025,
+        lines: [{ reportField: 'welfareExpense', monthlyAmounts: Array(12).fill(10000) }],
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+    });
+    const populated = { _id: budget._id, fellowship, year: budget.year, getBudgetedAmount: budget.getBudgetedAmount.bind(budget) };
+    const january = { fellowship: fellowship._id, reportingMonth: new Date(2025, 0, 1), welfareExpense: 15000 };
+    mock.method(Budget, 'find', () => ({ populate: async () => [populated] }));
+    mock.method(FinancialReport, 'find', () => ({ select: async () => [january] }));
+
+    const res = await run(getBudgetVsActual, { query: { year: '2025', throughMonth: '2' }, user: accountant });
+
+    const [comparison] = res.body.budgets;
+    const welfare = comparison.lines.find(line => line.reportField === 'welfareExpense');
+    assert.deepStrictEqual(comparison.comparedMonths, [1]);
+    assert.deepStrictEqual(welfare, {
+        reportField: 'welfareExpense',
+        type: 'expense',
+        annualBudget: 1200,
+        budgeted: 100,
+        actual: 150,
+        variance: 50,
+        percentUsed: 150,
+        overspent: true,
+    });
+    assert.deepStrictEqual(comparison.overspending.map(line => [line.month, line.overBy]), [[1, 50], [null, 50]]);
+    assert.strictEqual(comparison.months[1].hasApprovedReport, false);
+});
+
+test('a fellowship or zone filter that is not an ID is refused', async () => {
+    for (const query of [{ fellowshipId: 'not-an-id' }, { zoneId: '123' }]) {
+        const res = await run(getBudgetVsActual, { query, user: accountant });
+
+        assert.strictEqual(res.statusCode, 400);
+        assert.match(res.error.message, /Invalid fellowshipId or zoneId/);
+    }
+});
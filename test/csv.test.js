@@ -0,0 +1,20 @@
+// backend/test/csv.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../utils/csv');
+
+test('cells are quoted when needed and rows end with CRLF', () => {
+    assert.strictEqual(
+        toCsv([['Name', 'Amount'], ['RCF "Ikeja", Lagos', 1250.5], [null, new Date(Date.UTC(2025, 2, 1))]]),
+        'Name,Amount\r\n"RCF ""Ikeja"", Lagos",1250.5\r\n,2025-03-01\r\n'
+    );
+});
+
+test('text that a spreadsheet would run as a formula is neutralised', () => {
+    assert.strictEqual(toCsv([['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', 'RCF Ikeja']]),
+        '"\'=HYPERLINK(""http://x"")",\'+1,\'-2+3,\'@SUM(A1),RCF Ikeja\r\n');
+});
+
+test('negative numbers stay numbers', () => {
+    assert.strictEqual(toCsv([[-300, 0, '-300.00']]), '-300,0,-300.00\r\n');
+});
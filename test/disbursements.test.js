@@ -0,0 +1,120 @@
+// backend/test/disbursements.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Disbursement = require('../models/disbursementModel');
+const FinancialReport = require('../models/financialReportModel');
+const Fellowship = require('../models/fellowshipModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const LevyRule = require('../models/levyRuleModel');
+const User = require('../models/User');
+const { submitFinancialReport } = require('../controllers/financeController');
+const { approveRejectDisbursement } = require('../controllers/disbursementController');
+
+const fellowship = { _id: new mongoose.Types.ObjectId(), zone: new mongoose.Types.ObjectId() };
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship: fellowship._id };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const submit = (reportingMonth, fields = {}) => run(submitFinancialReport, {
+    body: { fellowshipId: fellowship._id.toString(), reportingMonth, tithe: 1000, offering: 500, ...fields },
+    user: president,
+});
+
+// The stored disbursements; findOneAndUpdate and updateMany check their filter and apply in
+// one step, as MongoDB does for a single update
+let disbursements;
+const matches = (disbursement, filter) => Object.entries(filter).every(([path, value]) => {
+    if (value === null) return disbursement[path] == null;
+    return String(disbursement[path]) === String(value);
+});
+
+beforeEach(() => {
+    disbursements = [new Disbursement({
+        fellowship: fellowship._id,
+        source: 'zone',
+        zone: fellowship.zone,
+        purpose: 'welfare',
+        amount: 20000,
+        requestedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        approvalDate: new Date(2025, 0, 10),
+    })];
+
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(FinancialReport, 'findOne', () => Object.assign(Promise.resolve(null), { sort: async () => null }));
+    mock.method(FinancialReport, 'create', async (doc) => {
+        const report = new FinancialReport(doc);
+        report.calculateTotals();
+        return report;
+    });
+    mock.method(Fellowship, 'findById', async () => fellowship);
+    mock.method(LevyRule, 'findApplicable', async () => null);
+    mock.method(Disbursement, 'find', async () => disbursements.filter(disbursement => disbursement.financialReport == null).map(disbursement => disbursement.$clone()));
+    mock.method(Disbursement, 'findOneAndUpdate', async (filter, update) => {
+        const disbursement = disbursements.find(candidate => matches(candidate, filter));
+        if (disbursement) disbursement.set(update);
+        return disbursement || null;
+    });
+    mock.method(Disbursement, 'updateMany', async (filter, update) => {
+        disbursements.filter(disbursement => matches(disbursement, filter)).forEach(disbursement => disbursement.set(update));
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a report counts the disbursements approved for its fellowship by the end of the month', async () => {
+    const res = await submit('2025-01-15');
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(res.body.disbursements.length, 1);
+    assert.strictEqual(res.body.disbursementIncome, 200);
+    assert.ok(disbursements[0].financialReport.equals(res.body._id));
+});
+
+test('two reports submitted at once cannot both count a disbursement', async () => {
+    const results = await Promise.all([submit('2025-01-15'), submit('2025-02-15')]);
+
+    const counting = results.filter(res => res.body.disbursements.length === 1);
+    assert.ok(results.every(res => res.statusCode === 201));
+    assert.strictEqual(counting.length, 1);
+    assert.ok(disbursements[0].financialReport.equals(counting[0].body._id));
+    assert.strictEqual(results.reduce((sum, res) => sum + res.body.disbursementIncome, 0), 200);
+});
+
+test('a report that cannot be saved releases the disbursements it claimed', async () => {
+    mock.method(FinancialReport, 'create', async () => {
+        throw new Error('Connection lost');
+    });
+
+    const res = await submit('2025-01-15');
+
+    assert.match(res.error.message, /Connection lost/);
+    assert.strictEqual(disbursements[0].financialReport, null);
+});
+
+test('a zone disbursement requested by its Zonal Coordinator is approved by the national office', async () => {
+    const coordinator = { _id: new mongoose.Types.ObjectId(), role: 'zonal_coordinator', zone: fellowship.zone };
+    const disbursement = disbursements[0];
+    disbursement.set({ status: 'requested', requestedBy: coordinator._id, approvalDate: undefined });
+    mock.method(Disbursement, 'findById', async () => disbursement);
+    mock.method(Disbursement.prototype, 'save', async function () { return this; });
+    mock.method(User, 'findById', () => ({ select: async () => coordinator }));
+    const review = (user) => run(approveRejectDisbursement, { params: { id: disbursement._id }, body: { status: 'approved' }, user });
+
+    const own = await review(coordinator);
+    const national = await review({ _id: new mongoose.Types.ObjectId(), role: 'national_coordinator' });
+
+    assert.strictEqual(own.statusCode, 403);
+    assert.strictEqual(national.statusCode, 200);
+    assert.strictEqual(disbursement.status, 'approved');
+});
@@ -0,0 +1,92 @@
+// backend/test/expenseRequests.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ExpenseRequest = require('../models/expenseRequestModel');
+const Fellowship = require('../models/fellowshipModel');
+const { checkExpenseApprovals } = require('../utils/expenseApproval');
+const { createExpenseRequest, approveRejectExpenseRequest } = require('../controllers/expenseRequestController');
+
+const fellowship = new mongoose.Types.ObjectId();
+const zone = new mongoose.Types.ObjectId();
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+// A report spending 60,000.00 on welfare and 10,000.00 on admin (amounts in minor units)
+const report = { fellowship, reportingMonth: new Date(2025, 0, 1), welfareExpense: 6000000, adminExpense: 1000000 };
+
+afterEach(() => {
+    delete process.env.EXPENSE_APPROVAL_THRESHOLD;
+    mock.restoreAll();
+});
+
+test('a spend over the threshold without an approved request is warned about', async () => {
+    mock.method(ExpenseRequest, 'aggregate', async () => []);
+
+    const warnings = await checkExpenseApprovals(report);
+
+    assert.deepStrictEqual(warnings.map(warning => [warning.reportField, warning.amount, warning.approvedAmount]), [['welfareExpense', 60000, 0]]);
+    assert.match(warnings[0].message, /over the pre-approval threshold of 50000/);
+});
+
+test('approved requests cover a spend up to their total', async () => {
+    mock.method(ExpenseRequest, 'aggregate', async () => [{ _id: 'welfareExpense', total: 6000000 }]);
+    assert.deepStrictEqual(await checkExpenseApprovals(report), []);
+
+    process.env.EXPENSE_APPROVAL_THRESHOLD = '5000';
+    const warnings = await checkExpenseApprovals(report);
+
+    assert.deepStrictEqual(warnings.map(warning => warning.reportField), ['adminExpense']);
+});
+
+test('a pre-approval cannot be asked for a month already past', async () => {
+    mock.method(ExpenseRequest, 'create', async (doc) => new ExpenseRequest(doc));
+    const request = (spendMonth) => run(createExpenseRequest, {
+        body: { fellowshipId: fellowship.toString(), reportField: 'welfareExpense', spendMonth, amount: 60000, description: 'Hospital bills' },
+        user: president,
+    });
+    const now = new Date();
+
+    const past = await request('2020-01-15');
+    const current = await request(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-28`);
+
+    assert.strictEqual(past.statusCode, 400);
+    assert.match(past.error.message, /cannot be before the current month/);
+    assert.strictEqual(current.statusCode, 201);
+    assert.strictEqual(current.body.amount, 60000);
+    assert.deepStrictEqual(current.body.spendMonth, new Date(now.getFullYear(), now.getMonth(), 1));
+});
+
+test("only the coordinator of the fellowship's zone decides a request", async () => {
+    const expenseRequest = new ExpenseRequest({
+        fellowship,
+        reportField: 'welfareExpense',
+        spendMonth: new Date(2025, 0, 1),
+        amount: 6000000,
+        description: 'Hospital bills',
+        requestedBy: president._id,
+    });
+    expenseRequest.fellowship = new Fellowship({ _id: fellowship, name: 'RCF Campus', zone }); // As populated
+    mock.method(ExpenseRequest, 'findById', () => ({ populate: async () => expenseRequest }));
+    mock.method(ExpenseRequest.prototype, 'save', async function () { return this; });
+    const decide = (user) => run(approveRejectExpenseRequest, { params: { id: expenseRequest._id }, body: { status: 'approved' }, user });
+
+    const otherZone = await decide({ _id: new mongoose.Types.ObjectId(), role: 'zonal_coordinator', zone: new mongoose.Types.ObjectId() });
+    const ownZone = await decide({ _id: new mongoose.Types.ObjectId(), role: 'zonal_coordinator', zone });
+    const again = await decide({ _id: new mongoose.Types.ObjectId(), role: 'zonal_coordinator', zone });
+
+    assert.strictEqual(otherZone.statusCode, 403);
+    assert.strictEqual(ownZone.statusCode, 200);
+    assert.strictEqual(expenseRequest.status, 'approved');
+    assert.strictEqual(again.statusCode, 400);
+});
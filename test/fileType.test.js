@@ -0,0 +1,25 @@
+// backend/test/fileType.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectFileType } = require('../utils/fileType');
+
+test('types are detected from their signatures', () => {
+    assert.deepStrictEqual(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10])), { mimeType: 'image/jpeg', extension: '.jpg' });
+    assert.deepStrictEqual(detectFileType(Buffer.from('%PDF-1.7\n')), { mimeType: 'application/pdf', extension: '.pdf' });
+    assert.deepStrictEqual(detectFileType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1')), { mimeType: 'image/webp', extension: '.webp' });
+});
+
+test('text is treated as CSV', () => {
+    assert.deepStrictEqual(detectFileType(Buffer.from('Date,Description,Amount\n2025-01-05,Tithe ₦,1000\n')), { mimeType: 'text/csv', extension: '.csv' });
+});
+
+test('a multi-byte character cut off by the sample limit is still text', () => {
+    const text = Buffer.from('a'.repeat(8191) + '₦ more text');
+    assert.strictEqual(detectFileType(text).mimeType, 'text/csv');
+});
+
+test('binary content with no known signature is rejected', () => {
+    assert.strictEqual(detectFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03])), null); // Windows executable
+    assert.strictEqual(detectFileType(Buffer.from([0xc3, 0x28, 0x41])), null); // Invalid UTF-8
+    assert.strictEqual(detectFileType(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,46 @@
+// backend/test/financeApprovalChain.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getCurrentStage, AWAITING_APPROVAL_STATUSES } = require('../utils/financeApprovalChain');
+
+const zoned = (status) => ({ status, fellowship: { zone: 'zone-1' } });
+const unzoned = (status) => ({ status, fellowship: { zone: null } });
+
+afterEach(() => {
+    delete process.env.FINANCE_APPROVAL_CHAIN;
+});
+
+test('default chain runs zonal review then accountant approval', () => {
+    assert.deepStrictEqual(getCurrentStage(zoned('pending')), { name: 'zonal_review', role: 'zonal_coordinator', status: 'zonal_reviewed' });
+    assert.deepStrictEqual(getCurrentStage(zoned('zonal_reviewed')), { name: 'accountant_approval', role: 'accountant', status: 'approved' });
+    assert.strictEqual(getCurrentStage(zoned('approved')), null);
+    assert.strictEqual(getCurrentStage(zoned('rejected')), null);
+});
+
+test('zonal review is skipped for a fellowship without a zone', () => {
+    assert.strictEqual(getCurrentStage(unzoned('pending')).name, 'accountant_approval');
+    assert.strictEqual(getCurrentStage(unzoned('pending')).status, 'approved');
+});
+
+test('a zonal-only chain still has someone to approve unzoned reports', () => {
+    process.env.FINANCE_APPROVAL_CHAIN = 'zonal_review';
+    assert.deepStrictEqual(getCurrentStage(zoned('pending')), { name: 'zonal_review', role: 'zonal_coordinator', status: 'approved' });
+    assert.strictEqual(getCurrentStage(unzoned('pending')).name, 'accountant_approval');
+});
+
+test('reports left zonal_reviewed by an earlier configuration move on to the next stage', () => {
+    process.env.FINANCE_APPROVAL_CHAIN = 'accountant_approval';
+    assert.strictEqual(getCurrentStage(zoned('zonal_reviewed')).name, 'accountant_approval');
+
+    process.env.FINANCE_APPROVAL_CHAIN = 'zonal_review';
+    assert.strictEqual(getCurrentStage(zoned('zonal_reviewed')).name, 'accountant_approval');
+});
+
+test('configured stages run in their fixed order', () => {
+    process.env.FINANCE_APPROVAL_CHAIN = 'accountant_approval, zonal_review';
+    assert.strictEqual(getCurrentStage(zoned('pending')).name, 'zonal_review');
+});
+
+test('intermediate statuses count as awaiting approval', () => {
+    assert.deepStrictEqual(AWAITING_APPROVAL_STATUSES, ['pending', 'zonal_reviewed']);
+});
@@ -0,0 +1,113 @@
+// backend/test/financeDocuments.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const Remittance = require('../models/remittanceModel');
+const Fellowship = require('../models/fellowshipModel');
+const Zone = require('../models/zoneModel');
+const { formatAmount } = require('../utils/pdf');
+const { getRemittanceReceipt, getAccountStatement } = require('../controllers/financeDocumentController');
+
+const zone = new Zone({ name: 'Zone A' });
+const fellowship = new Fellowship({ name: 'Campus RCF', zone }); // Zone populated
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+// Runs a handler that streams a download; resolves with { statusCode, headers, body, error }
+const download = async (handler, req) => {
+    const res = new PassThrough();
+    const chunks = [];
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => res.on('end', resolve));
+
+    await handler(req, res, (err) => {
+        res.error = err;
+        res.end();
+    });
+    await finished;
+    res.body = Buffer.concat(chunks);
+    return res;
+};
+
+// A query whose populate() calls resolve to the given document
+const populated = (doc) => ({
+    populate() { return this; },
+    then(resolve, reject) { return Promise.resolve(doc).then(resolve, reject); },
+});
+
+// The report and its payment, as loaded with their references populated
+let report;
+let remittance;
+
+beforeEach(() => {
+    report = new FinancialReport({
+        fellowship,
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        approvalDate: new Date(2025, 1, 5),
+        tithe: 100000,
+    });
+    report.calculateTotals();
+    remittance = new Remittance({
+        financialReport: report,
+        fellowship,
+        levyType: 'zonal',
+        amount: 6000,
+        paymentDate: new Date(2025, 1, 10),
+        paymentMethod: 'bank_transfer',
+        declaredBy: new mongoose.Types.ObjectId(),
+        status: 'confirmed',
+        confirmationDate: new Date(2025, 1, 12),
+        receiptNumber: 'RCT-2025-000042',
+    });
+
+    mock.method(Remittance, 'findById', () => populated(remittance));
+    mock.method(Remittance, 'find', () => ({ sort: async () => [remittance] }));
+    mock.method(Remittance, 'getDeclaredAmount', async () => remittance.amount);
+    mock.method(FinancialReport, 'findById', () => populated(report));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a confirmed payment downloads as a numbered PDF receipt', async () => {
+    const res = await download(getRemittanceReceipt, { params: { remittanceId: remittance._id.toString() }, user: accountant });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['Content-Type'], 'application/pdf');
+    assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="receipt-RCT-2025-000042.pdf"');
+    assert.strictEqual(res.body.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('receipts are only issued for confirmed payments, to those who can see the report', async () => {
+    const otherZone = { _id: new mongoose.Types.ObjectId(), role: 'zonal_coordinator', zone: new mongoose.Types.ObjectId() };
+    const forbidden = await download(getRemittanceReceipt, { params: { remittanceId: remittance._id.toString() }, user: otherZone });
+    remittance.status = 'pending';
+    const pending = await download(getRemittanceReceipt, { params: { remittanceId: remittance._id.toString() }, user: accountant });
+
+    assert.strictEqual(forbidden.statusCode, 403);
+    assert.strictEqual(pending.statusCode, 400);
+    assert.match(pending.error.message, /only issued for confirmed remittances/);
+});
+
+test('an approved report downloads as a monthly account statement', async () => {
+    const res = await download(getAccountStatement, { params: { id: report._id.toString() }, user: accountant });
+    report.status = 'pending';
+    const pending = await download(getAccountStatement, { params: { id: report._id.toString() }, user: accountant });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="account-statement-campus-rcf-2025-01.pdf"');
+    assert.strictEqual(res.body.subarray(0, 5).toString(), '%PDF-');
+    assert.strictEqual(pending.statusCode, 400);
+});
+
+test('amounts are printed in naira from minor units', () => {
+    assert.strictEqual(formatAmount(125050), 'NGN 1,250.50');
+    assert.strictEqual(formatAmount(-5), '-NGN 0.05');
+    assert.strictEqual(formatAmount(undefined), 'NGN 0.00');
+});
@@ -0,0 +1,94 @@
+// backend/test/fiscalPeriods.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const FinancialReport = require('../models/financialReportModel');
+const ActivityReport = require('../models/activityReportModel');
+const FellowshipOutreachReport = require('../models/fellowshipOutreachReportModel');
+const OutreachReport = require('../models/outreachReportModel');
+const { closeFiscalPeriod, reopenFiscalPeriod } = require('../controllers/fiscalPeriodController');
+const { updateFinancialReport } = require('../controllers/financeController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+const superAdmin = { _id: new mongoose.Types.ObjectId(), role: 'super_admin' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const close = (body) => run(closeFiscalPeriod, { body, user: accountant });
+const edit = () => run(updateFinancialReport, { params: { id: report._id.toString() }, body: { tithe: 2000 }, user: superAdmin });
+
+// The stored periods, looked up either by their key or as the closed period covering a month
+let periods;
+let unfinished;
+let report;
+
+beforeEach(() => {
+    periods = [];
+    unfinished = {};
+    report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 5, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'rejected',
+        tithe: 100000,
+    });
+    report.calculateTotals();
+
+    mock.method(FiscalPeriod, 'findOne', async (filter) => periods.find(period => (filter.startDate
+        ? period.status === filter.status && period.startDate <= filter.startDate.$lte && period.endDate > filter.endDate.$gt
+        : period.periodType === filter.periodType && period.year === filter.year && period.month === filter.month)) || null);
+    mock.method(FiscalPeriod, 'findById', async (id) => periods.find(period => period._id.equals(id)) || null);
+    mock.method(FiscalPeriod.prototype, 'save', async function () {
+        if (!periods.includes(this)) periods.push(this);
+        return this;
+    });
+    [FinancialReport, ActivityReport, FellowshipOutreachReport, OutreachReport].forEach(model => {
+        mock.method(model, 'countDocuments', async () => unfinished[model.modelName] || 0);
+    });
+    mock.method(FinancialReport, 'findById', async () => report);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        this.calculateTotals();
+        return this;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a period with reports still awaiting approval cannot be closed', async () => {
+    unfinished = { FinancialReport: 2, OutreachReport: 1 };
+
+    const res = await close({ year: 2025, month: 6 });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /\(2 financial, 1 outreach\)/);
+    assert.strictEqual(periods.length, 0);
+});
+
+test('reports in a closed year cannot change until it is reopened', async () => {
+    const closed = await close({ year: 2025 });
+    const again = await close({ year: 2025 });
+    const locked = await edit();
+
+    assert.strictEqual(closed.statusCode, 200);
+    assert.strictEqual(again.statusCode, 400);
+    assert.strictEqual(locked.statusCode, 409);
+    assert.match(locked.error.message, /fiscal year 2025 period is closed/);
+
+    const unexplained = await run(reopenFiscalPeriod, { params: { id: closed.body._id }, body: {}, user: superAdmin });
+    const reopened = await run(reopenFiscalPeriod, { params: { id: closed.body._id }, body: { reason: 'Late correction' }, user: superAdmin });
+
+    assert.strictEqual(unexplained.statusCode, 400);
+    assert.strictEqual(reopened.statusCode, 200);
+    assert.deepStrictEqual(periods[0].history.map(entry => entry.action), ['closed', 'reopened']);
+    assert.strictEqual((await edit()).statusCode, 200);
+});
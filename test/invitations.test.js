@@ -0,0 +1,140 @@
+// backend/test/invitations.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const User = require('../models/User');
+const Invitation = require('../models/invitationModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const { registerMailTransport } = require('../utils/mail');
+const { createAdminUser } = require('../controllers/userController');
+const { acceptInvitation } = require('../controllers/authController');
+
+// Messages kept in memory instead of sent
+const outbox = [];
+registerMailTransport({
+    name: 'memory',
+    send: async (message) => {
+        outbox.push(message);
+        return { messageId: `message-${outbox.length}` };
+    },
+});
+process.env.MAIL_TRANSPORT = 'memory';
+
+const admin = { _id: new mongoose.Types.ObjectId(), name: 'Grace', role: 'super_admin' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const invite = () => run(createAdminUser, { body: { name: 'Ada', email: 'ada@example.com', role: 'accountant' }, user: admin });
+const accept = (token) => run(acceptInvitation, { body: { token, password: 'new-password' }, ip: '127.0.0.1' });
+const tokenFromMail = (message) => message.text.match(/token=([0-9a-f]+)/)[1];
+
+// The stored invitations and accounts. Each request reads its own copy of an invitation; the
+// claim checks its filter and applies in one step, as a single MongoDB update would.
+let invitations;
+let users;
+let failUserCreate;
+
+beforeEach(() => {
+    outbox.length = 0;
+    invitations = [];
+    users = [];
+    failUserCreate = false;
+
+    mock.method(User, 'findOne', async ({ email }) => users.find(user => user.email === email) || null);
+    mock.method(User, 'create', async (fields) => {
+        if (failUserCreate) throw new Error('E11000 duplicate key error');
+        const user = new User(fields);
+        users.push(user);
+        return user;
+    });
+    mock.method(Invitation, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Invitation, 'create', async (fields) => {
+        const invitation = new Invitation(fields);
+        invitations.push(invitation);
+        return invitation;
+    });
+    mock.method(Invitation, 'findOne', async ({ tokenHash }) => {
+        const invitation = invitations.find(candidate => candidate.tokenHash === tokenHash);
+        return invitation ? invitation.$clone() : null;
+    });
+    mock.method(Invitation, 'findOneAndUpdate', async ({ _id, status }, update) => {
+        const invitation = invitations.find(candidate => candidate._id.equals(_id) && candidate.status === status && !candidate.isExpired);
+        if (invitation) invitation.set(update);
+        return invitation ? invitation.$clone() : null;
+    });
+    mock.method(Invitation, 'updateOne', async ({ _id }, { $unset, ...update }) => {
+        const invitation = invitations.find(candidate => candidate._id.equals(_id));
+        invitation.set(update);
+        Object.keys($unset).forEach(path => { invitation[path] = undefined; });
+    });
+    mock.method(Invitation.prototype, 'save', async function () {
+        invitations.find(invitation => invitation._id.equals(this._id)).set(this.toObject());
+        return this;
+    });
+    mock.method(RefreshToken, 'create', async (fields) => new RefreshToken(fields));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('the invitation link is emailed, and only its hash is stored', async () => {
+    const res = await invite();
+    const token = tokenFromMail(outbox[0]);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(outbox[0].to, 'ada@example.com');
+    assert.strictEqual(invitations[0].messageId, 'message-1');
+    assert.notStrictEqual(invitations[0].tokenHash, token);
+    assert.ok(!JSON.stringify(res.body).includes(token));
+    assert.ok(!('tokenHash' in JSON.parse(JSON.stringify(res.body.invitation))));
+});
+
+test('an invitation accepted twice at once creates one account', async () => {
+    await invite();
+    const token = tokenFromMail(outbox[0]);
+
+    const results = await Promise.all([accept(token), accept(token)]);
+
+    assert.deepStrictEqual(results.map(res => res.statusCode).sort(), [201, 400]);
+    assert.strictEqual(users.length, 1);
+    assert.strictEqual(users[0].role, 'accountant');
+    assert.strictEqual(invitations[0].status, 'accepted');
+    assert.ok(invitations[0].user.equals(users[0]._id));
+    assert.strictEqual((await accept(token)).statusCode, 400);
+});
+
+test('an invitation whose account could not be created can be accepted again', async () => {
+    await invite();
+    const token = tokenFromMail(outbox[0]);
+    failUserCreate = true;
+
+    const failed = await accept(token);
+    failUserCreate = false;
+    const retried = await accept(token);
+
+    assert.match(failed.error.message, /duplicate key/);
+    assert.strictEqual(retried.statusCode, 201);
+    assert.strictEqual(users.length, 1);
+});
+
+test('an expired invitation is refused', async () => {
+    await invite();
+    invitations[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await accept(tokenFromMail(outbox[0]));
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /expired/);
+    assert.strictEqual(users.length, 0);
+});
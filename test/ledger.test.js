@@ -0,0 +1,213 @@
+// backend/test/ledger.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const FinancialReportVersion = require('../models/financialReportVersionModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const JournalEntry = require('../models/journalEntryModel');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const Remittance = require('../models/remittanceModel');
+const { postFinancialReport, reverseFinancialReport, postRemittance } = require('../utils/ledger');
+const { approveRejectFinancialReport, amendFinancialReport } = require('../controllers/financeController');
+const { getTrialBalance } = require('../controllers/ledgerController');
+
+const { CHART_OF_ACCOUNTS } = LedgerAccount;
+
+// An in-memory report with its totals worked out (amounts in minor units)
+const makeReport = (fields) => {
+    const report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        ...fields,
+    });
+    report.calculateTotals();
+    return report;
+};
+
+// Keeps posted entries in memory; create() runs the model's validation, so an entry that
+// does not balance is refused as it would be by the database
+let entries;
+const stubLedger = ({ failOn } = {}) => {
+    entries = [];
+    const accounts = Object.fromEntries(CHART_OF_ACCOUNTS.map(account => [account.systemKey, new LedgerAccount(account)]));
+    mock.method(LedgerAccount, 'getSystemAccounts', async () => accounts);
+    mock.method(JournalEntry, 'findOne', async (filter) => {
+        return entries.find(entry => !entry.reversedBy && Object.entries(filter).every(([path, value]) => {
+            return value === null || String(entry.get(path)) === String(value);
+        })) || null;
+    });
+    mock.method(JournalEntry, 'create', async (doc) => {
+        if (doc.source.type === failOn) throw new Error('Connection lost');
+        const entry = new JournalEntry(doc);
+        await entry.validate();
+        entries.push(entry);
+        return entry;
+    });
+    mock.method(JournalEntry.prototype, 'save', async function () {
+        return this;
+    });
+};
+
+const totals = (entry) => ({
+    debit: entry.lines.reduce((sum, line) => sum + line.debit, 0),
+    credit: entry.lines.reduce((sum, line) => sum + line.credit, 0),
+});
+const lineFor = (entry, systemKey) => entry.lines.find(line => line.accountCode === CHART_OF_ACCOUNTS.find(account => account.systemKey === systemKey).code);
+
+afterEach(() => mock.restoreAll());
+
+test('an approved report posts a balanced entry with its levies owed', async () => {
+    stubLedger();
+    // Tithe 1,000.00 and 200.00 welfare with the default 10% + 5% levies
+    const report = makeReport({ tithe: 100000, welfareExpense: 20000 });
+
+    const entry = await postFinancialReport(report, new mongoose.Types.ObjectId());
+
+    assert.deepStrictEqual(totals(entry), { debit: 135000, credit: 135000 });
+    assert.strictEqual(lineFor(entry, 'tithe').credit, 100000);
+    assert.strictEqual(lineFor(entry, 'welfareExpense').debit, 20000);
+    assert.strictEqual(lineFor(entry, 'zonalLevyPayable').credit, 10000);
+    assert.strictEqual(lineFor(entry, 'nationalLevyPayable').credit, 5000);
+});
+
+test('a report is posted once, and only when approved', async () => {
+    stubLedger();
+    const report = makeReport({ tithe: 100000 });
+
+    const first = await postFinancialReport(report);
+    const second = await postFinancialReport(report);
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(await postFinancialReport(makeReport({ tithe: 100000, status: 'pending' })), null);
+    assert.strictEqual(await postFinancialReport(makeReport({})), null);
+});
+
+test('an entry that does not balance is refused', async () => {
+    const [cash, zonalLevyPayable] = CHART_OF_ACCOUNTS.map(account => new LedgerAccount(account));
+    const entry = new JournalEntry({
+        entryDate: new Date(),
+        fellowship: new mongoose.Types.ObjectId(),
+        description: 'Unbalanced',
+        source: { type: 'financial_report' },
+        lines: [
+            { account: cash._id, debit: 100 },
+            { account: zonalLevyPayable._id, credit: 50 },
+        ],
+    });
+    await assert.rejects(entry.validate(), /does not balance: debits 100, credits 50/);
+});
+
+test('a reversal swaps every line and lets the amended figures be posted', async () => {
+    stubLedger();
+    const report = makeReport({ tithe: 100000 });
+    const original = await postFinancialReport(report);
+
+    const reversal = await reverseFinancialReport(report, undefined, 'Tithe miscounted');
+    report.tithe = 200000;
+    report.calculateTotals();
+    const amended = await postFinancialReport(report);
+
+    assert.ok(original.reversedBy.equals(reversal._id));
+    assert.ok(reversal.reversalOf.equals(original._id));
+    assert.deepStrictEqual(
+        reversal.lines.map(line => [line.accountCode, line.debit, line.credit]),
+        original.lines.map(line => [line.accountCode, line.credit, line.debit])
+    );
+    assert.notStrictEqual(amended, original);
+    assert.strictEqual(lineFor(amended, 'tithe').credit, 200000);
+});
+
+test('a confirmed remittance clears the levy payable', async () => {
+    stubLedger();
+    const entry = await postRemittance({
+        _id: new mongoose.Types.ObjectId(),
+        fellowship: new mongoose.Types.ObjectId(),
+        financialReport: new mongoose.Types.ObjectId(),
+        levyType: 'national',
+        amount: 5000,
+        status: 'confirmed',
+        paymentDate: new Date(),
+    });
+
+    assert.strictEqual(lineFor(entry, 'nationalLevyPayable').debit, 5000);
+    assert.strictEqual(lineFor(entry, 'cash').credit, 5000);
+});
+
+test('an approval that cannot be posted is rolled back', async () => {
+    stubLedger({ failOn: 'opening_balance' });
+    const report = makeReport({ tithe: 100000, status: 'pending', openingBalance: { amount: 5000, status: 'approved' } });
+    const populated = { populate: async () => report };
+    mock.method(FinancialReport, 'findById', () => populated);
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        return this;
+    });
+
+    const req = {
+        params: { id: report._id },
+        body: { status: 'approved' },
+        user: { _id: new mongoose.Types.ObjectId(), role: 'accountant' },
+    };
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    let error;
+    await approveRejectFinancialReport(req, res, (err) => { error = err; });
+
+    assert.match(error.message, /could not be posted to the ledger, so it was not approved: Connection lost/);
+    assert.strictEqual(report.status, 'pending');
+    assert.strictEqual(report.approvedBy, undefined);
+    assert.strictEqual(report.approvalHistory.length, 0);
+    // The report's own entry was posted before the failure and has been reversed
+    assert.strictEqual(entries.length, 2);
+    assert.ok(entries[0].reversedBy.equals(entries[1]._id));
+});
+
+test('an amendment that cannot be posted is undone and the original figures posted again', async () => {
+    stubLedger();
+    const report = makeReport({ tithe: 100000 });
+    const original = await postFinancialReport(report);
+    // The reversal goes through; posting the amended figures after it does not
+    const { mock: create } = JournalEntry.create;
+    create.mockImplementationOnce(async () => { throw new Error('Connection lost'); }, create.callCount() + 1);
+    mock.method(FinancialReport, 'findById', async () => report);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        return this;
+    });
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(Remittance, 'getDeclaredAmount', async () => 0);
+    mock.method(FinancialReportVersion, 'create', async (doc) => new FinancialReportVersion(doc));
+    const deleteVersion = mock.method(FinancialReportVersion, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const req = {
+        params: { id: report._id },
+        body: { reason: 'Tithe miscounted', tithe: 2000 },
+        user: { _id: new mongoose.Types.ObjectId(), role: 'accountant' },
+    };
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    let error;
+    await amendFinancialReport(req, res, (err) => { error = err; });
+
+    assert.match(error.message, /amendment could not be posted to the ledger, so it was not saved: Connection lost/);
+    assert.strictEqual(report.tithe, 100000);
+    assert.strictEqual(report.version, 1);
+    assert.strictEqual(report.approvalHistory.length, 0);
+    assert.strictEqual(deleteVersion.mock.callCount(), 1);
+    // Original, its reversal, and the original figures posted again
+    assert.strictEqual(entries.length, 3);
+    assert.ok(original.reversedBy);
+    assert.ok(!entries[2].reversedBy);
+    assert.strictEqual(lineFor(entries[2], 'tithe').credit, 100000);
+});
+
+test('a ledger filter that is not an ID is refused', async () => {
+    const req = { query: { fellowshipId: 'not-an-id' }, user: { _id: new mongoose.Types.ObjectId(), role: 'accountant' } };
+    const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    let error;
+    await getTrialBalance(req, res, (err) => { error = err; });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(error.message, /Invalid fellowshipId or zoneId/);
+});
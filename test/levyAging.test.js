@@ -0,0 +1,98 @@
+// backend/test/levyAging.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const Remittance = require('../models/remittanceModel');
+const Fellowship = require('../models/fellowshipModel');
+const { getLevyAging } = require('../controllers/remittanceController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+const zone = { _id: new mongoose.Types.ObjectId(), name: 'Zone A' };
+const campus = { _id: new mongoose.Types.ObjectId(), name: 'Campus RCF', zone };
+const town = { _id: new mongoose.Types.ObjectId(), name: 'Town RCCF', zone };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const aging = (query, user = accountant) => run(getLevyAging, { query: { asOf: new Date(2025, 5, 30).toISOString(), ...query }, user });
+
+// An approved report from tithe alone (default 10% zonal and 5% national levies), approved on the given day
+const approvedReport = (fellowship, month, tithe, approvalDate) => {
+    const report = new FinancialReport({
+        fellowship: fellowship._id,
+        reportingMonth: new Date(2025, month, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        approvalDate,
+        tithe,
+    });
+    report.calculateTotals();
+    return report;
+};
+
+let reports;
+let confirmed;
+let reportFilter;
+
+beforeEach(() => {
+    reports = [
+        approvedReport(campus, 4, 100000, new Date(2025, 5, 20)), // 10 days before asOf
+        approvedReport(town, 2, 100000, new Date(2025, 3, 16)), // 75 days before asOf
+    ];
+    // 40.00 of the town's zonal levy has been paid
+    confirmed = [{ _id: { financialReport: reports[1]._id, levyType: 'zonal' }, total: 4000 }];
+
+    mock.method(FinancialReport, 'find', (filter) => {
+        reportFilter = filter;
+        return { select: async () => reports };
+    });
+    mock.method(Remittance, 'aggregate', async () => confirmed);
+    mock.method(Fellowship, 'find', () => ({ select: () => ({ populate: async () => [campus, town] }) }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('unpaid levies are bucketed by days since approval', async () => {
+    const res = await aging({});
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body.buckets, { '0-30': 150, '31-60': 0, '61-90': 110, '90+': 0 });
+    assert.strictEqual(res.body.totalOutstanding, 260);
+    assert.deepStrictEqual(res.body.zones.map(entry => [entry.zone.name, entry.totalOutstanding]), [['Zone A', 260]]);
+
+    // The fellowship owing longest comes first
+    const [first, second] = res.body.fellowships;
+    assert.strictEqual(first.fellowship.name, 'Town RCCF');
+    assert.strictEqual(first.oldestDaysOutstanding, 75);
+    assert.deepStrictEqual(first.items.map(item => [item.levyType, item.outstanding, item.bucket]), [['zonal', 60, '61-90'], ['national', 50, '61-90']]);
+    assert.strictEqual(second.fellowship.name, 'Campus RCF');
+});
+
+test('one levy type can be aged on its own', async () => {
+    const res = await aging({ levyType: 'national' });
+
+    assert.deepStrictEqual(res.body.buckets, { '0-30': 50, '31-60': 0, '61-90': 50, '90+': 0 });
+});
+
+test('a president only sees their own fellowship', async () => {
+    const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship: campus._id };
+
+    await aging({}, president);
+
+    assert.deepStrictEqual(reportFilter.fellowship, { $in: [campus._id] });
+});
+
+test('invalid filters are refused', async () => {
+    assert.strictEqual((await aging({ levyType: 'parish' })).statusCode, 400);
+    assert.strictEqual((await aging({ zoneId: 'zone-a' })).statusCode, 400);
+    assert.strictEqual((await aging({ asOf: 'June' })).statusCode, 400);
+});
@@ -0,0 +1,114 @@
+// backend/test/levyMatcher.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Remittance = require('../models/remittanceModel');
+const FinancialReport = require('../models/financialReportModel');
+const BankStatementLine = require('../models/bankStatementLineModel');
+const { proposeMatches } = require('../utils/levyMatcher');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A query stub: every chained call returns itself and awaiting it gives `result`
+const query = (result) => {
+    const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    ['populate', 'select', 'sort'].forEach(method => { chain[method] = () => chain; });
+    return chain;
+};
+
+const stubData = ({ remittances = [], reports = [], declared = [], otherProposals = [] }) => {
+    mock.method(Remittance, 'find', () => query(remittances));
+    mock.method(Remittance, 'aggregate', async () => declared);
+    mock.method(FinancialReport, 'find', () => query(reports));
+    mock.method(BankStatementLine, 'find', () => query(otherProposals));
+};
+
+const makeLine = (fields) => ({
+    _id: id(),
+    transactionDate: new Date(2025, 2, 10),
+    narration: '',
+    reference: '',
+    rejectedMatches: [],
+    status: 'unmatched',
+    save: async () => {},
+    ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a declared remittance with a matching reference is proposed', async () => {
+    const remittance = {
+        _id: id(),
+        financialReport: id(),
+        fellowship: { _id: id(), name: 'RCF Ikeja' },
+        levyType: 'zonal',
+        amount: 500000,
+        paymentDate: new Date(2025, 2, 9),
+        reference: 'FT2406',
+    };
+    stubData({ remittances: [remittance] });
+    const line = makeLine({ amount: 500000, narration: 'RCF IKEJA ZONAL LEVY', reference: 'FT-2406' });
+
+    assert.strictEqual(await proposeMatches([line]), 1);
+    assert.strictEqual(line.status, 'proposed');
+    assert.ok(line.proposedMatch.remittance.equals(remittance._id));
+    assert.deepStrictEqual(line.proposedMatch.reasons, ['amount', 'reference', 'fellowship', 'levyType', 'date']);
+    assert.strictEqual(line.proposedMatch.score, 100);
+});
+
+test('an outstanding levy is matched only for what is still undeclared', async () => {
+    const report = {
+        _id: id(),
+        fellowship: { _id: id(), name: 'RCF Yaba' },
+        reportingMonth: new Date(2025, 1, 1),
+        zonalLevy: 100000,
+        nationalLevy: 50000,
+    };
+    stubData({
+        reports: [report],
+        declared: [{ _id: { financialReport: report._id, levyType: 'zonal' }, total: 40000 }],
+    });
+    const line = makeLine({ amount: 60000, narration: 'RCF YABA' });
+
+    assert.strictEqual(await proposeMatches([line]), 1);
+    assert.strictEqual(line.proposedMatch.levyType, 'zonal');
+    assert.ok(line.proposedMatch.financialReport.equals(report._id));
+});
+
+test('ties, amount mismatches and rejected matches are left for the Accountant', async () => {
+    const fellowship = { _id: id(), name: 'RCF Surulere' };
+    const reports = [
+        { _id: id(), fellowship, reportingMonth: new Date(2025, 0, 1), zonalLevy: 30000, nationalLevy: 0 },
+        { _id: id(), fellowship, reportingMonth: new Date(2025, 1, 1), zonalLevy: 30000, nationalLevy: 0 },
+    ];
+    stubData({ reports });
+
+    const tied = makeLine({ amount: 30000 });
+    const wrongAmount = makeLine({ amount: 30001 });
+    const rejected = makeLine({
+        amount: 30000,
+        narration: 'RCF SURULERE',
+        rejectedMatches: reports.map(report => ({ financialReport: report._id, levyType: 'zonal' })),
+    });
+
+    assert.strictEqual(await proposeMatches([tied, wrongAmount, rejected]), 0);
+    [tied, wrongAmount, rejected].forEach(line => assert.strictEqual(line.status, 'unmatched'));
+});
+
+test('a candidate is proposed for one line only', async () => {
+    const remittance = {
+        _id: id(),
+        financialReport: id(),
+        fellowship: { _id: id(), name: 'RCF Ikeja' },
+        levyType: 'national',
+        amount: 20000,
+        reference: 'ABC123',
+    };
+    stubData({ remittances: [remittance] });
+    const first = makeLine({ amount: 20000, reference: 'ABC123', transactionDate: new Date(2025, 2, 1) });
+    const second = makeLine({ amount: 20000, reference: 'ABC123', transactionDate: new Date(2025, 2, 2) });
+
+    assert.strictEqual(await proposeMatches([second, first]), 1);
+    assert.strictEqual(first.status, 'proposed');
+    assert.strictEqual(second.status, 'unmatched');
+});
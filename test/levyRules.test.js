@@ -0,0 +1,60 @@
+// backend/test/levyRules.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const LevyRule = require('../models/levyRuleModel');
+const Zone = require('../models/zoneModel');
+const { createLevyRule } = require('../controllers/levyRuleController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const create = (fields) => run(createLevyRule, {
+    body: { name: 'Zone B rate', zonalLevyPercent: 12, nationalLevyPercent: 4, effectiveFrom: '2025-03-17', ...fields },
+    user: accountant,
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a rule applies from the start of the month it is given for', async () => {
+    const zone = { _id: new mongoose.Types.ObjectId() };
+    mock.method(Zone, 'findById', async () => zone);
+    mock.method(LevyRule, 'findOne', async () => null);
+    mock.method(LevyRule, 'create', async (fields) => new LevyRule(fields));
+
+    const res = await create({ zoneId: zone._id.toString() });
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.deepStrictEqual(res.body.effectiveFrom, new Date(2025, 2, 1));
+    assert.ok(res.body.zone.equals(zone._id));
+});
+
+test('a zoneId that is not an ID is refused', async () => {
+    const res = await create({ zoneId: 'zone-b' });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /Invalid zoneId/);
+});
+
+test("a zone's own rule takes precedence over the national default", async () => {
+    const zone = new mongoose.Types.ObjectId();
+    const national = new LevyRule({ name: 'National', zonalLevyPercent: 10, nationalLevyPercent: 5, effectiveFrom: new Date(2024, 0, 1) });
+    const zoneRule = new LevyRule({ name: 'Zone B', zone, zonalLevyPercent: 12, nationalLevyPercent: 4, effectiveFrom: new Date(2025, 2, 1) });
+    mock.method(LevyRule, 'findOne', (filter) => ({
+        sort: async () => [national, zoneRule].find(rule => String(rule.zone) === String(filter.zone) && rule.effectiveFrom <= filter.effectiveFrom.$lte) || null,
+    }));
+
+    assert.strictEqual(await LevyRule.findApplicable(zone, new Date(2025, 2, 1)), zoneRule);
+    assert.strictEqual(await LevyRule.findApplicable(zone, new Date(2025, 1, 1)), national);
+    assert.strictEqual(await LevyRule.findApplicable(null, new Date(2025, 2, 1)), national);
+});
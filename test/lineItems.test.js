@@ -0,0 +1,81 @@
+// backend/test/lineItems.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const { updateFinancialReport } = require('../controllers/financeController');
+
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf' };
+const harvest = new FinanceCategory({ name: 'Harvest', reportField: 'otherIncome' });
+const transport = new FinanceCategory({ name: 'Transport', reportField: 'adminExpense' });
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const edit = (body) => run(updateFinancialReport, { params: { id: report._id.toString() }, body, user: president });
+const line = (category, amount) => ({ categoryId: category._id.toString(), description: category.name, amount });
+
+let report;
+
+beforeEach(() => {
+    report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: president._id,
+        status: 'pending',
+        tithe: 100000,
+    });
+    report.calculateTotals();
+
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(FinancialReport, 'findById', async () => report);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        this.calculateTotals();
+        return this;
+    });
+    mock.method(FinanceCategory, 'find', async ({ _id }) => [harvest, transport].filter(category => _id.$in.includes(category._id.toString())));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('report fields covered by line items are their totals', async () => {
+    const res = await edit({ lineItems: [line(harvest, 300), line(harvest, 200.5), line(transport, 150)] });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.otherIncome, 500.5);
+    assert.strictEqual(res.body.adminExpense, 150);
+    assert.deepStrictEqual(res.body.lineItems.map(item => item.categoryName), ['Harvest', 'Harvest', 'Transport']);
+});
+
+test('a field is entered directly or as line items, not both', async () => {
+    const res = await edit({ otherIncome: 100, lineItems: [line(harvest, 300)] });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /otherIncome either directly or as line items/);
+});
+
+test('removing the line items of a field clears its total', async () => {
+    await edit({ lineItems: [line(harvest, 300), line(transport, 150)] });
+
+    const res = await edit({ lineItems: [line(transport, 150)] });
+
+    assert.strictEqual(res.body.otherIncome, 0);
+    assert.strictEqual(res.body.adminExpense, 150);
+});
+
+test('line items need an active category', async () => {
+    const res = await edit({ lineItems: [{ categoryId: new mongoose.Types.ObjectId().toString(), description: 'Harvest', amount: 300 }] });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /not found or no longer active/);
+});
@@ -0,0 +1,97 @@
+// backend/test/loginThrottle.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getAccountRetryAfter, registerFailedLogin, clearFailedLogins } = require('../utils/loginThrottle');
+
+// Just enough of MongoDB's aggregation expressions to run the update pipeline in memory
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+    if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+    const [[operator, args]] = Object.entries(expression);
+    const values = args.map(arg => evaluate(arg, doc));
+    switch (operator) {
+        case '$add': return values[0] + values[1];
+        case '$ifNull': return values[0] ?? values[1];
+        case '$gte': return values[0] >= values[1];
+        case '$cond': return values[0] ? values[1] : values[2];
+        default: throw new Error(`Unsupported operator ${operator}`);
+    }
+};
+
+// The stored user; every update is applied the moment it is made, as MongoDB applies a
+// single-document update atomically
+let stored;
+
+beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), failedLoginAttempts: 0 };
+    mock.method(User, 'findOneAndUpdate', (filter, pipeline) => {
+        pipeline.forEach(stage => {
+            const current = { ...stored };
+            Object.entries(stage.$set).forEach(([field, expression]) => {
+                stored[field] = evaluate(expression, current);
+            });
+        });
+        const result = { ...stored };
+        return { select: async () => result };
+    });
+    mock.method(User, 'updateOne', async (filter, { $set, $unset }) => {
+        Object.assign(stored, $set);
+        Object.keys($unset).forEach(field => { delete stored[field]; });
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('an account waits longer after each failure from the third on', () => {
+    const now = Date.now();
+    const lastFailedLoginAt = new Date(now);
+
+    assert.strictEqual(getAccountRetryAfter({ failedLoginAttempts: 2, lastFailedLoginAt }, now), 0);
+    assert.strictEqual(getAccountRetryAfter({ failedLoginAttempts: 3, lastFailedLoginAt }, now), 2);
+    assert.strictEqual(getAccountRetryAfter({ failedLoginAttempts: 5, lastFailedLoginAt }, now), 8);
+    assert.strictEqual(getAccountRetryAfter({ failedLoginAttempts: 9, lastFailedLoginAt }, now), 60);
+    assert.strictEqual(getAccountRetryAfter({ failedLoginAttempts: 3, lastFailedLoginAt }, now + 2000), 0);
+});
+
+test('a locked account waits until the lock expires', () => {
+    const now = Date.now();
+    const user = { failedLoginAttempts: 0, lockedUntil: new Date(now + 15 * 60 * 1000) };
+
+    assert.strictEqual(getAccountRetryAfter(user, now), 15 * 60);
+    assert.strictEqual(getAccountRetryAfter(user, now + 15 * 60 * 1000), 0);
+});
+
+test('the tenth failure locks the account and restarts the count', async () => {
+    for (let attempt = 1; attempt < 10; attempt += 1) {
+        assert.strictEqual(await registerFailedLogin(stored), false);
+    }
+    assert.strictEqual(stored.failedLoginAttempts, 9);
+    assert.strictEqual(stored.lockedUntil, undefined);
+
+    assert.strictEqual(await registerFailedLogin(stored), true);
+    assert.strictEqual(stored.failedLoginAttempts, 0);
+    assert.ok(getAccountRetryAfter(stored) > 14 * 60);
+});
+
+test('failures arriving at the same time are all counted', async () => {
+    // Every request read the user before any failure was stored
+    const staleUser = { ...stored };
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => registerFailedLogin(staleUser)));
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+    assert.ok(stored.lockedUntil.getTime() > Date.now());
+});
+
+test('a successful login clears failures and the lock', async () => {
+    stored.failedLoginAttempts = 4;
+    stored.lastFailedLoginAt = new Date();
+    stored.lockedUntil = new Date(Date.now() + 60000);
+
+    await clearFailedLogins(stored);
+
+    assert.deepStrictEqual(stored, { _id: stored._id, failedLoginAttempts: 0 });
+});
@@ -0,0 +1,46 @@
+// backend/test/money.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isMoneyAmount, toMinorUnits, fromMinorUnits, percentOf, mapMoneyFields } = require('../utils/money');
+
+test('major units convert to whole minor units without float drift', () => {
+    assert.strictEqual(toMinorUnits(1250.5), 125050);
+    assert.strictEqual(toMinorUnits(1.005), 101);
+    assert.strictEqual(toMinorUnits(0.1 + 0.2), 30);
+    assert.strictEqual(toMinorUnits(19.99), 1999);
+    assert.strictEqual(toMinorUnits(undefined), undefined);
+    assert.strictEqual(fromMinorUnits(125050), 1250.5);
+});
+
+test('only non-negative amounts with at most two decimals are money', () => {
+    assert.ok(isMoneyAmount(0));
+    assert.ok(isMoneyAmount(10.25));
+    assert.ok(isMoneyAmount(0.1 + 0.2));
+    assert.ok(!isMoneyAmount(10.255));
+    assert.ok(!isMoneyAmount(-1));
+    assert.ok(!isMoneyAmount('10'));
+    assert.ok(!isMoneyAmount(Infinity));
+});
+
+test('levies round half up to the nearest minor unit', () => {
+    assert.strictEqual(percentOf(100000, 10), 10000);
+    assert.strictEqual(percentOf(12345, 10), 1235); // 1234.5
+    assert.strictEqual(percentOf(12345, 5), 617); // 617.25
+    assert.strictEqual(percentOf(333, 12.5), 42); // 41.625
+});
+
+test('money paths are converted inside nested objects and arrays', () => {
+    const report = {
+        tithe: 1000.5,
+        openingBalance: { amount: 20 },
+        lineItems: [{ amount: 1.1, description: 'x' }, { amount: 2 }],
+        name: 'unchanged',
+    };
+    mapMoneyFields(report, ['tithe', 'openingBalance.amount', 'lineItems.amount', 'missing.amount'], toMinorUnits);
+    assert.deepStrictEqual(report, {
+        tithe: 100050,
+        openingBalance: { amount: 2000 },
+        lineItems: [{ amount: 110, description: 'x' }, { amount: 200 }],
+        name: 'unchanged',
+    });
+});
@@ -0,0 +1,133 @@
+// backend/test/passwordReset.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const PasswordReset = require('../models/passwordResetModel');
+const { registerMailTransport } = require('../utils/mail');
+const { forgotPassword, resetPassword } = require('../controllers/authController');
+
+// Messages kept in memory instead of sent
+const outbox = [];
+registerMailTransport({
+    name: 'memory',
+    send: async (message) => {
+        outbox.push(message);
+        return { messageId: `message-${outbox.length}` };
+    },
+});
+process.env.MAIL_TRANSPORT = 'memory';
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const requestReset = (email = user.email) => run(forgotPassword, { body: { email }, ip: '127.0.0.1' });
+const tokenFromMail = (message) => message.text.match(/token=([0-9a-f]+)/)[1];
+
+// The stored user and reset links; the link update checks its filter and applies in one
+// step, as a single MongoDB update would
+let user;
+let resets;
+
+beforeEach(() => {
+    outbox.length = 0;
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'old-password', role: 'accountant' });
+    resets = [];
+
+    mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+    mock.method(User, 'findById', async () => user);
+    mock.method(User.prototype, 'save', async function () { return this; });
+    mock.method(PasswordReset, 'countDocuments', async () => resets.length);
+    mock.method(PasswordReset, 'updateMany', async ({ status }, update) => {
+        resets.filter(reset => reset.status === status).forEach(reset => reset.set(update));
+    });
+    mock.method(PasswordReset, 'create', async (fields) => {
+        const reset = new PasswordReset(fields);
+        resets.push(reset);
+        return reset;
+    });
+    mock.method(PasswordReset.prototype, 'save', async function () { return this; });
+    mock.method(PasswordReset, 'findOneAndUpdate', async ({ tokenHash, status }, update) => {
+        const reset = resets.find(candidate => candidate.tokenHash === tokenHash && candidate.status === status && candidate.expiresAt > new Date());
+        if (reset) reset.set(update);
+        return reset || null;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a reset link is emailed, and only its hash is stored', async () => {
+    const res = await requestReset();
+    const token = tokenFromMail(outbox[0]);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(outbox[0].to, user.email);
+    assert.strictEqual(resets[0].messageId, 'message-1');
+    assert.notStrictEqual(resets[0].tokenHash, token);
+    assert.ok(!JSON.stringify(res.body).includes(token));
+});
+
+test('an unknown email gets the same answer and no mail', async () => {
+    const known = await requestReset();
+    const unknown = await requestReset('nobody@example.com');
+
+    assert.deepStrictEqual(unknown.body, known.body);
+    assert.strictEqual(outbox.length, 1);
+});
+
+test('only the latest link works, and only once even when used twice at once', async () => {
+    await requestReset();
+    await requestReset();
+    const [oldToken, token] = outbox.map(tokenFromMail);
+
+    const old = await run(resetPassword, { body: { token: oldToken, password: 'new-password' } });
+    const results = await Promise.all([
+        run(resetPassword, { body: { token, password: 'new-password' } }),
+        run(resetPassword, { body: { token, password: 'other-password' } }),
+    ]);
+
+    assert.strictEqual(old.statusCode, 400);
+    assert.deepStrictEqual(results.map(res => res.statusCode).sort(), [200, 400]);
+    assert.strictEqual(resets[1].status, 'used');
+    assert.strictEqual(outbox.at(-1).subject, 'Your password was changed');
+});
+
+test('reset emails stop quietly once an account reaches the limit', async () => {
+    const results = [];
+    for (let request = 0; request < 5; request += 1) {
+        results.push(await requestReset());
+    }
+
+    assert.ok(results.every(res => res.statusCode === 200 && res.body === results[0].body));
+    assert.strictEqual(outbox.length, 3);
+});
+
+test('in production a real mail transport is required', (t) => {
+    const modulePath = require.resolve('../utils/mail');
+    const previous = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+    t.after(() => {
+        Object.entries(previous).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        delete require.cache[modulePath];
+    });
+    process.env.NODE_ENV = 'production';
+    delete require.cache[modulePath];
+    const mail = require('../utils/mail');
+
+    delete process.env.MAIL_TRANSPORT;
+    assert.throws(mail.assertMailConfig, /MAIL_TRANSPORT must be set in production/);
+    for (const name of ['console', 'file']) {
+        process.env.MAIL_TRANSPORT = name;
+        assert.throws(mail.assertMailConfig, new RegExp(`The ${name} mail transport is not available in production`));
+    }
+});
@@ -0,0 +1,264 @@
+// backend/test/payments.test.js
+const { test, mock, afterEach, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const PaymentIntent = require('../models/paymentIntentModel');
+const Remittance = require('../models/remittanceModel');
+const FinancialReport = require('../models/financialReportModel');
+const JournalEntry = require('../models/journalEntryModel');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const { getPaymentProvider, assertPaymentConfig } = require('../utils/payments');
+const { createPaymentIntent, handlePaymentWebhook, reviewPaymentIntent } = require('../controllers/paymentController');
+
+const provider = getPaymentProvider();
+
+const eventBody = (event, data) => Buffer.from(JSON.stringify({ event, data }));
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+// Delivers a webhook to the controller
+const deliver = (rawBody, signature = provider.signPayload(rawBody)) => {
+    return run(handlePaymentWebhook, { params: { provider: 'mock' }, rawBody, headers: { 'x-mock-signature': signature } });
+};
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+const review = (body) => run(reviewPaymentIntent, { params: { id: intent._id.toString() }, body, user: accountant });
+
+// Applies a conditional update to an in-memory document, as a single MongoDB update would:
+// nothing changes (and null is returned) unless the document still has the status in `filter`
+const applyIf = (doc, { status }, update) => {
+    const matches = status === undefined
+        || (status.$ne !== undefined ? doc.status !== status.$ne : doc.status === status);
+    if (!matches) return null;
+    const { $unset = {}, ...fields } = update;
+    doc.set(fields);
+    Object.keys($unset).forEach(path => doc.set(path, undefined));
+    return doc;
+};
+
+let intent;
+let remittance;
+let report;
+let declaredAmount;
+let postings;
+
+beforeEach(() => {
+    report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: new mongoose.Types.ObjectId(),
+        status: 'approved',
+        zonalLevy: 10000,
+    });
+    remittance = new Remittance({
+        financialReport: report._id,
+        fellowship: report.fellowship,
+        levyType: 'zonal',
+        amount: 10000,
+        paymentDate: new Date(),
+        paymentMethod: 'online',
+        declaredBy: new mongoose.Types.ObjectId(),
+        status: 'pending',
+    });
+    intent = new PaymentIntent({
+        financialReport: report._id,
+        fellowship: report.fellowship,
+        levyType: 'zonal',
+        amount: 10000,
+        provider: 'mock',
+        reference: 'LEVY-TEST',
+        remittance: remittance._id,
+        initiatedBy: remittance.declaredBy,
+    });
+    declaredAmount = 0;
+    postings = [];
+
+    const accounts = Object.fromEntries(LedgerAccount.CHART_OF_ACCOUNTS.map(account => [account.systemKey, new LedgerAccount(account)]));
+    // Each read gets its own copy, so requests running side by side only see each other's
+    // changes through the stored documents
+    mock.method(PaymentIntent, 'findOne', async () => intent.$clone());
+    mock.method(PaymentIntent, 'findById', async () => intent.$clone());
+    mock.method(PaymentIntent, 'findOneAndUpdate', async (filter, update) => applyIf(intent, filter, update));
+    mock.method(PaymentIntent.prototype, 'save', async function () { return this; });
+    mock.method(Remittance, 'findById', async () => remittance.$clone());
+    mock.method(Remittance, 'findOneAndUpdate', async (filter, update) => applyIf(remittance, filter, update));
+    mock.method(Remittance, 'updateOne', async (filter, update) => { applyIf(remittance, filter, update); });
+    mock.method(Remittance, 'getDeclaredAmount', async () => declaredAmount);
+    mock.method(Remittance.prototype, 'save', async function () { return this; });
+    mock.method(FinancialReport, 'findById', async () => report);
+    mock.method(LedgerAccount, 'getSystemAccounts', async () => accounts);
+    mock.method(JournalEntry, 'findOne', async () => null);
+    mock.method(JournalEntry, 'create', async (doc) => {
+        postings.push(doc);
+        return doc;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('only payloads signed with the webhook secret are accepted', () => {
+    const body = eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 });
+    const signature = provider.signPayload(body);
+
+    assert.ok(provider.verifyWebhookSignature(body, { 'x-mock-signature': signature }));
+    assert.ok(!provider.verifyWebhookSignature(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 1 }), { 'x-mock-signature': signature }));
+    assert.ok(!provider.verifyWebhookSignature(body, { 'x-mock-signature': signature.slice(2) }));
+    assert.ok(!provider.verifyWebhookSignature(body, {}));
+});
+
+test('no webhook is trusted and the server does not start without a secret', (t) => {
+    const body = eventBody('payment.succeeded', { reference: 'LEVY-TEST' });
+    const signature = provider.signPayload(body);
+
+    t.after(() => {
+        process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+    });
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    assert.ok(!provider.verifyWebhookSignature(body, { 'x-mock-signature': signature }));
+    assert.throws(assertPaymentConfig, /MOCK_PAYMENT_WEBHOOK_SECRET must be set/);
+});
+
+test('without a provider the server starts and the payment routes answer 503', async (t) => {
+    t.after(() => {
+        process.env.PAYMENT_PROVIDER = 'mock';
+    });
+    delete process.env.PAYMENT_PROVIDER;
+    assert.doesNotThrow(assertPaymentConfig);
+
+    const started = await run(createPaymentIntent, { body: { financialReportId: report._id.toString(), levyType: 'zonal' }, user: accountant });
+    const delivered = await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 }));
+
+    assert.strictEqual(started.statusCode, 503);
+    assert.strictEqual(delivered.statusCode, 503);
+    assert.strictEqual(intent.status, 'pending');
+});
+
+test('the mock provider is not available in production', (t) => {
+    const modulePath = require.resolve('../utils/payments');
+    const previousNodeEnv = process.env.NODE_ENV;
+    t.after(() => {
+        if (previousNodeEnv === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = previousNodeEnv;
+        delete require.cache[modulePath];
+    });
+    process.env.NODE_ENV = 'production';
+    delete require.cache[modulePath];
+
+    assert.throws(() => require('../utils/payments').getPaymentProvider('mock'), /Unknown payment provider: mock/);
+});
+
+test('an unsigned webhook is refused', async () => {
+    const res = await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST' }), 'ab'.repeat(32));
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(intent.status, 'pending');
+});
+
+test('a retried success confirms and posts the remittance once', async () => {
+    const body = eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 });
+
+    await deliver(body);
+    const retry = await deliver(body);
+
+    assert.strictEqual(retry.statusCode, 200);
+    assert.strictEqual(intent.status, 'succeeded');
+    assert.strictEqual(remittance.status, 'confirmed');
+    assert.strictEqual(postings.length, 1);
+    assert.ok(postings[0].postedBy.equals(intent.initiatedBy));
+});
+
+test('a late success that would overpay the levy is left for review', async () => {
+    intent.status = 'expired';
+    remittance.status = 'rejected';
+    declaredAmount = 10000; // Paid again after the payment expired
+
+    await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 }));
+
+    assert.strictEqual(intent.status, 'needs_review');
+    assert.strictEqual(remittance.status, 'rejected');
+    assert.strictEqual(postings.length, 0);
+});
+
+test('a late success still counts while the levy is owed', async () => {
+    intent.status = 'expired';
+    remittance.status = 'rejected';
+
+    await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 }));
+
+    assert.strictEqual(intent.status, 'succeeded');
+    assert.strictEqual(remittance.status, 'confirmed');
+    assert.strictEqual(postings.length, 1);
+});
+
+test('the same success delivered twice at once is applied once', async () => {
+    const body = eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 });
+
+    const results = await Promise.all([deliver(body), deliver(body)]);
+
+    assert.ok(results.every(res => res.statusCode === 200));
+    assert.strictEqual(intent.status, 'succeeded');
+    assert.strictEqual(remittance.status, 'confirmed');
+    assert.strictEqual(postings.length, 1);
+});
+
+test('an Accountant applies a short payment for the amount actually paid', async () => {
+    declaredAmount = 10000; // The payment's own pending remittance
+    await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 6000 }));
+    assert.strictEqual(intent.status, 'needs_review');
+    assert.strictEqual(intent.paidAmount, 6000);
+
+    const res = await review({ action: 'apply' });
+    const again = await review({ action: 'apply' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(intent.status, 'succeeded');
+    assert.ok(intent.reviewedBy.equals(accountant._id));
+    assert.strictEqual(remittance.status, 'confirmed');
+    assert.strictEqual(remittance.amount, 6000);
+    assert.strictEqual(postings.length, 1);
+    assert.strictEqual(again.statusCode, 400);
+});
+
+test('a payment that would overpay the levy cannot be applied, only refunded', async () => {
+    intent.status = 'expired';
+    remittance.status = 'rejected';
+    declaredAmount = 10000;
+    await deliver(eventBody('payment.succeeded', { reference: 'LEVY-TEST', amount: 10000 }));
+
+    const applied = await review({ action: 'apply' });
+    assert.strictEqual(applied.statusCode, 400);
+    assert.match(applied.error.message, /exceeds the outstanding zonal levy of 0.*Refund it instead/);
+
+    assert.strictEqual((await review({ action: 'refund' })).statusCode, 400);
+    const refunded = await review({ action: 'refund', note: 'Returned to the payer by bank transfer' });
+
+    assert.strictEqual(refunded.statusCode, 200);
+    assert.strictEqual(intent.status, 'refunded');
+    assert.strictEqual(intent.reviewNote, 'Returned to the payer by bank transfer');
+    assert.strictEqual(remittance.status, 'rejected');
+    assert.strictEqual(postings.length, 0);
+});
+
+test('a payment started while another payment of the levy is declared is refused', async () => {
+    mock.method(PaymentIntent, 'find', async () => []);
+    mock.method(FinancialReport, 'updateOne', async () => ({ modifiedCount: 0 })); // The declaration claimed it first
+    const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship: report.fellowship, email: 'president@example.com' };
+
+    const res = await run(createPaymentIntent, { body: { financialReportId: report._id.toString(), levyType: 'zonal' }, user: president });
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.match(res.error.message, /declared for this report at the same time/);
+});
@@ -0,0 +1,111 @@
+// backend/test/projects.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Project = require('../models/projectModel');
+const Pledge = require('../models/pledgeModel');
+const FinancialReport = require('../models/financialReportModel');
+const Fellowship = require('../models/fellowshipModel');
+const { getProjects, createPledge } = require('../controllers/projectController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+const zone = new mongoose.Types.ObjectId();
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+// A building fund for the zone with a 100,000.00 target (amounts in minor units)
+const buildingFund = () => new Project({
+    name: 'Zone hall',
+    category: 'building_fund',
+    scope: 'zone',
+    zone,
+    targetAmount: 10000000,
+    createdBy: accountant._id,
+});
+
+// Stubs Project.find for getProjects and records the filter it was given
+const stubProjectList = (projects) => {
+    const calls = [];
+    mock.method(Project, 'find', (filter) => {
+        calls.push(filter);
+        const query = { populate: () => query, sort: async () => projects };
+        return query;
+    });
+    return calls;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('progress counts approved donations as raised and what is still owed on pledges', async () => {
+    const project = buildingFund();
+    const pledges = [
+        new Pledge({ project: project._id, fellowship: new mongoose.Types.ObjectId(), pledgerName: 'Alumni', amount: 2000000, recordedBy: accountant._id }),
+        new Pledge({ project: project._id, fellowship: new mongoose.Types.ObjectId(), pledgerName: 'Choir', amount: 500000, recordedBy: accountant._id }),
+    ];
+    stubProjectList([project]);
+    mock.method(Pledge, 'find', () => ({ select: async () => pledges }));
+    mock.method(FinancialReport, 'aggregate', async (pipeline) => {
+        const { _id } = pipeline.at(-1).$group;
+        if (_id.project) {
+            return [
+                { _id: { project: project._id, approved: true }, amount: 3000000 },
+                { _id: { project: project._id, approved: false }, amount: 500000 },
+            ];
+        }
+        return [{ _id: pledges[0]._id, fulfilled: 1000000 }]; // Redeemed on approved reports
+    });
+
+    const res = await run(getProjects, { query: {}, user: accountant });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body[0].progress, {
+        targetAmount: 100000,
+        raised: 30000,
+        awaitingApproval: 5000,
+        remaining: 70000,
+        percentRaised: 30,
+        pledged: 25000,
+        pledgeCount: 2,
+        pledgesOutstanding: 15000,
+        targetReached: false,
+        deadlinePassed: false,
+    });
+});
+
+test('a fellowship outside any zone is not shown zone projects', async () => {
+    const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship: new mongoose.Types.ObjectId() };
+    const calls = stubProjectList([]);
+    mock.method(Fellowship, 'findById', () => ({ select: async () => ({ _id: president.fellowship, zone: undefined }) }));
+    mock.method(Pledge, 'find', () => ({ select: async () => [] }));
+    mock.method(FinancialReport, 'aggregate', async () => []);
+
+    await run(getProjects, { query: {}, user: president });
+
+    assert.deepStrictEqual(calls[0].$or.map(visible => visible.scope), ['national', 'fellowship']);
+});
+
+test('pledges are only taken from fellowships the project is open to', async () => {
+    const project = buildingFund();
+    const outsider = new Fellowship({ name: 'Town RCCF', zone: new mongoose.Types.ObjectId() });
+    mock.method(Project, 'findById', async () => project);
+    mock.method(Project, 'exists', async () => true);
+    mock.method(Fellowship, 'findById', async () => outsider);
+
+    const res = await run(createPledge, {
+        params: { id: project._id.toString() },
+        body: { fellowshipId: outsider._id.toString(), pledgerName: 'Alumni', amount: 500 },
+        user: accountant,
+    });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(res.error.message, /not open to the given fellowship/);
+});
@@ -0,0 +1,114 @@
+// backend/test/reconciliation.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const BankStatementLine = require('../models/bankStatementLineModel');
+const Remittance = require('../models/remittanceModel');
+const JournalEntry = require('../models/journalEntryModel');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const { confirmStatementLine } = require('../controllers/reconciliationController');
+
+const accountant = { _id: new mongoose.Types.ObjectId(), role: 'accountant' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const confirm = () => run(confirmStatementLine, { params: { id: line._id.toString() }, body: {}, user: accountant });
+
+// The stored line and remittance. Each request reads its own copy; the conditional line
+// update checks the status and applies in one step, as a single MongoDB update would.
+let line;
+let remittance;
+let confirmations;
+let postings;
+
+beforeEach(() => {
+    remittance = new Remittance({
+        financialReport: new mongoose.Types.ObjectId(),
+        fellowship: new mongoose.Types.ObjectId(),
+        levyType: 'zonal',
+        amount: 10000,
+        paymentDate: new Date(2025, 1, 3),
+        paymentMethod: 'bank_transfer',
+        declaredBy: new mongoose.Types.ObjectId(),
+        status: 'pending',
+    });
+    line = new BankStatementLine({
+        statement: new mongoose.Types.ObjectId(),
+        transactionDate: new Date(2025, 1, 3),
+        amount: 10000,
+        narration: 'TRF ZONAL LEVY JAN',
+        fingerprint: 'line-1',
+        status: 'proposed',
+        proposedMatch: { remittance: remittance._id, financialReport: remittance.financialReport, fellowship: remittance.fellowship, levyType: 'zonal', score: 90 },
+    });
+    confirmations = 0;
+    postings = [];
+
+    const accounts = Object.fromEntries(LedgerAccount.CHART_OF_ACCOUNTS.map(account => [account.systemKey, new LedgerAccount(account)]));
+    mock.method(BankStatementLine, 'findById', async () => line.$clone());
+    mock.method(BankStatementLine, 'findOneAndUpdate', async ({ status }, update) => {
+        if (!status.$in.includes(line.status)) return null;
+        line.set(update);
+        return line;
+    });
+    mock.method(BankStatementLine, 'updateOne', async ({ status }, update) => {
+        if (line.status === status) line.set(update);
+    });
+    mock.method(BankStatementLine.prototype, 'save', async function () {
+        line.set(this.toObject({ transform: false }));
+        return this;
+    });
+    mock.method(Remittance, 'findById', async () => remittance.$clone());
+    mock.method(Remittance.prototype, 'save', async function () {
+        confirmations += 1;
+        remittance.set(this.toObject({ transform: false }));
+        return this;
+    });
+    mock.method(LedgerAccount, 'getSystemAccounts', async () => accounts);
+    mock.method(JournalEntry, 'findOne', async () => null);
+    mock.method(JournalEntry, 'create', async (doc) => {
+        postings.push(doc);
+        return doc;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('confirming a line settles its proposed remittance', async () => {
+    const res = await confirm();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(line.status, 'reconciled');
+    assert.ok(line.remittance.equals(remittance._id));
+    assert.strictEqual(remittance.status, 'confirmed');
+    assert.strictEqual(confirmations, 1);
+    assert.strictEqual(postings.length, 1);
+});
+
+test('a line confirmed twice at once is recorded once', async () => {
+    const results = await Promise.all([confirm(), confirm()]);
+
+    assert.deepStrictEqual(results.map(res => res.statusCode).sort(), [200, 400]);
+    assert.match(results.find(res => res.error).error.message, /already being reconciled/);
+    assert.strictEqual(confirmations, 1);
+    assert.strictEqual(postings.length, 1);
+});
+
+test('a line whose match no longer holds goes back to the queue', async () => {
+    remittance.status = 'rejected';
+
+    const res = await confirm();
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(line.status, 'proposed');
+    assert.strictEqual(confirmations, 0);
+});
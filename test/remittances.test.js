@@ -0,0 +1,99 @@
+// backend/test/remittances.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const Remittance = require('../models/remittanceModel');
+const { declareRemittance } = require('../controllers/remittanceController');
+
+const fellowship = new mongoose.Types.ObjectId();
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf', fellowship };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const declare = (amount) => run(declareRemittance, {
+    body: { financialReportId: report._id.toString(), levyType: 'zonal', amount, paymentDate: '2025-02-03', paymentMethod: 'bank_transfer' },
+    user: president,
+});
+
+// The stored report and remittances; each request reads its own copy of the report, and the
+// report update checks its filter and applies in one step, as a single MongoDB update would
+let report;
+let remittances;
+let beforeInsert;
+
+beforeEach(() => {
+    // Tithe 1,000.00 with the default 10% zonal levy: 100.00 owed
+    report = new FinancialReport({
+        fellowship,
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: president._id,
+        status: 'approved',
+        tithe: 100000,
+    });
+    report.calculateTotals();
+    remittances = [];
+    beforeInsert = () => {};
+
+    mock.method(FinancialReport, 'findById', async () => report.$clone());
+    mock.method(FinancialReport, 'updateOne', async (filter, { $set }) => {
+        const [[path, expected]] = Object.entries(filter).filter(([key]) => key !== '_id');
+        const current = report.get(path);
+        if (expected.$in ? !expected.$in.includes(current ?? null) : current !== expected) return { modifiedCount: 0 };
+        report.set($set);
+        return { modifiedCount: 1 };
+    });
+    mock.method(Remittance, 'create', async (doc) => {
+        beforeInsert();
+        const remittance = new Remittance(doc);
+        remittances.push(remittance);
+        return remittance;
+    });
+    mock.method(Remittance, 'getDeclaredAmount', async () => remittances.reduce((sum, remittance) => sum + remittance.amount, 0));
+    mock.method(Remittance.prototype, 'deleteOne', async function () {
+        remittances = remittances.filter(remittance => remittance !== this);
+        return this;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('payments are declared up to the levy owed, and no further', async () => {
+    assert.strictEqual((await declare(60)).statusCode, 201);
+    assert.strictEqual((await declare(40)).statusCode, 201);
+
+    const over = await declare(0.01);
+
+    assert.strictEqual(over.statusCode, 400);
+    assert.match(over.error.message, /exceeds the outstanding zonal levy of 0/);
+    assert.deepStrictEqual(remittances.map(remittance => remittance.amount), [6000, 4000]);
+});
+
+test('two declarations made at once cannot together exceed the levy', async () => {
+    const results = await Promise.all([declare(70), declare(70)]);
+
+    assert.deepStrictEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+    assert.strictEqual(remittances.length, 1);
+    assert.strictEqual(report.levyDeclarations.zonal, 1);
+});
+
+test('a declaration that overtakes the levy once recorded is withdrawn', async () => {
+    // Another payment (e.g. online) is recorded between this declaration's check and its insert
+    beforeInsert = () => {
+        remittances.push(new Remittance({ financialReport: report._id, levyType: 'zonal', amount: 5000 }));
+    };
+
+    const res = await declare(70);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(remittances.map(remittance => remittance.amount), [5000]);
+});
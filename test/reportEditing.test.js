@@ -0,0 +1,77 @@
+// backend/test/reportEditing.test.js
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FinancialReport = require('../models/financialReportModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+const { updateFinancialReport } = require('../controllers/financeController');
+
+const president = { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf' };
+
+// Runs a handler; resolves with { statusCode, body, error }
+const run = async (handler, req) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler(req, res, (err) => { res.error = err; });
+    return res;
+};
+
+const edit = (body, user = president) => run(updateFinancialReport, { params: { id: report._id.toString() }, body, user });
+
+let report;
+
+beforeEach(() => {
+    report = new FinancialReport({
+        fellowship: new mongoose.Types.ObjectId(),
+        reportingMonth: new Date(2025, 0, 1),
+        submittedBy: president._id,
+        status: 'pending',
+        tithe: 100000,
+    });
+    report.calculateTotals();
+
+    mock.method(FiscalPeriod, 'findClosedPeriodFor', async () => null);
+    mock.method(FinancialReport, 'findById', async () => report);
+    mock.method(FinancialReport.prototype, 'save', async function () {
+        this.calculateTotals();
+        return this;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('the submitter edits a pending report and its levies are worked out again', async () => {
+    const res = await edit({ tithe: 2000, offering: 500 });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.tithe, 2000);
+    assert.strictEqual(res.body.totalIncome, 2500);
+    assert.strictEqual(res.body.zonalLevy, 200);
+    assert.strictEqual(res.body.nationalLevy, 100);
+    assert.strictEqual(res.body.status, 'pending');
+});
+
+test('an edited rejected report is resubmitted', async () => {
+    report.status = 'rejected';
+    report.rejectionReason = 'Offering is missing';
+
+    const res = await edit({ offering: 500 });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(report.status, 'pending');
+    assert.strictEqual(report.rejectionReason, undefined);
+    assert.strictEqual(report.approvalHistory.at(-1).action, 'resubmitted');
+});
+
+test("approved reports and other presidents' reports cannot be edited", async () => {
+    const otherPresident = await edit({ tithe: 2000 }, { _id: new mongoose.Types.ObjectId(), role: 'fellowship_president_rcf' });
+    report.status = 'approved';
+    const approved = await edit({ tithe: 2000 });
+
+    assert.strictEqual(otherPresident.statusCode, 403);
+    assert.strictEqual(approved.statusCode, 403);
+    assert.strictEqual(report.tithe, 100000);
+});
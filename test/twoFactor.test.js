@@ -0,0 +1,118 @@
+// backend/test/twoFactor.test.js
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const User = require('../models/User');
+const TwoFactorPolicy = require('../models/twoFactorPolicyModel');
+const generateToken = require('../utils/generateToken');
+const { generateSecret, generateCode, getTimeStep, verifyCode } = require('../utils/totp');
+const { createRecoveryCodes, verifySecondFactor } = require('../utils/twoFactor');
+const { protect } = require('../middleware/authMiddleware');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// An enrolled user, and the stored second-factor state the atomic claims update
+const enrolledUser = (recoveryCodeHashes = []) => {
+    const stored = { lastUsedStep: null, recoveryCodes: [...recoveryCodeHashes] };
+    mock.method(User, 'updateOne', async (filter, update) => {
+        if (filter.$or) {
+            const step = update['twoFactor.lastUsedStep'];
+            if (stored.lastUsedStep !== null && stored.lastUsedStep >= step) return { modifiedCount: 0 };
+            stored.lastUsedStep = step;
+            return { modifiedCount: 1 };
+        }
+        const index = stored.recoveryCodes.indexOf(filter['twoFactor.recoveryCodes']);
+        if (index === -1) return { modifiedCount: 0 };
+        stored.recoveryCodes.splice(index, 1);
+        return { modifiedCount: 1 };
+    });
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        twoFactor: { enabled: true, secret: generateSecret(), lastUsedStep: null, recoveryCodes: [...recoveryCodeHashes] },
+    };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+    // The RFC lists 8-digit codes; authenticator apps show the last 6
+    const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+    vectors.forEach(([seconds, code]) => {
+        assert.strictEqual(generateCode(RFC_SECRET, getTimeStep(seconds * 1000)), code);
+    });
+});
+
+test('a code is accepted one step either side of now, and no further', () => {
+    const now = 1234567890 * 1000;
+    const step = getTimeStep(now);
+
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), now), step);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), now), step - 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), now), step + 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), now), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, '12345', now), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, 'abcdef', now), null);
+});
+
+test('an authenticator code works only once', async () => {
+    const user = enrolledUser();
+    const code = generateCode(user.twoFactor.secret, getTimeStep());
+
+    assert.strictEqual(await verifySecondFactor(user, { code }), 'totp');
+    assert.strictEqual(await verifySecondFactor(user, { code }), null);
+});
+
+test('each recovery code works once, however it is typed', async () => {
+    const { codes, hashes } = createRecoveryCodes();
+    const user = enrolledUser(hashes);
+
+    assert.strictEqual(codes.length, 10);
+    assert.ok(codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)));
+    assert.ok(hashes.every((hash, index) => hash !== codes[index]));
+
+    assert.strictEqual(await verifySecondFactor(user, { recoveryCode: ` ${codes[0].toUpperCase().replace('-', '')} ` }), 'recovery_code');
+    assert.strictEqual(await verifySecondFactor(user, { recoveryCode: codes[0] }), null);
+    assert.strictEqual(user.twoFactor.recoveryCodes.length, 9);
+    assert.strictEqual(await verifySecondFactor(user, { recoveryCode: '00000-00000' }), null);
+});
+
+// Runs protect for a request; resolves with { statusCode, error, passed }
+const runProtect = async (url, mfa) => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'accountant', tokenVersion: 0, twoFactor: { enabled: false } };
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+    mock.method(TwoFactorPolicy, 'isRequiredForRole', async (role) => role === 'accountant');
+
+    const req = { originalUrl: url, headers: { authorization: `Bearer ${generateToken(user._id, user.role, 0, mfa)}` } };
+    const res = { statusCode: 200, status(code) { this.statusCode = code; return this; } };
+    let passed = false;
+    let error;
+    await protect(req, res, (err) => {
+        if (err) error = err;
+        else passed = true;
+    });
+    return { statusCode: res.statusCode, error, passed };
+};
+
+test('a role that requires two-factor authentication is refused everywhere until it is set up', async () => {
+    const result = await runProtect('/api/finance/reports?status=pending', false);
+
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.statusCode, 403);
+    assert.match(result.error.message, /Set it up at \/api\/two-factor\/setup/);
+});
+
+test('two-factor setup, the profile and logout stay reachable without it', async () => {
+    for (const url of ['/api/two-factor/setup', '/api/two-factor/enable/', '/api/users/profile?fields=name', '/api/auth/logout', '/api/auth/logout-all']) {
+        assert.strictEqual((await runProtect(url, false)).passed, true, url);
+    }
+    assert.strictEqual((await runProtect('/api/two-factor/policies', false)).passed, false);
+    assert.strictEqual((await runProtect('/api/users/profile/login-history', false)).passed, false);
+});
+
+test('a session that passed the second factor is let through', async () => {
+    assert.strictEqual((await runProtect('/api/finance/reports', true)).passed, true);
+});
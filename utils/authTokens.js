@@ -0,0 +1,92 @@
+// backend/utils/authTokens.js
+// Issues and rotates the token pair handed out at login: a short-lived JWT access token
+// (see generateToken.js) and an opaque refresh token that is stored hashed (RefreshToken).
+const crypto = require('crypto');
+const RefreshToken = require('../models/refreshTokenModel');
+const generateToken = require('./generateToken');
+const { hashToken, createOneTimeToken } = require('./oneTimeToken');
+
+// How long a refresh token can be used (REFRESH_TOKEN_TTL_DAYS, default 30)
+const getRefreshTokenTtlMs = () => (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Stores a new refresh token for the user and returns its record and the plain token
+const createRefreshToken = async (user, ip, family, mfa) => {
+    const { token, tokenHash, expiresAt } = createOneTimeToken(getRefreshTokenTtlMs());
+    const record = await RefreshToken.create({
+        user: user._id,
+        tokenHash,
+        family,
+        expiresAt,
+        mfa,
+        createdByIp: ip,
+    });
+    return { record, token };
+};
+
+// A new access token and refresh token for the user at login. `mfa`: the login passed the
+// second factor.
+const issueAuthTokens = async (user, ip, mfa = false) => {
+    const { record, token } = await createRefreshToken(user, ip, crypto.randomUUID(), mfa);
+    return {
+        token: generateToken(user._id, user.role, user.tokenVersion, mfa),
+        refreshToken: token,
+        refreshTokenExpiresAt: record.expiresAt,
+    };
+};
+
+// Finds the stored record of a refresh token handed in by a client, or null
+const findRefreshToken = (token) => RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+const revokeFamily = (family, reason) => {
+    return RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// A token was presented after it had been used: revoke its family, and mark the token itself
+// so a rotation of it running at the same moment sees the reuse too
+const revokeReusedFamily = async (refreshToken) => {
+    await RefreshToken.updateOne({ _id: refreshToken._id }, { revokedReason: 'reuse_detected' });
+    await revokeFamily(refreshToken.family, 'reuse_detected');
+};
+
+// Replaces an active refresh token with a new pair in the same family. Returns null when the
+// token cannot be used; if it was already rotated, the whole family is revoked, since only a
+// copied token can be presented twice.
+const rotateRefreshToken = async (refreshToken, user, ip) => {
+    if (!refreshToken.isActive) {
+        if (refreshToken.revokedReason === 'rotated') await revokeReusedFamily(refreshToken);
+        return null;
+    }
+
+    // Claim the token atomically so two simultaneous refreshes cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: refreshToken._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'rotated' },
+        { new: true }
+    );
+    if (!claimed) {
+        await revokeReusedFamily(refreshToken);
+        return null;
+    }
+
+    const { record, token } = await createRefreshToken(user, ip, refreshToken.family, refreshToken.mfa);
+    claimed.replacedBy = record._id;
+    await claimed.save();
+
+    // A simultaneous reuse may have revoked the family before the new token was stored
+    if (await RefreshToken.exists({ _id: refreshToken._id, revokedReason: 'reuse_detected' })) {
+        await revokeFamily(refreshToken.family, 'reuse_detected');
+        return null;
+    }
+
+    return {
+        token: generateToken(user._id, user.role, user.tokenVersion, refreshToken.mfa),
+        refreshToken: token,
+        refreshTokenExpiresAt: record.expiresAt,
+    };
+};
+
+module.exports = {
+    issueAuthTokens,
+    findRefreshToken,
+    rotateRefreshToken,
+};
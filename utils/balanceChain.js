@@ -0,0 +1,70 @@
+// backend/utils/balanceChain.js
+// Each month's balanceBroughtDown is the previous month's balanceCarriedForward. These helpers
+// work out what it should be and carry a changed balance through the later months.
+const FinancialReport = require('../models/financialReportModel');
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+
+// Get the start of the calendar month before `month`
+const getPreviousMonth = (month) => {
+    return new Date(month.getFullYear(), month.getMonth() - 1, 1);
+};
+
+// The balanceBroughtDown a report should have, given the fellowship's report before it:
+// an approved opening balance declaration wins, otherwise the previous calendar month's
+// balanceCarriedForward if that report is approved, otherwise 0.
+const getExpectedBalanceBroughtDown = (report, previousReport) => {
+    if (report.openingBalance && report.openingBalance.status === 'approved') {
+        return report.openingBalance.amount;
+    }
+    const followsPrevious = previousReport &&
+        getPreviousMonth(report.reportingMonth).getTime() === previousReport.reportingMonth.getTime();
+    return followsPrevious && previousReport.status === 'approved' ? previousReport.balanceCarriedForward : 0;
+};
+
+// Recomputes balanceBroughtDown (and so balanceCarriedForward) for every report of a fellowship
+// after `fromReport`, following the same rule as submitFinancialReport (see getExpectedBalanceBroughtDown).
+// Reports in a closed fiscal period are never rewritten: re-chaining stops there and the
+// break shows up in the balance continuity check until the period is reopened.
+// Returns the reports whose balances changed.
+const rechainBalances = async (fromReport) => {
+    const laterReports = await FinancialReport.find({
+        fellowship: fromReport.fellowship,
+        reportingMonth: { $gt: fromReport.reportingMonth },
+    }).sort({ reportingMonth: 1 });
+
+    const changes = [];
+    let previousReport = fromReport;
+
+    for (const report of laterReports) {
+        const newBalanceBroughtDown = getExpectedBalanceBroughtDown(report, previousReport);
+
+        if (report.balanceBroughtDown !== newBalanceBroughtDown) {
+            if (await FiscalPeriod.findClosedPeriodFor(report.reportingMonth)) break;
+
+            const previousBalanceBroughtDown = report.balanceBroughtDown;
+            const previousBalanceCarriedForward = report.balanceCarriedForward;
+
+            report.balanceBroughtDown = newBalanceBroughtDown;
+            await report.save(); // Pre-save hook recalculates balanceCarriedForward
+
+            changes.push({
+                financialReport: report._id,
+                reportingMonth: report.reportingMonth,
+                previousBalanceBroughtDown,
+                newBalanceBroughtDown,
+                previousBalanceCarriedForward,
+                newBalanceCarriedForward: report.balanceCarriedForward,
+            });
+        }
+
+        previousReport = report;
+    }
+
+    return changes;
+};
+
+module.exports = {
+    getPreviousMonth,
+    getExpectedBalanceBroughtDown,
+    rechainBalances,
+};
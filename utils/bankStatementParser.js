@@ -0,0 +1,209 @@
+// backend/utils/bankStatementParser.js
+// Parses bank statement CSV exports into transaction lines. Banks differ in column names,
+// date formats and whether money in/out are separate columns or one signed amount (marked
+// with a minus sign, brackets, DR/CR, or a separate DR/CR column), so the header row is
+// located and mapped using the synonyms below.
+const { toMinorUnits } = require('./money');
+
+// Header names seen on common bank exports, normalised to lowercase letters/digits/spaces
+const COLUMN_SYNONYMS = {
+    date: ['date', 'transaction date', 'trans date', 'tran date', 'txn date', 'posting date', 'post date', 'value date', 'booking date'],
+    narration: ['narration', 'description', 'details', 'transaction details', 'remarks', 'particulars', 'memo', 'narrative'],
+    reference: ['reference', 'ref', 'ref no', 'reference no', 'reference number', 'transaction reference', 'transaction ref', 'cheque no', 'chq no', 'document number'],
+    credit: ['credit', 'credits', 'credit amount', 'cr', 'deposit', 'deposits', 'money in', 'paid in', 'lodgement', 'lodgements'],
+    debit: ['debit', 'debits', 'debit amount', 'dr', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+    amount: ['amount', 'transaction amount', 'amount ngn', 'value'],
+    indicator: ['dr cr', 'cr dr', 'debit credit', 'credit debit', 'd c', 'c d', 'dr cr indicator', 'indicator', 'type', 'transaction type', 'tran type', 'txn type'],
+};
+
+// Values that mark money out or in, next to an amount or in the indicator column
+const DEBIT_MARKERS = ['dr', 'd', 'db', 'debit'];
+const CREDIT_MARKERS = ['cr', 'c', 'credit'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Splits CSV text into rows of cells (quoted fields, escaped quotes and CRLF supported)
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+};
+
+const normaliseHeader = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Maps each known column to its index in a header row, or returns null if the row is not a header
+const mapHeaderRow = (cells) => {
+    const columns = {};
+    cells.forEach((cell, index) => {
+        const header = normaliseHeader(cell);
+        Object.keys(COLUMN_SYNONYMS).forEach(column => {
+            if (columns[column] === undefined && COLUMN_SYNONYMS[column].includes(header)) {
+                columns[column] = index;
+            }
+        });
+    });
+    const hasAmounts = columns.credit !== undefined || columns.amount !== undefined;
+    return columns.date !== undefined && hasAmounts ? columns : null;
+};
+
+// Accepts DD/MM/YYYY, DD-MM-YYYY, YYYY-MM-DD, DD-MMM-YYYY and DD MMM YYYY (two-digit years too).
+// Slash and dash dates are read day first, as Nigerian banks export them.
+const parseStatementDate = (value) => {
+    if (!value) return null;
+    const text = value.trim().split(/[ T]\d{1,2}:\d{2}/)[0]; // Drop any time part
+
+    let day;
+    let month;
+    let year;
+    let match;
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/))) {
+        [, day, month, year] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/., ]+(\d{2,4})$/))) {
+        day = match[1];
+        month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        year = match[3];
+        if (month === 0) return null;
+    } else {
+        return null;
+    }
+
+    year = Number(year);
+    if (year < 100) year += 2000;
+    const date = new Date(year, Number(month) - 1, Number(day));
+    return date.getMonth() === Number(month) - 1 ? date : null;
+};
+
+// 'out', 'in' or null (blank) for a DR/CR marker; throws for anything else
+const parseIndicator = (value) => {
+    const marker = (value || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (marker === '') return null;
+    if (DEBIT_MARKERS.includes(marker)) return 'out';
+    if (CREDIT_MARKERS.includes(marker)) return 'in';
+    throw new Error(`Unknown debit/credit indicator "${value}".`);
+};
+
+// "1,250.50", "NGN 1250.5", "(300.00)", "-300", "300-", "1,000.00 DR" and "CR 500" to minor
+// units, negative for money out; blank cells and cells without a number are null.
+// `indicator` is the row's DR/CR column, if the statement has one. Throws when the markers
+// contradict each other, so money out is never mistaken for money in.
+const parseStatementAmount = (value, indicator) => {
+    if (!value || !value.trim()) return null;
+
+    let text = value.trim();
+    const directions = [];
+    const marker = text.match(/^(dr|cr)\b\.?|(dr|cr)\.?$/i);
+    if (marker) {
+        directions.push(parseIndicator(marker[1] || marker[2]));
+        text = text.slice(0, marker.index) + text.slice(marker.index + marker[0].length);
+    }
+
+    text = text.replace(/[^0-9.()-]/g, '');
+    if (text.startsWith('(') || text.startsWith('-') || text.endsWith('-')) directions.push('out');
+    const indicatorDirection = parseIndicator(indicator);
+    if (indicatorDirection) directions.push(indicatorDirection);
+
+    text = text.replace(/[()-]/g, '');
+    if (text === '' || isNaN(Number(text))) return null;
+    if (directions.includes('in') && directions.includes('out')) {
+        throw new Error(`Cannot tell whether "${value}"${indicator ? ` (${indicator})` : ''} is money in or out.`);
+    }
+
+    const amount = toMinorUnits(Number(text));
+    return directions.includes('out') ? -amount : amount;
+};
+
+/**
+ * Parses a bank statement CSV.
+ * Returns { layout, lines, skipped } where layout is 'credit_debit' (separate columns) or
+ * 'signed_amount', lines are the money-in transactions ({ rowNumber, transactionDate,
+ * narration, reference, amount } with amount in minor units) and skipped counts rows that
+ * were debits or could not be read. Throws if no header row can be found, or if a row's
+ * amount cannot be told to be money in or out.
+ */
+const parseBankStatementCsv = (text) => {
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, '')); // Strip any byte order mark
+
+    // Banks often put account details above the table, so look for the header row
+    const headerIndex = rows.findIndex(cells => mapHeaderRow(cells));
+    if (headerIndex === -1) {
+        throw new Error('Could not find a header row with a date column and a credit or amount column.');
+    }
+    const columns = mapHeaderRow(rows[headerIndex]);
+    const layout = columns.credit !== undefined ? 'credit_debit' : 'signed_amount';
+
+    const lines = [];
+    let skipped = 0;
+    rows.slice(headerIndex + 1).forEach((cells, index) => {
+        const rowNumber = headerIndex + index + 2; // 1-based, counting non-empty rows only
+        const transactionDate = parseStatementDate(cells[columns.date]);
+        if (!transactionDate) {
+            skipped += 1; // Totals and footer rows
+            return;
+        }
+
+        let amount;
+        try {
+            amount = layout === 'credit_debit'
+                ? parseStatementAmount(cells[columns.credit])
+                : parseStatementAmount(cells[columns.amount], columns.indicator !== undefined ? cells[columns.indicator] : undefined);
+        } catch (error) {
+            throw new Error(`Row ${rowNumber}: ${error.message}`);
+        }
+
+        // Only money received can settle a levy; debits are skipped
+        if (!amount || amount <= 0) {
+            skipped += 1;
+            return;
+        }
+
+        lines.push({
+            rowNumber,
+            transactionDate,
+            narration: columns.narration !== undefined ? cells[columns.narration] || '' : '',
+            reference: columns.reference !== undefined ? cells[columns.reference] || '' : '',
+            amount,
+        });
+    });
+
+    return { layout, lines, skipped };
+};
+
+module.exports = { parseBankStatementCsv, parseStatementDate, parseStatementAmount };
@@ -0,0 +1,27 @@
+// backend/utils/csv.js
+// Builds CSV downloads (RFC 4180 quoting, CRLF line endings so spreadsheets open them cleanly)
+
+// Text starting with these is run as a formula by spreadsheet apps, so names such as
+// "=HYPERLINK(...)" are prefixed with an apostrophe to be shown as text. Plain numbers
+// (e.g. a "-300.00" deficit) are left alone.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0]) && !NUMBER_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of arrays of cell values
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+// Sends rows as a CSV file download
+const sendCsv = (res, filename, rows) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(toCsv(rows));
+};
+
+module.exports = { toCsv, sendCsv };
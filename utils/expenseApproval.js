@@ -0,0 +1,51 @@
+// backend/utils/expenseApproval.js
+// Pre-approval of large spends: any expense field above the threshold in a month should be
+// covered by approved ExpenseRequests for that fellowship, field and month.
+const ExpenseRequest = require('../models/expenseRequestModel');
+const { EXPENSE_REPORT_FIELDS } = require('../models/financeCategoryModel');
+const { toMinorUnits, fromMinorUnits } = require('./money');
+
+// Threshold in major units from EXPENSE_APPROVAL_THRESHOLD (default 50,000), returned in minor units
+const getExpenseApprovalThreshold = () => {
+    const threshold = parseFloat(process.env.EXPENSE_APPROVAL_THRESHOLD);
+    return toMinorUnits(Number.isFinite(threshold) && threshold >= 0 ? threshold : 50000);
+};
+
+// Returns one warning per expense field of the report (minor units) that is over the threshold
+// and not fully covered by approved requests; an empty array when nothing needs attention.
+const checkExpenseApprovals = async (report) => {
+    const threshold = getExpenseApprovalThreshold();
+    const fieldsOverThreshold = EXPENSE_REPORT_FIELDS.filter(field => (report[field] || 0) > threshold);
+    if (fieldsOverThreshold.length === 0) return [];
+
+    const approvedRequests = await ExpenseRequest.aggregate([
+        {
+            $match: {
+                fellowship: report.fellowship._id || report.fellowship,
+                spendMonth: report.reportingMonth,
+                reportField: { $in: fieldsOverThreshold },
+                status: 'approved',
+            }
+        },
+        { $group: { _id: '$reportField', total: { $sum: '$amount' } } }
+    ]);
+    const approvedByField = {};
+    approvedRequests.forEach(data => { approvedByField[data._id] = data.total; });
+
+    return fieldsOverThreshold
+        .filter(field => report[field] > (approvedByField[field] || 0))
+        .map(field => ({
+            reportField: field,
+            amount: fromMinorUnits(report[field]),
+            approvedAmount: fromMinorUnits(approvedByField[field] || 0),
+            threshold: fromMinorUnits(threshold),
+            message: approvedByField[field]
+                ? `${field} of ${fromMinorUnits(report[field])} is more than the ${fromMinorUnits(approvedByField[field])} pre-approved for this month.`
+                : `${field} of ${fromMinorUnits(report[field])} is over the pre-approval threshold of ${fromMinorUnits(threshold)} without an approved expense request.`,
+        }));
+};
+
+module.exports = {
+    getExpenseApprovalThreshold,
+    checkExpenseApprovals,
+};
@@ -0,0 +1,38 @@
+// backend/utils/fellowshipScope.js
+const mongoose = require('mongoose');
+const Fellowship = require('../models/fellowshipModel');
+const { FINANCE_VIEW_ALL_ROLES } = require('./reportAccess');
+
+/**
+ * Resolves which fellowships the user may see finance data for, applying optional fellowship/zone filters.
+ * National roles see everything, zonal coordinators their zone, fellowship presidents their own fellowship.
+ * Returns null when no fellowship restriction applies, an array of fellowship ObjectIds otherwise,
+ * or false when the user is not allowed to view finance data at all.
+ */
+const getFellowshipScope = async (user, fellowshipId, zoneId) => {
+    if (FINANCE_VIEW_ALL_ROLES.includes(user.role)) {
+        // Cast to ObjectId, aggregation pipelines do not cast query strings
+        if (fellowshipId) return [new mongoose.Types.ObjectId(fellowshipId)];
+        if (zoneId) {
+            const fellowshipsInZone = await Fellowship.find({ zone: zoneId }).select('_id');
+            return fellowshipsInZone.map(f => f._id);
+        }
+        return null;
+    }
+    if (user.role === 'zonal_coordinator') {
+        if (!user.zone) return false;
+        const fellowshipsInZone = await Fellowship.find({ zone: user.zone }).select('_id');
+        const fellowshipIds = fellowshipsInZone.map(f => f._id);
+        if (fellowshipId) return fellowshipIds.filter(id => id.equals(fellowshipId));
+        return fellowshipIds;
+    }
+    if (user.role.includes('fellowship_president')) {
+        if (!user.fellowship) return false;
+        return [user.fellowship];
+    }
+    return false;
+};
+
+module.exports = {
+    getFellowshipScope,
+};
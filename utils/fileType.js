@@ -0,0 +1,50 @@
+// backend/utils/fileType.js
+// Works out what an uploaded file really is from its first bytes, since the MIME type and
+// file name come from the client and can be anything.
+
+// Known signatures ("magic bytes") and the type and extension they mean
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+    // Legacy Office (.xls) compound file
+    { mimeType: 'application/vnd.ms-excel', extension: '.xls', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    // .xlsx is a ZIP archive
+    { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: '.xlsx', bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+const startsWith = (buffer, bytes, offset = 0) => {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Plain text (CSV): no NUL bytes and valid UTF-8 in the first few kilobytes
+const looksLikeText = (buffer) => {
+    const sample = buffer.subarray(0, 8192);
+    if (sample.length === 0 || sample.includes(0)) return false;
+    try {
+        // stream: a multi-byte character cut off at the end of the sample is not an error
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Returns { mimeType, extension } for the file's content, or null when it is none of the
+// types above
+const detectFileType = (buffer) => {
+    const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+    if (match) return { mimeType: match.mimeType, extension: match.extension };
+
+    // WebP: "RIFF" <size> "WEBP"
+    if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+        return { mimeType: 'image/webp', extension: '.webp' };
+    }
+
+    if (looksLikeText(buffer)) return { mimeType: 'text/csv', extension: '.csv' };
+    return null;
+};
+
+module.exports = {
+    detectFileType,
+};
@@ -0,0 +1,65 @@
+// backend/utils/financeApprovalChain.js
+
+// Every approval stage a financial report can pass through, in the order they run.
+// `role` is who may act at that stage, `status` is the report status once the stage approves.
+const APPROVAL_STAGES = {
+    zonal_review: { role: 'zonal_coordinator', status: 'zonal_reviewed' },
+    accountant_approval: { role: 'accountant', status: 'approved' },
+};
+
+const STAGE_NAMES = Object.keys(APPROVAL_STAGES);
+const DEFAULT_APPROVAL_CHAIN = ['zonal_review', 'accountant_approval'];
+const FINAL_STAGE = 'accountant_approval'; // Used when nothing else is left to approve a report
+
+// Statuses of a report that has been submitted but not yet approved or rejected. The
+// president may still edit it, which sends it back to the start of the chain.
+const AWAITING_APPROVAL_STATUSES = ['pending', ...STAGE_NAMES
+    .map(name => APPROVAL_STAGES[name].status)
+    .filter(status => status !== 'approved')];
+
+const hasZone = (report) => Boolean(report.fellowship && report.fellowship.zone);
+
+// The ordered stages a report must pass, configurable through FINANCE_APPROVAL_CHAIN
+// (comma separated, e.g. "zonal_review,accountant_approval" or just "accountant_approval").
+// Zonal review is skipped for fellowships without a zone, as nobody could do it; when given
+// a report, its fellowship must be populated with `zone`.
+// Whatever the configuration, the last stage always moves the report to "approved".
+const getApprovalChain = (report) => {
+    const configured = (process.env.FINANCE_APPROVAL_CHAIN || '')
+        .split(',')
+        .map(stage => stage.trim())
+        .filter(stage => APPROVAL_STAGES[stage]);
+
+    let stageNames = STAGE_NAMES.filter(name => (configured.length > 0 ? configured : DEFAULT_APPROVAL_CHAIN).includes(name));
+    if (report && !hasZone(report)) {
+        stageNames = stageNames.filter(name => APPROVAL_STAGES[name].role !== 'zonal_coordinator');
+    }
+    if (stageNames.length === 0) stageNames = [FINAL_STAGE];
+
+    return stageNames.map((name, index) => ({
+        name,
+        role: APPROVAL_STAGES[name].role,
+        status: index === stageNames.length - 1 ? 'approved' : APPROVAL_STAGES[name].status,
+    }));
+};
+
+// The stage waiting to act on a report, or null if the report is not awaiting approval.
+// A report left in an intermediate status by an earlier configuration (e.g. 'zonal_reviewed'
+// after zonal review was dropped) waits on the next configured stage after the one it passed.
+const getCurrentStage = (report) => {
+    if (!AWAITING_APPROVAL_STATUSES.includes(report.status)) return null;
+
+    const chain = getApprovalChain(report);
+    if (report.status === 'pending') return chain[0];
+
+    const passedIndex = STAGE_NAMES.findIndex(name => APPROVAL_STAGES[name].status === report.status);
+    return chain.find(stage => STAGE_NAMES.indexOf(stage.name) > passedIndex)
+        || { name: FINAL_STAGE, role: APPROVAL_STAGES[FINAL_STAGE].role, status: 'approved' };
+};
+
+module.exports = {
+    APPROVAL_STAGES,
+    AWAITING_APPROVAL_STATUSES,
+    getApprovalChain,
+    getCurrentStage,
+};
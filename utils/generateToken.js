@@ -1,9 +1,12 @@
 // backend/utils/generateToken.js
 const jwt = require("jsonwebtoken");
 
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+// Short-lived access token (ACCESS_TOKEN_TTL, default 15 minutes). `tokenVersion` must match
+// the user's when the token is used (see protect), so bumping it revokes the token early.
+// `mfa` records that the login passed the second factor (see protect).
+const generateToken = (id, role, tokenVersion = 0, mfa = false) => {
+  return jwt.sign({ id, role, tv: tokenVersion, mfa }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
   });
 };
 
@@ -0,0 +1,149 @@
+// backend/utils/ledger.js
+// Posts financial activity to the double-entry general ledger. Called by the controllers
+// when a FinancialReport is approved or amended, an opening balance is approved and a levy
+// remittance is confirmed. Every posting function is safe to call twice: an event that has
+// already been posted (and not reversed) is not posted again.
+const JournalEntry = require('../models/journalEntryModel');
+const LedgerAccount = require('../models/ledgerAccountModel');
+const FinanceCategory = require('../models/financeCategoryModel');
+
+const { INCOME_REPORT_FIELDS, EXPENSE_REPORT_FIELDS } = FinanceCategory;
+const LEVY_PAYABLE_ACCOUNTS = { zonal: 'zonalLevyPayable', national: 'nationalLevyPayable' };
+
+const formatMonth = (date) => date.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+
+// Journal lines with zero amounts are left out; each line snapshots its account code
+const buildLines = (entries) => {
+    return entries
+        .filter(({ debit = 0, credit = 0 }) => debit > 0 || credit > 0)
+        .map(({ account, debit = 0, credit = 0 }) => ({ account: account._id, accountCode: account.code, debit, credit }));
+};
+
+// Journal lines for an approved report (all minor units): cash received against each income
+// account, each expense paid from cash, and the levies charged to expense and owed to the
+// zone and national until remittances clear them
+const buildFinancialReportLines = (report, accounts) => {
+    return buildLines([
+        { account: accounts.cash, debit: INCOME_REPORT_FIELDS.reduce((sum, field) => sum + (report[field] || 0), 0) },
+        ...INCOME_REPORT_FIELDS.map(field => ({ account: accounts[field], credit: report[field] || 0 })),
+        ...EXPENSE_REPORT_FIELDS.map(field => ({ account: accounts[field], debit: report[field] || 0 })),
+        { account: accounts.cash, credit: EXPENSE_REPORT_FIELDS.reduce((sum, field) => sum + (report[field] || 0), 0) },
+        { account: accounts.zonalLevy, debit: report.zonalLevy },
+        { account: accounts.zonalLevyPayable, credit: report.zonalLevy },
+        { account: accounts.nationalLevy, debit: report.nationalLevy },
+        { account: accounts.nationalLevyPayable, credit: report.nationalLevy },
+    ]);
+};
+
+// The current (not reversed) entry posted for a source, if any
+const findPostedEntry = (sourceType, sourceField, sourceId) => {
+    return JournalEntry.findOne({ 'source.type': sourceType, [`source.${sourceField}`]: sourceId, reversedBy: null });
+};
+
+/**
+ * Posts an approved financial report. Reports with nothing to post (all amounts zero) and
+ * reports that already have a current posting are skipped. Returns the entry, or null.
+ */
+const postFinancialReport = async (report, postedBy) => {
+    if (report.status !== 'approved') return null;
+    const existing = await findPostedEntry('financial_report', 'financialReport', report._id);
+    if (existing) return existing;
+
+    const accounts = await LedgerAccount.getSystemAccounts();
+    const lines = buildFinancialReportLines(report, accounts);
+    if (lines.length === 0) return null;
+
+    return JournalEntry.create({
+        entryDate: report.reportingMonth,
+        fellowship: report.fellowship._id || report.fellowship,
+        description: `Financial report for ${formatMonth(report.reportingMonth)} (version ${report.version})`,
+        source: { type: 'financial_report', financialReport: report._id },
+        lines,
+        postedBy,
+    });
+};
+
+/**
+ * Cancels a report's current posting with a reversing entry (debits and credits swapped),
+ * e.g. before an amended version is posted. Returns the reversing entry, or null when the
+ * report had no current posting.
+ */
+const reverseFinancialReport = async (report, postedBy, reason) => {
+    const entry = await findPostedEntry('financial_report', 'financialReport', report._id);
+    if (!entry) return null;
+
+    const reversal = await JournalEntry.create({
+        entryDate: entry.entryDate,
+        fellowship: entry.fellowship,
+        description: `Reversal of "${entry.description}"${reason ? `: ${reason}` : ''}`,
+        source: { type: 'reversal', financialReport: report._id },
+        lines: entry.lines.map(line => ({
+            account: line.account,
+            accountCode: line.accountCode,
+            debit: line.credit,
+            credit: line.debit,
+        })),
+        postedBy,
+        reversalOf: entry._id,
+    });
+    entry.reversedBy = reversal._id;
+    await entry.save();
+
+    return reversal;
+};
+
+/**
+ * Posts an approved opening balance declaration as cash brought into the books against the
+ * accumulated fund. Only posted once both the declaration and its report are approved.
+ */
+const postOpeningBalance = async (report, postedBy) => {
+    if (report.status !== 'approved' || !report.openingBalance || report.openingBalance.status !== 'approved') return null;
+    const existing = await findPostedEntry('opening_balance', 'financialReport', report._id);
+    if (existing) return existing;
+
+    const accounts = await LedgerAccount.getSystemAccounts();
+    const lines = buildLines([
+        { account: accounts.cash, debit: report.openingBalance.amount },
+        { account: accounts.accumulatedFund, credit: report.openingBalance.amount },
+    ]);
+    if (lines.length === 0) return null;
+
+    return JournalEntry.create({
+        entryDate: report.reportingMonth,
+        fellowship: report.fellowship._id || report.fellowship,
+        description: `Opening balance brought into ${formatMonth(report.reportingMonth)}`,
+        source: { type: 'opening_balance', financialReport: report._id },
+        lines,
+        postedBy,
+    });
+};
+
+/**
+ * Posts a confirmed levy remittance: the payment clears the levy payable to the zone or
+ * national and leaves the fellowship's cash.
+ */
+const postRemittance = async (remittance, postedBy) => {
+    if (remittance.status !== 'confirmed') return null;
+    const existing = await findPostedEntry('remittance', 'remittance', remittance._id);
+    if (existing) return existing;
+
+    const accounts = await LedgerAccount.getSystemAccounts();
+    return JournalEntry.create({
+        entryDate: remittance.paymentDate,
+        fellowship: remittance.fellowship,
+        description: `${remittance.levyType === 'zonal' ? 'Zonal' : 'National'} levy remittance${remittance.reference ? ` (${remittance.reference})` : ''}`,
+        source: { type: 'remittance', financialReport: remittance.financialReport, remittance: remittance._id },
+        lines: buildLines([
+            { account: accounts[LEVY_PAYABLE_ACCOUNTS[remittance.levyType]], debit: remittance.amount },
+            { account: accounts.cash, credit: remittance.amount },
+        ]),
+        postedBy,
+    });
+};
+
+module.exports = {
+    postFinancialReport,
+    reverseFinancialReport,
+    postOpeningBalance,
+    postRemittance,
+};
@@ -0,0 +1,166 @@
+// backend/utils/levyMatcher.js
+// Proposes which levy payment a bank statement credit settles. Candidates are pending
+// remittances that presidents have declared, and levies still outstanding on approved reports
+// that nobody has declared yet. The amount must match exactly; the declared reference, the
+// fellowship name, the levy type and the payment date found on the line raise the score.
+const Remittance = require('../models/remittanceModel');
+const FinancialReport = require('../models/financialReportModel');
+const BankStatementLine = require('../models/bankStatementLineModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uppercase letters and digits only, so "RCF Ikeja / FT-2406" matches "rcf ikeja ft2406"
+const normalise = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// The key that identifies what a candidate or match would settle
+const matchKey = (match) => {
+    return match.remittance ? `remittance:${match.remittance}` : `levy:${match.financialReport}:${match.levyType}`;
+};
+
+// Pending remittances and undeclared outstanding levies on approved reports
+const loadCandidates = async () => {
+    const candidates = [];
+
+    const pendingRemittances = await Remittance.find({ status: 'pending' })
+        .populate('fellowship', 'name');
+    pendingRemittances.forEach(remittance => {
+        candidates.push({
+            remittance: remittance._id,
+            financialReport: remittance.financialReport,
+            fellowship: remittance.fellowship._id,
+            fellowshipName: remittance.fellowship.name,
+            levyType: remittance.levyType,
+            amount: remittance.amount,
+            paymentDate: remittance.paymentDate,
+            reference: remittance.reference,
+        });
+    });
+
+    const reports = await FinancialReport.find({
+        status: 'approved',
+        $or: [{ zonalLevy: { $gt: 0 } }, { nationalLevy: { $gt: 0 } }],
+    })
+        .select('fellowship reportingMonth zonalLevy nationalLevy')
+        .populate('fellowship', 'name');
+
+    const declared = await Remittance.aggregate([
+        { $match: { status: { $in: ['pending', 'confirmed'] } } },
+        {
+            $group: {
+                _id: { financialReport: '$financialReport', levyType: '$levyType' },
+                total: { $sum: '$amount' }
+            }
+        }
+    ]);
+    const declaredByKey = {};
+    declared.forEach(data => {
+        declaredByKey[`${data._id.financialReport}:${data._id.levyType}`] = data.total;
+    });
+
+    reports.forEach(report => {
+        Object.entries(Remittance.LEVY_FIELDS).forEach(([levyType, levyField]) => {
+            const outstanding = report[levyField] - (declaredByKey[`${report._id}:${levyType}`] || 0);
+            if (outstanding <= 0 || !report.fellowship) return;
+            candidates.push({
+                financialReport: report._id,
+                fellowship: report.fellowship._id,
+                fellowshipName: report.fellowship.name,
+                levyType,
+                amount: outstanding,
+                reportingMonth: report.reportingMonth,
+            });
+        });
+    });
+
+    return candidates;
+};
+
+// Scores a candidate for a statement line (0-100), or returns null if it cannot be the payment
+const scoreCandidate = (line, candidate) => {
+    if (line.amount !== candidate.amount) return null;
+    if (candidate.reportingMonth && line.transactionDate < candidate.reportingMonth) return null; // Paid before the month it is for
+
+    const text = normalise(`${line.narration} ${line.reference}`);
+    const reasons = ['amount'];
+    let score = 50;
+
+    const reference = normalise(candidate.reference);
+    if (reference.length >= 4 && text.includes(reference)) {
+        score += 30;
+        reasons.push('reference');
+    }
+    if (candidate.fellowshipName && text.includes(normalise(candidate.fellowshipName))) {
+        score += 10;
+        reasons.push('fellowship');
+    }
+    if (text.includes(candidate.levyType.toUpperCase())) {
+        score += 5;
+        reasons.push('levyType');
+    }
+    if (candidate.paymentDate) {
+        const daysApart = Math.abs(line.transactionDate - candidate.paymentDate) / DAY_MS;
+        if (daysApart <= 3) {
+            score += 15;
+            reasons.push('date');
+        } else if (daysApart <= 14) {
+            score += 5;
+            reasons.push('date');
+        }
+    }
+
+    return { score: Math.min(score, 100), reasons };
+};
+
+/**
+ * Proposes a match for each of the given unmatched statement lines and saves them.
+ * A line gets a proposal only when one candidate scores strictly higher than the rest;
+ * ties are left in the queue for the Accountant. Candidates already proposed for another
+ * line, and matches the Accountant rejected for this line, are never proposed.
+ * Returns the number of lines that received a proposal.
+ */
+const proposeMatches = async (lines) => {
+    if (lines.length === 0) return 0;
+
+    const candidates = await loadCandidates();
+
+    const claimed = new Set();
+    const otherProposals = await BankStatementLine.find({
+        status: 'proposed',
+        _id: { $nin: lines.map(line => line._id) },
+    }).select('proposedMatch');
+    otherProposals.forEach(line => claimed.add(matchKey(line.proposedMatch)));
+
+    let proposedCount = 0;
+    const sortedLines = [...lines].sort((a, b) => a.transactionDate - b.transactionDate);
+
+    for (const line of sortedLines) {
+        const rejected = new Set(line.rejectedMatches.map(matchKey));
+
+        const scored = candidates
+            .filter(candidate => !claimed.has(matchKey(candidate)) && !rejected.has(matchKey(candidate)))
+            .map(candidate => ({ candidate, result: scoreCandidate(line, candidate) }))
+            .filter(({ result }) => result)
+            .sort((a, b) => b.result.score - a.result.score);
+
+        const best = scored[0];
+        if (!best || (scored[1] && scored[1].result.score === best.result.score)) continue;
+
+        line.proposedMatch = {
+            remittance: best.candidate.remittance,
+            financialReport: best.candidate.financialReport,
+            fellowship: best.candidate.fellowship,
+            levyType: best.candidate.levyType,
+            score: best.result.score,
+            reasons: best.result.reasons,
+        };
+        line.status = 'proposed';
+        await line.save();
+
+        claimed.add(matchKey(best.candidate));
+        proposedCount += 1;
+    }
+
+    return proposedCount;
+};
+
+module.exports = { proposeMatches, matchKey };
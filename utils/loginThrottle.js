@@ -0,0 +1,93 @@
+// backend/utils/loginThrottle.js
+// Brute-force protection for loginUser. Per account: after a few consecutive failures each
+// further attempt has to wait longer (doubling up to a minute), and after
+// LOGIN_MAX_FAILURES failures the account is locked for LOGIN_LOCKOUT_MINUTES or until an
+// admin unlocks it. Per IP address: more than LOGIN_IP_MAX_FAILURES failures within
+// LOGIN_IP_WINDOW_MINUTES blocks further attempts from that address until the window passes.
+const LoginAttempt = require('../models/loginAttemptModel');
+const User = require('../models/User');
+
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const getSetting = (name, fallback) => parseFloat(process.env[name]) || fallback;
+
+// Seconds to wait before this user may try again, or 0
+const getAccountRetryAfter = (user, now = Date.now()) => {
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+        return Math.ceil((user.lockedUntil.getTime() - now) / 1000);
+    }
+    if (user.failedLoginAttempts < DELAY_AFTER_FAILURES || !user.lastFailedLoginAt) return 0;
+
+    const delaySeconds = Math.min(2 ** (user.failedLoginAttempts - DELAY_AFTER_FAILURES + 1), MAX_DELAY_SECONDS);
+    const waitMs = user.lastFailedLoginAt.getTime() + delaySeconds * 1000 - now;
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Seconds to wait before this IP address may try again, or 0
+const getIpRetryAfter = async (ip, now = Date.now()) => {
+    const windowMs = getSetting('LOGIN_IP_WINDOW_MINUTES', 15) * 60 * 1000;
+    const maxFailures = getSetting('LOGIN_IP_MAX_FAILURES', 20);
+
+    const recentFailures = await LoginAttempt.find({ ip, success: false, createdAt: { $gt: new Date(now - windowMs) } })
+        .sort({ createdAt: -1 })
+        .limit(maxFailures)
+        .select('createdAt');
+    if (recentFailures.length < maxFailures) return 0;
+
+    // Blocked until the oldest of the last maxFailures failures leaves the window
+    const oldest = recentFailures[recentFailures.length - 1];
+    return Math.max(Math.ceil((oldest.createdAt.getTime() + windowMs - now) / 1000), 1);
+};
+
+// Counts a failed password (or two-factor code) against the account, locking it once the limit is reached.
+// Counting and locking are one atomic update on the stored count, so failures arriving at the
+// same time are all counted. Returns true when this failure locked the account.
+const registerFailedLogin = async (user) => {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + getSetting('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000);
+    const failures = { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] };
+    const reachesLimit = { $gte: [failures, getSetting('LOGIN_MAX_FAILURES', 10)] };
+
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        [{
+            $set: {
+                lastFailedLoginAt: now,
+                lockedUntil: { $cond: [reachesLimit, lockedUntil, '$lockedUntil'] },
+                failedLoginAttempts: { $cond: [reachesLimit, 0, failures] }, // Start counting again once the lock expires
+            },
+        }],
+        { new: true }
+    ).select('failedLoginAttempts lastFailedLoginAt lockedUntil');
+
+    return !!(updated && updated.lockedUntil && updated.lockedUntil.getTime() === lockedUntil.getTime());
+};
+
+const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) return;
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }
+    );
+};
+
+const recordLoginAttempt = (req, email, user, success, failureReason, secondFactor) => {
+    return LoginAttempt.create({
+        email,
+        user: user ? user._id : undefined,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        success,
+        failureReason,
+        secondFactor,
+    });
+};
+
+module.exports = {
+    getAccountRetryAfter,
+    getIpRetryAfter,
+    registerFailedLogin,
+    clearFailedLogins,
+    recordLoginAttempt,
+};
@@ -0,0 +1,15 @@
+// backend/utils/mail/consoleMailTransport.js
+// Development transport: prints messages to the server log instead of sending them
+const crypto = require('crypto');
+
+const consoleMailTransport = {
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+        const messageId = crypto.randomBytes(8).toString('hex');
+        console.log(`--- Mail ${messageId} ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--- End of mail ${messageId} ---`);
+        return { messageId };
+    },
+};
+
+module.exports = consoleMailTransport;
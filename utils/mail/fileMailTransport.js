@@ -0,0 +1,28 @@
+// backend/utils/mail/fileMailTransport.js
+// Development transport: writes each message as a JSON file to an outbox directory
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Messages go to MAIL_OUTBOX_DIR (default: <project>/outbox)
+const getOutboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox'));
+
+const fileMailTransport = {
+    name: 'file',
+
+    async send({ from, to, subject, text }) {
+        const messageId = crypto.randomBytes(8).toString('hex');
+        const sentAt = new Date();
+        const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${messageId}.json`;
+
+        await fs.promises.mkdir(getOutboxDir(), { recursive: true });
+        await fs.promises.writeFile(
+            path.join(getOutboxDir(), fileName),
+            JSON.stringify({ messageId, from, to, subject, text, sentAt }, null, 2)
+        );
+
+        return { messageId };
+    },
+};
+
+module.exports = fileMailTransport;
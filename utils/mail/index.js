@@ -0,0 +1,67 @@
+// backend/utils/mail/index.js
+// Pluggable mail transports for messages sent to users (password resets, ...).
+// A transport implements: send({ to, subject, text }) -> { messageId }
+const consoleMailTransport = require('./consoleMailTransport');
+const fileMailTransport = require('./fileMailTransport');
+
+// The console and file transports leave messages on the server, where users never see them,
+// so they are only available outside production; production needs a registered transport
+const DEVELOPMENT_TRANSPORTS = [consoleMailTransport, fileMailTransport];
+
+const transports = {};
+if (process.env.NODE_ENV !== 'production') {
+    DEVELOPMENT_TRANSPORTS.forEach(transport => {
+        transports[transport.name] = transport;
+    });
+}
+
+// Make another transport (e.g. SMTP, an email API) available under its name
+const registerMailTransport = (transport) => {
+    transports[transport.name] = transport;
+};
+
+// The configured transport (MAIL_TRANSPORT). Outside production it defaults to "console";
+// in production it must be set, so links are never just written to the server log.
+const getDefaultTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production.');
+    }
+    return 'console';
+};
+
+// A transport by name, or the configured one
+const getMailTransport = (name = getDefaultTransportName()) => {
+    const transport = transports[name];
+    if (!transport && DEVELOPMENT_TRANSPORTS.some(candidate => candidate.name === name)) {
+        throw new Error(`The ${name} mail transport is not available in production.`);
+    }
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+// Sends a message with the configured transport, from MAIL_FROM
+const sendMail = ({ to, subject, text }) => {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || 'no-reply@localhost',
+        to,
+        subject,
+        text,
+    });
+};
+
+// Called at startup (after any registerMailTransport calls), so a missing, unknown or (in
+// production) development-only MAIL_TRANSPORT stops the server instead of failing the first
+// password reset
+const assertMailConfig = () => {
+    getMailTransport();
+};
+
+module.exports = {
+    registerMailTransport,
+    getMailTransport,
+    sendMail,
+    assertMailConfig,
+};
@@ -0,0 +1,77 @@
+// backend/utils/money.js
+// Money is stored and calculated as integer minor units (kobo), so sums and levies never
+// drift by fractions of a kobo. The API keeps speaking major units (naira): convert request
+// amounts with toMinorUnits, and stored amounts with fromMinorUnits (the finance schemas do
+// this for their own money fields when documents are serialized, see moneyTransform).
+
+const MINOR_UNITS_PER_MAJOR = 100;
+
+// Mongoose validator for money paths: stored amounts must be whole minor units
+const minorUnitsValidator = {
+    validator: (value) => value === undefined || value === null || Number.isInteger(value),
+    message: (props) => `${props.path} must be a whole number of minor units, got ${props.value}.`,
+};
+
+// True when `value` is a non-negative major-unit amount with at most two decimal places
+const isMoneyAmount = (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) return false;
+    const minor = value * MINOR_UNITS_PER_MAJOR;
+    return Math.abs(minor - Math.round(minor)) < 1e-6;
+};
+
+// Major units from a request (e.g. 1250.5) to stored minor units (125050)
+const toMinorUnits = (amount) => {
+    if (amount === undefined || amount === null) return amount;
+    // toFixed drops float noise first, so 1.005 becomes 101 rather than 100 (1.005 * 100 = 100.49999...)
+    return Math.round(Number((amount * MINOR_UNITS_PER_MAJOR).toFixed(6)));
+};
+
+// Stored minor units (125050) to major units for responses (1250.5)
+const fromMinorUnits = (amount) => {
+    if (amount === undefined || amount === null) return amount;
+    return amount / MINOR_UNITS_PER_MAJOR;
+};
+
+// `percent`% of a minor-unit amount, rounded half up to the nearest minor unit
+const percentOf = (amount, percent) => {
+    return Math.round((amount * percent) / 100);
+};
+
+// Applies `convert` to every money path of a plain object. Paths are dotted and step into
+// arrays, e.g. ['tithe', 'openingBalance.amount', 'lineItems.amount']; a path ending on an
+// array of numbers converts each of them.
+const mapMoneyFields = (obj, paths, convert) => {
+    if (!obj) return obj;
+    paths.forEach(path => {
+        const [head, ...rest] = path.split('.');
+        const value = obj[head];
+        if (value === undefined || value === null) return;
+        if (rest.length === 0) {
+            if (typeof value === 'number') obj[head] = convert(value);
+            else if (Array.isArray(value)) obj[head] = value.map(item => (typeof item === 'number' ? convert(item) : item));
+        } else if (Array.isArray(value)) {
+            value.forEach(item => mapMoneyFields(item, [rest.join('.')], convert));
+        } else if (typeof value === 'object') {
+            mapMoneyFields(value, [rest.join('.')], convert);
+        }
+    });
+    return obj;
+};
+
+// Schema toJSON/toObject transform that serializes the given money paths in major units.
+// Only top-level documents are converted; subdocuments are handled by their parent's paths.
+const moneyTransform = (paths) => (doc, ret) => {
+    if (doc.$isSubdocument) return ret;
+    return mapMoneyFields(ret, paths, fromMinorUnits);
+};
+
+module.exports = {
+    MINOR_UNITS_PER_MAJOR,
+    minorUnitsValidator,
+    isMoneyAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    percentOf,
+    mapMoneyFields,
+    moneyTransform,
+};
@@ -0,0 +1,21 @@
+// backend/utils/oneTimeToken.js
+// Single-use tokens sent to people by link (invitations, password resets). Only the SHA-256
+// hash is stored, so a leaked database does not leak usable tokens.
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returns the token to hand out, its hash to store, and when it expires
+const createOneTimeToken = (ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+    };
+};
+
+module.exports = {
+    hashToken,
+    createOneTimeToken,
+};
@@ -0,0 +1,52 @@
+// backend/utils/payments/index.js
+// Pluggable online payment providers for levy payments.
+// A provider implements:
+//   createPayment({ reference, amount, currency, email, description, metadata })
+//     -> { providerReference, checkoutUrl }   (amount in minor units)
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   parseWebhookEvent(rawBody)
+//     -> { type: 'succeeded' | 'failed' | <other>, reference, providerReference, amount, paidAt, failureReason }
+//   assertConfigured() -> throws when required settings (e.g. the webhook secret) are missing
+const mockPaymentProvider = require('./mockPaymentProvider');
+
+const providers = {};
+
+// The mock provider confirms payments nobody made, so it is never available in production
+if (process.env.NODE_ENV !== 'production') {
+    providers[mockPaymentProvider.name] = mockPaymentProvider;
+}
+
+// Make another provider (e.g. Paystack, Flutterwave) available under its name
+const registerPaymentProvider = (provider) => {
+    providers[provider.name] = provider;
+};
+
+// A provider by name (e.g. from a webhook URL), or the configured one (PAYMENT_PROVIDER) for new payments
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER is not set.');
+    }
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+};
+
+// Online payments are offered only when a provider is configured; without one the payment
+// routes answer 503 and the rest of the app runs as usual
+const isPaymentsEnabled = () => Boolean(process.env.PAYMENT_PROVIDER);
+
+// Called at startup (after any registerPaymentProvider calls): when PAYMENT_PROVIDER is set, the
+// server refuses to start unless it is known and has the settings it needs, such as its webhook secret
+const assertPaymentConfig = () => {
+    if (!isPaymentsEnabled()) return;
+    getPaymentProvider().assertConfigured();
+};
+
+module.exports = {
+    registerPaymentProvider,
+    getPaymentProvider,
+    isPaymentsEnabled,
+    assertPaymentConfig,
+};
@@ -0,0 +1,67 @@
+// backend/utils/payments/mockPaymentProvider.js
+// Local stand-in for a real payment provider, for development and tests (it is not available
+// when NODE_ENV is production). Nothing is charged: a payment is completed by posting a
+// webhook event signed with signPayload (MOCK_PAYMENT_WEBHOOK_SECRET) to
+// POST /api/payments/webhook/mock, e.g.
+//   { "event": "payment.succeeded", "data": { "reference": "...", "amount": 150000 } }
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+// Hex HMAC-SHA256 of the raw request body, as a real provider would send it
+const signPayload = (rawBody) => {
+    if (!getWebhookSecret()) {
+        throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set.');
+    }
+    return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+};
+
+const EVENT_TYPES = {
+    'payment.succeeded': 'succeeded',
+    'payment.failed': 'failed',
+};
+
+const mockPaymentProvider = {
+    name: 'mock',
+    signPayload,
+
+    async createPayment({ reference }) {
+        const providerReference = `mock_${crypto.randomBytes(8).toString('hex')}`;
+        const checkoutBaseUrl = process.env.MOCK_PAYMENT_CHECKOUT_URL || 'http://localhost:5000/mock-checkout';
+        return {
+            providerReference,
+            checkoutUrl: `${checkoutBaseUrl}/${encodeURIComponent(reference)}`,
+        };
+    },
+
+    assertConfigured() {
+        if (!getWebhookSecret()) {
+            throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider.');
+        }
+    },
+
+    verifyWebhookSignature(rawBody, headers) {
+        const signature = headers[SIGNATURE_HEADER];
+        if (!getWebhookSecret() || !rawBody || typeof signature !== 'string') return false;
+
+        const expected = Buffer.from(signPayload(rawBody), 'hex');
+        const received = Buffer.from(signature, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    },
+
+    parseWebhookEvent(rawBody) {
+        const { event, data = {} } = JSON.parse(rawBody.toString('utf8'));
+        return {
+            type: EVENT_TYPES[event] || event,
+            reference: data.reference,
+            providerReference: data.providerReference,
+            amount: data.amount,
+            paidAt: data.paidAt ? new Date(data.paidAt) : new Date(),
+            failureReason: data.failureReason,
+        };
+    },
+};
+
+module.exports = mockPaymentProvider;
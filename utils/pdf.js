@@ -0,0 +1,82 @@
+// backend/utils/pdf.js
+// Builds the PDF downloads (receipts, account statements) with a shared A4 layout
+const PDFDocument = require('pdfkit');
+const { fromMinorUnits } = require('./money');
+
+const PAGE_MARGIN = 50;
+const AMOUNT_COLUMN_WIDTH = 140;
+
+// Minor units to "NGN 1,250.50"
+const formatAmount = (amount) => {
+    const major = fromMinorUnits(amount || 0);
+    const formatted = Math.abs(major).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${major < 0 ? '-' : ''}NGN ${formatted}`;
+};
+
+const formatDate = (date) => (date ? date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }) : '');
+
+// Document title block: organisation, document name and an optional subtitle
+const drawHeader = (doc, title, subtitle) => {
+    doc.font('Helvetica-Bold').fontSize(16).text(process.env.ORGANISATION_NAME || 'Fellowship Finance', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.fontSize(13).text(title, { align: 'center' });
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(10).text(subtitle, { align: 'center' });
+    }
+    doc.moveDown(1.5);
+};
+
+// "Label: value" pairs
+const drawDetails = (doc, details) => {
+    details.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+    });
+    doc.moveDown();
+};
+
+// A row with a label on the left and an amount (minor units) right-aligned; `bold` for totals
+const drawAmountRow = (doc, label, amount, { bold = false, indent = 0 } = {}) => {
+    const y = doc.y;
+    const amountX = doc.page.width - PAGE_MARGIN - AMOUNT_COLUMN_WIDTH;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, PAGE_MARGIN + indent, y, { width: amountX - PAGE_MARGIN - indent - 10 });
+    const labelBottom = doc.y;
+    doc.text(formatAmount(amount), amountX, y, { width: AMOUNT_COLUMN_WIDTH, align: 'right' });
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(labelBottom, doc.y) + 2;
+};
+
+const drawSectionTitle = (doc, title) => {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).text(title, PAGE_MARGIN);
+    doc.moveDown(0.3);
+};
+
+const drawFooter = (doc, text) => {
+    doc.moveDown(2);
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555').text(text, PAGE_MARGIN);
+    doc.fillColor('black');
+};
+
+// Streams a PDF built by `draw(doc)` as a file download
+const sendPdf = (res, filename, draw) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200);
+    doc.pipe(res);
+    draw(doc);
+    doc.end();
+};
+
+module.exports = {
+    formatAmount,
+    formatDate,
+    drawHeader,
+    drawDetails,
+    drawAmountRow,
+    drawSectionTitle,
+    drawFooter,
+    sendPdf,
+};
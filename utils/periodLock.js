@@ -0,0 +1,15 @@
+// backend/utils/periodLock.js
+// Guard for report controllers: refuses changes to reports in a closed FiscalPeriod.
+// Call it after the authorization checks and before anything is written, e.g.
+//     await assertPeriodOpen(res, report.reportingMonth);
+const FiscalPeriod = require('../models/fiscalPeriodModel');
+
+const assertPeriodOpen = async (res, reportingMonth) => {
+    const closedPeriod = await FiscalPeriod.findClosedPeriodFor(reportingMonth);
+    if (closedPeriod) {
+        res.status(409);
+        throw new Error(`The ${closedPeriod.label} period is closed. Reports in it cannot be changed unless a Super Admin reopens it.`);
+    }
+};
+
+module.exports = { assertPeriodOpen };
@@ -0,0 +1,83 @@
+// backend/utils/reportAccess.js
+// View authorization for single reports, shared by the report controllers
+// (getXReportById) and anything that exposes data hanging off a report, like attachments.
+// `report.fellowship` must be populated with at least its `zone`.
+
+// Returns the ObjectId whether the reference is populated or not
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Roles that can see finance data for every fellowship
+const FINANCE_VIEW_ALL_ROLES = [
+    'super_admin',
+    'administrator',
+    'accountant',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+];
+
+const OUTREACH_VIEW_ROLES = [
+    'super_admin',
+    'administrator',
+    'national_coordinator',
+    'assistant_national_coordinator_secondary_school_outreach',
+    'zonal_coordinator',
+];
+
+const isInUserZone = (user, report) => {
+    return !!(user.zone && report.fellowship && report.fellowship.zone && user.zone.equals(idOf(report.fellowship.zone)));
+};
+
+const isOwnFellowship = (user, report) => {
+    return !!(user.fellowship && report.fellowship && user.fellowship.equals(idOf(report.fellowship)));
+};
+
+const canViewFinancialReport = (user, report) => {
+    if (FINANCE_VIEW_ALL_ROLES.includes(user.role)) return true;
+    if (user.role === 'zonal_coordinator') return isInUserZone(user, report);
+    if (user.role.includes('fellowship_president')) return isOwnFellowship(user, report);
+    return false;
+};
+
+const canViewActivityReport = (user, report) => {
+    if (
+        user.role.includes('super_admin') ||
+        user.role.includes('administrator') ||
+        user.role.includes('national_coordinator') ||
+        user.role.includes('assistant_national_coordinator_finance') ||
+        user.role.includes('assistant_national_coordinator_secondary_school_outreach')
+    ) {
+        return true;
+    }
+    if (user.role.includes('zonal_coordinator')) return isInUserZone(user, report);
+    if (user.role.includes('fellowship_president')) {
+        return isOwnFellowship(user, report) && user._id.equals(idOf(report.submittedBy));
+    }
+    return false;
+};
+
+const canViewFellowshipOutreachReport = (user, report) => {
+    if (
+        user.role.includes('super_admin') ||
+        user.role.includes('administrator') ||
+        user.role.includes('national_coordinator') ||
+        user.role.includes('assistant_national_coordinator_secondary_school_outreach')
+    ) {
+        return true;
+    }
+    if (user.role.includes('zonal_coordinator')) return isInUserZone(user, report);
+    if (user.role.includes('fellowship_president')) {
+        return isOwnFellowship(user, report) && user._id.equals(idOf(report.submittedBy));
+    }
+    return false;
+};
+
+// Outreach reports are national in scope, so access depends on role only
+const canViewOutreachReport = (user) => OUTREACH_VIEW_ROLES.includes(user.role);
+
+module.exports = {
+    FINANCE_VIEW_ALL_ROLES,
+    canViewFinancialReport,
+    canViewActivityReport,
+    canViewFellowshipOutreachReport,
+    canViewOutreachReport,
+};
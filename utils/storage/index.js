@@ -0,0 +1,28 @@
+// backend/utils/storage/index.js
+// Pluggable file storage for attachments.
+// A driver implements: save({ buffer, extension, mimeType }) -> { key, size },
+// exists(key), createReadStream(key) and remove(key).
+const localDiskStorage = require('./localDiskStorage');
+
+const drivers = {
+    [localDiskStorage.name]: localDiskStorage,
+};
+
+// Make another driver (e.g. S3) available under its name
+const registerStorageDriver = (driver) => {
+    drivers[driver.name] = driver;
+};
+
+// The driver for a stored file, or the configured default (STORAGE_DRIVER, "local") for new uploads
+const getStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return driver;
+};
+
+module.exports = {
+    registerStorageDriver,
+    getStorageDriver,
+};
@@ -0,0 +1,58 @@
+// backend/utils/storage/localDiskStorage.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files live under UPLOAD_DIR (default: <project>/uploads/attachments), grouped by year/month
+const getRootDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads', 'attachments'));
+
+// Resolve a stored key to an absolute path, refusing keys that escape the root directory
+const resolveKey = (key) => {
+    const rootDir = getRootDir();
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error('Invalid storage key.');
+    }
+    return filePath;
+};
+
+const localDiskStorage = {
+    name: 'local',
+
+    // Persist a file buffer and return the key used to read it back. `extension` is the one
+    // for the file's detected type (see utils/fileType.js), never the client's file name.
+    async save({ buffer, extension }) {
+        const now = new Date();
+        const directory = path.join(String(now.getFullYear()), String(now.getMonth() + 1).padStart(2, '0'));
+        const key = path.join(directory, `${crypto.randomBytes(16).toString('hex')}${extension || ''}`);
+
+        await fs.promises.mkdir(path.join(getRootDir(), directory), { recursive: true });
+        await fs.promises.writeFile(resolveKey(key), buffer);
+
+        return { key, size: buffer.length };
+    },
+
+    async exists(key) {
+        try {
+            await fs.promises.access(resolveKey(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    createReadStream(key) {
+        return fs.createReadStream(resolveKey(key));
+    },
+
+    // Removing a file that is already gone is not an error
+    async remove(key) {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    },
+};
+
+module.exports = localDiskStorage;
@@ -0,0 +1,95 @@
+// backend/utils/totp.js
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1 over
+// the number of 30-second steps since the epoch, truncated to 6 digits. Secrets are
+// exchanged in base32, the format authenticator apps expect.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1; // Accept the previous and next code too, for clock drift
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// A new random 160-bit secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the time step the code belongs to, or null when it matches none near `time`.
+// Callers store the step so the same code cannot be used twice.
+const verifyCode = (secret, code, time = Date.now()) => {
+    const clean = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+    const currentStep = getTimeStep(time);
+    for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(clean))) return step;
+    }
+    return null;
+};
+
+// The otpauth:// URI that authenticator apps scan as a QR code
+const getProvisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    getProvisioningUri,
+};
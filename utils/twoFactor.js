@@ -0,0 +1,100 @@
+// backend/utils/twoFactor.js
+// Second-factor checks shared by the two-factor login step and the enrolment endpoints:
+// authenticator codes (see totp.js), single-use recovery codes, and the short-lived
+// challenge token that carries a login from the password step to the code step.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./oneTimeToken');
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_PURPOSE = 'login_2fa';
+
+// Fields needed to check a second factor; they are not loaded by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Name shown in authenticator apps (TWO_FACTOR_ISSUER, default "CRM Remittance")
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'CRM Remittance';
+
+// Recovery codes are compared without case, spaces or dashes
+const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''));
+
+// Returns the codes to show the user once, and their hashes to store
+const createRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Checks an authenticator code or a recovery code against an enrolled user (loaded with
+// TWO_FACTOR_SECRET_FIELDS). The code is claimed atomically, so it cannot be used twice even
+// by simultaneous requests. Returns 'totp', 'recovery_code' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.twoFactor || !user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+    if (code) {
+        const step = verifyCode(user.twoFactor.secret, code);
+        if (step === null) return null;
+        const claimed = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        if (!claimed.modifiedCount) return null;
+        user.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashRecoveryCode(recoveryCode);
+        const claimed = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+            { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+        );
+        if (!claimed.modifiedCount) return null;
+        user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(hash => hash !== codeHash);
+        return 'recovery_code';
+    }
+
+    return null;
+};
+
+// Token handed out after the password step of a two-factor login (TWO_FACTOR_CHALLENGE_TTL,
+// default 5 minutes). It is not an access token; protect rejects it.
+const createLoginChallenge = (user) => {
+    return jwt.sign(
+        { id: user._id, tv: user.tokenVersion, purpose: LOGIN_CHALLENGE_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m' }
+    );
+};
+
+// The user a login challenge belongs to (with TWO_FACTOR_SECRET_FIELDS), or null when the
+// token is invalid, expired, or the user's sessions or two-factor setup changed since.
+const findLoginChallengeUser = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE) return null;
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || decoded.tv !== user.tokenVersion || !user.twoFactor.enabled) return null;
+    return user;
+};
+
+module.exports = {
+    TWO_FACTOR_SECRET_FIELDS,
+    getIssuer,
+    createRecoveryCodes,
+    verifySecondFactor,
+    createLoginChallenge,
+    findLoginChallengeUser,
+};